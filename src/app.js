@@ -5,22 +5,30 @@ const connectDB = require("./config/database");
 const path = require("path");
 const fs = require("fs");
 
+// Load environment variables (before the routers read their configuration)
+dotenv.config();
+
 const authRouter = require("./routes/auth");
 const videoRouter = require("./routes/videoRouter");
-
-// Load environment variables
-dotenv.config();
+const uploadRouter = require("./routes/uploadRouter");
+const mediaRouter = require("./routes/mediaRouter");
+const shareRouter = require("./routes/shareRouter");
+const workspaceRouter = require("./routes/workspaceRouter");
+const { cleanupExpiredUploadSessions } = require("./utils/uploadSessions");
+const { rollUpViewEvents } = require("./utils/analytics");
+const { startVideoWorker } = require("./worker");
 
 // Create necessary directories
 const tempDir = path.join(__dirname, "temp");
 fs.mkdirSync(tempDir, { recursive: true });
 
-// Clean up temp directory on startup
-fs.readdir(tempDir, (err, files) => {
+// Clean up temp directory on startup (job working directories are kept so queued jobs can resume)
+fs.readdir(tempDir, { withFileTypes: true }, (err, entries) => {
     if (err) throw err;
-    for (const file of files) {
-        fs.unlink(path.join(tempDir, file), err => {
-            if (err) console.error(`Error deleting ${file}:`, err);
+    for (const entry of entries) {
+        if (entry.isDirectory()) continue;
+        fs.unlink(path.join(tempDir, entry.name), err => {
+            if (err) console.error(`Error deleting ${entry.name}:`, err);
         });
     }
 });
@@ -28,6 +36,11 @@ fs.readdir(tempDir, (err, files) => {
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, set TRUST_PROXY (number of proxies, or "true") so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY === "true" ? true : parseInt(process.env.TRUST_PROXY) || false);
+}
+
 // Middleware
 app.use(cors({ origin: process.env.FRONTEND_URL || '*' }));
 
@@ -77,6 +90,10 @@ app.use((err, req, res, next) => {
 // Mount routers
 app.use("/api/auth", authRouter);
 app.use("/api/videos", videoRouter);
+app.use("/api/uploads", uploadRouter);
+app.use("/api/workspaces", workspaceRouter);
+app.use("/api/share", shareRouter);
+app.use("/media", mediaRouter);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -89,6 +106,21 @@ connectDB()
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`Server running on http://0.0.0.0:${PORT}`);
         });
+
+        // Process queued jobs in this process unless a separate worker is deployed
+        if (process.env.RUN_WORKER !== "false") {
+            startVideoWorker();
+        }
+
+        // Discard resumable uploads that were never finalized
+        setInterval(() => {
+            cleanupExpiredUploadSessions().catch(err => console.error("Upload session cleanup failed:", err));
+        }, 60 * 60 * 1000);
+
+        // Fold raw playback events into per-view analytics
+        setInterval(() => {
+            rollUpViewEvents().catch(err => console.error("Analytics rollup failed:", err));
+        }, parseInt(process.env.ANALYTICS_ROLLUP_INTERVAL_MS) || 5 * 60 * 1000);
     })
     .catch((err) => {
         console.error("Database connection failed:", err.message);
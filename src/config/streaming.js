@@ -0,0 +1,17 @@
+// HLS packaging of processed videos
+const HLS_ENABLED = process.env.HLS_ENABLED !== 'false';
+const HLS_SEGMENT_SECONDS = parseInt(process.env.HLS_SEGMENT_SECONDS) || 6;
+
+// Rendition ladder, by the short side of the picture. Renditions larger than the source are skipped.
+// Bitrates are in kbit/s.
+const HLS_LADDER = [
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 160 }
+];
+
+module.exports = {
+  HLS_ENABLED,
+  HLS_SEGMENT_SECONDS,
+  HLS_LADDER
+};
@@ -0,0 +1,63 @@
+// Languages and models supported by the Whisper CLI
+const SUPPORTED_LANGUAGES = {
+  en: "English", zh: "Chinese", de: "German", es: "Spanish", ru: "Russian",
+  ko: "Korean", fr: "French", ja: "Japanese", pt: "Portuguese", tr: "Turkish",
+  pl: "Polish", ca: "Catalan", nl: "Dutch", ar: "Arabic", sv: "Swedish",
+  it: "Italian", id: "Indonesian", hi: "Hindi", fi: "Finnish", vi: "Vietnamese",
+  he: "Hebrew", uk: "Ukrainian", el: "Greek", ms: "Malay", cs: "Czech",
+  ro: "Romanian", da: "Danish", hu: "Hungarian", ta: "Tamil", no: "Norwegian",
+  th: "Thai", ur: "Urdu", hr: "Croatian", bg: "Bulgarian", lt: "Lithuanian",
+  la: "Latin", mi: "Maori", ml: "Malayalam", cy: "Welsh", sk: "Slovak",
+  te: "Telugu", fa: "Persian", lv: "Latvian", bn: "Bengali", sr: "Serbian",
+  az: "Azerbaijani", sl: "Slovenian", kn: "Kannada", et: "Estonian", mk: "Macedonian",
+  br: "Breton", eu: "Basque", is: "Icelandic", hy: "Armenian", ne: "Nepali",
+  mn: "Mongolian", bs: "Bosnian", kk: "Kazakh", sq: "Albanian", sw: "Swahili",
+  gl: "Galician", mr: "Marathi", pa: "Punjabi", si: "Sinhala", km: "Khmer",
+  sn: "Shona", yo: "Yoruba", so: "Somali", af: "Afrikaans", oc: "Occitan",
+  ka: "Georgian", be: "Belarusian", tg: "Tajik", sd: "Sindhi", gu: "Gujarati",
+  am: "Amharic", yi: "Yiddish", lo: "Lao", uz: "Uzbek", fo: "Faroese",
+  ht: "Haitian Creole", ps: "Pashto", tk: "Turkmen", nn: "Nynorsk", mt: "Maltese",
+  sa: "Sanskrit", lb: "Luxembourgish", my: "Myanmar", bo: "Tibetan", tl: "Tagalog",
+  mg: "Malagasy", as: "Assamese", tt: "Tatar", haw: "Hawaiian", ln: "Lingala",
+  ha: "Hausa", ba: "Bashkir", jw: "Javanese", su: "Sundanese", yue: "Cantonese"
+};
+
+// "auto" lets Whisper detect the spoken language
+const AUTO_LANGUAGE = "auto";
+
+// Larger models are slower but far more accurate. ".en" models only transcribe English.
+const WHISPER_MODELS = [
+  { name: "tiny", englishOnly: false },
+  { name: "tiny.en", englishOnly: true },
+  { name: "base", englishOnly: false },
+  { name: "base.en", englishOnly: true },
+  { name: "small", englishOnly: false },
+  { name: "small.en", englishOnly: true },
+  { name: "medium", englishOnly: false },
+  { name: "medium.en", englishOnly: true },
+  { name: "large", englishOnly: false },
+  { name: "turbo", englishOnly: false }
+];
+
+const DEFAULT_LANGUAGE = process.env.WHISPER_LANGUAGE || "en";
+const DEFAULT_MODEL = process.env.WHISPER_MODEL || "tiny";
+
+// Provider used for users who haven't picked one: whisper, openai, google or fake
+const DEFAULT_TRANSCRIPTION_PROVIDER = process.env.TRANSCRIPTION_PROVIDER || "whisper";
+
+// "English" / "english" -> "en"
+const findLanguageCode = (name) => {
+  const normalized = String(name || "").trim().toLowerCase();
+  if (SUPPORTED_LANGUAGES[normalized]) return normalized;
+  return Object.keys(SUPPORTED_LANGUAGES).find(code => SUPPORTED_LANGUAGES[code].toLowerCase() === normalized) || null;
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  AUTO_LANGUAGE,
+  WHISPER_MODELS,
+  DEFAULT_LANGUAGE,
+  DEFAULT_MODEL,
+  DEFAULT_TRANSCRIPTION_PROVIDER,
+  findLanguageCode
+};
@@ -0,0 +1,34 @@
+// Upload limits and accepted file types
+const MAX_FILE_SIZE = 1024 * 1024 * 1024; // 1GB (single multipart upload)
+const MAX_RESUMABLE_FILE_SIZE = parseInt(process.env.MAX_RESUMABLE_FILE_SIZE) || 10 * 1024 * 1024 * 1024; // 10GB
+const MAX_UPLOAD_PART_SIZE = parseInt(process.env.MAX_UPLOAD_PART_SIZE) || 100 * 1024 * 1024; // 100MB per request
+const UPLOAD_SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+
+const ALLOWED_VIDEO_TYPES = [
+  'video/mp4',
+  'video/quicktime',
+  'video/x-msvideo',
+  'video/x-matroska',
+  'video/webm'
+];
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Codecs (ffprobe names) the pipeline accepts, checked by probing every upload
+const SUPPORTED_VIDEO_CODECS = ['h264', 'hevc', 'vp8', 'vp9', 'av1', 'mpeg4', 'mpeg2video', 'prores', 'mjpeg'];
+const SUPPORTED_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'vorbis', 'flac', 'alac', 'ac3', 'eac3', 'pcm_s16le', 'pcm_s24le', 'pcm_f32le'];
+const MAX_VIDEO_DURATION_SECONDS = parseInt(process.env.MAX_VIDEO_DURATION_SECONDS) || 4 * 60 * 60; // 4 hours
+const MAX_VIDEO_DIMENSION = parseInt(process.env.MAX_VIDEO_DIMENSION) || 4096; // longest side, in pixels
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_RESUMABLE_FILE_SIZE,
+  MAX_UPLOAD_PART_SIZE,
+  UPLOAD_SESSION_TTL_MS,
+  ALLOWED_VIDEO_TYPES,
+  ALLOWED_IMAGE_TYPES,
+  SUPPORTED_VIDEO_CODECS,
+  SUPPORTED_AUDIO_CODECS,
+  MAX_VIDEO_DURATION_SECONDS,
+  MAX_VIDEO_DIMENSION
+};
@@ -0,0 +1,58 @@
+const jwt = require("jsonwebtoken");
+const { verifyPlaybackToken } = require("../utils/playback");
+
+// Enhanced JWT Authentication Middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      return res.status(401).json({ error: "Authorization header missing or invalid" });
+    }
+
+    const token = authHeader.split(" ")[1];
+    if (!token) {
+      return res.status(401).json({ error: "Token not provided" });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== "access") {
+      return res.status(403).json({ error: "Invalid token type" });
+    }
+
+    req.userId = decoded.userId;
+    // Session (refresh token family) the token was issued for; missing in tokens from before sessions
+    req.sessionId = decoded.sid || null;
+    next();
+  } catch (err) {
+    console.error("Authentication error:", err);
+    return res.status(403).json({ 
+      error: "Authentication failed", 
+      details: err.message 
+    });
+  }
+};
+
+// EventSource can't send headers, so event streams may pass the access token as ?token=
+const authenticateEventStream = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return authenticateUser(req, res, next);
+};
+
+// Media requests from players may carry a playback token for the video in :videoId (?token=)
+// instead of an access token. Routes still check that `req.playbackVideoId` or `req.userId` may read the video.
+const authenticateMediaRequest = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    if (!verifyPlaybackToken(req.params.videoId, req.query.token)) {
+      return res.status(403).json({ error: "Playback link is invalid or has expired" });
+    }
+    req.playbackVideoId = req.params.videoId;
+    return next();
+  }
+  return authenticateUser(req, res, next);
+};
+
+module.exports = { authenticateUser, authenticateEventStream, authenticateMediaRequest };
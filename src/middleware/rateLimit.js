@@ -0,0 +1,37 @@
+// Fixed-window rate limits kept in memory. Every app process counts on its own, so with several
+// processes the effective limit is a multiple of `max`.
+const windows = new Map();
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of windows) {
+    if (window.resetAt <= now) windows.delete(key);
+  }
+}, CLEANUP_INTERVAL_MS).unref();
+
+// Allow `max` requests per `windowMs` for each key that `key(req)` returns (the client's IP by default).
+// Requests without a key (null) aren't counted. Limited requests get a 429 with Retry-After.
+const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, message = "Too many requests" }) => (req, res, next) => {
+  const value = key(req);
+  if (value === null || value === undefined || value === "") return next();
+
+  const now = Date.now();
+  const id = `${name}:${value}`;
+  let window = windows.get(id);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + windowMs };
+    windows.set(id, window);
+  }
+  window.count++;
+
+  if (window.count > max) {
+    const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+    const minutes = Math.ceil(retryAfter / 60);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ error: `${message}, try again in ${minutes} minute${minutes === 1 ? "" : "s"}`, retryAfter });
+  }
+  next();
+};
+
+module.exports = { rateLimit };
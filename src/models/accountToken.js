@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// A single-use token mailed to a user: an email verification or a password reset link
+// (see utils/accountTokens). Only its hash is stored.
+const accountTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ["verify-email", "reset-password"],
+    required: true
+  },
+  // SHA-256 of the token, the token itself is only in the mail
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The address the token was sent to; a verification is only valid for that address
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+// Tokens are removed by MongoDB once they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+module.exports = AccountToken;
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Feedback on a video. Top-level comments start a thread and may point at a moment of the
+// video; replies belong to a thread (parentId) and share its timestamp and resolved state.
+const commentSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Thread the comment replies to; null for top-level comments
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Comment",
+    default: null
+  },
+  // Seconds into the video the comment is about; null for comments on the whole video
+  timestamp: {
+    type: Number,
+    default: null
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Users @mentioned in the body
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }],
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+commentSchema.index({ videoId: 1, parentId: 1, timestamp: 1, createdAt: 1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+module.exports = Comment;
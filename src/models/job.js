@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed"],
+    default: "queued"
+  },
+  // Input needed to (re)run the job, e.g. paths of the uploaded files
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Intermediate results saved by each stage so an interrupted job can resume
+  checkpoint: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  completedStages: {
+    type: [String],
+    default: []
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease held by the worker currently running the job
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+},
+{
+  timestamps: true,
+  minimize: false
+});
+
+jobSchema.index({ status: 1, nextRunAt: 1 });
+jobSchema.index({ videoId: 1 });
+
+const Job = mongoose.model("Job", jobSchema);
+module.exports = Job;
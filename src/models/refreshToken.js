@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// A refresh token, stored as a hash. Every use replaces it with a new one of the same family;
+// a family is one login on one device (a "session", see utils/refreshTokens).
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  familyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // HMAC-SHA256 of the token, the token itself is only known to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Name the client gave the device, or one derived from the user agent
+  device: {
+    type: String,
+    default: ""
+  },
+  userAgent: {
+    type: String,
+    default: ""
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  // When the family was created, i.e. the login happened
+  signedInAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // The token that replaced this one; using a replaced token again revokes the family
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // logout, revoked (from the session list), reuse, password-reset
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+refreshTokenSchema.index({ userId: 1, revokedAt: 1, replacedBy: 1 });
+refreshTokenSchema.index({ familyId: 1 });
+// Expired tokens (and their replaced predecessors) are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+module.exports = RefreshToken;
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// A link that lets anyone holding its token watch a video without an account.
+// Links only work while the video is unlisted or public.
+const shareLinkSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // bcrypt hash; viewers must send the password when set
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  // null: never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+shareLinkSchema.index({ videoId: 1, createdAt: -1 });
+// Expired links are removed by MongoDB shortly after they expire
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ShareLink = mongoose.model("ShareLink", shareLinkSchema);
+module.exports = ShareLink;
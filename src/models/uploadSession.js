@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+
+// A resumable upload in progress. Bytes are written either as sequential
+// byte ranges ("ranges" mode) or as numbered parts ("parts" mode).
+const uploadSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Workspace the finished video goes to, null for the uploader's personal library
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ["active", "finalizing", "completed", "aborted"],
+    default: "active"
+  },
+  mode: {
+    type: String,
+    enum: ["ranges", "parts", null],
+    default: null
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  totalSize: {
+    type: Number,
+    required: true
+  },
+  totalParts: {
+    type: Number,
+    default: null
+  },
+  receivedBytes: {
+    type: Number,
+    default: 0
+  },
+  receivedParts: [{
+    _id: false,
+    partNumber: Number,
+    size: Number
+  }],
+  // Video metadata applied when the upload is finalized
+  title: {
+    type: String,
+    trim: true,
+    default: "Untitled Video"
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  // Processing options applied when the upload is finalized
+  captionMode: {
+    type: String,
+    enum: ["burn", "soft", "none"],
+    default: "burn"
+  },
+  language: {
+    type: String,
+    default: "en"
+  },
+  model: {
+    type: String,
+    default: "tiny"
+  },
+  summarize: {
+    type: Boolean,
+    default: false
+  },
+  chapters: {
+    type: Boolean,
+    default: true
+  },
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+},
+{
+  timestamps: true
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+const UploadSession = mongoose.model("UploadSession", uploadSessionSchema);
+module.exports = UploadSession;
@@ -29,6 +29,23 @@ const userSchema = new mongoose.Schema({
                 throw new Error("Your password is not strong");
             }
         }
+    },
+    // Set once the user followed the link mailed to emailId (see utils/accountTokens). Users from before
+    // verification existed are marked verified by `npm run backfill:verified-users`.
+    verified : {
+        type : Boolean,
+        default : false
+    },
+    verifiedAt : {
+        type : Date,
+        default : null
+    },
+    preferences : {
+        // Overrides the configured TRANSCRIPTION_PROVIDER for this user's uploads
+        transcriptionProvider : {
+            type : String,
+            default : null
+        }
     }
 },
 {
@@ -1,4 +1,177 @@
 const mongoose = require("mongoose");
+const { parseSubtitles } = require("../utils/subtitles");
+
+// Translated subtitles, one per language. The transcript itself stays in `subtitles`.
+const subtitleTrackSchema = new mongoose.Schema({
+  language: {
+    type: String,
+    required: true
+  },
+  subtitles: {
+    type: String,
+    default: ""
+  },
+  status: {
+    type: String,
+    enum: ["pending", "ready", "failed"],
+    default: "pending"
+  },
+  translator: {
+    type: String,
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  }
+}, { _id: false, timestamps: true });
+
+// Sprite sheets of the scrubbing previews: `count` thumbnails, one every `interval` seconds,
+// tiled `columns` x `rows` per sheet, each `width` x `height` pixels
+const previewSpritesSchema = new mongoose.Schema({
+  prefix: String,
+  sheets: [String],
+  interval: Number,
+  columns: Number,
+  rows: Number,
+  width: Number,
+  height: Number,
+  count: Number
+}, { _id: false });
+
+// Technical metadata of the upload, as probed with ffprobe. width and height are the displayed size.
+const mediaInfoSchema = new mongoose.Schema({
+  container: String,
+  duration: Number,
+  size: Number,
+  bitrate: Number,
+  width: Number,
+  height: Number,
+  rotation: Number,
+  frameRate: Number,
+  videoCodec: String,
+  videoBitrate: Number,
+  pixelFormat: String,
+  audioCodec: String,
+  audioChannels: Number,
+  audioSampleRate: Number
+}, { _id: false });
+
+// A chapter starts at `start` (seconds) and lasts until the next one
+const chapterSchema = new mongoose.Schema({
+  start: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+// Where the chapters came from and whether (re)generating them worked
+const chapterGenerationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ["pending", "ready", "failed"],
+    default: "pending"
+  },
+  // Chapter provider, or "manual" once edited by a user
+  provider: {
+    type: String,
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Summary generated from the transcript by a language model (see utils/summarization)
+const summarySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ["pending", "ready", "failed"],
+    default: "pending"
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  // Language the summary was asked to be written in; null for the transcript's own
+  language: {
+    type: String,
+    default: null
+  },
+  summary: {
+    type: String,
+    default: ""
+  },
+  suggestedTitle: {
+    type: String,
+    default: ""
+  },
+  keyPoints: {
+    type: [String],
+    default: []
+  },
+  actionItems: {
+    type: [String],
+    default: []
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
+  generatedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// A part of the upload kept by an edit, in seconds on the upload's timeline
+const editRangeSchema = new mongoose.Schema({
+  start: {
+    type: Number,
+    required: true
+  },
+  end: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Trims and cuts applied to the upload (see utils/videoEdits)
+const videoEditSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ["pending", "ready", "failed"],
+    default: "pending"
+  },
+  // Parts of the upload the video is made of; empty when it is shown as uploaded
+  keep: {
+    type: [editRangeSchema],
+    default: []
+  },
+  // Duration, subtitles, translations, chapters and poster time on the upload's timeline, as of the last edit
+  source: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const videoSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +179,12 @@ const videoSchema = new mongoose.Schema({
     ref: "User",
     required: true
   },
+  // Shared workspace the video belongs to; null keeps it in the uploader's personal library
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    default: null
+  },
   title: {
     type: String,
     required: true,
@@ -16,24 +195,160 @@ const videoSchema = new mongoose.Schema({
     trim: true,
     default: ""
   },
-  videoUrl: {
-    type: String
+  // private: owner only; unlisted: anyone with a share link; public: anyone
+  visibility: {
+    type: String,
+    enum: ["private", "unlisted", "public"],
+    default: "private"
   },
-  thumbnailUrl: {
-    type: String
+  // Storage object keys (see utils/storage), turned into URLs when videos are returned
+  videoKey: {
+    type: String,
+    default: null
+  },
+  // Rendition without any captions, kept so captions can be changed without re-encoding
+  cleanVideoKey: {
+    type: String,
+    default: null
+  },
+  // The upload as received. Edits are rendered from it and reverted to it; it is never replaced.
+  sourceVideoKey: {
+    type: String,
+    default: null
+  },
+  // HLS master playlist of the adaptive-bitrate renditions
+  hlsKey: {
+    type: String,
+    default: null
+  },
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  // Timestamp (seconds) the poster frame was taken from; null for an uploaded thumbnail
+  posterTime: {
+    type: Number,
+    default: null
+  },
+  previewSprites: {
+    type: previewSpritesSchema,
+    default: null
   },
   subtitles: {
     type: String
   },
+  // Cue text of `subtitles` without numbers and timings, kept in sync on save for the text index
+  transcriptText: {
+    type: String,
+    default: "",
+    select: false
+  },
+  // Seconds, from mediaInfo once the upload was probed
   duration: {
     type: Number,
     default: 0
   },
+  mediaInfo: {
+    type: mediaInfoSchema,
+    default: null
+  },
+  captionMode: {
+    type: String,
+    enum: ["burn", "soft", "none"],
+    default: "burn"
+  },
+  // Transcription provider, requested language ("auto" to detect) and model
+  transcriptionProvider: {
+    type: String,
+    default: "whisper"
+  },
+  language: {
+    type: String,
+    default: "en"
+  },
+  transcriptionModel: {
+    type: String,
+    default: "tiny"
+  },
+  detectedLanguage: {
+    type: String,
+    default: null
+  },
+  subtitleTracks: {
+    type: [subtitleTrackSchema],
+    default: []
+  },
+  // null until a summary is requested, at upload (summarize option) or later
+  summary: {
+    type: summarySchema,
+    default: null
+  },
+  // Ordered by start, the first one at 0. Also embedded in burned-in renditions (see utils/chapters).
+  chapters: {
+    type: [chapterSchema],
+    default: []
+  },
+  chapterGeneration: {
+    type: chapterGenerationSchema,
+    default: null
+  },
+  // Number of the VideoVersion whose outputs the video shows; null for videos from before versions
+  currentVersion: {
+    type: Number,
+    default: null
+  },
+  // null until the video is trimmed or cut
+  edit: {
+    type: videoEditSchema,
+    default: null
+  },
+  // Language of the track shown in the rendition (burned in, or the default soft track); null means the transcript
+  captionLanguage: {
+    type: String,
+    default: null
+  },
+  // Set when the subtitles were edited after the current rendition was produced
+  captionsNeedRerender: {
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
     enum: ["processing", "processed", "failed"],
     default: "processing"
   },
+  // Live progress of the background processing pipeline
+  progress: {
+    stage: {
+      type: String,
+      enum: ["queued", "chunking", "transcribing", "combining", "summarizing", "chapters", "downloading", "cutting", "burning", "muxing", "packaging", "thumbnails", "uploading", "completed", "failed"],
+      default: "queued"
+    },
+    percent: {
+      type: Number,
+      default: 0
+    },
+    currentChunk: {
+      type: Number,
+      default: 0
+    },
+    totalChunks: {
+      type: Number,
+      default: 0
+    },
+    message: {
+      type: String,
+      default: ""
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
   // Chunk-related fields
   partNumber: {
     type: Number,
@@ -65,5 +380,25 @@ const videoSchema = new mongoose.Schema({
   }
 });
 
+videoSchema.pre("save", function () {
+  if (this.isModified("subtitles")) {
+    this.transcriptText = parseSubtitles(this.subtitles || "").map(cue => cue.text).join("\n");
+  }
+});
+
+// Full-text search (GET /api/videos/search). Transcripts come in any language, so no stemming or
+// stop words; `language` holds the transcription setting ("auto", ...), not a text index language.
+videoSchema.index(
+  { title: "text", description: "text", transcriptText: "text" },
+  {
+    name: "video_text_search",
+    weights: { title: 10, description: 4, transcriptText: 1 },
+    default_language: "none",
+    language_override: "textIndexLanguage"
+  }
+);
+videoSchema.index({ userId: 1, createdAt: -1 });
+videoSchema.index({ workspaceId: 1, createdAt: -1 });
+
 const Video = mongoose.model("Video", videoSchema);
 module.exports = Video;
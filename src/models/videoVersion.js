@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// One run that produced (or tried to produce) the media of a video: the first processing, a reprocess,
+// a caption re-render or an edit. The video shows the outputs of one of them (Video.currentVersion)
+// and can be rolled back to an earlier one (see utils/versions).
+const videoVersionSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true
+  },
+  // 1, 2, ... per video
+  number: {
+    type: Number,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ["process", "reprocess", "rerender", "edit"],
+    required: true
+  },
+  // Who started the run; null for versions recorded from videos made before versions existed
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // Options of the run: caption mode, transcription settings, kept parts, ...
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ["processing", "processed", "failed"],
+    default: "processing"
+  },
+  // The video's media keys, transcript, translations, chapters, ... as of the last time this
+  // version was the current one; null until the run finished
+  outputs: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Job",
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once the outputs were deleted to save storage; pruned versions can't be rolled back to
+  prunedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+videoVersionSchema.index({ videoId: 1, number: -1 }, { unique: true });
+
+const VideoVersion = mongoose.model("VideoVersion", videoVersionSchema);
+module.exports = VideoVersion;
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// Raw playback event sent by a player. Events are rolled up into ViewSessions and deleted
+// (see utils/analytics); the TTL index drops any that are never rolled up.
+const RAW_EVENT_RETENTION_SECONDS = parseInt(process.env.ANALYTICS_RAW_EVENT_RETENTION_SECONDS) || 7 * 24 * 60 * 60;
+
+const viewEventSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true
+  },
+  // One playback of the video, chosen by the player
+  sessionId: {
+    type: String,
+    required: true
+  },
+  // "user:<id>" for signed-in viewers, "anon:<id>" for the player's anonymous viewer id
+  viewerKey: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ["play", "heartbeat", "seek", "ended"],
+    required: true
+  },
+  // Playback position in seconds; for seeks, the position seeked to
+  position: {
+    type: Number,
+    required: true
+  },
+  // Position a seek started from
+  from: {
+    type: Number,
+    default: null
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease of the rollup run processing the event
+  claimedBy: {
+    type: String,
+    default: null
+  },
+  claimedUntil: {
+    type: Date,
+    default: null
+  }
+});
+
+viewEventSchema.index({ videoId: 1, sessionId: 1, occurredAt: 1 });
+viewEventSchema.index({ claimedBy: 1 });
+viewEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: RAW_EVENT_RETENTION_SECONDS });
+
+const ViewEvent = mongoose.model("ViewEvent", viewEventSchema);
+module.exports = ViewEvent;
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// One playback of a video, rolled up from its raw ViewEvents. Analytics are aggregated from these.
+const viewSessionSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true
+  },
+  sessionId: {
+    type: String,
+    required: true
+  },
+  viewerKey: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  lastEventAt: {
+    type: Date,
+    required: true
+  },
+  // Player state after the last rolled up event, to continue from in the next rollup
+  lastPosition: {
+    type: Number,
+    default: 0
+  },
+  playing: {
+    type: Boolean,
+    default: false
+  },
+  // Seconds of the video actually played
+  watchTime: {
+    type: Number,
+    default: 0
+  },
+  maxPosition: {
+    type: Number,
+    default: 0
+  },
+  // Indexes of the retention buckets (RETENTION_BUCKET_SECONDS long) that were played
+  buckets: {
+    type: [Number],
+    default: []
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  }
+});
+
+viewSessionSchema.index({ videoId: 1, sessionId: 1 }, { unique: true });
+viewSessionSchema.index({ videoId: 1, startedAt: -1 });
+
+const ViewSession = mongoose.model("ViewSession", viewSessionSchema);
+module.exports = ViewSession;
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ["owner", "admin", "editor", "viewer"],
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A shared video library. Every user also has an implicit personal workspace that is not stored:
+// videos without a workspaceId belong to their uploader alone.
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  }
+}, { timestamps: true });
+
+workspaceSchema.index({ "members.userId": 1 });
+
+const Workspace = mongoose.model("Workspace", workspaceSchema);
+module.exports = Workspace;
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Invitation to join a workspace, accepted by the user registered with `email`
+// through the link sent to that address
+const workspaceInvitationSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ["admin", "editor", "viewer"],
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  }
+}, { timestamps: true });
+
+workspaceInvitationSchema.index({ workspaceId: 1, email: 1 });
+// Invitations are removed by MongoDB once they expire
+workspaceInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WorkspaceInvitation = mongoose.model("WorkspaceInvitation", workspaceInvitationSchema);
+module.exports = WorkspaceInvitation;
@@ -3,31 +3,61 @@ const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const User = require("../models/user");
 const validateSignUp = require("../middleware/validateSignUp");
+const { authenticateUser } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { listTranscriptionProviders } = require("../utils/transcription");
+const { handleRouteError } = require("../utils/httpError");
+const {
+  startSession,
+  rotateRefreshToken,
+  endSession,
+  listSessions,
+  revokeSession
+} = require("../utils/refreshTokens");
+const {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+} = require("../utils/accountTokens");
 
 const authRouter = express.Router();
 
-// In-memory store for refresh tokens (use DB or Redis in production)
-const refreshTokens = new Set();
+// Limits for the routes that send mail or take mailed tokens
+const ACCOUNT_RATE_LIMIT_WINDOW_MS = parseInt(process.env.ACCOUNT_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000; // 15 minutes
+const ACCOUNT_RATE_LIMIT_PER_IP = parseInt(process.env.ACCOUNT_RATE_LIMIT_PER_IP) || 10;
+// Mails per address (or user) and window
+const ACCOUNT_RATE_LIMIT_PER_EMAIL = parseInt(process.env.ACCOUNT_RATE_LIMIT_PER_EMAIL) || 3;
 
-// Helper functions to generate tokens
-const generateAccessToken = (userId) => {
+const limitByIp = (name) => rateLimit({
+  name,
+  windowMs: ACCOUNT_RATE_LIMIT_WINDOW_MS,
+  max: ACCOUNT_RATE_LIMIT_PER_IP,
+  message: "Too many attempts"
+});
+
+const limitByEmail = (name, key) => rateLimit({
+  name,
+  windowMs: ACCOUNT_RATE_LIMIT_WINDOW_MS,
+  max: ACCOUNT_RATE_LIMIT_PER_EMAIL,
+  key,
+  message: "Too many emails requested"
+});
+
+// A failed mail doesn't fail the request; the user can ask for another one
+const sendVerificationEmailQuietly = (user) => sendVerificationEmail(user).catch(err => {
+  console.error(`Failed to send the verification email to user ${user._id}:`, err.message);
+});
+
+// Access tokens carry the session (refresh token family) they were issued for as `sid`
+const generateAccessToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId, type: "access" },
+    { userId, sid: sessionId, type: "access" },
     process.env.JWT_SECRET,
     { expiresIn: "1d" }
   );
 };
 
-const generateRefreshToken = (userId) => {
-  const token = jwt.sign(
-    { userId, type: "refresh" },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: "30d" }
-  );
-  refreshTokens.add(token);
-  return token;
-};
-
 // Signup Route
 authRouter.post("/signup", async (req, res) => {
   try {
@@ -47,14 +77,16 @@ authRouter.post("/signup", async (req, res) => {
     });
 
     await user.save();
+    await sendVerificationEmailQuietly(user);
 
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const { refreshToken, sessionId } = await startSession(user._id, req);
+    const accessToken = generateAccessToken(user._id, sessionId);
 
     res.status(201).send({
-      message: "User created successfully",
+      message: "User created successfully, check your email to confirm your address",
       accessToken,
       refreshToken,
+      verified: user.verified,
     });
   } catch (error) {
     res.status(500).send({ error: error.message });
@@ -77,46 +109,156 @@ authRouter.post("/login", async (req, res) => {
       return res.status(400).send({ error: "Invalid email or password" });
     }
 
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const { refreshToken, sessionId } = await startSession(user._id, req);
+    const accessToken = generateAccessToken(user._id, sessionId);
 
     res.status(200).send({
       message: "Login successful",
       accessToken,
       refreshToken,
+      verified: user.verified,
     });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Token Refresh Route
-authRouter.post("/token", (req, res) => {
-  const { refreshToken } = req.body;
-  if (!refreshToken || !refreshTokens.has(refreshToken)) {
-    return res.status(403).send({ error: "Refresh token is invalid or expired" });
+// Confirm the email address with the token from the verification mail
+authRouter.post("/verify-email", limitByIp("verify-email"), async (req, res) => {
+  try {
+    await verifyEmail(req.body?.token);
+    res.status(200).send({ message: "Email address verified", verified: true });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to verify email address");
   }
+});
 
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    if (decoded.type !== "refresh") {
-      return res.status(403).send({ error: "Invalid token type" });
+// Send the verification mail again
+authRouter.post(
+  "/resend-verification",
+  authenticateUser,
+  limitByEmail("resend-verification", (req) => req.userId),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.userId);
+      if (!user) {
+        return res.status(404).send({ error: "User not found" });
+      }
+      if (user.verified) {
+        return res.status(409).send({ error: "Email address is already verified" });
+      }
+      await sendVerificationEmail(user);
+      res.status(200).send({ message: "Verification email sent" });
+    } catch (error) {
+      handleRouteError(res, error, "Failed to send verification email");
     }
+  }
+);
 
-    const newAccessToken = generateAccessToken(decoded.userId);
-    res.status(200).send({ accessToken: newAccessToken });
-  } catch (err) {
-    return res.status(403).send({ error: "Invalid or expired refresh token" });
+// Mail a password reset link. The answer is the same whether or not the address has an account.
+authRouter.post(
+  "/forgot-password",
+  limitByIp("forgot-password"),
+  limitByEmail("forgot-password-email", (req) => String(req.body?.emailId || "").trim().toLowerCase()),
+  async (req, res) => {
+    try {
+      await requestPasswordReset(req.body?.emailId).catch(error => {
+        if (error.status) throw error;
+        // Failing here only for registered addresses would give them away
+        console.error("Failed to send password reset email:", error.message);
+      });
+      res.status(200).send({ message: "If an account uses this address, a password reset link has been sent to it" });
+    } catch (error) {
+      handleRouteError(res, error, "Failed to request password reset");
+    }
+  }
+);
+
+// Choose a new password with the token from the reset mail. Signs out every session of the user.
+authRouter.post("/reset-password", limitByIp("reset-password"), async (req, res) => {
+  try {
+    await resetPassword(req.body?.token, req.body?.password);
+    res.status(200).send({ message: "Password has been reset, log in with the new password" });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to reset password");
+  }
+});
+
+// Token Refresh Route. The refresh token is replaced on every call, clients must keep the new one.
+authRouter.post("/token", async (req, res) => {
+  try {
+    const { userId, refreshToken, sessionId } = await rotateRefreshToken(req.body.refreshToken, req);
+    res.status(200).send({ accessToken: generateAccessToken(userId, sessionId), refreshToken });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to refresh token");
   }
 });
 
 // Logout Route
-authRouter.post("/logout", (req, res) => {
-  const { refreshToken } = req.body;
-  if (refreshToken) {
-    refreshTokens.delete(refreshToken);
+authRouter.post("/logout", async (req, res) => {
+  try {
+    await endSession(req.body.refreshToken);
+    res.status(200).send({ message: "Logged out successfully" });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to log out");
+  }
+});
+
+// Devices the user is signed in on
+authRouter.get("/sessions", authenticateUser, async (req, res) => {
+  try {
+    res.status(200).send({ sessions: await listSessions(req.userId, req.sessionId) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to list sessions");
+  }
+});
+
+// Sign a device out. Its access token keeps working until it expires (at most a day).
+authRouter.delete("/sessions/:sessionId", authenticateUser, async (req, res) => {
+  try {
+    await revokeSession(req.userId, req.params.sessionId);
+    res.status(200).send({ message: "Session revoked" });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to revoke session");
+  }
+});
+
+// Get the user's preferences
+authRouter.get("/preferences", authenticateUser, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("preferences").lean();
+    if (!user) {
+      return res.status(404).send({ error: "User not found" });
+    }
+    res.status(200).send({ preferences: user.preferences || { transcriptionProvider: null } });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Update the user's preferences. A null transcriptionProvider falls back to the server default.
+authRouter.patch("/preferences", authenticateUser, async (req, res) => {
+  try {
+    const { transcriptionProvider } = req.body;
+    const providers = listTranscriptionProviders().map(provider => provider.name);
+
+    if (transcriptionProvider !== undefined && transcriptionProvider !== null && !providers.includes(transcriptionProvider)) {
+      return res.status(400).send({ error: `transcriptionProvider must be one of: ${providers.join(", ")}` });
+    }
+
+    const update = {};
+    if (transcriptionProvider !== undefined) {
+      update["preferences.transcriptionProvider"] = transcriptionProvider;
+    }
+
+    const user = await User.findByIdAndUpdate(req.userId, { $set: update }, { new: true }).select("preferences").lean();
+    if (!user) {
+      return res.status(404).send({ error: "User not found" });
+    }
+    res.status(200).send({ message: "Preferences updated", preferences: user.preferences });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
   }
-  res.status(200).send({ message: "Logged out successfully" });
 });
 
 module.exports = authRouter;
@@ -0,0 +1,33 @@
+const express = require("express");
+const { STORAGE_DRIVER, driver, getContentType } = require("../utils/storage");
+
+const mediaRouter = express.Router();
+
+// Serve objects of the local storage driver to signed URLs (?expires=&signature=),
+// with range requests for seeking.
+mediaRouter.get("/*key", (req, res) => {
+  if (STORAGE_DRIVER !== "local") {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  const key = req.params.key.join("/");
+  const { expires, signature } = req.query;
+  if (!driver.verifySignature(key, expires, signature)) {
+    return res.status(403).json({ error: "Invalid or expired signature" });
+  }
+
+  let filePath;
+  try {
+    filePath = driver.resolveKey(key);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.sendFile(filePath, { headers: { "Content-Type": getContentType(key) } }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status || 500).json({ error: err.status === 404 ? "Not found" : "Failed to read file" });
+    }
+  });
+});
+
+module.exports = mediaRouter;
@@ -0,0 +1,72 @@
+const express = require("express");
+const Video = require("../models/video");
+const { getStreamInfo } = require("../utils/playback");
+const { openShareLink } = require("../utils/shareLinks");
+const { createHttpError, handleRouteError } = require("../utils/httpError");
+const { rateLimit } = require("../middleware/rateLimit");
+
+// Public, unauthenticated access to shared videos
+const shareRouter = express.Router();
+
+// Opens of one share link per client and window, which also bounds password guessing
+const SHARE_RATE_LIMIT_WINDOW_MS = parseInt(process.env.SHARE_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000; // 15 minutes
+const SHARE_RATE_LIMIT_MAX = parseInt(process.env.SHARE_RATE_LIMIT_MAX) || 30;
+
+const limitShareOpens = rateLimit({
+  name: "share-open",
+  windowMs: SHARE_RATE_LIMIT_WINDOW_MS,
+  max: SHARE_RATE_LIMIT_MAX,
+  key: (req) => `${req.params.token}:${req.ip}`,
+  message: "Too many attempts for this link"
+});
+
+// What a viewer sees of a video
+const formatSharedVideo = (video) => ({
+  id: video._id,
+  title: video.title,
+  description: video.description,
+  duration: video.duration,
+  createdAt: video.createdAt,
+  visibility: video.visibility
+});
+
+const requireProcessed = (video) => {
+  if (!video.videoKey) {
+    throw createHttpError(409, "Video is not ready to watch yet");
+  }
+};
+
+// Playback info of a public video, without a share link
+shareRouter.get("/videos/:videoId", async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).lean();
+    if (!video || video.visibility !== "public") {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    requireProcessed(video);
+
+    res.json({ success: true, video: formatSharedVideo(video), playback: await getStreamInfo(video) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to open video");
+  }
+});
+
+// Playback info of the video behind a share link.
+// Password-protected links need the password in the X-Share-Password header.
+shareRouter.get("/:token", limitShareOpens, async (req, res) => {
+  try {
+    const { link, video, ttlSeconds } = await openShareLink(req.params.token, req.get("X-Share-Password"));
+    requireProcessed(video);
+
+    res.json({
+      success: true,
+      video: formatSharedVideo(video),
+      playback: await getStreamInfo(video, { ttlSeconds }),
+      linkExpiresAt: link.expiresAt
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to open share link");
+  }
+});
+
+module.exports = shareRouter;
@@ -0,0 +1,363 @@
+const express = require("express");
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const UploadSession = require("../models/uploadSession");
+const { authenticateUser } = require("../middleware/auth");
+const { queueVideoForProcessing, parseProcessingOptions } = require("../utils/videoPipeline");
+const { PERSONAL_WORKSPACE, resolveUploadWorkspace } = require("../utils/workspaces");
+const { resolveTranscriptionProvider } = require("../utils/transcription");
+const {
+  getSessionDir,
+  getSessionDataPath,
+  getSessionPartPath,
+  writeRequestBody,
+  assembleParts
+} = require("../utils/uploadSessions");
+const { createHttpError, handleRouteError } = require("../utils/httpError");
+const {
+  ALLOWED_VIDEO_TYPES,
+  MAX_RESUMABLE_FILE_SIZE,
+  MAX_UPLOAD_PART_SIZE,
+  UPLOAD_SESSION_TTL_MS
+} = require("../config/uploads");
+
+const uploadRouter = express.Router();
+
+// Shape of an upload session returned to clients
+const formatSession = (session) => {
+  const receivedParts = [...session.receivedParts].sort((a, b) => a.partNumber - b.partNumber);
+  return {
+    id: session._id,
+    status: session.status,
+    mode: session.mode,
+    filename: session.filename,
+    workspaceId: session.workspaceId || PERSONAL_WORKSPACE,
+    captionMode: session.captionMode,
+    language: session.language,
+    model: session.model,
+    summarize: session.summarize,
+    chapters: session.chapters,
+    totalSize: session.totalSize,
+    totalParts: session.totalParts,
+    receivedBytes: session.mode === "parts"
+      ? receivedParts.reduce((sum, part) => sum + part.size, 0)
+      : session.receivedBytes,
+    receivedParts: receivedParts.map(part => part.partNumber),
+    maxPartSize: MAX_UPLOAD_PART_SIZE,
+    videoId: session.videoId,
+    expiresAt: session.expiresAt
+  };
+};
+
+// Load an active session owned by the caller and switch it to the given write mode.
+// A session can't mix byte ranges and numbered parts.
+const claimSessionForMode = async (sessionId, userId, mode) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw createHttpError(404, "Upload session not found");
+  }
+
+  const session = await UploadSession.findOneAndUpdate(
+    { _id: sessionId, userId, status: "active", mode: { $in: [null, mode] } },
+    { $set: { mode } },
+    { new: true }
+  );
+  if (session) {
+    return session;
+  }
+
+  const existing = await UploadSession.findOne({ _id: sessionId, userId });
+  if (!existing) {
+    throw createHttpError(404, "Upload session not found");
+  }
+  if (existing.status !== "active") {
+    throw createHttpError(409, `Upload session is ${existing.status}`);
+  }
+  throw createHttpError(409, `Upload session is already receiving ${existing.mode}`);
+};
+
+// Create an upload session
+uploadRouter.post("/", authenticateUser, async (req, res) => {
+  try {
+    const { filename, mimetype, title, description } = req.body;
+    const provider = await resolveTranscriptionProvider(req.userId);
+    const options = parseProcessingOptions({ ...req.body, provider });
+    const totalSize = parseInt(req.body.totalSize);
+    const totalParts = req.body.totalParts ? parseInt(req.body.totalParts) : null;
+
+    if (!filename) {
+      return res.status(400).json({ error: "filename is required" });
+    }
+    if (!ALLOWED_VIDEO_TYPES.includes(mimetype)) {
+      return res.status(400).json({ error: "Invalid video file type" });
+    }
+    if (!totalSize || totalSize <= 0) {
+      return res.status(400).json({ error: "totalSize must be a positive number of bytes" });
+    }
+    if (totalSize > MAX_RESUMABLE_FILE_SIZE) {
+      return res.status(413).json({ error: "File too large", maxSize: MAX_RESUMABLE_FILE_SIZE });
+    }
+    if (totalParts !== null && !(totalParts > 0)) {
+      return res.status(400).json({ error: "totalParts must be a positive integer" });
+    }
+
+    const session = new UploadSession({
+      userId: req.userId,
+      workspaceId: await resolveUploadWorkspace(req.userId, req.body.workspaceId),
+      filename: path.basename(filename),
+      mimetype,
+      totalSize,
+      totalParts,
+      title: title || "Untitled Video",
+      description: description || "",
+      captionMode: options.captionMode,
+      language: options.language,
+      model: options.model,
+      summarize: options.summarize,
+      chapters: options.chapters,
+      expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+    });
+    await session.save();
+
+    fs.mkdirSync(getSessionDir(session._id), { recursive: true });
+
+    res.status(201).json({ success: true, upload: formatSession(session) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to create upload session");
+  }
+});
+
+// Query how much of the upload has been received
+uploadRouter.get("/:sessionId", authenticateUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return res.status(404).json({ error: "Upload session not found" });
+    }
+    const session = await UploadSession.findOne({ _id: req.params.sessionId, userId: req.userId });
+    if (!session) {
+      return res.status(404).json({ error: "Upload session not found" });
+    }
+
+    res.json({ success: true, upload: formatSession(session) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to fetch upload session");
+  }
+});
+
+// Append a byte range. Expects `Content-Range: bytes <start>-<end>/<total>` and the raw bytes as the body.
+// Ranges must be sent in order: a range that doesn't start at the received offset gets a 409
+// with the current offset, so the client can resume from there.
+uploadRouter.put("/:sessionId", authenticateUser, async (req, res) => {
+  try {
+    const rangeMatch = (req.headers["content-range"] || "").match(/^bytes (\d+)-(\d+)\/(\d+)$/);
+    if (!rangeMatch) {
+      return res.status(400).json({ error: "Content-Range header must look like 'bytes <start>-<end>/<total>'" });
+    }
+    const start = parseInt(rangeMatch[1]);
+    const end = parseInt(rangeMatch[2]);
+    const total = parseInt(rangeMatch[3]);
+
+    const session = await claimSessionForMode(req.params.sessionId, req.userId, "ranges");
+
+    if (total !== session.totalSize) {
+      return res.status(400).json({ error: `Total size ${total} doesn't match the session size ${session.totalSize}` });
+    }
+    if (end < start || end >= session.totalSize) {
+      return res.status(416).json({ error: "Invalid byte range", receivedBytes: session.receivedBytes });
+    }
+    if (start !== session.receivedBytes) {
+      return res.status(409).json({ error: "Range does not start at the received offset", receivedBytes: session.receivedBytes });
+    }
+
+    const expectedBytes = end - start + 1;
+    if (expectedBytes > MAX_UPLOAD_PART_SIZE) {
+      return res.status(413).json({ error: `Ranges may be at most ${MAX_UPLOAD_PART_SIZE} bytes`, receivedBytes: session.receivedBytes });
+    }
+    const written = await writeRequestBody(req, getSessionDataPath(session._id), {
+      start,
+      flags: start === 0 ? "w" : "r+",
+      maxBytes: expectedBytes
+    });
+    if (written !== expectedBytes) {
+      return res.status(400).json({ error: `Expected ${expectedBytes} bytes but received ${written}`, receivedBytes: session.receivedBytes });
+    }
+
+    // Only advance the offset if no other request moved it in the meantime
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: "active", receivedBytes: start },
+      { $set: { receivedBytes: start + written } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: "Upload session changed while receiving this range" });
+    }
+
+    res.json({ success: true, upload: formatSession(updated) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to store byte range");
+  }
+});
+
+// Upload (or re-upload) a numbered part. Parts may arrive in any order and in parallel.
+uploadRouter.put("/:sessionId/parts/:partNumber", authenticateUser, async (req, res) => {
+  try {
+    const partNumber = parseInt(req.params.partNumber);
+    if (!(partNumber > 0)) {
+      return res.status(400).json({ error: "partNumber must be a positive integer" });
+    }
+
+    const session = await claimSessionForMode(req.params.sessionId, req.userId, "parts");
+    if (session.totalParts && partNumber > session.totalParts) {
+      return res.status(400).json({ error: `partNumber must be between 1 and ${session.totalParts}` });
+    }
+
+    const size = await writeRequestBody(req, getSessionPartPath(session._id, partNumber), {
+      maxBytes: MAX_UPLOAD_PART_SIZE
+    });
+    if (size === 0) {
+      return res.status(400).json({ error: "Part body is empty" });
+    }
+
+    // Replace an earlier upload of the part in one update, so parallel requests can't drop each other's parts
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: "active" },
+      [{
+        $set: {
+          receivedParts: {
+            $concatArrays: [
+              { $filter: { input: "$receivedParts", cond: { $ne: ["$$this.partNumber", partNumber] } } },
+              [{ partNumber, size }]
+            ]
+          }
+        }
+      }],
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: "Upload session changed while receiving this part" });
+    }
+
+    res.json({ success: true, upload: formatSession(updated) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to store upload part");
+  }
+});
+
+// Finalize the upload and hand the assembled file to the processing pipeline
+uploadRouter.post("/:sessionId/complete", authenticateUser, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.sessionId)) {
+    return res.status(404).json({ error: "Upload session not found" });
+  }
+
+  // Move the session to 'finalizing' so it can't be completed twice
+  const session = await UploadSession.findOneAndUpdate(
+    { _id: req.params.sessionId, userId: req.userId, status: "active" },
+    { $set: { status: "finalizing" } },
+    { new: true }
+  ).catch(() => null);
+
+  if (!session) {
+    const existing = await UploadSession.findOne({ _id: req.params.sessionId, userId: req.userId });
+    if (!existing) {
+      return res.status(404).json({ error: "Upload session not found" });
+    }
+    return res.status(409).json({ error: `Upload session is ${existing.status}`, upload: formatSession(existing) });
+  }
+
+  const assembledPath = path.join(getSessionDir(session._id), `upload${path.extname(session.filename)}`);
+
+  try {
+    const provider = await resolveTranscriptionProvider(req.userId);
+    const options = parseProcessingOptions({ ...req.body, provider }, session);
+
+    if (session.mode === "parts") {
+      const totalParts = session.totalParts || parseInt(req.body.totalParts);
+      const received = new Map(session.receivedParts.map(part => [part.partNumber, part.size]));
+      const missing = [];
+      for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+        if (!received.has(partNumber)) missing.push(partNumber);
+      }
+      if (!totalParts || missing.length > 0) {
+        throw createHttpError(409, totalParts ? `Missing parts: ${missing.join(", ")}` : "totalParts is required to finalize");
+      }
+
+      const assembledSize = [...received.entries()]
+        .filter(([partNumber]) => partNumber <= totalParts)
+        .reduce((sum, [, size]) => sum + size, 0);
+      if (assembledSize !== session.totalSize) {
+        throw createHttpError(409, `Received ${assembledSize} bytes but expected ${session.totalSize}`);
+      }
+
+      await assembleParts(session._id, totalParts, assembledPath);
+    } else {
+      if (session.receivedBytes !== session.totalSize) {
+        throw createHttpError(409, `Received ${session.receivedBytes} of ${session.totalSize} bytes`);
+      }
+      fs.renameSync(getSessionDataPath(session._id), assembledPath);
+    }
+
+    const { video, job } = await queueVideoForProcessing({
+      userId: req.userId,
+      // Membership may have changed since the session started
+      workspaceId: await resolveUploadWorkspace(req.userId, session.workspaceId && session.workspaceId.toString()),
+      title: req.body.title || session.title,
+      description: req.body.description || session.description,
+      video: {
+        path: assembledPath,
+        originalname: session.filename,
+        mimetype: session.mimetype
+      },
+      options
+    });
+
+    session.status = "completed";
+    session.videoId = video._id;
+    await session.save();
+    fs.rmSync(getSessionDir(session._id), { recursive: true, force: true });
+
+    res.status(202).json({
+      message: "Upload received! Video is being processed in the background.",
+      video: {
+        id: video._id,
+        title: video.title,
+        status: video.status
+      },
+      jobId: job._id
+    });
+  } catch (error) {
+    // Put the bytes back where they were so the client can fix the upload and retry. Parts are kept
+    // as they were, so a (partly) assembled copy of them is only removed.
+    if (fs.existsSync(assembledPath)) {
+      if (session.mode === "parts") {
+        fs.rmSync(assembledPath, { force: true });
+      } else {
+        fs.renameSync(assembledPath, getSessionDataPath(session._id));
+      }
+    }
+    await UploadSession.updateOne({ _id: session._id }, { $set: { status: "active" } });
+    handleRouteError(res, error, "Failed to finalize upload");
+  }
+});
+
+// Abort an upload and discard the received bytes
+uploadRouter.delete("/:sessionId", authenticateUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return res.status(404).json({ error: "Upload session not found" });
+    }
+    const session = await UploadSession.findOneAndUpdate(
+      { _id: req.params.sessionId, userId: req.userId, status: "active" },
+      { $set: { status: "aborted" } }
+    );
+    if (!session) {
+      return res.status(404).json({ error: "Active upload session not found" });
+    }
+
+    fs.rmSync(getSessionDir(session._id), { recursive: true, force: true });
+    res.json({ success: true, message: "Upload aborted" });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to abort upload");
+  }
+});
+
+module.exports = uploadRouter;
@@ -2,65 +2,200 @@ const express = require("express");
 const fs = require("fs");
 const path = require("path");
 const multer = require("multer");
-const jwt = require("jsonwebtoken");
 const Video = require("../models/video");
 const { promisify } = require("util");
-const { exec } = require('child_process');
-const execPromise = promisify(exec);
-const readFile = promisify(fs.readFile);
 const unlink = promisify(fs.unlink);
-const { uploadToS3, downloadFromS3, deleteFromS3, getSignedUrl } = require('../utils/s3');
-
-const { extractAudioFromVideo } = require('../utils/extractAudio');
-const { transcribeWithWhisper } = require("../utils/transcribeWithWhisper");
-const { burnSubtitlesIntoVideo } = require("../utils/burnSubtitles");
+const {
+  MEDIA_ASSETS,
+  getPlaybackUrls,
+  getStreamInfo,
+  createPlaybackToken,
+  sendObject,
+  resolveHlsPath,
+  sendHlsPlaylist,
+  sendThumbnailTrack
+} = require("../utils/playback");
+const {
+  queueVideoForProcessing,
+  queueCaptionRerender,
+  parseProcessingOptions,
+  queueTranslation,
+  deleteVideoMedia,
+  setPosterFrame,
+  getSourceLanguage,
+  findSubtitleTrack,
+  CAPTION_MODES,
+  TRANSLATE_SUBTITLES_JOB,
+  queueSummary,
+  queueChapterGeneration,
+  queueVideoEdit,
+  queueReprocess
+} = require("../utils/videoPipeline");
+const { parseEditRanges, composeRanges } = require("../utils/videoEdits");
+const { listVersions, rollBackToVersion, formatVersion } = require("../utils/versions");
+const { DEFAULT_TRANSLATOR, listTranslators } = require("../utils/translation");
+const { DEFAULT_SUMMARIZER, SUMMARIZE_BY_DEFAULT, listSummarizers } = require("../utils/summarization");
+const {
+  DEFAULT_CHAPTER_PROVIDER,
+  CHAPTERS_BY_DEFAULT,
+  listChapterProviders,
+  parseChapters,
+  withChapterEnds,
+  serializeChaptersVtt,
+  serializeFfmetadata
+} = require("../utils/chapters");
+const { SUPPORTED_LANGUAGES, AUTO_LANGUAGE, DEFAULT_LANGUAGE } = require("../config/transcription");
+const {
+  getTranscriptionProvider,
+  listTranscriptionProviders,
+  resolveTranscriptionProvider
+} = require("../utils/transcription");
+const Job = require("../models/job");
+const { authenticateUser, authenticateEventStream, authenticateMediaRequest } = require("../middleware/auth");
+const { parseSubtitles, serializeSrt, serializeVtt, serializeText } = require("../utils/subtitles");
+const { editCues, findCueProblems } = require("../utils/cueEditor");
+const { createHttpError, handleRouteError } = require("../utils/httpError");
+const { parseSearchQuery, highlight, findMatchingCues } = require("../utils/search");
+const ShareLink = require("../models/shareLink");
+const Comment = require("../models/comment");
+const VideoVersion = require("../models/videoVersion");
+const {
+  PERSONAL_WORKSPACE,
+  canAccessVideoAs,
+  getVideoRole,
+  getVisibleVideosFilter,
+  resolveUploadWorkspace
+} = require("../utils/workspaces");
+const {
+  VISIBILITIES,
+  formatShareLink,
+  createShareLink,
+  listActiveShareLinks
+} = require("../utils/shareLinks");
+const {
+  canModerateComments,
+  listCommentThreads,
+  findVideoComment,
+  createComment,
+  updateComment,
+  deleteComment,
+  countComments,
+  describeComment
+} = require("../utils/comments");
+const { recordViewEvents, rollUpViewEvents, getVideoAnalytics, deleteVideoAnalytics } = require("../utils/analytics");
+const { MAX_FILE_SIZE, ALLOWED_VIDEO_TYPES, ALLOWED_IMAGE_TYPES } = require("../config/uploads");
 
 const videoRouter = express.Router();
 
 // Configuration
 const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
-const MAX_FILE_SIZE = 1024 * 1024 * 1024; // 1GB
-const ALLOWED_VIDEO_TYPES = [
-  'video/mp4',
-  'video/quicktime',
-  'video/x-msvideo',
-  'video/x-matroska',
-  'video/webm'
-];
+const EVENTS_POLL_INTERVAL_MS = parseInt(process.env.EVENTS_POLL_INTERVAL_MS) || 1000;
+const EVENTS_HEARTBEAT_MS = 15000;
+const VIDEO_STATUSES = Video.schema.path("status").enumValues;
+const MAX_SEARCH_RESULTS = 50;
+const MAX_CUES_PER_RESULT = 20;
 
-const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Subtitle export formats: content type, file extension and serializer
+const SUBTITLE_FORMATS = {
+  srt: { contentType: "application/x-subrip; charset=utf-8", extension: "srt", serialize: serializeSrt },
+  vtt: { contentType: "text/vtt; charset=utf-8", extension: "vtt", serialize: serializeVtt },
+  txt: { contentType: "text/plain; charset=utf-8", extension: "txt", serialize: serializeText },
+  json: {
+    contentType: "application/json; charset=utf-8",
+    extension: "json",
+    serialize: (cues) => JSON.stringify({ cues }, null, 2)
+  }
+};
 
-// Enhanced JWT Authentication Middleware
-const authenticateUser = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
+// Safe download file name derived from the video title
+const toFileName = (title, extension) => {
+  const base = (title || "video").replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "-") || "video";
+  return `${base}.${extension}`;
+};
 
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ error: "Authorization header missing or invalid" });
-    }
+// Whether the request may perform `action` on the video (see ACTION_ROLES in utils/workspaces).
+// Player requests carrying a playback token for this video may only view it.
+const canAccessVideo = async (req, video, action = "view") => {
+  if (action === "view" && req.playbackVideoId === video._id.toString()) return true;
+  return canAccessVideoAs(req.userId, video, action);
+};
 
-    const token = authHeader.split(" ")[1];
-    if (!token) {
-      return res.status(401).json({ error: "Token not provided" });
-    }
+// Whether a job other than a translation is queued or running for the video. Processing, re-rendering
+// and editing replace the transcript, tracks, summary and chapters, so nothing may be queued against them meanwhile.
+const hasPendingVideoJob = (video) =>
+  Job.exists({ videoId: video._id, type: { $ne: TRANSLATE_SUBTITLES_JOB }, status: { $in: ["queued", "running"] } });
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+// Parse an optional ISO date query parameter
+const parseDateParam = (value, name) => {
+  if (value === undefined || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, `${name} must be a date`);
+  }
+  return date;
+};
 
-    if (decoded.type !== "access") {
-      return res.status(403).json({ error: "Invalid token type" });
-    }
+// Shape of a translated subtitle track returned to clients
+const formatSubtitleTrack = (track) => ({
+  language: track.language,
+  name: SUPPORTED_LANGUAGES[track.language] || track.language,
+  status: track.status,
+  translator: track.translator,
+  error: track.errorMessage || null,
+  createdAt: track.createdAt,
+  updatedAt: track.updatedAt
+});
 
-    req.userId = decoded.userId;
-    next();
-  } catch (err) {
-    console.error("Authentication error:", err);
-    return res.status(403).json({ 
-      error: "Authentication failed", 
-      details: err.message 
-    });
-  }
+// Chapter export formats: content type, file extension and serializer
+const CHAPTER_FORMATS = {
+  vtt: { contentType: "text/vtt; charset=utf-8", extension: "chapters.vtt", serialize: serializeChaptersVtt },
+  ffmetadata: { contentType: "text/plain; charset=utf-8", extension: "ffmeta", serialize: serializeFfmetadata }
 };
 
+// Chapters of a video with their ends, and how they were made
+const formatChapters = (video) => ({
+  chapters: withChapterEnds(video.chapters || [], video.duration),
+  status: video.chapterGeneration?.status || null,
+  provider: video.chapterGeneration?.provider || null,
+  error: video.chapterGeneration?.errorMessage || null,
+  updatedAt: video.chapterGeneration?.updatedAt || null
+});
+
+// Trim/cut state of a video; null when it was never edited
+const formatEdit = (video) => video.edit ? {
+  edited: video.edit.keep.length > 0,
+  keep: video.edit.keep.map(({ start, end }) => ({ start, end })),
+  originalDuration: video.edit.source?.duration ?? video.duration,
+  status: video.edit.status,
+  error: video.edit.errorMessage || null,
+  updatedAt: video.edit.updatedAt
+} : null;
+
+// Shape of a video's summary returned to clients
+const formatSummary = (summary) => summary ? {
+  status: summary.status,
+  provider: summary.provider,
+  language: summary.language,
+  summary: summary.summary,
+  suggestedTitle: summary.suggestedTitle,
+  keyPoints: summary.keyPoints,
+  actionItems: summary.actionItems,
+  error: summary.errorMessage || null,
+  generatedAt: summary.generatedAt
+} : null;
+
+// Shape of the processing progress returned to clients
+const formatProgress = (video) => ({
+  status: video.status,
+  stage: video.progress?.stage,
+  percent: video.progress?.percent ?? 0,
+  currentChunk: video.progress?.currentChunk ?? 0,
+  totalChunks: video.progress?.totalChunks ?? 0,
+  message: video.progress?.message || "",
+  error: video.errorMessage || null,
+  updatedAt: video.progress?.updatedAt
+});
+
 
 // Temporary storage for processing
 const storage = multer.diskStorage({
@@ -129,332 +264,1018 @@ videoRouter.post(
       }
 
       const videoFile = req.files.video[0];
-      const videoPath = videoFile.path;
-      tempFiles.push(videoPath);
+      tempFiles.push(videoFile.path);
+      if (req.files.thumbnail) {
+        tempFiles.push(req.files.thumbnail[0].path);
+      }
 
       // Get video metadata
       const videoTitle = req.body.title || "Untitled Video";
       const videoDescription = req.body.description || "";
 
-      console.log(`\n=== Starting Automatic Video Processing - ${videoTitle} ===`);
+      // Caption mode, transcription language and model (for the user's transcription provider)
+      let options;
+      try {
+        const provider = await resolveTranscriptionProvider(req.userId);
+        options = parseProcessingOptions({ ...req.body, provider });
+      } catch (error) {
+        await cleanupFiles(tempFiles);
+        return res.status(400).json({ error: error.message });
+      }
+
+      console.log(`\n=== Starting Automatic Video Processing - ${videoTitle} ===`);
+
+      // Probe the upload, save the video with status 'processing' and queue the pipeline for the background worker
+      const { video, job } = await queueVideoForProcessing({
+        userId: req.userId,
+        workspaceId: await resolveUploadWorkspace(req.userId, req.body.workspaceId),
+        title: videoTitle,
+        description: videoDescription,
+        video: videoFile,
+        thumbnail: req.files.thumbnail?.[0],
+        options
+      });
+
+      res.status(202).json({
+        message: "Upload received! Video is being processed in the background.",
+        video: {
+          id: video._id,
+          title: video.title,
+          status: video.status
+        },
+        jobId: job._id
+      });
+    } catch (error) {
+      await cleanupFiles(tempFiles);
+      // Corrupt or unsupported files
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, details: error.details });
+      }
+      console.error("Upload error:", error);
+      res.status(500).json({ 
+        error: "Video upload failed", 
+        details: error.message 
+      });
+    }
+  }
+);
+
+// Get video stream: HLS master playlist when the video was packaged for adaptive streaming,
+// the MP4 rendition otherwise. All URLs expire after PLAYBACK_URL_TTL_SECONDS.
+videoRouter.get("/:videoId/stream", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (!video.videoKey) {
+      return res.status(409).json({ error: "Video is not processed yet", status: video.status });
+    }
+
+    res.json(await getStreamInfo(video));
+  } catch (error) {
+    console.error("Streaming error:", error);
+    res.status(500).json({ error: "Failed to get video stream" });
+  }
+});
+
+// Range proxy for stored files (video, original, thumbnail), used when the storage driver can't sign URLs
+videoRouter.get("/:videoId/media/:asset", authenticateMediaRequest, async (req, res) => {
+  try {
+    const field = MEDIA_ASSETS[req.params.asset];
+    if (!field) {
+      return res.status(404).json({ error: "Unknown media asset" });
+    }
+
+    const video = await Video.findById(req.params.videoId).lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (!video[field]) {
+      return res.status(404).json({ error: "Media not found" });
+    }
+
+    await sendObject(req, res, video[field]);
+  } catch (error) {
+    handleRouteError(res, error, "Failed to stream media");
+  }
+});
+
+// HLS playlists (rewritten with signed URLs) and, when URLs can't be signed, proxied segments
+videoRouter.get("/:videoId/hls/*path", authenticateMediaRequest, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (!video.hlsKey) {
+      return res.status(404).json({ error: "Video has no streaming renditions" });
+    }
+
+    const relativePath = resolveHlsPath(req.params.path.join("/"));
+    if (relativePath.endsWith(".m3u8")) {
+      // Owners authenticated by header get a token for the URLs inside the playlist
+      const token = req.query.token || createPlaybackToken(video._id);
+      return await sendHlsPlaylist(res, video, relativePath, token);
+    }
+    await sendObject(req, res, `${path.posix.dirname(video.hlsKey)}/${relativePath}`);
+  } catch (error) {
+    handleRouteError(res, error, "Failed to stream media");
+  }
+});
+
+// WebVTT thumbnail track for hover-scrubbing previews (cues point at tiles of the sprite sheets)
+videoRouter.get("/:videoId/previews/thumbnails.vtt", authenticateMediaRequest, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    await sendThumbnailTrack(res, video, req.query.token || createPlaybackToken(video._id));
+  } catch (error) {
+    handleRouteError(res, error, "Failed to get scrubbing previews");
+  }
+});
+
+// Proxy for sprite sheets, used when the storage driver can't sign URLs
+videoRouter.get("/:videoId/previews/:sheet", authenticateMediaRequest, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const key = video.previewSprites?.sheets[parseInt(req.params.sheet)];
+    if (!key) {
+      return res.status(404).json({ error: "Media not found" });
+    }
+    await sendObject(req, res, key);
+  } catch (error) {
+    handleRouteError(res, error, "Failed to stream media");
+  }
+});
+
+// Choose a new poster frame by timestamp (seconds)
+videoRouter.post("/:videoId/thumbnail", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (video.status === "processing") {
+      return res.status(409).json({ error: "Video is still being processed" });
+    }
+
+    const time = Number(req.body.time);
+    if (req.body.time === undefined || req.body.time === null || !Number.isFinite(time) || time < 0) {
+      return res.status(400).json({ error: "time must be a number of seconds" });
+    }
+    if (video.duration > 0 && time > video.duration) {
+      return res.status(400).json({ error: `time must be at most the video duration (${video.duration}s)` });
+    }
+
+    await setPosterFrame(video, time);
+    const urls = await getPlaybackUrls(video);
+
+    res.json({
+      success: true,
+      posterTime: video.posterTime,
+      thumbnailUrl: urls.thumbnailUrl,
+      urlsExpireAt: urls.expiresAt
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to update thumbnail");
+  }
+});
+
+// Live processing progress as Server-Sent Events
+videoRouter.get("/:videoId/events", authenticateEventStream, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    // Streams stay open for the whole processing run, so lift the upload timeout
+    req.setTimeout(0);
+    res.setTimeout(0);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let closed = false;
+    let lastSent = null;
+    let pollTimer = null;
+
+    // The worker may run in another process, so progress is read back from the database
+    const poll = async () => {
+      try {
+        const current = await Video.findById(video._id).select("status progress errorMessage").lean();
+        if (closed) return;
+
+        if (!current) {
+          sendEvent("error", { error: "Video not found" });
+          return close();
+        }
+
+        const progress = formatProgress(current);
+        const snapshot = JSON.stringify(progress);
+        if (snapshot !== lastSent) {
+          lastSent = snapshot;
+          sendEvent("progress", progress);
+        }
+
+        if (current.status !== "processing") {
+          sendEvent("done", progress);
+          return close();
+        }
+      } catch (err) {
+        console.error("Progress stream error:", err);
+      }
+      if (!closed) {
+        pollTimer = setTimeout(poll, EVENTS_POLL_INTERVAL_MS);
+      }
+    };
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), EVENTS_HEARTBEAT_MS);
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearTimeout(pollTimer);
+      clearInterval(heartbeat);
+      res.end();
+    };
+
+    req.on("close", close);
+    poll();
+  } catch (error) {
+    console.error("Progress stream error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to open progress stream" });
+    }
+  }
+});
+
+// Download subtitles as SRT, WebVTT, plain text or JSON (?format=srt|vtt|txt|json).
+// Pass ?download=false to serve them inline, e.g. for a <track> element,
+// and ?language= to get a translation instead of the transcript.
+// Players can use the playback token from the stream response (?token=) instead of an access token.
+videoRouter.get("/:videoId/subtitles", authenticateMediaRequest, async (req, res) => {
+  try {
+    const format = (req.query.format || "srt").toLowerCase();
+    const exporter = SUBTITLE_FORMATS[format];
+    if (!exporter) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(SUBTITLE_FORMATS).join(", ")}` });
+    }
+
+    const video = await Video.findById(req.params.videoId)
+      .select("userId workspaceId title subtitles subtitleTracks language detectedLanguage status")
+      .lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const track = findSubtitleTrack(video, req.query.language);
+    if (!track) {
+      return res.status(404).json({ error: `No subtitles in "${req.query.language}" for this video` });
+    }
+    if (track.status !== "ready") {
+      return res.status(409).json({ error: `Subtitles in "${track.language}" are ${track.status}` });
+    }
+    if (!track.subtitles) {
+      return res.status(404).json({ error: "Subtitles are not available for this video", status: video.status });
+    }
+
+    const cues = parseSubtitles(track.subtitles);
+    const disposition = req.query.download === "false" ? "inline" : "attachment";
+    const title = track.source ? video.title : `${video.title}.${track.language}`;
+
+    res.set({
+      "Content-Type": exporter.contentType,
+      "Content-Language": track.language,
+      "Content-Disposition": `${disposition}; filename="${toFileName(title, exporter.extension)}"`
+    });
+    res.send(exporter.serialize(cues));
+  } catch (error) {
+    console.error("Subtitle export error:", error);
+    res.status(500).json({ error: "Failed to export subtitles" });
+  }
+});
+
+// Get the caption cues of a video
+videoRouter.get("/:videoId/cues", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).select("userId workspaceId subtitles duration captionsNeedRerender").lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    res.json({
+      success: true,
+      cues: parseSubtitles(video.subtitles),
+      duration: video.duration,
+      captionsNeedRerender: video.captionsNeedRerender
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to fetch cues");
+  }
+});
+
+// Edit caption cues. Send either `operations` (see utils/cueEditor.js) or a full `cues` array.
+videoRouter.patch("/:videoId/cues", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (video.status === "processing") {
+      return res.status(409).json({ error: "Video is still being processed" });
+    }
+
+    let cues;
+    if (Array.isArray(req.body.cues)) {
+      // Anything but { start, end, text } objects with numeric timings is reported by findCueProblems
+      cues = req.body.cues.map(cue => cue && typeof cue === "object" ? {
+        start: cue.start === null || cue.start === "" ? NaN : Number(cue.start),
+        end: cue.end === null || cue.end === "" ? NaN : Number(cue.end),
+        text: String(cue.text || "").trim()
+      } : null);
+      const problems = findCueProblems(cues, video.duration);
+      if (problems.length > 0) {
+        throw createHttpError(422, "Cues are invalid", problems);
+      }
+    } else {
+      cues = editCues(parseSubtitles(video.subtitles), req.body.operations, video.duration);
+    }
+
+    video.subtitles = serializeSrt(cues);
+    // Burned-in or muxed captions no longer match the edited transcript
+    video.captionsNeedRerender = video.captionMode !== "none";
+    await video.save();
+
+    res.json({
+      success: true,
+      cues: parseSubtitles(video.subtitles),
+      captionsNeedRerender: video.captionsNeedRerender
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to update cues");
+  }
+});
+
+// List the translated subtitle tracks of a video
+videoRouter.get("/:videoId/translations", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId)
+      .select("userId workspaceId language detectedLanguage subtitleTracks captionLanguage")
+      .lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    res.json({
+      success: true,
+      sourceLanguage: getSourceLanguage(video),
+      captionLanguage: video.captionLanguage,
+      translations: (video.subtitleTracks || []).map(formatSubtitleTrack),
+      translators: listTranslators()
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to fetch translations");
+  }
+});
+
+// Translate the transcript into another language ({ language, translator? }).
+// Requesting an existing language translates it again from the current transcript.
+videoRouter.post("/:videoId/translations", authenticateUser, async (req, res) => {
+  try {
+    const { language, translator = DEFAULT_TRANSLATOR } = req.body;
+    if (!SUPPORTED_LANGUAGES[language]) {
+      return res.status(400).json({ error: `Unsupported language "${language}"` });
+    }
+    if (!listTranslators().some(candidate => candidate.name === translator)) {
+      return res.status(400).json({ error: `Unknown translation provider "${translator}"` });
+    }
+
+    const video = await Video.findById(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (!video.subtitles) {
+      return res.status(409).json({ error: "The video has no transcript to translate yet", status: video.status });
+    }
+    if (language === getSourceLanguage(video)) {
+      return res.status(400).json({ error: `The transcript already is in "${language}"` });
+    }
+    if (video.subtitleTracks.some(track => track.language === language && track.status === "pending")) {
+      return res.status(409).json({ error: `A translation to "${language}" is already pending` });
+    }
+    if (await hasPendingVideoJob(video)) {
+      return res.status(409).json({ error: "A job for this video is already pending" });
+    }
+
+    const job = await queueTranslation(video, language, translator);
+    const track = video.subtitleTracks.find(candidate => candidate.language === language);
+
+    res.status(202).json({
+      message: "Translation queued",
+      translation: formatSubtitleTrack(track),
+      jobId: job._id
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to queue translation");
+  }
+});
+
+// Remove a translated subtitle track
+videoRouter.delete("/:videoId/translations/:language", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const track = video.subtitleTracks.find(candidate => candidate.language === req.params.language);
+    if (!track) {
+      return res.status(404).json({ error: `No translation to "${req.params.language}"` });
+    }
+    if (video.captionLanguage === track.language && video.captionMode !== "none") {
+      return res.status(409).json({ error: "This track is used by the current rendition, re-render with another caption language first" });
+    }
+
+    video.subtitleTracks.pull(track);
+    await video.save();
+
+    res.json({ success: true, message: "Translation deleted" });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to delete translation");
+  }
+});
+
+// (Re)generate the summary from the current transcript: { provider?, language? (default: the transcript's) }
+videoRouter.post("/:videoId/summary", authenticateUser, async (req, res) => {
+  try {
+    const { provider = DEFAULT_SUMMARIZER, language = null } = req.body || {};
+    if (!listSummarizers().some(candidate => candidate.name === provider)) {
+      return res.status(400).json({ error: `Unknown summary provider "${provider}"` });
+    }
+    if (language !== null && !SUPPORTED_LANGUAGES[language]) {
+      return res.status(400).json({ error: `Unsupported language "${language}"` });
+    }
+
+    const video = await Video.findById(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (!video.subtitles) {
+      return res.status(409).json({ error: "The video has no transcript to summarize yet", status: video.status });
+    }
+    if (video.summary?.status === "pending") {
+      return res.status(409).json({ error: "A summary is already being generated" });
+    }
+    if (await hasPendingVideoJob(video)) {
+      return res.status(409).json({ error: "A job for this video is already pending" });
+    }
+
+    const job = await queueSummary(video, { summarizer: provider, language });
+    res.status(202).json({
+      message: "Summary queued",
+      summary: formatSummary(video.summary),
+      jobId: job._id
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to queue summary");
+  }
+});
+
+// Chapters as JSON (default), a WebVTT chapters track (?format=vtt) or an ffmpeg metadata file (?format=ffmetadata)
+videoRouter.get("/:videoId/chapters", authenticateMediaRequest, async (req, res) => {
+  try {
+    const format = (req.query.format || "json").toLowerCase();
+    if (format !== "json" && !CHAPTER_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: json, ${Object.keys(CHAPTER_FORMATS).join(", ")}` });
+    }
+
+    const video = await Video.findById(req.params.videoId)
+      .select("userId workspaceId title duration chapters chapterGeneration")
+      .lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    if (format === "json") {
+      return res.json({ success: true, ...formatChapters(video) });
+    }
+    const exporter = CHAPTER_FORMATS[format];
+    const disposition = req.query.download === "false" ? "inline" : "attachment";
+    res.set({
+      "Content-Type": exporter.contentType,
+      "Content-Disposition": `${disposition}; filename="${toFileName(video.title, exporter.extension)}"`
+    });
+    res.send(exporter.serialize(video.chapters || [], video.duration));
+  } catch (error) {
+    handleRouteError(res, error, "Failed to export chapters");
+  }
+});
+
+// Replace the chapters: { chapters: [{ start, title }] }, the first at 0; [] removes them.
+// Chapters embedded in a burned-in video are updated by the next re-render.
+videoRouter.put("/:videoId/chapters", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (video.status === "processing") {
+      return res.status(409).json({ error: "Video is still being processed" });
+    }
+    if (video.chapterGeneration?.status === "pending") {
+      return res.status(409).json({ error: "Chapters are being generated, wait for them to finish" });
+    }
+    // Processing, re-rendering and edits replace the chapters when they finish
+    if (await hasPendingVideoJob(video)) {
+      return res.status(409).json({ error: "A job for this video is already pending" });
+    }
+
+    video.chapters = parseChapters((req.body || {}).chapters, video.duration);
+    video.chapterGeneration = { status: "ready", provider: "manual", errorMessage: null, updatedAt: new Date() };
+    await video.save();
+
+    res.json({ success: true, ...formatChapters(video) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to update chapters");
+  }
+});
+
+// Generate the chapters again from the current transcript: { provider? }. Replaces edited chapters.
+videoRouter.post("/:videoId/chapters/generate", authenticateUser, async (req, res) => {
+  try {
+    const { provider = DEFAULT_CHAPTER_PROVIDER } = req.body || {};
+    if (!listChapterProviders().some(candidate => candidate.name === provider)) {
+      return res.status(400).json({ error: `Unknown chapter provider "${provider}"` });
+    }
+
+    const video = await Video.findById(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (!video.subtitles) {
+      return res.status(409).json({ error: "The video has no transcript to generate chapters from yet", status: video.status });
+    }
+    if (video.chapterGeneration?.status === "pending") {
+      return res.status(409).json({ error: "Chapters are already being generated" });
+    }
+    if (await hasPendingVideoJob(video)) {
+      return res.status(409).json({ error: "A job for this video is already pending" });
+    }
+
+    const job = await queueChapterGeneration(video, provider);
+    res.status(202).json({ message: "Chapter generation queued", ...formatChapters(video), jobId: job._id });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to queue chapter generation");
+  }
+});
+
+// Re-apply the edited captions to the video, optionally switching the caption mode
+// and the caption language (burned-in track, or default soft track; null for the transcript)
+videoRouter.post("/:videoId/rerender", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const captionMode = req.body.captionMode || video.captionMode;
+    if (!CAPTION_MODES.includes(captionMode)) {
+      return res.status(400).json({ error: `captionMode must be one of: ${CAPTION_MODES.join(", ")}` });
+    }
+    if (video.status !== "processed") {
+      return res.status(409).json({ error: `Video is ${video.status}, only processed videos can be re-rendered` });
+    }
+    if (!video.cleanVideoKey) {
+      return res.status(409).json({ error: "The caption-free rendition of this video is not available" });
+    }
+    const captionLanguage = req.body.captionLanguage !== undefined ? req.body.captionLanguage : video.captionLanguage;
+    const track = findSubtitleTrack(video, captionLanguage);
+    if (!track || track.status !== "ready") {
+      return res.status(400).json({ error: `No finished subtitles in "${captionLanguage}"` });
+    }
+    if (await hasPendingVideoJob(video)) {
+      return res.status(409).json({ error: "A job for this video is already pending" });
+    }
+
+    const job = await queueCaptionRerender(video, {
+      captionMode,
+      captionLanguage: track.source ? null : track.language,
+      createdBy: req.userId
+    });
+
+    res.status(202).json({
+      message: "Re-render queued",
+      video: {
+        id: video._id,
+        status: video.status,
+        captionMode,
+        captionLanguage: track.language
+      },
+      jobId: job._id
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to queue re-render");
+  }
+});
+
+// Load a video for trimming or cutting (or reverting that), reprocessing or rolling back,
+// with the same checks as a re-render. `allowFailed` lets failed videos through as well.
+async function findEditableVideo(req, { allowFailed = false } = {}) {
+  const video = await Video.findById(req.params.videoId);
+  if (!video) {
+    throw createHttpError(404, "Video not found");
+  }
+  if (!(await canAccessVideo(req, video, "edit"))) {
+    throw createHttpError(403, "Access denied");
+  }
+  if (video.status === "processing" || (video.status === "failed" && !allowFailed)) {
+    throw createHttpError(409, `Video is ${video.status}, only processed videos can be changed`);
+  }
+  if (!video.sourceVideoKey && !video.cleanVideoKey) {
+    throw createHttpError(409, "The original upload of this video is not available");
+  }
+  // Translations and other jobs would otherwise finish on the old timeline
+  if ((video.subtitleTracks || []).some(track => track.status === "pending")) {
+    throw createHttpError(409, "Wait for the pending translations to finish");
+  }
+  if (await Job.exists({ videoId: video._id, status: { $in: ["queued", "running"] } })) {
+    throw createHttpError(409, "A job for this video is already pending");
+  }
+  return video;
+}
+
+// Trim or cut the video: { keep: [{ start, end }] } or { cut: [{ start, end }] }, in seconds of the
+// video as it is shown now. The upload is kept, so edits can be refined later or reverted.
+videoRouter.post("/:videoId/edit", authenticateUser, async (req, res) => {
+  try {
+    const video = await findEditableVideo(req);
+    const keep = composeRanges(video.edit?.keep, parseEditRanges(req.body, video.duration));
+
+    const job = await queueVideoEdit(video, keep, { createdBy: req.userId });
+    // The requested parts of the upload; edit shows the current state until the job is done
+    res.status(202).json({ message: "Edit queued", keep: job.payload.keep, edit: formatEdit(video), jobId: job._id });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to queue edit");
+  }
+});
+
+// Go back to the video as uploaded
+videoRouter.post("/:videoId/edit/revert", authenticateUser, async (req, res) => {
+  try {
+    const video = await findEditableVideo(req);
+    if (!video.edit || video.edit.keep.length === 0) {
+      return res.status(409).json({ error: "The video has not been edited" });
+    }
+
+    const job = await queueVideoEdit(video, [], { createdBy: req.userId });
+    res.status(202).json({ message: "Revert queued", edit: formatEdit(video), jobId: job._id });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to queue revert");
+  }
+});
+
+// Run the processing pipeline again on the stored upload with new options (captionMode, language,
+// model, summarize, chapters; unset ones are taken from the video). The result becomes a new version.
+videoRouter.post("/:videoId/reprocess", authenticateUser, async (req, res) => {
+  try {
+    const video = await findEditableVideo(req, { allowFailed: true });
+    const provider = await resolveTranscriptionProvider(req.userId);
+    const processed = video.status === "processed";
+    const options = parseProcessingOptions({ ...req.body, provider }, {
+      captionMode: video.captionMode,
+      language: video.language,
+      model: provider === video.transcriptionProvider ? video.transcriptionModel : undefined,
+      summarize: processed ? Boolean(video.summary) : undefined,
+      chapters: processed ? Boolean(video.chapterGeneration) : undefined
+    });
+
+    const job = await queueReprocess(video, options, { createdBy: req.userId });
+    res.status(202).json({
+      message: "Reprocessing queued",
+      video: { id: video._id, status: video.status },
+      options,
+      jobId: job._id
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to queue reprocessing");
+  }
+});
+
+// Processing runs, re-renders and edits of a video, newest first
+videoRouter.get("/:videoId/versions", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).select("userId workspaceId currentVersion");
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const versions = await listVersions(video);
+    res.json({
+      success: true,
+      currentVersion: video.currentVersion,
+      versions: versions.map(version => formatVersion(version, video))
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to list versions");
+  }
+});
+
+// Make an earlier version the current one again: its renditions, transcript, translations, chapters and edit
+videoRouter.post("/:videoId/versions/:number/rollback", authenticateUser, async (req, res) => {
+  try {
+    const number = parseInt(req.params.number);
+    if (!Number.isInteger(number) || number < 1) {
+      return res.status(400).json({ error: "Version number must be a positive integer" });
+    }
+    const video = await findEditableVideo(req, { allowFailed: true });
+
+    const version = await rollBackToVersion(video, number);
+    res.json({ message: `Rolled back to version ${number}`, version: formatVersion(version, video) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to roll back");
+  }
+});
+
+// Change who can watch the video: private, unlisted (share links) or public
+videoRouter.patch("/:videoId/visibility", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (!VISIBILITIES.includes(req.body.visibility)) {
+      return res.status(400).json({ error: `visibility must be one of: ${VISIBILITIES.join(", ")}` });
+    }
+
+    video.visibility = req.body.visibility;
+    await video.save();
+
+    res.json({ success: true, visibility: video.visibility });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to update visibility");
+  }
+});
+
+// Create a share link: { expiresIn?: seconds, expiresAt?: date, password? }
+videoRouter.post("/:videoId/share-links", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const link = await createShareLink(video, req.userId, req.body || {});
+    res.status(201).json({ success: true, link: formatShareLink(link) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to create share link");
+  }
+});
+
+// Share links of a video that still work
+videoRouter.get("/:videoId/share-links", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).select("userId workspaceId visibility").lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
 
-      // Create temporary directories for processing
-      const tempDir = path.join(__dirname, "..", "temp");
-      fs.mkdirSync(tempDir, { recursive: true });
+    const links = await listActiveShareLinks(video._id);
+    res.json({ success: true, visibility: video.visibility, links: links.map(formatShareLink) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to list share links");
+  }
+});
 
-      // Save initial video metadata to database with status 'processing'
-      const video = new Video({
-        userId: req.userId,
-        title: videoTitle,
-        baseTitle: videoTitle,
-        description: videoDescription,
-        videoUrl: null, // Will be updated after processing
-        thumbnailUrl: null, // Will be updated after processing
-        subtitles: '',
-        duration: req.body.duration,
-        status: "processing",
-        // No chunk metadata needed for automatic processing
-        partNumber: 1,
-        totalParts: 1,
-        isChunked: false,
-        chunkId: null
-      });
-      await video.save();
+// Revoke a share link. Playback URLs already handed out stay valid until they expire.
+videoRouter.delete("/:videoId/share-links/:linkId", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).select("userId workspaceId").lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
 
-      // Respond immediately
-      res.status(202).json({
-        message: "Upload received! Video is being processed in the background.",
-        video: {
-          id: video._id,
-          title: video.title,
-          status: video.status
-        }
-      });
+    const link = await ShareLink.findOneAndUpdate(
+      { _id: req.params.linkId, videoId: video._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!link) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
 
-      // Start background processing
-      process.nextTick(async () => {
-        const bgTempFiles = [videoPath];
-        try {
-          console.log(`\n=== Starting Optimized Video Processing Pipeline (background) ===`);
-
-          // 1. Get video duration and create optimized chunks
-          console.log("\n1. Analyzing video and creating optimized chunks...");
-          const chunks = await createOptimizedVideoChunks(videoPath, tempDir);
-          console.log(`Created ${chunks.length} optimized chunks`);
-          bgTempFiles.push(...chunks.map(chunk => chunk.videoPath));
-          bgTempFiles.push(...chunks.map(chunk => chunk.audioPath));
-
-          // 2. Transcribe chunks in parallel (with concurrency limit)
-          console.log("\n2. Transcribing audio chunks in parallel...");
-          const transcriptions = await transcribeChunksInParallel(chunks, tempDir);
-          console.log(`All ${chunks.length} chunks transcribed successfully`);
-
-          // 3. Combine all transcriptions
-          console.log("\n3. Combining transcriptions...");
-          const combinedSubtitles = combineSubtitles(transcriptions);
-          const combinedSrtPath = path.join(tempDir, `combined-${Date.now()}.srt`);
-          fs.writeFileSync(combinedSrtPath, combinedSubtitles, 'utf8');
-          bgTempFiles.push(combinedSrtPath);
-          console.log("Transcriptions combined successfully");
-
-          // 4. Burn combined subtitles into original video
-          console.log("\n4. Burning subtitles into video...");
-          const finalVideoPath = await burnSubtitlesIntoVideo(videoPath, combinedSrtPath, tempDir);
-          console.log("Final video created at:", finalVideoPath);
-          bgTempFiles.push(finalVideoPath);
-
-          // 5. Upload final video to S3
-          console.log("\n5. Uploading final video to S3...");
-          const videoS3Url = await uploadToS3({ 
-            path: finalVideoPath, 
-            originalname: videoFile.originalname,
-            mimetype: videoFile.mimetype 
-          }, 'videos');
-
-          let thumbnailS3Url = null;
-          if (req.files?.thumbnail) {
-            thumbnailS3Url = await uploadToS3(req.files.thumbnail[0], 'thumbnails');
-          }
-
-          // 6. Update video metadata in database
-          video.videoUrl = videoS3Url;
-          video.thumbnailUrl = thumbnailS3Url;
-          video.subtitles = combinedSubtitles;
-          video.status = "processed";
-          await video.save();
-
-          // Clean up temporary files
-          await cleanupFiles(bgTempFiles);
-
-          console.log(`✅ Video processing complete for video ID: ${video._id}`);
-          console.log(`Final video with subtitles: ${videoS3Url}`);
-
-        } catch (error) {
-          console.error("Background processing error:", error);
-          video.status = "failed";
-          await video.save();
-          await cleanupFiles(bgTempFiles);
-        }
-      });
-    } catch (error) {
-      console.error("Upload error:", error);
-      await cleanupFiles(tempFiles);
-      res.status(500).json({ 
-        error: "Video upload failed", 
-        details: error.message 
-      });
+    res.json({ success: true, message: "Share link revoked" });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to revoke share link");
+  }
+});
+
+// Comment threads of a video, ordered by timestamp. ?resolved=true|false keeps only resolved or open threads.
+videoRouter.get("/:videoId/comments", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).select("userId workspaceId").lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
     }
+    if (req.query.resolved !== undefined && !["true", "false"].includes(req.query.resolved)) {
+      return res.status(400).json({ error: "resolved must be true or false" });
+    }
+
+    const resolved = req.query.resolved === undefined ? undefined : req.query.resolved === "true";
+    const threads = await listCommentThreads(video, req.userId, { resolved });
+    res.json({
+      success: true,
+      canModerate: await canModerateComments(req.userId, video),
+      threads
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to fetch comments");
   }
-);
+});
 
-// Optimized helper function to create video chunks
-async function createOptimizedVideoChunks(videoPath, outputDir) {
-  const chunks = [];
-  const chunkDuration = 60; // Increased to 60 seconds for better efficiency
-  const maxConcurrentChunks = 4; // Process 4 chunks in parallel
-  
+// Add a comment: { body, timestamp?: seconds } starts a thread, { body, parentId } replies to one.
+// Mention users with @ and their email.
+videoRouter.post("/:videoId/comments", authenticateUser, async (req, res) => {
   try {
-    // Get video duration using ffprobe
-    const { stdout } = await execPromise(`ffprobe -v quiet -show_entries format=duration -of csv=p=0 "${videoPath}"`);
-    const totalDuration = parseFloat(stdout);
-    
-    console.log(`Total video duration: ${totalDuration} seconds`);
-    
-    // Create chunk tasks
-    const chunkTasks = [];
-    for (let startTime = 0; startTime < totalDuration; startTime += chunkDuration) {
-      const chunkIndex = Math.floor(startTime / chunkDuration) + 1;
-      const endTime = Math.min(startTime + chunkDuration, totalDuration);
-      
-      chunkTasks.push({
-        index: chunkIndex,
-        startTime: startTime,
-        endTime: endTime,
-        duration: endTime - startTime
-      });
+    const video = await Video.findById(req.params.videoId).select("userId workspaceId duration").lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
     }
-    
-    console.log(`Creating ${chunkTasks.length} chunks of ${chunkDuration}s each...`);
-    
-    // Process chunks in parallel with concurrency limit
-    const processChunk = async (task) => {
-      const chunkVideoPath = path.join(outputDir, `chunk-${task.index}.mp4`);
-      const chunkAudioPath = path.join(outputDir, `chunk-${task.index}.wav`);
-      
-      // Extract video chunk with optimized ffmpeg settings
-      await execPromise(`ffmpeg -i "${videoPath}" -ss ${task.startTime} -t ${task.duration} -c:v libx264 -preset fast -crf 23 -c:a aac -b:a 128k "${chunkVideoPath}"`);
-      
-      // Extract optimized audio from chunk
-      await execPromise(`ffmpeg -i "${chunkVideoPath}" -ar 16000 -ac 1 -c:a pcm_s16le "${chunkAudioPath}"`);
-      
-      return {
-        index: task.index,
-        startTime: task.startTime,
-        endTime: task.endTime,
-        videoPath: chunkVideoPath,
-        audioPath: chunkAudioPath
-      };
-    };
-    
-    // Process chunks with concurrency limit
-    for (let i = 0; i < chunkTasks.length; i += maxConcurrentChunks) {
-      const batch = chunkTasks.slice(i, i + maxConcurrentChunks);
-      const batchResults = await Promise.all(batch.map(processChunk));
-      chunks.push(...batchResults);
-      
-      console.log(`Created chunks ${i + 1}-${Math.min(i + maxConcurrentChunks, chunkTasks.length)} of ${chunkTasks.length}`);
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
     }
-    
-    return chunks.sort((a, b) => a.index - b.index);
+
+    const comment = await createComment(video, req.userId, req.body || {});
+    res.status(201).json({ success: true, comment: await describeComment(comment, req.userId) });
   } catch (error) {
-    console.error("Error creating optimized video chunks:", error);
-    throw new Error(`Failed to create optimized video chunks: ${error.message}`);
+    handleRouteError(res, error, "Failed to add comment");
   }
-}
+});
 
-// Optimized parallel transcription function
-async function transcribeChunksInParallel(chunks, tempDir) {
-  const transcriptions = new Array(chunks.length);
-  const maxConcurrentTranscriptions = 3; // Limit concurrent Whisper processes
-  
-  console.log(`Starting parallel transcription of ${chunks.length} chunks with max ${maxConcurrentTranscriptions} concurrent processes...`);
-  
-  const transcribeChunk = async (chunk, index) => {
-    try {
-      console.log(`Starting transcription of chunk ${chunk.index}/${chunks.length}...`);
-      
-      const srtPath = await transcribeWithWhisper(chunk.audioPath, tempDir);
-      const subtitleText = await readFile(srtPath, "utf8");
-      
-      // Adjust timestamps for this chunk
-      const adjustedSubtitles = adjustSubtitlesTiming(subtitleText, chunk.startTime);
-      
-      console.log(`✅ Chunk ${chunk.index} transcribed successfully`);
-      return adjustedSubtitles;
-    } catch (error) {
-      console.error(`❌ Transcription failed for chunk ${chunk.index}:`, error);
-      throw new Error(`Transcription failed for chunk ${chunk.index}: ${error.message}`);
-    }
-  };
-  
-  // Process chunks in batches with concurrency limit
-  for (let i = 0; i < chunks.length; i += maxConcurrentTranscriptions) {
-    const batch = chunks.slice(i, i + maxConcurrentTranscriptions);
-    const batchPromises = batch.map((chunk, batchIndex) => 
-      transcribeChunk(chunk, i + batchIndex)
-    );
-    
-    const batchResults = await Promise.all(batchPromises);
-    
-    // Store results in correct order
-    batch.forEach((chunk, batchIndex) => {
-      transcriptions[i + batchIndex] = batchResults[batchIndex];
-    });
-    
-    console.log(`Completed transcription batch ${Math.floor(i / maxConcurrentTranscriptions) + 1}/${Math.ceil(chunks.length / maxConcurrentTranscriptions)}`);
+// Edit a comment ({ body?, timestamp? }, author only) or resolve a thread ({ resolved })
+videoRouter.patch("/:videoId/comments/:commentId", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).select("userId workspaceId duration").lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const comment = await findVideoComment(video, req.params.commentId);
+    await updateComment(video, comment, req.userId, req.body || {});
+    res.json({ success: true, comment: await describeComment(comment, req.userId) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to update comment");
   }
-  
-  return transcriptions;
-}
+});
 
-// Helper function to adjust subtitle timings
-function adjustSubtitlesTiming(srtContent, offsetSeconds) {
-  const lines = srtContent.split('\n');
-  const adjustedLines = [];
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    
-    // Check if this line contains a timestamp
-    const timestampMatch = line.match(/(\d{2}):(\d{2}):(\d{2}),(\d{3})\s*-->\s*(\d{2}):(\d{2}):(\d{2}),(\d{3})/);
-    
-    if (timestampMatch) {
-      // Parse timestamps
-      const startHours = parseInt(timestampMatch[1]);
-      const startMinutes = parseInt(timestampMatch[2]);
-      const startSeconds = parseInt(timestampMatch[3]);
-      const startMs = parseInt(timestampMatch[4]);
-      
-      const endHours = parseInt(timestampMatch[5]);
-      const endMinutes = parseInt(timestampMatch[6]);
-      const endSeconds = parseInt(timestampMatch[7]);
-      const endMs = parseInt(timestampMatch[8]);
-      
-      // Convert to total seconds
-      const startTotalSeconds = startHours * 3600 + startMinutes * 60 + startSeconds + startMs / 1000;
-      const endTotalSeconds = endHours * 3600 + endMinutes * 60 + endSeconds + endMs / 1000;
-      
-      // Add offset
-      const newStartTotalSeconds = startTotalSeconds + offsetSeconds;
-      const newEndTotalSeconds = endTotalSeconds + offsetSeconds;
-      
-      // Convert back to timestamp format
-      const newStartHours = Math.floor(newStartTotalSeconds / 3600);
-      const newStartMinutes = Math.floor((newStartTotalSeconds % 3600) / 60);
-      const newStartSeconds = Math.floor(newStartTotalSeconds % 60);
-      const newStartMs = Math.floor((newStartTotalSeconds % 1) * 1000);
-      
-      const newEndHours = Math.floor(newEndTotalSeconds / 3600);
-      const newEndMinutes = Math.floor((newEndTotalSeconds % 3600) / 60);
-      const newEndSeconds = Math.floor(newEndTotalSeconds % 60);
-      const newEndMs = Math.floor((newEndTotalSeconds % 1) * 1000);
-      
-      // Format new timestamp line
-      const newTimestampLine = `${String(newStartHours).padStart(2, '0')}:${String(newStartMinutes).padStart(2, '0')}:${String(newStartSeconds).padStart(2, '0')},${String(newStartMs).padStart(3, '0')} --> ${String(newEndHours).padStart(2, '0')}:${String(newEndMinutes).padStart(2, '0')}:${String(newEndSeconds).padStart(2, '0')},${String(newEndMs).padStart(3, '0')}`;
-      
-      adjustedLines.push(newTimestampLine);
-    } else {
-      adjustedLines.push(line);
+// Delete a comment and, for a thread, its replies. Authors delete their own, the video's owner any.
+videoRouter.delete("/:videoId/comments/:commentId", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).select("userId workspaceId").lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
     }
+
+    const comment = await findVideoComment(video, req.params.commentId);
+    const deleted = await deleteComment(video, comment, req.userId);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to delete comment");
   }
-  
-  return adjustedLines.join('\n');
-}
+});
 
-// Helper function to combine multiple subtitle files
-function combineSubtitles(transcriptions) {
-  let combinedSrt = '';
-  let subtitleIndex = 1;
-  
-  for (const transcription of transcriptions) {
-    const lines = transcription.split('\n');
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      if (line.match(/^\d+$/)) {
-        // Subtitle index line - replace with new index
-        combinedSrt += subtitleIndex + '\n';
-        subtitleIndex++;
-      } else if (line.match(/\d{2}:\d{2}:\d{2},\d{3}\s*-->\s*\d{2}:\d{2}:\d{2},\d{3}/)) {
-        // Timestamp line - keep as is
-        combinedSrt += line + '\n';
-      } else if (line.length > 0) {
-        // Subtitle text line - keep as is
-        combinedSrt += line + '\n';
-      } else {
-        // Empty line - keep as is
-        combinedSrt += '\n';
-      }
+// Playback events from players: { sessionId, viewerId?, events: [{ type: play|heartbeat|seek|ended, position, from?, at? }] }.
+// Players without an account post to the analyticsUrl of the stream info, which carries a playback token.
+videoRouter.post("/:videoId/analytics/events", authenticateMediaRequest, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).select("userId workspaceId duration").lean();
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
     }
+
+    const accepted = await recordViewEvents(video, req.userId, req.body || {});
+    res.status(202).json({ success: true, accepted });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to record events");
   }
-  
-  return combinedSrt.trim();
-}
+});
 
-// Get video stream
-videoRouter.get("/:videoId/stream", authenticateUser, async (req, res) => {
+// Views, unique viewers, watch time, completion and retention of the views started between ?from= and ?to=
+videoRouter.get("/:videoId/analytics", authenticateUser, async (req, res) => {
   try {
-    const video = await Video.findById(req.params.videoId);
+    const video = await Video.findById(req.params.videoId).select("userId workspaceId duration").lean();
     if (!video) {
       return res.status(404).json({ error: "Video not found" });
     }
+    if (!(await canAccessVideo(req, video, "edit"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    const from = parseDateParam(req.query.from, "from");
+    const to = parseDateParam(req.query.to, "to");
 
-    // Return the direct S3 URL instead of a signed URL
-    res.json({ streamUrl: video.videoUrl });
+    // Include the latest events instead of waiting for the periodic rollup
+    await rollUpViewEvents({ videoId: video._id });
+    res.json({ success: true, analytics: await getVideoAnalytics(video, { from, to }) });
   } catch (error) {
-    console.error("Streaming error:", error);
-    res.status(500).json({ error: "Failed to get video stream" });
+    handleRouteError(res, error, "Failed to fetch analytics");
   }
 });
 
@@ -465,13 +1286,17 @@ videoRouter.delete("/:videoId", authenticateUser, async (req, res) => {
     if (!video) {
       return res.status(404).json({ error: "Video not found" });
     }
-
-    // Delete files from S3
-    await deleteFromS3(video.videoUrl);
-    if (video.thumbnailUrl) {
-      await deleteFromS3(video.thumbnailUrl);
+    if (!(await canAccessVideo(req, video, "delete"))) {
+      return res.status(403).json({ error: "Access denied" });
     }
 
+    // Delete stored files and the links pointing at them
+    await deleteVideoMedia(video);
+    await ShareLink.deleteMany({ videoId: video._id });
+    await Comment.deleteMany({ videoId: video._id });
+    await VideoVersion.deleteMany({ videoId: video._id });
+    await deleteVideoAnalytics(video._id);
+
     // Delete from database
     await video.deleteOne();
 
@@ -482,31 +1307,147 @@ videoRouter.delete("/:videoId", authenticateUser, async (req, res) => {
   }
 });
 
-// Get user videos with pagination
+// Languages and models that can be picked for an upload with the user's transcription provider
+videoRouter.get("/transcription-options", authenticateUser, async (req, res) => {
+  try {
+    const provider = getTranscriptionProvider(await resolveTranscriptionProvider(req.userId));
+    const languages = Object.entries(SUPPORTED_LANGUAGES).map(([code, name]) => ({ code, name }));
+    if (provider.supportsAutoLanguage) {
+      languages.unshift({ code: AUTO_LANGUAGE, name: "Detect automatically" });
+    }
+
+    res.json({
+      success: true,
+      provider: provider.name,
+      providers: listTranscriptionProviders(),
+      languages,
+      models: provider.models,
+      summaryProviders: listSummarizers(),
+      chapterProviders: listChapterProviders(),
+      defaults: {
+        language: DEFAULT_LANGUAGE,
+        model: provider.defaultModel,
+        summarize: SUMMARIZE_BY_DEFAULT,
+        summaryProvider: DEFAULT_SUMMARIZER,
+        chapters: CHAPTERS_BY_DEFAULT,
+        chapterProvider: DEFAULT_CHAPTER_PROVIDER
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to fetch transcription options");
+  }
+});
+
+// Full-text search over titles, descriptions and transcripts, ranked by relevance.
+// ?q= (words, "exact phrases", -excluded), ?status=processed,failed, ?from= / ?to= (createdAt),
+// ?workspaceId= ("personal" or a workspace id, default: all), ?page=, ?limit=, ?cues= (matching cues returned per video)
+videoRouter.get("/search", authenticateUser, async (req, res) => {
+  try {
+    const query = parseSearchQuery(req.query.q);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_SEARCH_RESULTS, Math.max(1, parseInt(req.query.limit) || 10));
+    const cueLimit = Math.min(MAX_CUES_PER_RESULT, Math.max(0, parseInt(req.query.cues ?? 5) || 0));
+
+    const filter = { ...await getVisibleVideosFilter(req.userId, req.query.workspaceId), $text: { $search: query.query } };
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(",").map(status => status.trim()).filter(Boolean);
+      const unknown = statuses.filter(status => !VIDEO_STATUSES.includes(status));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `status must be one of: ${VIDEO_STATUSES.join(", ")}` });
+      }
+      filter.status = { $in: statuses };
+    }
+    const from = parseDateParam(req.query.from, "from");
+    const to = parseDateParam(req.query.to, "to");
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const [videos, total] = await Promise.all([
+      Video.find(filter, { score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Video.countDocuments(filter)
+    ]);
+
+    const results = await Promise.all(videos.map(async (video) => {
+      const urls = await getPlaybackUrls(video);
+      const { cues, total: cueTotal } = findMatchingCues(video.subtitles, query, cueLimit);
+      return {
+        id: video._id,
+        title: video.title,
+        description: video.description,
+        createdAt: video.createdAt,
+        duration: video.duration,
+        status: video.status,
+        thumbnailUrl: urls.thumbnailUrl,
+        score: video.score,
+        highlights: {
+          title: highlight(video.title || "", query.pattern),
+          description: highlight(video.description || "", query.pattern)
+        },
+        matches: cues,
+        totalMatches: cueTotal
+      };
+    }));
+
+    res.json({
+      success: true,
+      query: query.query,
+      results,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Search failed");
+  }
+});
+
+// Get the videos the user can see (personal and workspace libraries) with pagination,
+// or those of one library with ?workspaceId= ("personal" or a workspace id)
 videoRouter.get("/my-videos", authenticateUser, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    const filter = await getVisibleVideosFilter(req.userId, req.query.workspaceId);
     const [videos, total] = await Promise.all([
-      Video.find({ userId: req.userId })
+      Video.find(filter)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .lean(),
-      Video.countDocuments({ userId: req.userId })
+      Video.countDocuments(filter)
     ]);
+    const commentCounts = await countComments(videos.map(video => video._id));
 
-    const formattedVideos = videos.map(video => ({
-      id: video._id,
-      title: video.title,
-      description: video.description,
-      thumbnailUrl: video.thumbnailUrl,
-      videoUrl: video.videoUrl, // Direct S3 URL
-      createdAt: video.createdAt,
-      duration: video.duration,
-      status: video.status
+    const formattedVideos = await Promise.all(videos.map(async (video) => {
+      const comments = commentCounts.get(video._id.toString());
+      const urls = await getPlaybackUrls(video);
+      return {
+        id: video._id,
+        title: video.title,
+        description: video.description,
+        thumbnailUrl: urls.thumbnailUrl,
+        videoUrl: urls.videoUrl,
+        createdAt: video.createdAt,
+        duration: video.duration,
+        mediaInfo: video.mediaInfo || null,
+        visibility: video.visibility,
+        workspaceId: video.workspaceId || PERSONAL_WORKSPACE,
+        commentCount: comments ? comments.total : 0,
+        unresolvedCommentCount: comments ? comments.unresolved : 0,
+        status: video.status
+      };
     }));
 
     res.json({
@@ -520,6 +1461,9 @@ videoRouter.get("/my-videos", authenticateUser, async (req, res) => {
       }
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("Error fetching videos:", err);
     res.status(500).json({ 
       error: "Failed to fetch videos",
@@ -528,42 +1472,6 @@ videoRouter.get("/my-videos", authenticateUser, async (req, res) => {
   }
 });
 
-// Get single video with detailed information
-videoRouter.get("/:videoId", authenticateUser, async (req, res) => {
-  try {
-    const video = await Video.findById(req.params.videoId).lean();
-
-    if (!video) {
-      return res.status(404).json({ error: "Video not found" });
-    }
-
-    // Verify ownership
-    if (video.userId.toString() !== req.userId) {
-      return res.status(403).json({ error: "Access denied" });
-    }
-
-    const response = {
-      id: video._id,
-      title: video.title,
-      description: video.description,
-      createdAt: video.createdAt,
-      duration: video.duration,
-      videoUrl: video.videoUrl, // Direct S3 URL
-      thumbnailUrl: video.thumbnailUrl,
-      subtitles: video.subtitles,
-      status: video.status
-    };
-
-    res.json({ success: true, video: response });
-  } catch (err) {
-    console.error("Error fetching video:", err);
-    res.status(500).json({ 
-      error: "Failed to fetch video",
-      details: process.env.NODE_ENV === "development" ? err.message : undefined
-    });
-  }
-});
-
 // Get chunked video status and all parts
 videoRouter.get("/chunked/:baseTitle", authenticateUser, async (req, res) => {
   try {
@@ -571,7 +1479,7 @@ videoRouter.get("/chunked/:baseTitle", authenticateUser, async (req, res) => {
     
     // Find all chunks for this video
     const chunks = await Video.find({
-      userId: req.userId,
+      ...await getVisibleVideosFilter(req.userId, req.query.workspaceId),
       title: { $regex: new RegExp(`^${baseTitle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i') },
       isChunked: true
     }).sort({ partNumber: 1 });
@@ -580,6 +1488,7 @@ videoRouter.get("/chunked/:baseTitle", authenticateUser, async (req, res) => {
       return res.status(404).json({ error: "No chunked video found with this title" });
     }
 
+    const urls = await Promise.all(chunks.map(chunk => getPlaybackUrls(chunk)));
     const totalParts = chunks[0].totalParts;
     const processedChunks = chunks.filter(chunk => chunk.status === "processed");
     const failedChunks = chunks.filter(chunk => chunk.status === "failed");
@@ -592,12 +1501,12 @@ videoRouter.get("/chunked/:baseTitle", authenticateUser, async (req, res) => {
       failedParts: failedChunks.length,
       processingParts: processingChunks.length,
       allChunksProcessed: chunks.every(chunk => chunk.allChunksProcessed),
-      chunks: chunks.map(chunk => ({
+      chunks: chunks.map((chunk, i) => ({
         id: chunk._id,
         partNumber: chunk.partNumber,
         title: chunk.title,
         status: chunk.status,
-        videoUrl: chunk.videoUrl, // Direct S3 URL
+        videoUrl: urls[i].videoUrl,
         duration: chunk.duration,
         createdAt: chunk.createdAt
       })),
@@ -607,6 +1516,9 @@ videoRouter.get("/chunked/:baseTitle", authenticateUser, async (req, res) => {
 
     res.json({ success: true, video: response });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("Error fetching chunked video:", err);
     res.status(500).json({ 
       error: "Failed to fetch chunked video",
@@ -619,13 +1531,15 @@ videoRouter.get("/chunked/:baseTitle", authenticateUser, async (req, res) => {
 videoRouter.get("/chunked", authenticateUser, async (req, res) => {
   try {
     const chunkedVideos = await Video.find({
-      userId: req.userId,
+      ...await getVisibleVideosFilter(req.userId, req.query.workspaceId),
       isChunked: true
     }).sort({ createdAt: -1 });
 
+    const urls = await Promise.all(chunkedVideos.map(video => getPlaybackUrls(video)));
+
     // Group by base title
     const groupedVideos = {};
-    chunkedVideos.forEach(video => {
+    chunkedVideos.forEach((video, i) => {
       const baseTitle = video.title.replace(/\s*-\s*Part\s*\d+$/, '');
       if (!groupedVideos[baseTitle]) {
         groupedVideos[baseTitle] = {
@@ -643,7 +1557,7 @@ videoRouter.get("/chunked", authenticateUser, async (req, res) => {
         partNumber: video.partNumber,
         title: video.title,
         status: video.status,
-        videoUrl: video.videoUrl, // Direct S3 URL
+        videoUrl: urls[i].videoUrl,
         duration: video.duration,
         createdAt: video.createdAt
       });
@@ -661,6 +1575,9 @@ videoRouter.get("/chunked", authenticateUser, async (req, res) => {
 
     res.json({ success: true, chunkedVideos: response });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("Error fetching chunked videos:", err);
     res.status(500).json({ 
       error: "Failed to fetch chunked videos",
@@ -669,4 +1586,61 @@ videoRouter.get("/chunked", authenticateUser, async (req, res) => {
   }
 });
 
+// Get single video with detailed information
+videoRouter.get("/:videoId", authenticateUser, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.videoId).lean();
+
+    if (!video) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+
+    if (!(await canAccessVideo(req, video))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const urls = await getPlaybackUrls(video);
+    const response = {
+      id: video._id,
+      title: video.title,
+      description: video.description,
+      createdAt: video.createdAt,
+      duration: video.duration,
+      mediaInfo: video.mediaInfo || null,
+      visibility: video.visibility,
+      workspaceId: video.workspaceId || PERSONAL_WORKSPACE,
+      role: await getVideoRole(req.userId, video),
+      videoUrl: urls.videoUrl,
+      cleanVideoUrl: urls.cleanVideoUrl,
+      hlsUrl: urls.hlsUrl,
+      thumbnailUrl: urls.thumbnailUrl,
+      posterTime: video.posterTime,
+      previewThumbnailsUrl: urls.previewThumbnailsUrl,
+      urlsExpireAt: urls.expiresAt,
+      subtitles: video.subtitles,
+      captionMode: video.captionMode,
+      captionLanguage: video.captionLanguage,
+      language: video.language,
+      detectedLanguage: video.detectedLanguage,
+      translations: (video.subtitleTracks || []).map(formatSubtitleTrack),
+      transcriptionModel: video.transcriptionModel,
+      captionsNeedRerender: video.captionsNeedRerender,
+      summary: formatSummary(video.summary),
+      chapters: formatChapters(video),
+      edit: formatEdit(video),
+      currentVersion: video.currentVersion,
+      status: video.status,
+      progress: formatProgress(video)
+    };
+
+    res.json({ success: true, video: response });
+  } catch (err) {
+    console.error("Error fetching video:", err);
+    res.status(500).json({ 
+      error: "Failed to fetch video",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+  }
+});
+
 module.exports = videoRouter;
\ No newline at end of file
@@ -0,0 +1,275 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Workspace = require("../models/workspace");
+const WorkspaceInvitation = require("../models/workspaceInvitation");
+const Video = require("../models/video");
+const User = require("../models/user");
+const { authenticateUser } = require("../middleware/auth");
+const { createHttpError, handleRouteError } = require("../utils/httpError");
+const {
+  ROLES,
+  PERSONAL_WORKSPACE,
+  getMemberRole,
+  loadWorkspace,
+  canManageMember,
+  getInvitationUrl,
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation
+} = require("../utils/workspaces");
+
+const workspaceRouter = express.Router();
+
+const formatWorkspace = (workspace, userId) => ({
+  id: workspace._id,
+  name: workspace.name,
+  personal: false,
+  role: getMemberRole(workspace, userId),
+  memberCount: workspace.members.length,
+  createdAt: workspace.createdAt
+});
+
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  url: getInvitationUrl(invitation.token),
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt
+});
+
+// The user's workspaces, starting with their personal one
+workspaceRouter.get("/", authenticateUser, async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ "members.userId": req.userId }).sort({ createdAt: 1 }).lean();
+    res.json({
+      success: true,
+      workspaces: [
+        { id: PERSONAL_WORKSPACE, name: "Personal", personal: true, role: "owner", memberCount: 1 },
+        ...workspaces.map(workspace => formatWorkspace(workspace, req.userId))
+      ]
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to list workspaces");
+  }
+});
+
+// Create a workspace, owned by the current user
+workspaceRouter.post("/", authenticateUser, async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (!name) {
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    const workspace = new Workspace({ name, members: [{ userId: req.userId, role: "owner" }] });
+    await workspace.save();
+
+    res.status(201).json({ success: true, workspace: formatWorkspace(workspace, req.userId) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to create workspace");
+  }
+});
+
+// What an invitation is for (the link sent by email). No sign-in needed, the token is the secret;
+// accepting it (below) takes the invited user's session.
+workspaceRouter.get("/invitations/:token", async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    const workspace = await Workspace.findById(invitation.workspaceId).select("name").lean();
+    if (!workspace) {
+      return res.status(404).json({ error: "Workspace no longer exists" });
+    }
+    const inviter = await User.findById(invitation.invitedBy).select("name").lean();
+
+    res.json({
+      success: true,
+      invitation: {
+        workspace: { id: workspace._id, name: workspace.name },
+        email: invitation.email,
+        role: invitation.role,
+        invitedBy: inviter ? inviter.name : null,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to load invitation");
+  }
+});
+
+// Accept an invitation
+workspaceRouter.post("/invitations/:token/accept", authenticateUser, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("emailId verified").lean();
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { workspace } = await acceptInvitation(req.params.token, user);
+    res.json({ success: true, workspace: formatWorkspace(workspace, req.userId) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to accept invitation");
+  }
+});
+
+// Workspace details and members
+workspaceRouter.get("/:workspaceId", authenticateUser, async (req, res) => {
+  try {
+    const { workspace } = await loadWorkspace(req.params.workspaceId, req.userId, "view");
+    const users = await User.find({ _id: { $in: workspace.members.map(member => member.userId) } })
+      .select("name emailId")
+      .lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    res.json({
+      success: true,
+      workspace: {
+        ...formatWorkspace(workspace, req.userId),
+        members: workspace.members.map(member => ({
+          userId: member.userId,
+          name: usersById.get(member.userId.toString())?.name || null,
+          email: usersById.get(member.userId.toString())?.emailId || null,
+          role: member.role,
+          joinedAt: member.joinedAt
+        }))
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to fetch workspace");
+  }
+});
+
+// Rename a workspace
+workspaceRouter.patch("/:workspaceId", authenticateUser, async (req, res) => {
+  try {
+    const { workspace } = await loadWorkspace(req.params.workspaceId, req.userId, "manageWorkspace");
+    const name = String(req.body.name || "").trim();
+    if (!name) {
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    workspace.name = name;
+    await workspace.save();
+    res.json({ success: true, workspace: formatWorkspace(workspace, req.userId) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to update workspace");
+  }
+});
+
+// Delete an empty workspace
+workspaceRouter.delete("/:workspaceId", authenticateUser, async (req, res) => {
+  try {
+    const { workspace } = await loadWorkspace(req.params.workspaceId, req.userId, "manageWorkspace");
+    const videoCount = await Video.countDocuments({ workspaceId: workspace._id });
+    if (videoCount > 0) {
+      throw createHttpError(409, `Workspace still has ${videoCount} videos, delete or move them first`);
+    }
+
+    await WorkspaceInvitation.deleteMany({ workspaceId: workspace._id });
+    await workspace.deleteOne();
+    res.json({ success: true, message: "Workspace deleted" });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to delete workspace");
+  }
+});
+
+// Invite someone by email: { email, role }
+workspaceRouter.post("/:workspaceId/invitations", authenticateUser, async (req, res) => {
+  try {
+    const { workspace, role } = await loadWorkspace(req.params.workspaceId, req.userId, "manageMembers");
+
+    const existingUser = await User.findOne({ emailId: String(req.body.email || "").trim().toLowerCase() }).select("_id").lean();
+    if (existingUser && getMemberRole(workspace, existingUser._id)) {
+      throw createHttpError(409, "This user is already a member");
+    }
+
+    const invitation = await createInvitation(workspace, req.body, req.userId, role);
+    res.status(201).json({ success: true, invitation: formatInvitation(invitation) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to create invitation");
+  }
+});
+
+// Pending invitations
+workspaceRouter.get("/:workspaceId/invitations", authenticateUser, async (req, res) => {
+  try {
+    const { workspace } = await loadWorkspace(req.params.workspaceId, req.userId, "manageMembers");
+    const invitations = await WorkspaceInvitation.find({
+      workspaceId: workspace._id,
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 }).lean();
+
+    res.json({ success: true, invitations: invitations.map(formatInvitation) });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to list invitations");
+  }
+});
+
+// Withdraw an invitation
+workspaceRouter.delete("/:workspaceId/invitations/:invitationId", authenticateUser, async (req, res) => {
+  try {
+    const { workspace } = await loadWorkspace(req.params.workspaceId, req.userId, "manageMembers");
+    const invitation = mongoose.isValidObjectId(req.params.invitationId) && await WorkspaceInvitation.findOneAndDelete({
+      _id: req.params.invitationId,
+      workspaceId: workspace._id,
+      acceptedAt: null
+    });
+    if (!invitation) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+
+    res.json({ success: true, message: "Invitation withdrawn" });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to withdraw invitation");
+  }
+});
+
+// Change a member's role: { role }
+workspaceRouter.patch("/:workspaceId/members/:userId", authenticateUser, async (req, res) => {
+  try {
+    const { workspace, role } = await loadWorkspace(req.params.workspaceId, req.userId, "manageMembers");
+    const member = workspace.members.find(candidate => candidate.userId.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    if (!ROLES.includes(req.body.role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.filter(name => name !== "owner").join(", ")}` });
+    }
+    if (!canManageMember(role, member.role, req.body.role)) {
+      throw createHttpError(403, `Your role (${role}) can't change this ${member.role}'s role to ${req.body.role}`);
+    }
+
+    member.role = req.body.role;
+    await workspace.save();
+    res.json({ success: true, member: { userId: member.userId, role: member.role } });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to update member");
+  }
+});
+
+// Remove a member, or leave the workspace (any member but the owner may remove themselves)
+workspaceRouter.delete("/:workspaceId/members/:userId", authenticateUser, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.userId;
+    const { workspace, role } = await loadWorkspace(req.params.workspaceId, req.userId, leaving ? "view" : "manageMembers");
+    const member = workspace.members.find(candidate => candidate.userId.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    if (member.role === "owner") {
+      throw createHttpError(409, "The owner can't leave or be removed, delete the workspace instead");
+    }
+    if (!leaving && !canManageMember(role, member.role)) {
+      throw createHttpError(403, `Your role (${role}) can't remove this ${member.role}`);
+    }
+
+    workspace.members = workspace.members.filter(candidate => candidate !== member);
+    await workspace.save();
+    res.json({ success: true, message: leaving ? "Left workspace" : "Member removed" });
+  } catch (error) {
+    handleRouteError(res, error, "Failed to remove member");
+  }
+});
+
+module.exports = workspaceRouter;
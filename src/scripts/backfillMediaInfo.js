@@ -0,0 +1,44 @@
+// One-off backfill: probe the stored rendition of videos uploaded before uploads were probed,
+// filling in mediaInfo and replacing the client-reported duration.
+// Safe to run more than once. Usage: npm run backfill:media-info [-- --dry-run]
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/database");
+const Video = require("../models/video");
+const { probeMedia } = require("../utils/mediaProbe");
+const { getProcessingInput } = require("../utils/storage");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  let probed = 0;
+  let failed = 0;
+  const videos = Video.find({ mediaInfo: null, $or: [{ cleanVideoKey: { $ne: null } }, { videoKey: { $ne: null } }] });
+  for await (const video of videos) {
+    try {
+      // The caption-free rendition is the upload itself (or a remux of it), unless the video was edited
+      const mediaInfo = await probeMedia(await getProcessingInput(video.sourceVideoKey || video.cleanVideoKey || video.videoKey));
+      if (!dryRun) {
+        const edited = video.edit?.keep?.length > 0;
+        await Video.updateOne({ _id: video._id }, { $set: edited ? { mediaInfo } : { mediaInfo, duration: mediaInfo.duration } });
+      }
+      probed++;
+    } catch (error) {
+      console.warn(`Could not probe video ${video._id}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`${dryRun ? "Would update" : "Updated"} ${probed} videos, ${failed} could not be probed`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Backfill failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
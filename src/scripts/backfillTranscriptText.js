@@ -0,0 +1,41 @@
+// One-off backfill: fill in transcriptText (indexed for search) on videos saved before it existed.
+// Safe to run more than once. Usage: npm run backfill:transcript-text [-- --dry-run]
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/database");
+const Video = require("../models/video");
+const { parseSubtitles } = require("../utils/subtitles");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+  // Builds the text index if the app hasn't yet
+  if (!dryRun) {
+    await Video.createIndexes();
+  }
+
+  let updated = 0;
+  const videos = Video.collection.find(
+    { transcriptText: { $exists: false }, subtitles: { $nin: [null, ""] } },
+    { projection: { subtitles: 1 } }
+  );
+  for await (const video of videos) {
+    const transcriptText = parseSubtitles(video.subtitles).map(cue => cue.text).join("\n");
+    if (!dryRun) {
+      await Video.collection.updateOne({ _id: video._id }, { $set: { transcriptText } });
+    }
+    updated++;
+  }
+
+  console.log(`${dryRun ? "Would update" : "Updated"} ${updated} videos`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Backfill failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
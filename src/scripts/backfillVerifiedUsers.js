@@ -0,0 +1,33 @@
+// One-off backfill: mark users who signed up before email verification existed as verified, so they
+// keep access to what needs a verified address (such as accepting workspace invitations).
+// Users created since have the field and are left alone, so this is safe to run more than once.
+// Usage: npm run backfill:verified-users [-- --dry-run]
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/database");
+const User = require("../models/user");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  const filter = { verified: { $exists: false } };
+  let updated;
+  if (dryRun) {
+    updated = await User.collection.countDocuments(filter);
+  } else {
+    ({ modifiedCount: updated } = await User.collection.updateMany(filter, { $set: { verified: true, verifiedAt: null } }));
+  }
+
+  console.log(`${dryRun ? "Would mark" : "Marked"} ${updated} users as verified`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Backfill failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+// One-off migration: videos stored full S3 URLs (videoUrl, cleanVideoUrl, hlsUrl, thumbnailUrl),
+// they now store object keys (videoKey, ...). Also rewrites checkpoints of unfinished jobs.
+// Safe to run more than once. Usage: npm run migrate:storage-keys [-- --dry-run]
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/database");
+const Video = require("../models/video");
+const Job = require("../models/job");
+const { getKeyFromUrl } = require("../utils/storage/s3Driver");
+
+const FIELDS = {
+  videoUrl: "videoKey",
+  cleanVideoUrl: "cleanVideoKey",
+  hlsUrl: "hlsKey",
+  thumbnailUrl: "thumbnailKey"
+};
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Returns the { $set, $unset } turning URL fields below `prefix` into key fields
+const buildUpdate = (source, prefix = "") => {
+  const update = { $set: {}, $unset: {} };
+  for (const [urlField, keyField] of Object.entries(FIELDS)) {
+    if (!(source && urlField in source)) continue;
+    const url = source[urlField];
+    if (url) {
+      try {
+        update.$set[`${prefix}${keyField}`] = getKeyFromUrl(url);
+      } catch (error) {
+        console.warn(`Skipping unparseable ${urlField} "${url}"`);
+      }
+    }
+    update.$unset[`${prefix}${urlField}`] = "";
+  }
+  return update;
+};
+
+const migrate = async (collection, filter, getSource, prefix) => {
+  let migrated = 0;
+  for await (const doc of collection.find(filter)) {
+    const update = buildUpdate(getSource(doc), prefix);
+    if (Object.keys(update.$unset).length === 0) continue;
+    if (!dryRun) {
+      await collection.updateOne({ _id: doc._id }, update);
+    }
+    migrated++;
+  }
+  return migrated;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const anyUrlField = (prefix) => ({ $or: Object.keys(FIELDS).map(field => ({ [`${prefix}${field}`]: { $exists: true } })) });
+
+  const videos = await migrate(Video.collection, anyUrlField(""), doc => doc, "");
+  const jobs = await migrate(
+    Job.collection,
+    { status: { $in: ["queued", "running"] }, ...anyUrlField("checkpoint.") },
+    doc => doc.checkpoint,
+    "checkpoint."
+  );
+
+  console.log(`${dryRun ? "Would migrate" : "Migrated"} ${videos} videos and ${jobs} unfinished jobs`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Migration failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const validator = require("validator");
+const User = require("../models/user");
+const AccountToken = require("../models/accountToken");
+const { sendMail } = require("./mailer");
+const { revokeAllSessions } = require("./refreshTokens");
+const { createHttpError } = require("./httpError");
+
+// Email verification and password reset links. Each link carries a random token that works once and
+// expires; only its hash is stored. Sending a new link of a kind replaces the user's previous one.
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+const APP_URL = process.env.FRONTEND_URL || BASE_URL;
+// Pages of the frontend that take ?token= and post it to /api/auth/verify-email or /api/auth/reset-password
+const VERIFY_EMAIL_URL_BASE = process.env.VERIFY_EMAIL_URL_BASE || `${APP_URL}/verify-email`;
+const RESET_PASSWORD_URL_BASE = process.env.RESET_PASSWORD_URL_BASE || `${APP_URL}/reset-password`;
+const EMAIL_VERIFICATION_TTL_MS = parseInt(process.env.EMAIL_VERIFICATION_TTL_MS) || 24 * 60 * 60 * 1000; // 1 day
+const PASSWORD_RESET_TTL_MS = parseInt(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000; // 1 hour
+const TOKEN_BYTES = 32;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const getLink = (urlBase, token) => `${urlBase}?token=${encodeURIComponent(token)}`;
+
+const describeTtl = (ms) => ms >= 2 * 60 * 60 * 1000 ? `${Math.round(ms / (60 * 60 * 1000))} hours` : `${Math.round(ms / (60 * 1000))} minutes`;
+
+// New token of `purpose` for the user's current address; earlier unused ones stop working
+async function issueToken(user, purpose, ttlMs) {
+  await AccountToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+  const token = crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  await AccountToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.emailId,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+}
+
+// Mark a valid token used and return it, or null. Only one request can use a token.
+async function consumeToken(token, purpose) {
+  if (typeof token !== "string" || !token) return null;
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+}
+
+// Mail the user a link to confirm their address. Does nothing for verified users.
+async function sendVerificationEmail(user) {
+  if (user.verified) return;
+  const token = await issueToken(user, "verify-email", EMAIL_VERIFICATION_TTL_MS);
+  await sendMail({
+    to: user.emailId,
+    subject: "Confirm your email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm your email address by opening this link:",
+      getLink(VERIFY_EMAIL_URL_BASE, token),
+      "",
+      `The link expires in ${describeTtl(EMAIL_VERIFICATION_TTL_MS)}. If you didn't sign up, you can ignore this mail.`
+    ].join("\n")
+  });
+}
+
+// Verify the address of the user a verification token was sent to. Returns the user.
+async function verifyEmail(token) {
+  const record = await consumeToken(token, "verify-email");
+  if (!record) {
+    throw createHttpError(400, "Verification link is invalid or has expired");
+  }
+  const user = await User.findById(record.userId);
+  if (!user || user.emailId !== record.email) {
+    throw createHttpError(400, "Verification link is invalid or has expired");
+  }
+  if (!user.verified) {
+    user.verified = true;
+    user.verifiedAt = new Date();
+    await user.save();
+  }
+  return user;
+}
+
+// Mail a password reset link to the user registered with `emailId`, if there is one.
+// Callers answer the same either way so the route doesn't reveal which addresses have accounts.
+async function requestPasswordReset(emailId) {
+  const email = String(emailId || "").trim().toLowerCase();
+  if (!validator.isEmail(email)) {
+    throw createHttpError(400, "A valid emailId is required");
+  }
+  const user = await User.findOne({ emailId: email });
+  if (!user) return;
+
+  const token = await issueToken(user, "reset-password", PASSWORD_RESET_TTL_MS);
+  await sendMail({
+    to: user.emailId,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Someone asked to reset the password of your account. To choose a new password, open this link:",
+      getLink(RESET_PASSWORD_URL_BASE, token),
+      "",
+      `The link expires in ${describeTtl(PASSWORD_RESET_TTL_MS)} and works once. If you didn't ask for it, you can ignore this mail.`
+    ].join("\n")
+  });
+}
+
+// Set a new password with a reset token. Every session of the user is signed out, and since the link
+// reached the user's address, the address counts as verified.
+async function resetPassword(token, password) {
+  // Checked first so a weak password doesn't use up the link
+  if (typeof password !== "string" || !validator.isStrongPassword(password)) {
+    throw createHttpError(400, "Enter a strong password");
+  }
+  const record = await consumeToken(token, "reset-password");
+  if (!record) {
+    throw createHttpError(400, "Reset link is invalid or has expired");
+  }
+  const user = await User.findById(record.userId);
+  if (!user || user.emailId !== record.email) {
+    throw createHttpError(400, "Reset link is invalid or has expired");
+  }
+
+  user.password = await bcrypt.hash(password, 10);
+  if (!user.verified) {
+    user.verified = true;
+    user.verifiedAt = new Date();
+  }
+  await user.save();
+  await revokeAllSessions(user._id, "password-reset");
+  return user;
+}
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+};
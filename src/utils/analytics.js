@@ -0,0 +1,273 @@
+const os = require("os");
+const mongoose = require("mongoose");
+const ViewEvent = require("../models/viewEvent");
+const ViewSession = require("../models/viewSession");
+const Video = require("../models/video");
+const User = require("../models/user");
+const { createHttpError } = require("./httpError");
+
+const EVENT_TYPES = ViewEvent.schema.path("type").enumValues;
+const MAX_EVENTS_PER_REQUEST = 100;
+const RETENTION_BUCKET_SECONDS = 5;
+// A session counts as completed once it played up to this share of the video (or sent "ended")
+const COMPLETION_THRESHOLD = 0.95;
+// Played ranges longer than the time that passed allow for (at up to 2x speed, plus slack) are ignored
+const MAX_PLAYBACK_RATE = 2;
+const PLAYED_RANGE_SLACK_SECONDS = 2;
+// Player clocks further off than this are ignored in favour of the server's
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+const ROLLUP_BATCH_SESSIONS = 200;
+const ROLLUP_LEASE_MS = 5 * 60 * 1000;
+const MAX_LISTED_VIEWERS = 50;
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+const RUNNER_ID = `${os.hostname()}:${process.pid}`;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Validate a batch from a player: { sessionId, viewerId?, events: [{ type, position, from?, at? }] }.
+// Signed-in viewers are identified by their user id, others by the player's anonymous viewerId.
+const parseViewEvents = (video, userId, { sessionId, viewerId, events } = {}) => {
+  if (typeof sessionId !== "string" || !ID_PATTERN.test(sessionId)) {
+    throw createHttpError(400, "sessionId is required (up to 64 letters, digits, - or _)");
+  }
+  if (viewerId !== undefined && (typeof viewerId !== "string" || !ID_PATTERN.test(viewerId))) {
+    throw createHttpError(400, "viewerId must be up to 64 letters, digits, - or _");
+  }
+  if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENTS_PER_REQUEST) {
+    throw createHttpError(400, `events must be a list of 1 to ${MAX_EVENTS_PER_REQUEST} events`);
+  }
+
+  const now = Date.now();
+  const viewerKey = userId ? `user:${userId}` : `anon:${viewerId || sessionId}`;
+  // Positions past the end are clamped so bogus values can't stretch the retention curve
+  const toPosition = (value) => Math.min(Math.max(value, 0), video.duration || value);
+
+  return events.map((event, index) => {
+    if (!event || !EVENT_TYPES.includes(event.type)) {
+      throw createHttpError(400, `events[${index}].type must be one of: ${EVENT_TYPES.join(", ")}`);
+    }
+    const position = Number(event.position);
+    if (!Number.isFinite(position)) {
+      throw createHttpError(400, `events[${index}].position must be a number of seconds`);
+    }
+    const from = event.from === undefined || event.from === null ? null : Number(event.from);
+    if (from !== null && !Number.isFinite(from)) {
+      throw createHttpError(400, `events[${index}].from must be a number of seconds`);
+    }
+    const at = event.at ? new Date(event.at).getTime() : NaN;
+
+    return {
+      videoId: video._id,
+      sessionId,
+      viewerKey,
+      userId: userId || null,
+      type: event.type,
+      position: toPosition(position),
+      from: from === null ? null : toPosition(from),
+      occurredAt: new Date(Math.abs(at - now) <= MAX_CLOCK_SKEW_MS ? at : now)
+    };
+  });
+};
+
+async function recordViewEvents(video, userId, body) {
+  const events = parseViewEvents(video, userId, body);
+  await ViewEvent.insertMany(events);
+  return events.length;
+}
+
+// Count `start`..`end` (seconds) as played if the wall-clock time since the last event allows for it.
+// Gaps a player didn't report (pauses, buffering) are thereby not counted.
+const addPlayedRange = (session, buckets, start, end, elapsedSeconds) => {
+  const length = end - start;
+  if (length <= 0 || length > elapsedSeconds * MAX_PLAYBACK_RATE + PLAYED_RANGE_SLACK_SECONDS) return;
+
+  session.watchTime += length;
+  session.maxPosition = Math.max(session.maxPosition, end);
+  for (let bucket = Math.floor(start / RETENTION_BUCKET_SECONDS); bucket * RETENTION_BUCKET_SECONDS < end; bucket++) {
+    buckets.add(bucket);
+  }
+};
+
+// Advance a session by one event. While playing, the range from the last position up to this
+// event's position (or a seek's starting point) was watched.
+const applyEvent = (session, buckets, event) => {
+  // Late or duplicate events can't be placed on the timeline anymore
+  if (event.occurredAt < session.lastEventAt) return;
+
+  if (session.playing) {
+    const end = event.type === "seek" ? (event.from ?? session.lastPosition) : event.position;
+    addPlayedRange(session, buckets, session.lastPosition, end, (event.occurredAt - session.lastEventAt) / 1000);
+  }
+  if (event.type === "play" || event.type === "heartbeat") {
+    session.playing = true;
+  }
+  if (event.type === "ended") {
+    session.playing = false;
+    session.completed = true;
+  }
+  session.lastPosition = event.position;
+  session.lastEventAt = event.occurredAt;
+};
+
+// Fold the events of one session (in order) into its ViewSession
+async function rollUpSession({ videoId, sessionId }, events, duration) {
+  const first = events[0];
+  const session = await ViewSession.findOne({ videoId, sessionId }) || new ViewSession({
+    videoId,
+    sessionId,
+    viewerKey: first.viewerKey,
+    userId: first.userId,
+    startedAt: first.occurredAt,
+    lastEventAt: first.occurredAt,
+    lastPosition: first.position
+  });
+
+  const buckets = new Set(session.buckets);
+  for (const event of events) {
+    applyEvent(session, buckets, event);
+  }
+  session.buckets = [...buckets].sort((a, b) => a - b);
+  if (duration && session.maxPosition >= duration * COMPLETION_THRESHOLD) {
+    session.completed = true;
+  }
+  await session.save();
+}
+
+// Roll raw events up into view sessions and delete them, optionally only those of one video.
+// Events are claimed per session with a lease, so concurrent runs (several app instances,
+// an analytics request during the periodic rollup) don't count an event twice.
+async function rollUpViewEvents({ videoId = null } = {}) {
+  let processed = 0;
+
+  for (;;) {
+    const now = new Date();
+    const unclaimed = { $or: [{ claimedUntil: null }, { claimedUntil: { $lte: now } }] };
+    const sessions = await ViewEvent.aggregate([
+      { $match: videoId ? { videoId: new mongoose.Types.ObjectId(String(videoId)), ...unclaimed } : unclaimed },
+      { $group: { _id: { videoId: "$videoId", sessionId: "$sessionId" } } },
+      { $limit: ROLLUP_BATCH_SESSIONS }
+    ]);
+    if (sessions.length === 0) break;
+
+    const videos = await Video.find({ _id: { $in: sessions.map(session => session._id.videoId) } }).select("duration").lean();
+    const durations = new Map(videos.map(video => [video._id.toString(), video.duration]));
+
+    for (const { _id: key } of sessions) {
+      const claim = `${RUNNER_ID}:${new mongoose.Types.ObjectId()}`;
+      await ViewEvent.updateMany(
+        { videoId: key.videoId, sessionId: key.sessionId, ...unclaimed },
+        { $set: { claimedBy: claim, claimedUntil: new Date(Date.now() + ROLLUP_LEASE_MS) } }
+      );
+      const events = await ViewEvent.find({ claimedBy: claim }).sort({ occurredAt: 1, _id: 1 }).lean();
+      if (events.length === 0) continue;
+
+      try {
+        await rollUpSession(key, events, durations.get(key.videoId.toString()));
+      } catch (error) {
+        // Another run created the session first, add to that one
+        if (error.code !== 11000) throw error;
+        await rollUpSession(key, events, durations.get(key.videoId.toString()));
+      }
+      await ViewEvent.deleteMany({ claimedBy: claim });
+      processed += events.length;
+    }
+  }
+
+  return processed;
+}
+
+// Stats of the sessions started between `from` and `to` (both optional)
+async function getVideoAnalytics(video, { from = null, to = null } = {}) {
+  const match = { videoId: video._id };
+  if (from || to) {
+    match.startedAt = {};
+    if (from) match.startedAt.$gte = from;
+    if (to) match.startedAt.$lte = to;
+  }
+
+  const [result] = await ViewSession.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            views: { $sum: 1 },
+            watchTime: { $sum: "$watchTime" },
+            completed: { $sum: { $cond: ["$completed", 1, 0] } }
+          }
+        }],
+        uniqueViewers: [{ $group: { _id: "$viewerKey" } }, { $count: "count" }],
+        retention: [{ $unwind: "$buckets" }, { $group: { _id: "$buckets", views: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+        viewers: [
+          { $match: { userId: { $ne: null } } },
+          {
+            $group: {
+              _id: "$userId",
+              views: { $sum: 1 },
+              watchTime: { $sum: "$watchTime" },
+              maxPosition: { $max: "$maxPosition" },
+              completed: { $max: "$completed" },
+              lastWatchedAt: { $max: "$lastEventAt" }
+            }
+          },
+          { $sort: { lastWatchedAt: -1 } },
+          { $limit: MAX_LISTED_VIEWERS }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { views: 0, watchTime: 0, completed: 0 };
+  const viewsByBucket = new Map(result.retention.map(bucket => [bucket._id, bucket.views]));
+  const bucketCount = video.duration
+    ? Math.ceil(video.duration / RETENTION_BUCKET_SECONDS)
+    : (result.retention.length ? result.retention[result.retention.length - 1]._id + 1 : 0);
+
+  const users = await User.find({ _id: { $in: result.viewers.map(viewer => viewer._id) } }).select("name emailId").lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return {
+    from,
+    to,
+    views: totals.views,
+    uniqueViewers: result.uniqueViewers[0]?.count || 0,
+    totalWatchTime: round(totals.watchTime),
+    averageWatchTime: totals.views ? round(totals.watchTime / totals.views) : 0,
+    completionRate: totals.views ? round(totals.completed / totals.views, 3) : 0,
+    bucketSeconds: RETENTION_BUCKET_SECONDS,
+    // Share of views that watched each part of the video
+    retention: Array.from({ length: bucketCount }, (_, bucket) => ({
+      start: bucket * RETENTION_BUCKET_SECONDS,
+      views: viewsByBucket.get(bucket) || 0,
+      rate: totals.views ? round((viewsByBucket.get(bucket) || 0) / totals.views, 3) : 0
+    })),
+    // Signed-in viewers, most recent first
+    viewers: result.viewers.map(viewer => ({
+      userId: viewer._id,
+      name: usersById.get(viewer._id.toString())?.name || null,
+      email: usersById.get(viewer._id.toString())?.emailId || null,
+      views: viewer.views,
+      watchTime: round(viewer.watchTime),
+      furthestPosition: round(viewer.maxPosition),
+      completed: viewer.completed,
+      lastWatchedAt: viewer.lastWatchedAt
+    }))
+  };
+}
+
+// Remove all analytics of a video
+async function deleteVideoAnalytics(videoId) {
+  await ViewEvent.deleteMany({ videoId });
+  await ViewSession.deleteMany({ videoId });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  RETENTION_BUCKET_SECONDS,
+  recordViewEvents,
+  rollUpViewEvents,
+  getVideoAnalytics,
+  deleteVideoAnalytics
+};
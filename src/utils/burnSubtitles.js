@@ -2,8 +2,11 @@ const { spawn } = require("child_process");
 const path = require("path");
 const fs = require("fs");
 const ffmpegPath = require("ffmpeg-static");
+const { createFfmpegProgressParser } = require("./ffmpegProgress");
 
-const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
+// `onProgress(percent)` is optional and receives the encode progress parsed from ffmpeg's output.
+// `chaptersPath` optionally points to an ffmetadata file whose chapters are embedded in the output.
+const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir, { onProgress, chaptersPath } = {}) => {
     return new Promise((resolve, reject) => {
         // Validate input files
         if (!fs.existsSync(videoPath)) {
@@ -12,6 +15,9 @@ const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
         if (!fs.existsSync(srtPath)) {
             return reject(new Error(`Subtitle file not found: ${srtPath}`));
         }
+        if (chaptersPath && !fs.existsSync(chaptersPath)) {
+            return reject(new Error(`Chapters file not found: ${chaptersPath}`));
+        }
 
         // Ensure output directory exists
         if (!fs.existsSync(outputDir)) {
@@ -82,8 +88,17 @@ const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
 
 
 
-                const ffmpegArgs = [
-                    '-i', normalizedVideoPath,
+                const ffmpegArgs = ['-i', normalizedVideoPath];
+                if (chaptersPath) {
+                    // Streams from the video, chapters from the metadata file
+                    ffmpegArgs.push(
+                        '-i', chaptersPath.replace(/\\/g, '/'),
+                        '-map', '0:v:0',
+                        '-map', '0:a?',
+                        '-map_chapters', '1'
+                    );
+                }
+                ffmpegArgs.push(
                     '-vf', subtitleFilter,
                     '-c:v', 'libx264',
                     '-preset', 'fast',
@@ -92,7 +107,7 @@ const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
                     '-movflags', '+faststart',
                     '-y',
                     normalizedOutputPath
-                ];
+                );
 
                 console.log(`\n🎬 FFmpeg path: ${ffmpegPath}`);
                 console.log(`📁 Input: ${normalizedVideoPath}`);
@@ -103,9 +118,11 @@ const burnSubtitlesIntoVideo = (videoPath, srtPath, outputDir) => {
                 const ffmpeg = spawn(ffmpegPath, ffmpegArgs, { windowsHide: true });
 
                 let stderr = "";
+                const parseProgress = createFfmpegProgressParser(onProgress);
                 ffmpeg.stderr.on("data", (data) => {
                     const msg = data.toString();
                     stderr += msg;
+                    parseProgress(msg);
                     console.log(msg.trim()); // ✅ print all stderr for debugging
                 });
 
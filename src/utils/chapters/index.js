@@ -0,0 +1,131 @@
+const topicShiftProvider = require("./topicShiftProvider");
+const openaiProvider = require("./openaiProvider");
+const stubProvider = require("./stubProvider");
+const { formatTimestamp } = require("../subtitles");
+const { createHttpError } = require("../httpError");
+
+// Every provider exposes: name, label, generate(cues, { duration, title }) -> [{ start, title }]
+const CHAPTER_PROVIDERS = {
+  [topicShiftProvider.name]: topicShiftProvider,
+  [openaiProvider.name]: openaiProvider,
+  [stubProvider.name]: stubProvider
+};
+
+const DEFAULT_CHAPTER_PROVIDER = process.env.CHAPTER_PROVIDER || "topics";
+// Whether uploads get chapters when they don't say (the chapters processing option)
+const CHAPTERS_BY_DEFAULT = process.env.GENERATE_CHAPTERS !== "false";
+
+const MAX_CHAPTERS = 100;
+const MAX_CHAPTER_TITLE_LENGTH = 100;
+// Chapters closer together than this are merged (generated) or rejected (edited)
+const MIN_CHAPTER_GAP_SECONDS = 1;
+
+const getChapterProvider = (name = DEFAULT_CHAPTER_PROVIDER) => {
+  const provider = CHAPTER_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown chapter provider "${name}"`);
+  }
+  return provider;
+};
+
+const listChapterProviders = () => Object.values(CHAPTER_PROVIDERS).map(({ name, label }) => ({ name, label }));
+
+const cleanTitle = (title) => String(title ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_CHAPTER_TITLE_LENGTH);
+
+// Keep generated chapters usable whatever the provider answered: inside the video, in order,
+// apart from each other, with a title, and the first one at the start
+const normalizeGeneratedChapters = (chapters, duration) => {
+  const valid = (Array.isArray(chapters) ? chapters : [])
+    .map(chapter => ({ start: Math.round(Number(chapter?.start) * 1000) / 1000, title: cleanTitle(chapter?.title) }))
+    .filter(chapter => Number.isFinite(chapter.start) && chapter.start >= 0 && chapter.title)
+    .filter(chapter => !duration || chapter.start < duration)
+    .sort((a, b) => a.start - b.start);
+
+  const normalized = [];
+  for (const chapter of valid) {
+    const previous = normalized[normalized.length - 1];
+    if (!previous || chapter.start - previous.start >= MIN_CHAPTER_GAP_SECONDS) {
+      normalized.push(chapter);
+    }
+  }
+  if (normalized.length > 0) {
+    normalized[0].start = 0;
+  }
+  return normalized.slice(0, MAX_CHAPTERS);
+};
+
+// Generate chapters for transcript cues; an empty list when the provider found no structure
+const generateChapters = async (cues, { provider = DEFAULT_CHAPTER_PROVIDER, duration = 0, title = "" } = {}) => {
+  const chapters = await getChapterProvider(provider).generate(cues, { duration, title });
+  return normalizeGeneratedChapters(chapters, duration);
+};
+
+// Validate chapters sent by a user: [{ start: seconds, title }], the first at 0, in order.
+// An empty list removes the chapters.
+const parseChapters = (chapters, duration) => {
+  if (!Array.isArray(chapters)) {
+    throw createHttpError(400, "chapters must be a list of { start, title }");
+  }
+  if (chapters.length > MAX_CHAPTERS) {
+    throw createHttpError(400, `At most ${MAX_CHAPTERS} chapters are allowed`);
+  }
+
+  const parsed = chapters.map((chapter, i) => {
+    const start = Number(chapter?.start);
+    const title = cleanTitle(chapter?.title);
+    if (!Number.isFinite(start) || start < 0 || (duration && start >= duration)) {
+      throw createHttpError(400, `chapters[${i}].start must be a number of seconds within the video`);
+    }
+    if (!title) {
+      throw createHttpError(400, `chapters[${i}].title is required`);
+    }
+    return { start: Math.round(start * 1000) / 1000, title };
+  });
+
+  if (parsed.length > 0 && parsed[0].start !== 0) {
+    throw createHttpError(400, "The first chapter must start at 0");
+  }
+  parsed.forEach((chapter, i) => {
+    if (i > 0 && chapter.start - parsed[i - 1].start < MIN_CHAPTER_GAP_SECONDS) {
+      throw createHttpError(400, `chapters[${i}] must start at least ${MIN_CHAPTER_GAP_SECONDS}s after the previous one`);
+    }
+  });
+  return parsed;
+};
+
+// Chapters with the end of each: the start of the next one, or the end of the video
+const withChapterEnds = (chapters, duration) => chapters.map((chapter, i) => ({
+  start: chapter.start,
+  end: i + 1 < chapters.length ? chapters[i + 1].start : Math.max(duration || 0, chapter.start + MIN_CHAPTER_GAP_SECONDS),
+  title: chapter.title
+}));
+
+// WebVTT chapters track (<track kind="chapters">)
+const serializeChaptersVtt = (chapters, duration) => {
+  const blocks = withChapterEnds(chapters, duration).map((chapter, i) =>
+    `${i + 1}\n${formatTimestamp(chapter.start, ".")} --> ${formatTimestamp(chapter.end, ".")}\n${chapter.title}\n`
+  );
+  return `WEBVTT\n\n${blocks.join("\n")}`;
+};
+
+// ffmpeg metadata file with the chapters, read with -map_chapters to embed them in MP4 files
+const serializeFfmetadata = (chapters, duration) => {
+  const escape = (value) => value.replace(/[=;#\\\n]/g, match => `\\${match}`);
+  const blocks = withChapterEnds(chapters, duration).map(chapter =>
+    `[CHAPTER]\nTIMEBASE=1/1000\nSTART=${Math.round(chapter.start * 1000)}\nEND=${Math.round(chapter.end * 1000)}\ntitle=${escape(chapter.title)}\n`
+  );
+  return `;FFMETADATA1\n\n${blocks.join("\n")}`;
+};
+
+module.exports = {
+  DEFAULT_CHAPTER_PROVIDER,
+  CHAPTERS_BY_DEFAULT,
+  MIN_CHAPTER_GAP_SECONDS,
+  getChapterProvider,
+  listChapterProviders,
+  generateChapters,
+  parseChapters,
+  withChapterEnds,
+  serializeChaptersVtt,
+  serializeFfmetadata
+};
@@ -0,0 +1,54 @@
+const OpenAI = require("openai");
+const { toTimedTranscriptParts } = require("../subtitles");
+
+const MODEL = process.env.OPENAI_CHAPTER_MODEL || "gpt-4o-mini";
+// Transcript characters sent per request; longer transcripts are split into parts
+const CHUNK_CHARS = parseInt(process.env.CHAPTER_CHUNK_CHARS) || 12000;
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY is not configured");
+    }
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+// Splits a transcript into chapters with a chat model, part by part for long recordings
+const openaiProvider = {
+  name: "openai",
+  label: "OpenAI",
+
+  async generate(cues, { title }) {
+    const parts = toTimedTranscriptParts(cues, CHUNK_CHARS);
+    const chapters = [];
+
+    for (let i = 0; i < parts.length; i++) {
+      const section = parts.length > 1 ? ` This is part ${i + 1} of ${parts.length} of the transcript.` : "";
+      const completion = await getClient().chat.completions.create({
+        model: MODEL,
+        temperature: 0,
+        response_format: { type: "json_object" },
+        messages: [
+          {
+            role: "system",
+            content: `You split transcripts of recorded videos${title ? ` titled "${title}"` : ""} into chapters ` +
+              `where the topic changes, typically every few minutes.${section} Lines start with the time they were said at. ` +
+              `Answer with {"chapters": [{"start": <seconds>, "title": "..."}]}, start times taken from the lines, ` +
+              `titles of at most 60 characters in the language of the transcript.`
+          },
+          { role: "user", content: parts[i] }
+        ]
+      });
+
+      const result = JSON.parse(completion.choices[0].message.content);
+      chapters.push(...(Array.isArray(result.chapters) ? result.chapters : []));
+    }
+
+    return chapters;
+  }
+};
+
+module.exports = openaiProvider;
@@ -0,0 +1,24 @@
+// Deterministic stand-in for the LLM provider in offline development and tests:
+// evenly spaced chapters titled with the first words spoken in each
+const TARGET_CHAPTER_SECONDS = 120;
+const MAX_CHAPTERS = 6;
+const TITLE_WORDS = 6;
+
+const stubProvider = {
+  name: "stub",
+  label: "Stub (offline testing)",
+
+  async generate(cues, { duration }) {
+    const length = duration || (cues.length ? cues[cues.length - 1].end : 0);
+    const count = Math.min(MAX_CHAPTERS, Math.max(2, Math.floor(length / TARGET_CHAPTER_SECONDS)));
+
+    return Array.from({ length: count }, (_, i) => {
+      const start = Math.floor((length / count) * i);
+      const cue = cues.find(candidate => candidate.start >= start && candidate.text.trim());
+      const words = cue ? cue.text.replace(/\s+/g, " ").trim().split(" ").slice(0, TITLE_WORDS).join(" ") : "";
+      return { start, title: words || `Chapter ${i + 1}` };
+    });
+  }
+};
+
+module.exports = stubProvider;
@@ -0,0 +1,121 @@
+// Chapters from changes of vocabulary in the transcript (a simplified TextTiling): the transcript is cut
+// into blocks of a few seconds, and chapters start where the words used before and after a point overlap least.
+// Works offline and for any language, titles are the words that stand out in each chapter.
+const BLOCK_SECONDS = 20;
+// Blocks compared on each side of a possible boundary
+const WINDOW_BLOCKS = 3;
+const MIN_CHAPTER_SECONDS = parseInt(process.env.CHAPTER_MIN_SECONDS) || 60;
+// Words found in more than this share of blocks carry no topic ("the", "and", ...)
+const COMMON_WORD_SHARE = 0.5;
+const TITLE_WORDS = 3;
+
+const tokenize = (text) => text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+
+const countWords = (words, into = new Map()) => {
+  for (const word of words) into.set(word, (into.get(word) || 0) + 1);
+  return into;
+};
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [word, count] of a) {
+    normA += count * count;
+    if (b.has(word)) dot += count * b.get(word);
+  }
+  for (const count of b.values()) normB += count * count;
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Word counts per block, without the words common to most blocks
+const toBlocks = (cues, duration) => {
+  const blockCount = Math.max(1, Math.ceil(duration / BLOCK_SECONDS));
+  const blocks = Array.from({ length: blockCount }, () => new Map());
+  for (const cue of cues) {
+    const index = Math.min(blockCount - 1, Math.floor(cue.start / BLOCK_SECONDS));
+    countWords(tokenize(cue.text), blocks[index]);
+  }
+
+  const blockFrequency = new Map();
+  blocks.forEach(block => block.forEach((count, word) => blockFrequency.set(word, (blockFrequency.get(word) || 0) + 1)));
+  const common = new Set([...blockFrequency].filter(([, frequency]) => frequency > blocks.length * COMMON_WORD_SHARE).map(([word]) => word));
+  blocks.forEach(block => common.forEach(word => block.delete(word)));
+  return blocks;
+};
+
+const mergeBlocks = (blocks) => blocks.reduce((merged, block) => {
+  block.forEach((count, word) => merged.set(word, (merged.get(word) || 0) + count));
+  return merged;
+}, new Map());
+
+// How much lower the similarity at each gap is than the peaks around it
+const depthScores = (similarities) => similarities.map((similarity, i) => {
+  let left = i;
+  while (left > 0 && similarities[left - 1] >= similarities[left]) left--;
+  let right = i;
+  while (right < similarities.length - 1 && similarities[right + 1] >= similarities[right]) right++;
+  return (similarities[left] - similarity) + (similarities[right] - similarity);
+});
+
+// The most distinctive words of each chapter, compared with the other chapters
+const titleChapters = (segments) => {
+  const chapterFrequency = new Map();
+  segments.forEach(segment => segment.forEach((count, word) => chapterFrequency.set(word, (chapterFrequency.get(word) || 0) + 1)));
+
+  return segments.map((segment, i) => {
+    const words = [...segment]
+      .map(([word, count]) => [word, count * Math.log(1 + segments.length / chapterFrequency.get(word))])
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, TITLE_WORDS)
+      .map(([word]) => word);
+    if (words.length === 0) return `Chapter ${i + 1}`;
+    const title = words.join(", ");
+    return title.charAt(0).toUpperCase() + title.slice(1);
+  });
+};
+
+const topicShiftProvider = {
+  name: "topics",
+  label: "Topic shifts (offline)",
+
+  async generate(cues, { duration }) {
+    const length = duration || (cues.length ? cues[cues.length - 1].end : 0);
+    const blocks = toBlocks(cues, length);
+    if (blocks.length < WINDOW_BLOCKS * 2) return [];
+
+    // similarities[i]: between the blocks before and after the start of block i + 1
+    const similarities = [];
+    for (let gap = 1; gap < blocks.length; gap++) {
+      similarities.push(cosine(
+        mergeBlocks(blocks.slice(Math.max(0, gap - WINDOW_BLOCKS), gap)),
+        mergeBlocks(blocks.slice(gap, gap + WINDOW_BLOCKS))
+      ));
+    }
+    const depths = depthScores(similarities);
+    const mean = depths.reduce((sum, depth) => sum + depth, 0) / depths.length;
+
+    // Deepest valleys first, keeping chapters at least MIN_CHAPTER_SECONDS long
+    const starts = [0];
+    depths
+      .map((depth, i) => ({ depth, start: (i + 1) * BLOCK_SECONDS }))
+      .filter(candidate => candidate.depth > mean && candidate.depth > 0)
+      .sort((a, b) => b.depth - a.depth)
+      .forEach(({ start }) => {
+        const fits = length - start >= MIN_CHAPTER_SECONDS &&
+          starts.every(existing => Math.abs(existing - start) >= MIN_CHAPTER_SECONDS);
+        if (fits) starts.push(start);
+      });
+    if (starts.length < 2) return [];
+    starts.sort((a, b) => a - b);
+
+    const segments = starts.map((start, i) => mergeBlocks(blocks.slice(
+      start / BLOCK_SECONDS,
+      i + 1 < starts.length ? starts[i + 1] / BLOCK_SECONDS : blocks.length
+    )));
+    const titles = titleChapters(segments);
+    return starts.map((start, i) => ({ start, title: titles[i] }));
+  }
+};
+
+module.exports = topicShiftProvider;
@@ -0,0 +1,231 @@
+const mongoose = require("mongoose");
+const Comment = require("../models/comment");
+const User = require("../models/user");
+const { canAccessVideoAs } = require("./workspaces");
+const { createHttpError } = require("./httpError");
+
+const MAX_COMMENT_LENGTH = 5000;
+// @mentions are written as @ followed by the user's email, e.g. "@jane@example.com"
+const MENTION_PATTERN = /(?:^|[^\w@])@([^\s@]+@[^\s@]+\.[^\s@]*[^\s@.,;:!?)\]}'"])/g;
+
+const isSameUser = (a, b) => String(a) === String(b);
+
+// Who may do what with the comments of a video:
+//   anyone who can view it reads, writes and replies; authors edit and delete their own comments;
+//   whoever can delete the video (its uploader, workspace admins) moderates, i.e. deletes any comment;
+//   thread authors and editors resolve threads
+const canModerateComments = (userId, video) => canAccessVideoAs(userId, video, "delete");
+
+async function canResolveThread(userId, video, thread) {
+  return isSameUser(thread.authorId, userId) || canAccessVideoAs(userId, video, "edit");
+}
+
+const parseBody = (body) => {
+  const text = typeof body === "string" ? body.trim() : "";
+  if (!text) {
+    throw createHttpError(400, "body is required");
+  }
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw createHttpError(400, `body must be at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return text;
+};
+
+// Seconds into the video, or null. Must fall within the video when its duration is known.
+const parseTimestamp = (value, video) => {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw createHttpError(400, "timestamp must be a non-negative number of seconds");
+  }
+  if (video.duration && seconds > video.duration) {
+    throw createHttpError(400, `timestamp must be at most the video duration (${video.duration}s)`);
+  }
+  return Math.round(seconds * 1000) / 1000;
+};
+
+// Users mentioned in `body` who can see the video; other addresses are left as plain text
+async function resolveMentions(body, video) {
+  const emails = [...new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()))];
+  if (emails.length === 0) return [];
+
+  const users = await User.find({ emailId: { $in: emails } }).select("_id").lean();
+  const allowed = await Promise.all(users.map(user => canAccessVideoAs(user._id, video, "view")));
+  return users.filter((user, index) => allowed[index]).map(user => user._id);
+}
+
+// Names of the authors and mentioned users of `comments`, by id
+async function loadCommentUsers(comments) {
+  const ids = new Set();
+  for (const comment of comments) {
+    ids.add(comment.authorId.toString());
+    comment.mentions.forEach(id => ids.add(id.toString()));
+  }
+  const users = await User.find({ _id: { $in: [...ids] } }).select("name").lean();
+  return new Map(users.map(user => [user._id.toString(), user]));
+}
+
+// Shape of a comment returned to clients
+const formatComment = (comment, usersById, userId) => ({
+  id: comment._id,
+  parentId: comment.parentId,
+  timestamp: comment.timestamp,
+  body: comment.body,
+  author: {
+    id: comment.authorId,
+    name: usersById.get(comment.authorId.toString())?.name || null
+  },
+  mentions: comment.mentions.map(id => ({
+    id,
+    name: usersById.get(id.toString())?.name || null
+  })),
+  resolved: Boolean(comment.resolvedAt),
+  resolvedAt: comment.resolvedAt,
+  resolvedBy: comment.resolvedBy,
+  editedAt: comment.editedAt,
+  isAuthor: isSameUser(comment.authorId, userId),
+  createdAt: comment.createdAt
+});
+
+// A single comment in the shape returned to clients
+async function describeComment(comment, userId) {
+  return formatComment(comment, await loadCommentUsers([comment]), userId);
+}
+
+// Threads of a video ordered by timestamp (comments on the whole video last), each with its replies.
+// `resolved` (true/false) keeps only resolved or unresolved threads.
+async function listCommentThreads(video, userId, { resolved } = {}) {
+  const threadFilter = { videoId: video._id, parentId: null };
+  if (resolved !== undefined) {
+    threadFilter.resolvedAt = resolved ? { $ne: null } : null;
+  }
+
+  const threads = await Comment.find(threadFilter).lean();
+  const replies = await Comment.find({ videoId: video._id, parentId: { $in: threads.map(thread => thread._id) } })
+    .sort({ createdAt: 1 })
+    .lean();
+  const usersById = await loadCommentUsers([...threads, ...replies]);
+
+  threads.sort((a, b) =>
+    (a.timestamp ?? Infinity) - (b.timestamp ?? Infinity) || a.createdAt - b.createdAt
+  );
+  return threads.map(thread => ({
+    ...formatComment(thread, usersById, userId),
+    replies: replies
+      .filter(reply => reply.parentId.equals(thread._id))
+      .map(reply => formatComment(reply, usersById, userId))
+  }));
+}
+
+// Comment `commentId` of the video, 404 when there is none
+async function findVideoComment(video, commentId) {
+  const comment = mongoose.isValidObjectId(commentId) && await Comment.findOne({ _id: commentId, videoId: video._id });
+  if (!comment) {
+    throw createHttpError(404, "Comment not found");
+  }
+  return comment;
+}
+
+// Start a thread, or reply to one with `parentId`. Replies to a reply go to the same thread.
+async function createComment(video, userId, { body, timestamp, parentId } = {}) {
+  const text = parseBody(body);
+  let thread = null;
+  if (parentId) {
+    const parent = await findVideoComment(video, parentId);
+    thread = parent.parentId ? await findVideoComment(video, parent.parentId) : parent;
+    if (timestamp !== undefined && timestamp !== null) {
+      throw createHttpError(400, "Replies can't have their own timestamp");
+    }
+  }
+
+  const comment = new Comment({
+    videoId: video._id,
+    authorId: userId,
+    parentId: thread ? thread._id : null,
+    timestamp: thread ? null : parseTimestamp(timestamp, video),
+    body: text,
+    mentions: await resolveMentions(text, video)
+  });
+  await comment.save();
+  return comment;
+}
+
+// Apply { body, timestamp, resolved } to a comment. Only the author edits the body and timestamp;
+// `resolved` applies to top-level comments and is up to the thread's author and editors.
+async function updateComment(video, comment, userId, { body, timestamp, resolved } = {}) {
+  if (body === undefined && timestamp === undefined && resolved === undefined) {
+    throw createHttpError(400, "Nothing to update, send body, timestamp or resolved");
+  }
+
+  if (body !== undefined || timestamp !== undefined) {
+    if (!isSameUser(comment.authorId, userId)) {
+      throw createHttpError(403, "Only the author can edit a comment");
+    }
+    if (body !== undefined) {
+      comment.body = parseBody(body);
+      comment.mentions = await resolveMentions(comment.body, video);
+    }
+    if (timestamp !== undefined) {
+      if (comment.parentId) {
+        throw createHttpError(400, "Replies can't have their own timestamp");
+      }
+      comment.timestamp = parseTimestamp(timestamp, video);
+    }
+    comment.editedAt = new Date();
+  }
+
+  if (resolved !== undefined) {
+    if (typeof resolved !== "boolean") {
+      throw createHttpError(400, "resolved must be true or false");
+    }
+    if (comment.parentId) {
+      throw createHttpError(400, "Only threads can be resolved, resolve the top-level comment");
+    }
+    if (!(await canResolveThread(userId, video, comment))) {
+      throw createHttpError(403, "Only the thread's author or an editor can resolve it");
+    }
+    if (resolved !== Boolean(comment.resolvedAt)) {
+      comment.resolvedAt = resolved ? new Date() : null;
+      comment.resolvedBy = resolved ? userId : null;
+    }
+  }
+
+  await comment.save();
+  return comment;
+}
+
+// Delete a comment (and its replies when it starts a thread). Authors delete their own, moderators any.
+async function deleteComment(video, comment, userId) {
+  if (!isSameUser(comment.authorId, userId) && !(await canModerateComments(userId, video))) {
+    throw createHttpError(403, "Only the author or the video's owner can delete this comment");
+  }
+  const { deletedCount } = await Comment.deleteMany({ $or: [{ _id: comment._id }, { parentId: comment._id }] });
+  return deletedCount;
+}
+
+// Comment totals and unresolved thread counts of several videos, by video id
+async function countComments(videoIds) {
+  const counts = await Comment.aggregate([
+    { $match: { videoId: { $in: videoIds } } },
+    {
+      $group: {
+        _id: "$videoId",
+        total: { $sum: 1 },
+        unresolved: { $sum: { $cond: [{ $and: [{ $eq: ["$parentId", null] }, { $eq: ["$resolvedAt", null] }] }, 1, 0] } }
+      }
+    }
+  ]);
+  return new Map(counts.map(count => [count._id.toString(), { total: count.total, unresolved: count.unresolved }]));
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  canModerateComments,
+  listCommentThreads,
+  findVideoComment,
+  createComment,
+  updateComment,
+  deleteComment,
+  countComments,
+  describeComment
+};
@@ -0,0 +1,160 @@
+const { createHttpError } = require("./httpError");
+
+// Cue edits are applied in order, each operation seeing the result of the previous one.
+// Indexes are 1-based, like the cue numbers in an SRT file:
+//   { op: "update", index, text?, start?, end? }
+//   { op: "split", index, at, text?: [first, second] }   split at `at` seconds
+//   { op: "merge", index }                                merge cue `index` with the next one
+//   { op: "shift", offset, from?, to? }                   move cues from..to (default: all) by `offset` seconds
+//   { op: "delete", index }
+//   { op: "insert", start, end, text }
+
+// Allowed overshoot of the video duration, to absorb rounding in probed durations
+const DURATION_TOLERANCE_SECONDS = 0.5;
+
+const renumber = (cues) => cues.map((cue, i) => ({ ...cue, index: i + 1 }));
+
+const requireCue = (cues, index, opNumber) => {
+  const position = parseInt(index) - 1;
+  if (!(position >= 0 && position < cues.length)) {
+    throw createHttpError(400, `Operation ${opNumber}: cue ${index} does not exist`);
+  }
+  return position;
+};
+
+const requireNumber = (value, name, opNumber) => {
+  const number = Number(value);
+  if (value === undefined || value === null || !Number.isFinite(number)) {
+    throw createHttpError(400, `Operation ${opNumber}: ${name} must be a number of seconds`);
+  }
+  return number;
+};
+
+// Split text into two halves on a word boundary, proportionally to the split point
+const splitText = (text, ratio) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (words.length < 2) {
+    return [text, ""];
+  }
+  const splitAt = Math.min(words.length - 1, Math.max(1, Math.round(words.length * ratio)));
+  return [words.slice(0, splitAt).join(" "), words.slice(splitAt).join(" ")];
+};
+
+const applyOperation = (cues, operation, opNumber) => {
+  const next = cues.map(cue => ({ ...cue }));
+
+  switch (operation.op) {
+    case "update": {
+      const position = requireCue(next, operation.index, opNumber);
+      const cue = next[position];
+      if (operation.text !== undefined) cue.text = String(operation.text).trim();
+      if (operation.start !== undefined) cue.start = requireNumber(operation.start, "start", opNumber);
+      if (operation.end !== undefined) cue.end = requireNumber(operation.end, "end", opNumber);
+      return next;
+    }
+    case "split": {
+      const position = requireCue(next, operation.index, opNumber);
+      const cue = next[position];
+      const at = requireNumber(operation.at, "at", opNumber);
+      if (!(at > cue.start && at < cue.end)) {
+        throw createHttpError(400, `Operation ${opNumber}: split point must fall inside cue ${operation.index}`);
+      }
+      const [firstText, secondText] = Array.isArray(operation.text)
+        ? operation.text.map(text => String(text).trim())
+        : splitText(cue.text, (at - cue.start) / (cue.end - cue.start));
+      next.splice(position, 1,
+        { ...cue, end: at, text: firstText },
+        { ...cue, start: at, text: secondText }
+      );
+      return renumber(next);
+    }
+    case "merge": {
+      const position = requireCue(next, operation.index, opNumber);
+      if (position + 1 >= next.length) {
+        throw createHttpError(400, `Operation ${opNumber}: cue ${operation.index} has no following cue to merge with`);
+      }
+      const [first, second] = [next[position], next[position + 1]];
+      next.splice(position, 2, {
+        ...first,
+        end: Math.max(first.end, second.end),
+        text: [first.text, second.text].filter(Boolean).join(" ")
+      });
+      return renumber(next);
+    }
+    case "shift": {
+      const offset = requireNumber(operation.offset, "offset", opNumber);
+      const from = operation.from !== undefined ? requireCue(next, operation.from, opNumber) : 0;
+      const to = operation.to !== undefined ? requireCue(next, operation.to, opNumber) : next.length - 1;
+      for (let position = from; position <= to; position++) {
+        next[position].start += offset;
+        next[position].end += offset;
+      }
+      return next;
+    }
+    case "delete": {
+      const position = requireCue(next, operation.index, opNumber);
+      next.splice(position, 1);
+      return renumber(next);
+    }
+    case "insert": {
+      const cue = {
+        start: requireNumber(operation.start, "start", opNumber),
+        end: requireNumber(operation.end, "end", opNumber),
+        text: String(operation.text || "").trim()
+      };
+      next.push(cue);
+      return renumber(next.sort((a, b) => a.start - b.start));
+    }
+    default:
+      throw createHttpError(400, `Operation ${opNumber}: unknown op "${operation.op}"`);
+  }
+};
+
+const applyCueOperations = (cues, operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw createHttpError(400, "operations must be a non-empty array");
+  }
+  return operations.reduce((current, operation, i) => applyOperation(current, operation || {}, i + 1), cues);
+};
+
+// Returns a list of problems: missing or non-numeric timings, empty text, inverted timings, overlaps,
+// cues past the end of the video
+const findCueProblems = (cues, duration = 0) => {
+  const problems = [];
+
+  cues.forEach((cue, i) => {
+    const label = `Cue ${i + 1}`;
+    if (!cue || typeof cue !== "object") {
+      problems.push(`${label}: must be an object with start, end and text`);
+      return;
+    }
+    if (!Number.isFinite(cue.start) || !Number.isFinite(cue.end)) {
+      problems.push(`${label}: start and end must be numbers of seconds`);
+      return;
+    }
+    if (!cue.text) problems.push(`${label}: text is empty`);
+    if (cue.start < 0) problems.push(`${label}: starts before 0`);
+    if (cue.end <= cue.start) problems.push(`${label}: must end after it starts`);
+    if (duration > 0 && cue.end > duration + DURATION_TOLERANCE_SECONDS) {
+      problems.push(`${label}: ends at ${cue.end}s, after the end of the video (${duration}s)`);
+    }
+    const previous = cues[i - 1];
+    if (previous && Number.isFinite(previous.end) && cue.start < previous.end) {
+      problems.push(`${label}: overlaps cue ${i}`);
+    }
+  });
+
+  return problems;
+};
+
+// Apply the operations and make sure the result is a valid caption track
+const editCues = (cues, operations, duration = 0) => {
+  const edited = applyCueOperations(cues, operations);
+  const problems = findCueProblems(edited, duration);
+  if (problems.length > 0) {
+    throw createHttpError(422, "Edited cues are invalid", problems);
+  }
+  return edited;
+};
+
+module.exports = { applyCueOperations, findCueProblems, editCues };
@@ -0,0 +1,92 @@
+const { spawn } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const ffmpegPath = require("ffmpeg-static");
+const { createFfmpegProgressParser } = require("./ffmpegProgress");
+
+// Keep only `ranges` ([{ start, end }] in seconds, in order and not overlapping) of a video and join them.
+// The parts are re-encoded, so cuts are frame-accurate. Chapters and subtitles of the input are dropped.
+// `hasAudio` must be false for videos without an audio stream.
+// `onProgress(percent)` is optional and receives the progress parsed from ffmpeg's output
+const cutVideo = (videoPath, ranges, outputDir, { onProgress, hasAudio = true } = {}) => {
+    return new Promise((resolve, reject) => {
+        if (!fs.existsSync(videoPath)) {
+            return reject(new Error(`Video file not found: ${videoPath}`));
+        }
+        if (ranges.length === 0) {
+            return reject(new Error("No ranges to keep"));
+        }
+
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        const baseName = path.basename(videoPath, path.extname(videoPath));
+        const outputVideoPath = path.join(outputDir, `${baseName}-edited.mp4`);
+
+        // [0:v]trim=...[v0];[0:a]atrim=...[a0];...;[v0][a0][v1][a1]concat=n=2:v=1:a=1[v][a]
+        const filters = [];
+        const inputs = [];
+        ranges.forEach((range, i) => {
+            filters.push(`[0:v]trim=start=${range.start}:end=${range.end},setpts=PTS-STARTPTS[v${i}]`);
+            inputs.push(`[v${i}]`);
+            if (hasAudio) {
+                filters.push(`[0:a]atrim=start=${range.start}:end=${range.end},asetpts=PTS-STARTPTS[a${i}]`);
+                inputs.push(`[a${i}]`);
+            }
+        });
+        filters.push(`${inputs.join('')}concat=n=${ranges.length}:v=1:a=${hasAudio ? 1 : 0}[v]${hasAudio ? '[a]' : ''}`);
+
+        const ffmpegArgs = [
+            '-i', videoPath,
+            '-filter_complex', filters.join(';'),
+            '-map', '[v]'
+        ];
+        if (hasAudio) {
+            ffmpegArgs.push('-map', '[a]', '-c:a', 'aac');
+        }
+        ffmpegArgs.push(
+            '-c:v', 'libx264',
+            '-preset', 'fast',
+            '-crf', '23',
+            '-map_chapters', '-1',
+            '-movflags', '+faststart',
+            '-y',
+            outputVideoPath
+        );
+
+        console.log(`🔧 FFmpeg Args:\n${ffmpegArgs.join(" ")}\n`);
+
+        const ffmpeg = spawn(ffmpegPath, ffmpegArgs, { windowsHide: true });
+
+        let stderr = "";
+        const keptDuration = ranges.reduce((total, range) => total + range.end - range.start, 0);
+        const parseProgress = createFfmpegProgressParser(onProgress, keptDuration);
+        ffmpeg.stderr.on("data", (data) => {
+            const msg = data.toString();
+            stderr += msg;
+            parseProgress(msg);
+        });
+
+        ffmpeg.on("error", (err) => {
+            reject(new Error(`FFmpeg execution failed: ${err.message}`));
+        });
+
+        ffmpeg.on("close", (code) => {
+            if (code !== 0) {
+                console.error("❌ FFmpeg exited with code:", code);
+                console.error("📄 FFmpeg stderr:\n", stderr);
+                return reject(new Error(`FFmpeg exited with code ${code}`));
+            }
+
+            if (!fs.existsSync(outputVideoPath)) {
+                return reject(new Error("Output edited video was not created"));
+            }
+
+            console.log("✅ Edited video created at:", outputVideoPath);
+            resolve(outputVideoPath);
+        });
+    });
+};
+
+module.exports = { cutVideo };
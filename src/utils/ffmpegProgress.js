@@ -0,0 +1,40 @@
+// Helpers for turning ffmpeg's stderr output into a completion percentage
+
+const timestampToSeconds = (hours, minutes, seconds) => {
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+};
+
+// Returns a function to feed stderr chunks into. The total duration is taken from
+// `knownDuration` or, if not given, from the "Duration: ..." line ffmpeg prints for the input.
+// `onProgress(percent)` is called with an integer 0-100 whenever the percentage increases.
+const createFfmpegProgressParser = (onProgress, knownDuration = null) => {
+  let totalDuration = knownDuration;
+  let lastPercent = -1;
+
+  return (data) => {
+    if (!onProgress) return;
+    const text = data.toString();
+
+    if (!totalDuration) {
+      const durationMatch = text.match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+      if (durationMatch) {
+        totalDuration = timestampToSeconds(durationMatch[1], durationMatch[2], durationMatch[3]);
+      }
+    }
+
+    // ffmpeg may print several progress lines in one chunk, the last one is the latest
+    const timeMatches = [...text.matchAll(/time=\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g)];
+    if (!totalDuration || timeMatches.length === 0) return;
+
+    const latest = timeMatches[timeMatches.length - 1];
+    const elapsed = timestampToSeconds(latest[1], latest[2], latest[3]);
+    const percent = Math.min(100, Math.floor((elapsed / totalDuration) * 100));
+
+    if (percent > lastPercent) {
+      lastPercent = percent;
+      onProgress(percent);
+    }
+  };
+};
+
+module.exports = { createFfmpegProgressParser, timestampToSeconds };
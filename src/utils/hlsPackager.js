@@ -0,0 +1,196 @@
+const { spawn } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const ffmpegPath = require("ffmpeg-static");
+const { createFfmpegProgressParser } = require("./ffmpegProgress");
+const { parseSubtitles, serializeVtt } = require("./subtitles");
+const { HLS_SEGMENT_SECONDS, HLS_LADDER } = require("../config/streaming");
+const { probeMedia } = require("./mediaProbe");
+
+// H.264 Main profile, level 4.0 and AAC-LC, as advertised in the master playlist
+const VIDEO_CODEC = 'avc1.4d4028';
+const AUDIO_CODEC = 'mp4a.40.2';
+
+const MASTER_PLAYLIST = 'master.m3u8';
+const SUBTITLE_GROUP = 'subs';
+
+const toEven = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+// Ladder entries that fit the source, each with its output size.
+// Sources smaller than the lowest rung get a single rendition at their own size.
+const selectRenditions = ({ width, height }) => {
+    const shortSide = Math.min(width, height);
+    const portrait = height > width;
+    let ladder = HLS_LADDER.filter(rung => rung.height <= shortSide);
+    if (ladder.length === 0) {
+        const lowest = HLS_LADDER[0];
+        ladder = [{ ...lowest, name: `${toEven(shortSide)}p`, height: toEven(shortSide) }];
+    }
+
+    return ladder.map(rung => {
+        const longSide = toEven((Math.max(width, height) * rung.height) / shortSide);
+        return {
+            ...rung,
+            width: portrait ? rung.height : longSide,
+            outputHeight: portrait ? longSide : rung.height
+        };
+    });
+};
+
+// Encode one rendition into fMP4 segments and a media playlist in `outputDir`
+const encodeRendition = (videoPath, rendition, outputDir, { hasAudio, duration, onProgress }) => {
+    return new Promise((resolve, reject) => {
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        const ffmpegArgs = [
+            '-i', videoPath,
+            '-map', '0:v:0',
+            '-map', '0:a:0?',
+            '-vf', `scale=${rendition.width}:${rendition.outputHeight}`,
+            '-c:v', 'libx264',
+            '-preset', 'veryfast',
+            '-profile:v', 'main',
+            '-level:v', '4.0',
+            '-pix_fmt', 'yuv420p',
+            '-b:v', `${rendition.videoBitrate}k`,
+            '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+            '-bufsize', `${Math.round(rendition.videoBitrate * 1.5)}k`,
+            // Keyframes on segment boundaries so every rendition switches at the same points
+            '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+            '-sc_threshold', '0'
+        ];
+        if (hasAudio) {
+            ffmpegArgs.push('-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2');
+        }
+        ffmpegArgs.push(
+            '-f', 'hls',
+            '-hls_time', String(HLS_SEGMENT_SECONDS),
+            '-hls_playlist_type', 'vod',
+            '-hls_segment_type', 'fmp4',
+            '-hls_flags', 'independent_segments',
+            '-hls_fmp4_init_filename', 'init.mp4',
+            '-hls_segment_filename', path.join(outputDir, 'segment_%04d.m4s'),
+            '-y', path.join(outputDir, 'index.m3u8')
+        );
+
+        console.log(`🔧 FFmpeg Args:\n${ffmpegArgs.join(" ")}\n`);
+
+        const ffmpeg = spawn(ffmpegPath, ffmpegArgs, { windowsHide: true });
+
+        let stderr = "";
+        const parseProgress = createFfmpegProgressParser(onProgress, duration || null);
+        ffmpeg.stderr.on("data", (data) => {
+            const msg = data.toString();
+            stderr += msg;
+            parseProgress(msg);
+        });
+
+        ffmpeg.on("error", (err) => {
+            reject(new Error(`FFmpeg execution failed: ${err.message}`));
+        });
+
+        ffmpeg.on("close", (code) => {
+            if (code !== 0) {
+                console.error("❌ FFmpeg exited with code:", code);
+                console.error("📄 FFmpeg stderr:\n", stderr);
+                return reject(new Error(`HLS encode of ${rendition.name} failed with code ${code}`));
+            }
+            resolve();
+        });
+    });
+};
+
+// A subtitle rendition is a single WebVTT file covering the whole video.
+// X-TIMESTAMP-MAP ties cue times to the media timeline, which starts at 0 in the fMP4 segments.
+const writeSubtitleRendition = (track, outputDir, duration) => {
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const vtt = serializeVtt(parseSubtitles(track.subtitles))
+        .replace(/^WEBVTT\n/, 'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:00.000\n');
+    fs.writeFileSync(path.join(outputDir, 'subtitles.vtt'), vtt, 'utf8');
+
+    const segmentDuration = Math.max(duration, 1);
+    const playlist = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${Math.ceil(segmentDuration)}`,
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        `#EXTINF:${segmentDuration.toFixed(3)},`,
+        'subtitles.vtt',
+        '#EXT-X-ENDLIST',
+        ''
+    ].join('\n');
+    fs.writeFileSync(path.join(outputDir, 'index.m3u8'), playlist, 'utf8');
+};
+
+const quote = (value) => `"${String(value).replace(/"/g, "'")}"`;
+
+const writeMasterPlaylist = (outputDir, renditions, subtitleRenditions, { hasAudio }) => {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+    subtitleRenditions.forEach((subtitle) => {
+        lines.push(`#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID=${quote(SUBTITLE_GROUP)},NAME=${quote(subtitle.title)},` +
+            `LANGUAGE=${quote(subtitle.language)},DEFAULT=${subtitle.isDefault ? 'YES' : 'NO'},` +
+            `AUTOSELECT=YES,FORCED=NO,URI=${quote(subtitle.uri)}`);
+    });
+
+    const codecs = hasAudio ? `${VIDEO_CODEC},${AUDIO_CODEC}` : VIDEO_CODEC;
+    renditions.forEach((rendition) => {
+        const averageKbps = rendition.videoBitrate + (hasAudio ? rendition.audioBitrate : 0);
+        const peakKbps = Math.round(rendition.videoBitrate * 1.07) + (hasAudio ? rendition.audioBitrate : 0);
+        const attributes = [
+            `BANDWIDTH=${peakKbps * 1000}`,
+            `AVERAGE-BANDWIDTH=${averageKbps * 1000}`,
+            `RESOLUTION=${rendition.width}x${rendition.outputHeight}`,
+            `CODECS=${quote(codecs)}`
+        ];
+        if (subtitleRenditions.length > 0) {
+            attributes.push(`SUBTITLES=${quote(SUBTITLE_GROUP)}`);
+        }
+        lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, `${rendition.name}/index.m3u8`);
+    });
+
+    fs.writeFileSync(path.join(outputDir, MASTER_PLAYLIST), `${lines.join('\n')}\n`, 'utf8');
+};
+
+// Package a video as HLS into `outputDir`: one directory per rendition, subs/<language> per
+// subtitle track and a master playlist. `subtitleTracks` is a list of { language, title, subtitles };
+// the first one is marked as default when `defaultSubtitles` is set.
+// `onProgress(percent)` is optional and covers all renditions. Resolves with the master playlist path.
+const packageHls = async (videoPath, outputDir, { subtitleTracks = [], defaultSubtitles = false, onProgress } = {}) => {
+    if (!fs.existsSync(videoPath)) {
+        throw new Error(`Video file not found: ${videoPath}`);
+    }
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const source = await probeMedia(videoPath);
+    if (!source.hasVideo) {
+        throw new Error(`No video stream in ${videoPath}`);
+    }
+    const renditions = selectRenditions(source);
+    console.log(`Packaging HLS renditions: ${renditions.map(rendition => rendition.name).join(", ")}`);
+
+    for (const [i, rendition] of renditions.entries()) {
+        await encodeRendition(videoPath, rendition, path.join(outputDir, rendition.name), {
+            hasAudio: source.hasAudio,
+            duration: source.duration,
+            onProgress: onProgress && ((percent) => onProgress(Math.floor((i * 100 + percent) / renditions.length)))
+        });
+    }
+
+    const subtitleRenditions = subtitleTracks.map((track, i) => {
+        const uri = `subs/${track.language}/index.m3u8`;
+        writeSubtitleRendition(track, path.join(outputDir, 'subs', track.language), source.duration);
+        return { ...track, uri, isDefault: defaultSubtitles && i === 0 };
+    });
+
+    writeMasterPlaylist(outputDir, renditions, subtitleRenditions, source);
+
+    const masterPath = path.join(outputDir, MASTER_PLAYLIST);
+    console.log("✅ HLS package created at:", masterPath);
+    return masterPath;
+};
+
+module.exports = { packageHls, selectRenditions, MASTER_PLAYLIST };
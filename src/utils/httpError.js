@@ -0,0 +1,21 @@
+// Error carrying the HTTP status a route should answer with
+const createHttpError = (status, message, details = undefined) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+// Answer with the status of an HTTP error, or log it and answer 500 with `fallbackMessage`
+const handleRouteError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, details: error.details });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined
+  });
+};
+
+module.exports = { createHttpError, handleRouteError };
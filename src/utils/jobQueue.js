@@ -0,0 +1,218 @@
+const os = require("os");
+const Job = require("../models/job");
+
+// Queue configuration
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30 * 1000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) || 10 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 2 * 60 * 1000;
+const LEASE_EXPIRED_ERROR = "The worker running the job stopped before it finished";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Add a new job to the queue
+const enqueueJob = async ({ type, videoId = null, payload = {}, maxAttempts = MAX_ATTEMPTS }) => {
+  const job = new Job({
+    type,
+    videoId,
+    payload,
+    maxAttempts,
+    status: "queued",
+    nextRunAt: new Date()
+  });
+  await job.save();
+  return job;
+};
+
+// Atomically claim the next runnable job. Jobs left "running" by a worker
+// that died are picked up again once their lease has expired; the lost run
+// counts as a failed attempt, so a job that keeps killing its worker runs out of attempts.
+const claimNextJob = async (workerId, types) => {
+  const now = new Date();
+  const wasRunning = { $eq: ["$status", "running"] };
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: "queued", nextRunAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lte: now } }
+      ]
+    },
+    [{
+      $set: {
+        attempts: { $cond: [wasRunning, { $add: ["$attempts", 1] }, "$attempts"] },
+        lastError: { $cond: [wasRunning, LEASE_EXPIRED_ERROR, "$lastError"] },
+        status: "running",
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + LOCK_TIMEOUT_MS)
+      }
+    }],
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+};
+
+// Persist intermediate results, optionally marking a stage as completed.
+// Keys may use dot notation (e.g. "transcriptions.2") to update part of a checkpoint.
+const saveCheckpoint = async (jobId, data = {}, stage = null) => {
+  const update = { $set: {} };
+  for (const [key, value] of Object.entries(data)) {
+    update.$set[`checkpoint.${key}`] = value;
+  }
+  if (stage) {
+    update.$addToSet = { completedStages: stage };
+  }
+  await Job.updateOne({ _id: jobId }, update);
+};
+
+// Updates of a finished run only apply while the worker still holds the job's lease. A miss means the
+// lease expired and the job was reclaimed (or run again) elsewhere, so this run's outcome is dropped.
+const isLeaseHeld = (result) => result.matchedCount > 0;
+
+// Returns false when the lease was lost
+const completeJob = async (job) => {
+  const result = await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: "completed",
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: null
+      }
+    }
+  );
+  return isLeaseHeld(result);
+};
+
+// Exponential backoff: base, 2x base, 4x base, ... capped at the max delay
+const getRetryDelay = (attempts) => {
+  return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_DELAY_MS);
+};
+
+// Record a failed attempt. Returns { isFinal } (true when the job has no attempts left)
+// and `leaseLost` when the attempt couldn't be recorded.
+const failJob = async (job, error) => {
+  const attempts = job.attempts + 1;
+  const isFinal = attempts >= job.maxAttempts;
+
+  const result = await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        attempts,
+        status: isFinal ? "failed" : "queued",
+        nextRunAt: isFinal ? job.nextRunAt : new Date(Date.now() + getRetryDelay(attempts)),
+        lastError: error.message,
+        lockedBy: null,
+        lockedUntil: null
+      }
+    }
+  );
+
+  return { isFinal, leaseLost: !isLeaseHeld(result) };
+};
+
+// Mark a job failed for good and let its handler clean up
+const giveUpJob = async (job, handler, error) => {
+  console.error(`Job ${job._id} gave up after ${job.maxAttempts} attempts`);
+  if (handler.onFailure) {
+    await handler.onFailure(job, error).catch(err => {
+      console.error(`Failure handler for job ${job._id} errored:`, err);
+    });
+  }
+};
+
+// Run a single claimed job, keeping its lease alive while the handler works
+const runJob = async (job, handler, workerId) => {
+  // Reclaimed after its last attempt was lost with a worker
+  if (job.attempts >= job.maxAttempts) {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      { $set: { status: "failed", lockedBy: null, lockedUntil: null } }
+    );
+    return giveUpJob(job, handler, new Error(job.lastError || LEASE_EXPIRED_ERROR));
+  }
+
+  const heartbeat = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      { $set: { lockedUntil: new Date(Date.now() + LOCK_TIMEOUT_MS) } }
+    ).catch(err => console.error(`Failed to extend lease for job ${job._id}:`, err.message));
+  }, Math.floor(LOCK_TIMEOUT_MS / 3));
+
+  const context = {
+    checkpoint: (data, stage) => saveCheckpoint(job._id, data, stage)
+  };
+
+  try {
+    await handler.run(job, context);
+    if (await completeJob(job)) {
+      console.log(`✅ Job ${job._id} (${job.type}) completed`);
+    } else {
+      console.warn(`Job ${job._id} (${job.type}) finished after losing its lease, leaving it to its current run`);
+    }
+  } catch (error) {
+    console.error(`❌ Job ${job._id} (${job.type}) failed:`, error.message);
+    const { isFinal, leaseLost } = await failJob(job, error);
+    if (leaseLost) {
+      console.warn(`Job ${job._id} (${job.type}) lost its lease, leaving it to its current run`);
+    } else if (isFinal) {
+      await giveUpJob(job, handler, error);
+    } else {
+      console.log(`Job ${job._id} will be retried (attempt ${job.attempts + 1}/${job.maxAttempts})`);
+      if (handler.onRetry) {
+        await handler.onRetry(job, error, getRetryDelay(job.attempts + 1)).catch(err => {
+          console.error(`Retry handler for job ${job._id} errored:`, err);
+        });
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Start a polling worker loop. `handlers` maps job types to
+// { run(job, context), onRetry(job, error, delayMs), onFailure(job, error) } objects.
+const startWorker = ({ handlers, workerId = `${os.hostname()}-${process.pid}`, pollInterval = POLL_INTERVAL_MS }) => {
+  const types = Object.keys(handlers);
+  let stopped = false;
+
+  const loop = async () => {
+    console.log(`Worker ${workerId} started for job types: ${types.join(", ")}`);
+    while (!stopped) {
+      try {
+        const job = await claimNextJob(workerId, types);
+        if (!job) {
+          await sleep(pollInterval);
+          continue;
+        }
+        console.log(`\n=== Worker ${workerId} picked up job ${job._id} (${job.type}) ===`);
+        await runJob(job, handlers[job.type], workerId);
+      } catch (error) {
+        console.error("Worker loop error:", error);
+        await sleep(pollInterval);
+      }
+    }
+  };
+
+  const done = loop();
+
+  return {
+    stop: async () => {
+      stopped = true;
+      await done;
+    }
+  };
+};
+
+module.exports = {
+  enqueueJob,
+  claimNextJob,
+  saveCheckpoint,
+  completeJob,
+  failJob,
+  getRetryDelay,
+  startWorker
+};
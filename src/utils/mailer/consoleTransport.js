@@ -0,0 +1,10 @@
+const crypto = require('crypto');
+
+// Logs every mail instead of sending it, for local development
+const send = async ({ from, to, subject, text }) => {
+    const id = crypto.randomBytes(8).toString('hex');
+    console.log(`Mail ${id} from ${from} to ${to}: ${subject}\n${text}`);
+    return { id };
+};
+
+module.exports = { name: 'console', send };
@@ -0,0 +1,21 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes every mail to MAIL_DIR as <timestamp>-<id>.json ({ id, from, to, subject, text, html, sentAt }),
+// so tests and local setups can read the links they contain
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || path.join(os.tmpdir(), 'loom-mail'));
+
+const send = async ({ from, to, subject, text, html }) => {
+    const id = crypto.randomBytes(8).toString('hex');
+    const sentAt = new Date();
+    const filePath = path.join(MAIL_DIR, `${sentAt.getTime()}-${id}.json`);
+
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify({ id, from, to, subject, text, html, sentAt }, null, 2));
+    console.log(`Mail "${subject}" to ${to} written to ${filePath}`);
+    return { id };
+};
+
+module.exports = { name: 'file', MAIL_DIR, send };
@@ -0,0 +1,44 @@
+// Every transport exposes: name, send({ from, to, subject, text, html }) -> { id }
+// Transports are loaded lazily so the console and file transports work without an SMTP client installed.
+const TRANSPORTS = {
+  smtp: () => require("./smtpTransport"),
+  file: () => require("./fileTransport"),
+  console: () => require("./consoleTransport")
+};
+
+// smtp in production; console (log every mail) or file (one JSON file per mail) for development and tests.
+// Mails carry live verification and password reset links, so production has to choose a transport
+// rather than fall back to logging them.
+if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+  throw new Error(`MAIL_TRANSPORT must be set in production, use one of: ${Object.keys(TRANSPORTS).join(", ")}`);
+}
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+const MAIL_FROM = process.env.MAIL_FROM || "Loom <no-reply@localhost>";
+
+if (!TRANSPORTS[MAIL_TRANSPORT]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}", use one of: ${Object.keys(TRANSPORTS).join(", ")}`);
+}
+
+let transport = null;
+
+const getMailTransport = () => {
+  if (!transport) {
+    transport = TRANSPORTS[MAIL_TRANSPORT]();
+  }
+  return transport;
+};
+
+// Send a plain-text mail (`html` is optional). Resolves with the transport's message id.
+const sendMail = async ({ to, subject, text, html = null }) => {
+  if (!to || !subject || !text) {
+    throw new Error("A mail needs a recipient, a subject and a text");
+  }
+  const { id } = await getMailTransport().send({ from: MAIL_FROM, to, subject, text, html });
+  return id;
+};
+
+module.exports = {
+  MAIL_TRANSPORT,
+  getMailTransport,
+  sendMail
+};
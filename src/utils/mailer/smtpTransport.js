@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+// Any SMTP server, e.g. SES, Postmark or Mailgun. SMTP_SECURE=true for implicit TLS (usually port 465);
+// otherwise the connection is upgraded with STARTTLS when the server offers it.
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+
+if (!SMTP_HOST) {
+    throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+}
+
+const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+});
+
+const send = async ({ from, to, subject, text, html }) => {
+    const info = await transporter.sendMail({ from, to, subject, text, html: html || undefined });
+    return { id: info.messageId };
+};
+
+module.exports = { name: 'smtp', send };
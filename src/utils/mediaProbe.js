@@ -0,0 +1,139 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const { createHttpError } = require('./httpError');
+const {
+    SUPPORTED_VIDEO_CODECS,
+    SUPPORTED_AUDIO_CODECS,
+    MAX_VIDEO_DURATION_SECONDS,
+    MAX_VIDEO_DIMENSION
+} = require('../config/uploads');
+
+const execFilePromise = promisify(execFile);
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || require('@ffprobe-installer/ffprobe').path;
+const PROBE_TIMEOUT_MS = 60 * 1000;
+
+// "30000/1001" -> 29.97
+const parseRate = (rate) => {
+    const [numerator, denominator] = String(rate || '').split('/').map(Number);
+    const value = denominator ? numerator / denominator : numerator;
+    return Number.isFinite(value) && value > 0 ? Math.round(value * 1000) / 1000 : null;
+};
+
+const parseNumber = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// Clockwise display rotation in degrees (0, 90, 180 or 270). Newer files carry it in a display
+// matrix (counter-clockwise, so negated), older ones in a `rotate` tag.
+const getRotation = (stream) => {
+    const displayMatrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    const degrees = stream.tags?.rotate !== undefined ? parseInt(stream.tags.rotate) : -parseInt(displayMatrix?.rotation || 0);
+    return (((Math.round(degrees / 90) * 90) % 360) + 360) % 360;
+};
+
+// Technical metadata of a media file (local path or URL). `width` and `height` are the displayed
+// size, with rotation applied. Throws when ffprobe can't read the file.
+const probeMedia = async (input) => {
+    const { stdout } = await execFilePromise(FFPROBE_PATH, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_streams',
+        '-show_format',
+        input
+    ], { timeout: PROBE_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+    return parseProbeOutput(JSON.parse(stdout), input);
+};
+
+const parseProbeOutput = ({ streams = [], format = {} }, input) => {
+    // Cover art is stored as a single-frame video stream, skip it
+    const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+
+    const rotation = video ? getRotation(video) : 0;
+    const [width, height] = !video ? [null, null]
+        : rotation % 180 === 90 ? [video.height, video.width] : [video.width, video.height];
+
+    let size = parseNumber(format.size);
+    if (!size && !/^[a-z]+:\/\//i.test(input) && fs.existsSync(input)) {
+        size = fs.statSync(input).size;
+    }
+
+    return {
+        container: format.format_name || null,
+        duration: parseNumber(format.duration) || parseNumber(video?.duration) || 0,
+        size: size || null,
+        bitrate: parseNumber(format.bit_rate),
+        hasVideo: Boolean(video),
+        width: width || null,
+        height: height || null,
+        rotation,
+        frameRate: video ? parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate) : null,
+        videoCodec: video?.codec_name || null,
+        videoBitrate: parseNumber(video?.bit_rate),
+        pixelFormat: video?.pix_fmt || null,
+        hasAudio: Boolean(audio),
+        audioCodec: audio?.codec_name || null,
+        audioChannels: audio?.channels || 0,
+        audioSampleRate: parseNumber(audio?.sample_rate)
+    };
+};
+
+// Reasons a probed file can't go through the pipeline, empty when it can
+const findMediaProblems = (info) => {
+    const problems = [];
+    if (!info.hasVideo) {
+        problems.push('File has no video stream');
+    } else if (!SUPPORTED_VIDEO_CODECS.includes(info.videoCodec)) {
+        problems.push(`Unsupported video codec "${info.videoCodec}"`);
+    } else if (!info.width || !info.height) {
+        problems.push('Video has no resolution');
+    } else if (Math.max(info.width, info.height) > MAX_VIDEO_DIMENSION) {
+        problems.push(`Resolution ${info.width}x${info.height} is above the ${MAX_VIDEO_DIMENSION}px limit`);
+    }
+
+    // The audio is what gets transcribed
+    if (!info.hasAudio) {
+        problems.push('File has no audio stream to transcribe');
+    } else if (!SUPPORTED_AUDIO_CODECS.includes(info.audioCodec)) {
+        problems.push(`Unsupported audio codec "${info.audioCodec}"`);
+    }
+
+    if (!(info.duration > 0)) {
+        problems.push('Could not determine the duration, the file may be truncated');
+    } else if (info.duration > MAX_VIDEO_DURATION_SECONDS) {
+        problems.push(`Duration ${Math.round(info.duration)}s is above the ${MAX_VIDEO_DURATION_SECONDS}s limit`);
+    }
+    return problems;
+};
+
+// Probe an uploaded file and make sure the pipeline can process it.
+// Throws a 422 error for unreadable (corrupt) or unsupported files, resolves with the metadata otherwise.
+const inspectUpload = async (filePath) => {
+    let info;
+    try {
+        info = await probeMedia(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EACCES') {
+            // ffprobe itself is missing, not the upload's fault
+            throw new Error(`ffprobe is not available: ${error.message}`);
+        }
+        console.error(`ffprobe could not read ${filePath}:`, (error.stderr || error.message).trim());
+        throw createHttpError(422, 'File is not a readable video, it may be corrupt or incomplete');
+    }
+
+    const problems = findMediaProblems(info);
+    if (problems.length > 0) {
+        throw createHttpError(422, 'Unsupported video', problems);
+    }
+    return info;
+};
+
+module.exports = {
+    probeMedia,
+    parseProbeOutput,
+    findMediaProblems,
+    inspectUpload
+};
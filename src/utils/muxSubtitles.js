@@ -0,0 +1,93 @@
+const { spawn } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const ffmpegPath = require("ffmpeg-static");
+const { createFfmpegProgressParser } = require("./ffmpegProgress");
+
+// Add subtitles as selectable tracks without re-encoding the video.
+// WebM keeps its container with WebVTT tracks, everything else becomes MP4 with mov_text.
+// `tracks` is a list of { srtPath, language, title }, the first one is marked as default;
+// a single SRT path is accepted as well.
+// `onProgress(percent)` is optional and receives the progress parsed from ffmpeg's output
+const muxSubtitlesIntoVideo = (videoPath, tracks, outputDir, { onProgress, language = "eng" } = {}) => {
+    return new Promise((resolve, reject) => {
+        if (typeof tracks === 'string') {
+            tracks = [{ srtPath: tracks, language }];
+        }
+
+        // Validate input files
+        if (!fs.existsSync(videoPath)) {
+            return reject(new Error(`Video file not found: ${videoPath}`));
+        }
+        if (tracks.length === 0) {
+            return reject(new Error("No subtitle tracks to add"));
+        }
+        const missing = tracks.find(track => !fs.existsSync(track.srtPath));
+        if (missing) {
+            return reject(new Error(`Subtitle file not found: ${missing.srtPath}`));
+        }
+
+        // Ensure output directory exists
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        const baseName = path.basename(videoPath, path.extname(videoPath));
+        const isWebm = path.extname(videoPath).toLowerCase() === '.webm';
+        const outputVideoPath = path.join(outputDir, `${baseName}-captioned${isWebm ? '.webm' : '.mp4'}`);
+
+        const ffmpegArgs = ['-i', videoPath];
+        tracks.forEach(track => ffmpegArgs.push('-i', track.srtPath));
+        ffmpegArgs.push('-map', '0:v', '-map', '0:a?');
+        tracks.forEach((track, i) => ffmpegArgs.push('-map', `${i + 1}:s`));
+        ffmpegArgs.push(
+            '-c:v', 'copy',
+            '-c:a', 'copy',
+            '-c:s', isWebm ? 'webvtt' : 'mov_text'
+        );
+        tracks.forEach((track, i) => {
+            ffmpegArgs.push(`-metadata:s:s:${i}`, `language=${track.language || 'und'}`);
+            if (track.title) {
+                ffmpegArgs.push(`-metadata:s:s:${i}`, `title=${track.title}`);
+            }
+            ffmpegArgs.push(`-disposition:s:${i}`, i === 0 ? 'default' : '0');
+        });
+        if (!isWebm) {
+            ffmpegArgs.push('-movflags', '+faststart');
+        }
+        ffmpegArgs.push('-y', outputVideoPath);
+
+        console.log(`🔧 FFmpeg Args:\n${ffmpegArgs.join(" ")}\n`);
+
+        const ffmpeg = spawn(ffmpegPath, ffmpegArgs, { windowsHide: true });
+
+        let stderr = "";
+        const parseProgress = createFfmpegProgressParser(onProgress);
+        ffmpeg.stderr.on("data", (data) => {
+            const msg = data.toString();
+            stderr += msg;
+            parseProgress(msg);
+        });
+
+        ffmpeg.on("error", (err) => {
+            reject(new Error(`FFmpeg execution failed: ${err.message}`));
+        });
+
+        ffmpeg.on("close", (code) => {
+            if (code !== 0) {
+                console.error("❌ FFmpeg exited with code:", code);
+                console.error("📄 FFmpeg stderr:\n", stderr);
+                return reject(new Error(`FFmpeg exited with code ${code}`));
+            }
+
+            if (!fs.existsSync(outputVideoPath)) {
+                return reject(new Error("Output captioned video was not created"));
+            }
+
+            console.log("✅ Captioned video created at:", outputVideoPath);
+            resolve(outputVideoPath);
+        });
+    });
+};
+
+module.exports = { muxSubtitlesIntoVideo };
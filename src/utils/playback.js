@@ -0,0 +1,250 @@
+const crypto = require("crypto");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { canSignUrls, getSignedUrl, headObject, getObjectStream } = require("./storage");
+const { createHttpError } = require("./httpError");
+const { buildThumbnailTrack } = require("./thumbnails");
+const { getSourceLanguage } = require("./videoPipeline");
+const { SUPPORTED_LANGUAGES } = require("../config/transcription");
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+const PLAYBACK_URL_TTL_SECONDS = parseInt(process.env.PLAYBACK_URL_TTL_SECONDS) || 3600;
+
+// Stored files of a video, by the name used in proxy URLs (/api/videos/:videoId/media/:asset)
+const MEDIA_ASSETS = {
+  video: "videoKey",
+  original: "cleanVideoKey",
+  thumbnail: "thumbnailKey"
+};
+
+const getTokenSecret = () => process.env.PLAYBACK_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const signPlayback = (videoId, expires) => crypto
+  .createHmac("sha256", getTokenSecret())
+  .update(`playback:${videoId}:${expires}`)
+  .digest("base64url");
+
+// Players (<video>, <track>, HLS) can't send an Authorization header, so media URLs served by the app
+// carry a short-lived token that grants read access to one video: "<expires>.<signature>"
+const createPlaybackToken = (videoId, ttlSeconds = PLAYBACK_URL_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${expires}.${signPlayback(String(videoId), expires)}`;
+};
+
+const verifyPlaybackToken = (videoId, token) => {
+  const [expires, signature] = String(token || "").split(".");
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+  const expected = Buffer.from(signPlayback(String(videoId), expires));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const getTokenExpiry = (token) => new Date(Number(token.split(".")[0]) * 1000);
+
+const getProxyUrl = (videoId, assetPath, token) => `${BASE_URL}/api/videos/${videoId}/${assetPath}?token=${token}`;
+
+// URL a client can load a stored file from: a signed storage URL,
+// or the app's range proxy when the storage driver can't sign URLs
+const getMediaUrl = async (video, asset, token, ttlSeconds = PLAYBACK_URL_TTL_SECONDS) => {
+  const key = video[MEDIA_ASSETS[asset]];
+  if (!key) return null;
+  if (canSignUrls) return getSignedUrl(key, ttlSeconds);
+  return getProxyUrl(video._id, `media/${asset}`, token);
+};
+
+// Subtitles are served by the app, inline as WebVTT unless another format is asked for
+const getSubtitlesUrl = (video, token, { language, format = "vtt" } = {}) => {
+  const languageParam = language ? `&language=${encodeURIComponent(language)}` : "";
+  return `${getProxyUrl(video._id, "subtitles", token)}&format=${format}&download=false${languageParam}`;
+};
+
+// WebVTT thumbnail track for scrubbing previews, served by the app so the sheet URLs in it can be signed
+const getPreviewTrackUrl = (video, token) =>
+  video.previewSprites ? getProxyUrl(video._id, "previews/thumbnails.vtt", token) : null;
+
+// All playback URLs of a video, valid for `ttlSeconds` (PLAYBACK_URL_TTL_SECONDS by default).
+// HLS playlists always go through the app, which signs the segment URLs inside them.
+const getPlaybackUrls = async (video, { ttlSeconds = PLAYBACK_URL_TTL_SECONDS } = {}) => {
+  const token = createPlaybackToken(video._id, ttlSeconds);
+  const [videoUrl, cleanVideoUrl, thumbnailUrl] = await Promise.all(
+    ["video", "original", "thumbnail"].map(asset => getMediaUrl(video, asset, token, ttlSeconds))
+  );
+
+  return {
+    videoUrl,
+    cleanVideoUrl,
+    thumbnailUrl,
+    hlsUrl: video.hlsKey ? getProxyUrl(video._id, `hls/${path.posix.basename(video.hlsKey)}`, token) : null,
+    previewThumbnailsUrl: getPreviewTrackUrl(video, token),
+    token,
+    expiresAt: getTokenExpiry(token)
+  };
+};
+
+// What a player needs to play a processed video: HLS when it was packaged, the MP4 rendition otherwise,
+// plus the thumbnail, scrubbing previews and one subtitle URL per ready language
+const getStreamInfo = async (video, options = {}) => {
+  const urls = await getPlaybackUrls(video, options);
+  const subtitleLanguages = [getSourceLanguage(video), ...(video.subtitleTracks || [])
+    .filter(track => track.status === "ready")
+    .map(track => track.language)];
+
+  return {
+    streamUrl: urls.hlsUrl || urls.videoUrl,
+    format: video.hlsKey ? "hls" : "mp4",
+    hlsUrl: urls.hlsUrl,
+    mp4Url: urls.videoUrl,
+    thumbnailUrl: urls.thumbnailUrl,
+    previewThumbnailsUrl: urls.previewThumbnailsUrl,
+    subtitles: video.subtitles ? subtitleLanguages.map(language => ({
+      language,
+      name: SUPPORTED_LANGUAGES[language] || language,
+      url: getSubtitlesUrl(video, urls.token, { language })
+    })) : [],
+    chaptersUrl: video.chapters?.length
+      ? `${getProxyUrl(video._id, "chapters", urls.token)}&format=vtt&download=false`
+      : null,
+    // Where the player posts playback events (see utils/analytics)
+    analyticsUrl: getProxyUrl(video._id, "analytics/events", urls.token),
+    expiresAt: urls.expiresAt
+  };
+};
+
+// "bytes=start-end" -> { start, end } (inclusive), undefined to send the whole object, null if unsatisfiable
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  // Multiple or malformed ranges may be ignored and answered with the full object
+  if (!match || (match[1] === "" && match[2] === "")) return undefined;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    start = Math.max(0, size - parseInt(match[2]));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+  return start < size && start <= end ? { start, end } : null;
+};
+
+// Stream a stored object through the app, honouring a single HTTP Range
+const sendObject = async (req, res, key) => {
+  const info = await headObject(key);
+  if (!info) {
+    throw createHttpError(404, "Media not found");
+  }
+
+  const range = req.headers.range ? parseRange(req.headers.range, info.size) : undefined;
+  res.set({
+    "Accept-Ranges": "bytes",
+    "Content-Type": info.contentType,
+    "Cache-Control": "private, no-store"
+  });
+  if (range === null) {
+    return res.status(416).set("Content-Range", `bytes */${info.size}`).end();
+  }
+
+  const { start, end } = range || { start: 0, end: info.size - 1 };
+  if (range) {
+    res.status(206).set("Content-Range", `bytes ${start}-${end}/${info.size}`);
+  }
+  res.set("Content-Length", String(Math.max(0, end - start + 1)));
+  if (req.method === "HEAD" || info.size === 0) {
+    return res.end();
+  }
+
+  const stream = await getObjectStream(key, range ? { start, end } : {});
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    // Players routinely abort range requests while seeking
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error(`Failed to stream ${key}:`, error.message);
+    }
+  }
+};
+
+const readObject = async (key) => {
+  const chunks = [];
+  for await (const chunk of await getObjectStream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+// Resolve a path inside the video's HLS package, refusing anything outside of it
+const resolveHlsPath = (relativePath) => {
+  const normalized = path.posix.normalize(relativePath);
+  if (normalized.startsWith("..") || path.posix.isAbsolute(normalized)) {
+    throw createHttpError(400, "Invalid playlist path");
+  }
+  return normalized;
+};
+
+// Serve a playlist of the video's HLS package with every URI rewritten: playlists point back to the app,
+// segments get signed storage URLs (or proxy URLs when the driver can't sign)
+const sendHlsPlaylist = async (res, video, relativePath, token) => {
+  const root = path.posix.dirname(video.hlsKey);
+  const playlist = await readObject(`${root}/${relativePath}`);
+  const baseDir = path.posix.dirname(relativePath);
+
+  const rewriteUri = async (uri) => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(uri)) return uri;
+    const target = resolveHlsPath(path.posix.join(baseDir, uri));
+    if (target.endsWith(".m3u8") || !canSignUrls) {
+      return getProxyUrl(video._id, `hls/${target}`, token);
+    }
+    return getSignedUrl(`${root}/${target}`, PLAYBACK_URL_TTL_SECONDS);
+  };
+
+  const lines = await Promise.all(playlist.split(/\r?\n/).map(async (line) => {
+    if (line.startsWith("#")) {
+      const match = /URI="([^"]+)"/.exec(line);
+      return match ? line.replace(match[0], `URI="${await rewriteUri(match[1])}"`) : line;
+    }
+    return line.trim() ? rewriteUri(line.trim()) : line;
+  }));
+
+  res.set({
+    "Content-Type": "application/vnd.apple.mpegurl",
+    "Cache-Control": "private, no-store"
+  });
+  res.send(lines.join("\n"));
+};
+
+// Serve the video's thumbnail track, pointing every cue at a signed sprite sheet URL
+// (or at the app's proxy, /previews/:sheet, when the driver can't sign)
+const sendThumbnailTrack = async (res, video, token) => {
+  const sprites = video.previewSprites;
+  if (!sprites || !sprites.sheets.length) {
+    throw createHttpError(404, "Video has no scrubbing previews");
+  }
+
+  const sheetUrls = await Promise.all(sprites.sheets.map((key, index) => canSignUrls
+    ? getSignedUrl(key, PLAYBACK_URL_TTL_SECONDS)
+    : getProxyUrl(video._id, `previews/${index}`, token)));
+
+  res.set({
+    "Content-Type": "text/vtt; charset=utf-8",
+    "Cache-Control": "private, no-store"
+  });
+  res.send(buildThumbnailTrack(sprites, sheetUrls));
+};
+
+module.exports = {
+  MEDIA_ASSETS,
+  PLAYBACK_URL_TTL_SECONDS,
+  createPlaybackToken,
+  verifyPlaybackToken,
+  getMediaUrl,
+  getSubtitlesUrl,
+  getPreviewTrackUrl,
+  getPlaybackUrls,
+  getStreamInfo,
+  parseRange,
+  sendObject,
+  resolveHlsPath,
+  sendHlsPlaylist,
+  sendThumbnailTrack
+};
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const RefreshToken = require("../models/refreshToken");
+const { createHttpError } = require("./httpError");
+
+// Refresh tokens are random strings, stored only as hashes. Each use (POST /api/auth/token) replaces
+// the token with a new one of the same family. A replaced token being used again means it was copied,
+// so the whole family (the session) is revoked.
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_TOKEN_BYTES = 48;
+const MAX_DEVICE_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 500;
+
+const hashToken = (token) => crypto.createHmac("sha256", process.env.JWT_REFRESH_SECRET).update(token).digest("hex");
+
+const getExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// "Chrome on Windows" and the like, from a user agent
+const describeUserAgent = (userAgent) => {
+  const browsers = [["Edge", /Edg\//], ["Opera", /OPR\//], ["Chrome", /Chrome\//], ["Firefox", /Firefox\//], ["Safari", /Safari\//]];
+  const systems = [["iOS", /iPhone|iPad/], ["Android", /Android/], ["Windows", /Windows/], ["macOS", /Mac OS X/], ["Linux", /Linux/]];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.slice(0, MAX_DEVICE_LENGTH) || "Unknown device";
+};
+
+// The client a token is issued to: a device name it may send ({ device }), its user agent and IP
+const describeClient = (req) => {
+  const userAgent = String(req.get("user-agent") || "").slice(0, MAX_USER_AGENT_LENGTH);
+  const device = typeof req.body?.device === "string" ? req.body.device.trim().slice(0, MAX_DEVICE_LENGTH) : "";
+  return { device: device || describeUserAgent(userAgent), userAgent, ip: req.ip || null };
+};
+
+const createToken = (fields) => {
+  const token = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString("base64url");
+  const record = new RefreshToken({ ...fields, tokenHash: hashToken(token), lastUsedAt: new Date(), expiresAt: getExpiry() });
+  return { token, record };
+};
+
+const revokeFamily = (familyId, reason) => RefreshToken.updateMany(
+  { familyId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// A new session (login or signup). Returns the refresh token and the session's id.
+async function startSession(userId, req) {
+  const { token, record } = createToken({
+    userId,
+    familyId: new mongoose.Types.ObjectId(),
+    signedInAt: new Date(),
+    ...describeClient(req)
+  });
+  await record.save();
+  return { refreshToken: token, sessionId: record.familyId };
+}
+
+// Exchange a refresh token for a new one of the same session: { userId, refreshToken, sessionId }
+async function rotateRefreshToken(token, req) {
+  const record = typeof token === "string" && token
+    ? await RefreshToken.findOne({ tokenHash: hashToken(token) })
+    : null;
+  if (!record || record.revokedAt || record.expiresAt <= new Date()) {
+    throw createHttpError(403, "Refresh token is invalid or expired");
+  }
+  if (record.replacedBy) {
+    await revokeFamily(record.familyId, "reuse");
+    console.warn(`Refresh token of session ${record.familyId} (user ${record.userId}) was reused, session revoked`);
+    throw createHttpError(403, "Refresh token was already used, the session has been signed out");
+  }
+
+  const { userAgent, ip } = describeClient(req);
+  const { token: nextToken, record: next } = createToken({
+    userId: record.userId,
+    familyId: record.familyId,
+    signedInAt: record.signedInAt,
+    device: record.device,
+    userAgent: userAgent || record.userAgent,
+    ip: ip || record.ip
+  });
+  await next.save();
+
+  // Only one request gets to replace a token; for any other this is a reuse as well
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, replacedBy: null, revokedAt: null },
+    { $set: { replacedBy: next._id, lastUsedAt: new Date() } }
+  );
+  if (!claimed) {
+    await revokeFamily(record.familyId, "reuse");
+    throw createHttpError(403, "Refresh token was already used, the session has been signed out");
+  }
+
+  return { userId: record.userId, refreshToken: nextToken, sessionId: record.familyId };
+}
+
+// Sign out the session of a refresh token. Unknown tokens are ignored.
+async function endSession(token) {
+  if (typeof token !== "string" || !token) return;
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) }).select("familyId").lean();
+  if (record) {
+    await revokeFamily(record.familyId, "logout");
+  }
+}
+
+// Signed-in sessions of a user, most recently used first. `currentSessionId` marks the caller's own.
+async function listSessions(userId, currentSessionId = null) {
+  const tokens = await RefreshToken.find({ userId, revokedAt: null, replacedBy: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+  return tokens.map(token => ({
+    id: token.familyId,
+    device: token.device,
+    userAgent: token.userAgent,
+    ip: token.ip,
+    signedInAt: token.signedInAt,
+    lastUsedAt: token.lastUsedAt,
+    expiresAt: token.expiresAt,
+    current: Boolean(currentSessionId) && String(token.familyId) === String(currentSessionId)
+  }));
+}
+
+// Sign out one of the user's sessions. Its access tokens stay valid until they expire.
+async function revokeSession(userId, sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw createHttpError(404, "Session not found");
+  }
+  const { modifiedCount } = await RefreshToken.updateMany(
+    { userId, familyId: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "revoked" } }
+  );
+  if (modifiedCount === 0) {
+    throw createHttpError(404, "Session not found");
+  }
+}
+
+// Sign out every session of a user, e.g. after a password reset
+async function revokeAllSessions(userId, reason) {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  startSession,
+  rotateRefreshToken,
+  endSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,96 @@
+const { parseSubtitles } = require("./subtitles");
+const { createHttpError } = require("./httpError");
+
+// Search queries follow MongoDB $text syntax:
+//   budget review       any of the words
+//   "budget review"     the exact phrase (every quoted phrase must appear)
+//   budget -draft       leave out videos containing "draft"
+
+const MAX_QUERY_LENGTH = 200;
+// Characters shown around the first match in a long field
+const SNIPPET_RADIUS = 80;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (value) => value
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// { phrases, terms, excluded } of a search query, plus the pattern matching any phrase or term
+const parseSearchQuery = (q) => {
+  const query = String(q || "").trim();
+  if (!query) {
+    throw createHttpError(400, "q is required");
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw createHttpError(400, `q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map(match => match[1].trim()).filter(Boolean);
+  const words = query.replace(/"[^"]*"?/g, " ").split(/\s+/).filter(Boolean);
+  const excluded = words.filter(word => word.startsWith("-")).map(word => word.slice(1)).filter(Boolean);
+  // The text index splits words on punctuation, so "e-mail" or "Q3/Q4" are several terms
+  const terms = words.filter(word => !word.startsWith("-")).flatMap(word => word.split(/[^\p{L}\p{N}]+/u)).filter(Boolean);
+
+  if (phrases.length === 0 && terms.length === 0) {
+    throw createHttpError(400, "q must contain at least one word or phrase to look for");
+  }
+
+  // Whole words only, like the text index; phrases match across any whitespace
+  const alternatives = [...phrases, ...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(text => text.split(/\s+/).map(escapeRegExp).join("\\s+"));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`, "giu");
+
+  return { query, phrases, terms, excluded, pattern };
+};
+
+// Text with every match wrapped in <mark>, HTML-escaped. Long texts are cut around the first match.
+const highlight = (text, pattern, radius = SNIPPET_RADIUS) => {
+  const matches = [...text.matchAll(pattern)];
+  if (matches.length === 0) return null;
+
+  let from = 0;
+  let to = text.length;
+  if (text.length > radius * 2) {
+    from = Math.max(0, matches[0].index - radius);
+    to = Math.min(text.length, matches[0].index + matches[0][0].length + radius);
+  }
+
+  let result = from > 0 ? "…" : "";
+  let last = from;
+  for (const match of matches) {
+    const end = match.index + match[0].length;
+    if (match.index < from || end > to) continue;
+    result += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = end;
+  }
+  result += escapeHtml(text.slice(last, to));
+  return to < text.length ? `${result}…` : result;
+};
+
+// Cues of a transcript that contain one of the query's phrases (or, without phrases, one of its terms),
+// with their timings and a highlighted snippet. Resolves with at most `limit` of them and the total count.
+const findMatchingCues = (subtitles, { phrases, pattern }, limit) => {
+  const cuePattern = phrases.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${phrases.map(phrase => phrase.split(/\s+/).map(escapeRegExp).join("\\s+")).join("|")})(?![\\p{L}\\p{N}])`, "iu")
+    : new RegExp(pattern.source, "iu");
+
+  const matches = parseSubtitles(subtitles || "")
+    .filter(cue => cuePattern.test(cue.text.replace(/\s+/g, " ")))
+    .map(cue => {
+      const text = cue.text.replace(/\s+/g, " ").trim();
+      return { start: cue.start, end: cue.end, text, snippet: highlight(text, pattern) };
+    });
+
+  return { cues: matches.slice(0, limit), total: matches.length };
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  parseSearchQuery,
+  highlight,
+  findMatchingCues
+};
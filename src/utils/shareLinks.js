@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const ShareLink = require("../models/shareLink");
+const Video = require("../models/video");
+const { PLAYBACK_URL_TTL_SECONDS } = require("./playback");
+const { createHttpError } = require("./httpError");
+
+// private: only the owner; unlisted: anyone with a share link; public: anyone, also without a link
+const VISIBILITIES = ["private", "unlisted", "public"];
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+// Where share links point: the frontend's share page if there is one, the API otherwise
+const SHARE_URL_BASE = process.env.SHARE_URL_BASE || `${BASE_URL}/api/share`;
+const SHARE_TOKEN_BYTES = 24;
+const MIN_SHARE_PASSWORD_LENGTH = 8;
+
+const getShareUrl = (token) => `${SHARE_URL_BASE}/${token}`;
+
+// Shape of a share link returned to the video's owner
+const formatShareLink = (link) => ({
+  id: link._id,
+  token: link.token,
+  url: getShareUrl(link.token),
+  expiresAt: link.expiresAt,
+  hasPassword: Boolean(link.passwordHash),
+  viewCount: link.viewCount,
+  lastViewedAt: link.lastViewedAt,
+  createdAt: link.createdAt
+});
+
+// Expiry from a request body: { expiresAt } (a date) or { expiresIn } (seconds from now); null when neither is set
+const parseExpiry = ({ expiresAt, expiresIn } = {}) => {
+  if (expiresIn !== undefined && expiresIn !== null) {
+    const seconds = Number(expiresIn);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw createHttpError(400, "expiresIn must be a positive number of seconds");
+    }
+    return new Date(Date.now() + seconds * 1000);
+  }
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw createHttpError(400, "expiresAt must be a date in the future");
+    }
+    return date;
+  }
+  return null;
+};
+
+async function createShareLink(video, userId, { expiresAt, expiresIn, password } = {}) {
+  if (video.visibility === "private") {
+    throw createHttpError(409, "Video is private, make it unlisted or public to share it");
+  }
+  if (password !== undefined && password !== null && String(password).length < MIN_SHARE_PASSWORD_LENGTH) {
+    throw createHttpError(400, `password must be at least ${MIN_SHARE_PASSWORD_LENGTH} characters`);
+  }
+
+  const link = new ShareLink({
+    videoId: video._id,
+    createdBy: userId,
+    token: crypto.randomBytes(SHARE_TOKEN_BYTES).toString("base64url"),
+    passwordHash: password ? await bcrypt.hash(String(password), 10) : null,
+    expiresAt: parseExpiry({ expiresAt, expiresIn })
+  });
+  await link.save();
+  return link;
+}
+
+// Links of a video that still work (not revoked, not expired), newest first
+const listActiveShareLinks = (videoId) => ShareLink.find({
+  videoId,
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+}).sort({ createdAt: -1 }).lean();
+
+// Look up the video behind a share token, checking revocation, expiry, visibility and password.
+// Resolves with { link, video, ttlSeconds }, where ttlSeconds keeps playback URLs from outliving the link.
+async function openShareLink(token, password) {
+  const link = await ShareLink.findOne({ token: String(token) });
+  if (!link) {
+    throw createHttpError(404, "Share link not found");
+  }
+  if (link.revokedAt) {
+    throw createHttpError(410, "Share link has been revoked");
+  }
+  if (link.expiresAt && link.expiresAt <= new Date()) {
+    throw createHttpError(410, "Share link has expired");
+  }
+
+  const video = await Video.findById(link.videoId).lean();
+  // Private videos answer like missing ones, so links don't reveal that the video still exists
+  if (!video || video.visibility === "private") {
+    throw createHttpError(404, "Share link not found");
+  }
+
+  if (link.passwordHash) {
+    if (!password) {
+      throw createHttpError(401, "This link is password protected", { passwordRequired: true });
+    }
+    if (!(await bcrypt.compare(String(password), link.passwordHash))) {
+      throw createHttpError(403, "Incorrect password", { passwordRequired: true });
+    }
+  }
+
+  await ShareLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } });
+
+  const ttlSeconds = link.expiresAt
+    ? Math.max(1, Math.min(PLAYBACK_URL_TTL_SECONDS, Math.floor((link.expiresAt - Date.now()) / 1000)))
+    : PLAYBACK_URL_TTL_SECONDS;
+  return { link, video, ttlSeconds };
+}
+
+module.exports = {
+  VISIBILITIES,
+  getShareUrl,
+  formatShareLink,
+  createShareLink,
+  listActiveShareLinks,
+  openShareLink
+};
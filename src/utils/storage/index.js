@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const unlinkFile = promisify(fs.unlink);
+
+// Every driver exposes:
+//   put(key, filePath, { contentType, onProgress }), getStream(key, { start, end }), delete(key),
+//   deletePrefix(prefix), getSignedUrl(key, expirySeconds), head(key) -> { size, contentType, lastModified } | null,
+//   canSignUrls
+// Objects are private: clients get signed URLs, or go through the app's range proxy when the driver can't sign.
+// Drivers are loaded lazily so the local driver works without the AWS SDK configured.
+const DRIVERS = {
+  s3: () => require("./s3Driver"),
+  local: () => require("./localDriver")
+};
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "s3";
+
+if (!DRIVERS[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}", use one of: ${Object.keys(DRIVERS).join(", ")}`);
+}
+const driver = DRIVERS[STORAGE_DRIVER]();
+
+// STORAGE_SIGNED_URLS=false sends all media through the app even if the driver could sign
+const canSignUrls = Boolean(driver.canSignUrls) && process.env.STORAGE_SIGNED_URLS !== "false";
+
+const CONTENT_TYPES = {
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".m4s": "video/iso.segment",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mov": "video/quicktime",
+  ".mkv": "video/x-matroska",
+  ".avi": "video/x-msvideo",
+  ".ts": "video/mp2t",
+  ".vtt": "text/vtt",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp"
+};
+const DIRECTORY_UPLOAD_CONCURRENCY = 8;
+
+const getContentType = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+
+// New unique key in `folder` for an uploaded file, e.g. videos/1700000000000-my-recording.mp4
+const createKey = (folder, filename) => {
+  const safeName = path.basename(filename || "file").replace(/[^\w.\-]+/g, "-");
+  return `${folder}/${Date.now()}-${safeName}`;
+};
+
+// Store a local file under a new key in `folder`, leaving the local copy in place (`onProgress(percent)` is optional).
+// `file` is a { path, originalname, mimetype } descriptor. Resolves with the object key.
+const copyFile = async (file, folder, onProgress = null) => {
+  const key = createKey(folder, file.originalname);
+  await driver.put(key, file.path, { contentType: file.mimetype || getContentType(key), onProgress });
+  return key;
+};
+
+// Like copyFile, but deletes the local copy once it is stored
+const uploadFile = async (file, folder, onProgress = null) => {
+  const key = await copyFile(file, folder, onProgress);
+  await unlinkFile(file.path);
+  return key;
+};
+
+const listFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+  const fullPath = path.join(dir, entry.name);
+  return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+});
+
+// Store every file below `dir` under `prefix`, keeping the relative paths (playlists reference
+// their segments by relative URL). Local files are left in place.
+// Resolves with the key of each file by its relative path, e.g. { "master.m3u8": "hls/.../master.m3u8" }
+const uploadDirectory = async (dir, prefix, onProgress = null) => {
+  const files = listFiles(dir);
+  const keys = {};
+  let uploaded = 0;
+
+  for (let i = 0; i < files.length; i += DIRECTORY_UPLOAD_CONCURRENCY) {
+    const batch = files.slice(i, i + DIRECTORY_UPLOAD_CONCURRENCY);
+    await Promise.all(batch.map(async (filePath) => {
+      const relativePath = path.relative(dir, filePath).split(path.sep).join("/");
+      const key = `${prefix}/${relativePath}`;
+      await driver.put(key, filePath, { contentType: getContentType(key) });
+      keys[relativePath] = key;
+    }));
+    uploaded += batch.length;
+    if (onProgress) onProgress(Math.floor((uploaded / files.length) * 100));
+  }
+
+  return keys;
+};
+
+module.exports = {
+  STORAGE_DRIVER,
+  driver,
+  canSignUrls,
+  getContentType,
+  createKey,
+  copyFile,
+  uploadFile,
+  uploadDirectory,
+  getObjectStream: (key, range) => driver.getStream(key, range),
+  deleteObject: (key) => driver.delete(key),
+  deletePrefix: (prefix) => driver.deletePrefix(prefix),
+  getSignedUrl: (key, expirySeconds) => driver.getSignedUrl(key, expirySeconds),
+  // Something ffmpeg can read an object from without downloading it first: a local path or a signed URL
+  getProcessingInput: async (key) => driver.resolveKey ? driver.resolveKey(key) : driver.getSignedUrl(key, 3600),
+  headObject: async (key) => {
+    const info = await driver.head(key);
+    return info && { ...info, contentType: info.contentType || getContentType(key) };
+  }
+};
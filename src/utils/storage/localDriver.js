@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Objects are plain files below the storage root, served by the app under /media to holders of a signed URL
+const ROOT = path.resolve(process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..', '..', '..', 'storage'));
+const BASE_URL = process.env.BASE_URL || 'http://localhost:5000';
+const SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// A guessable secret would let anyone sign URLs for any object
+if (!SIGNING_SECRET) {
+    throw new Error('The local storage driver needs STORAGE_SIGNING_SECRET (or JWT_SECRET) to sign media URLs');
+}
+
+// Absolute path of a key, refusing keys that would escape the storage root
+const resolveKey = (key) => {
+    const filePath = path.resolve(ROOT, key);
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+};
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+const sign = (key, expires) => crypto.createHmac('sha256', SIGNING_SECRET).update(`${key}:${expires}`).digest('hex');
+
+// Copy a local file under `key`. The copy goes to a temporary name first so readers never see half a file.
+const put = async (key, filePath, { onProgress } = {}) => {
+    const target = resolveKey(key);
+    const partial = `${target}.${process.pid}.partial`;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    const total = fs.statSync(filePath).size;
+    const source = fs.createReadStream(filePath);
+    if (onProgress && total > 0) {
+        let copied = 0;
+        source.on('data', (chunk) => {
+            copied += chunk.length;
+            onProgress(Math.floor((copied / total) * 100));
+        });
+    }
+
+    try {
+        await pipeline(source, fs.createWriteStream(partial));
+        fs.renameSync(partial, target);
+    } catch (error) {
+        fs.rmSync(partial, { force: true });
+        throw error;
+    }
+};
+
+const getStream = async (key, { start, end } = {}) => {
+    const filePath = resolveKey(key);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Object not found: ${key}`);
+    }
+    return fs.createReadStream(filePath, { start, end });
+};
+
+const remove = async (key) => {
+    fs.rmSync(resolveKey(key), { force: true });
+};
+
+const removePrefix = async (prefix) => {
+    fs.rmSync(resolveKey(prefix), { recursive: true, force: true });
+};
+
+const getSignedUrl = async (key, expirySeconds = 3600) => {
+    const expires = Math.floor(Date.now() / 1000) + expirySeconds;
+    return `${BASE_URL}/media/${encodeKey(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+// True if the signature was issued by getSignedUrl for this key and hasn't expired
+const verifySignature = (key, expires, signature) => {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+    const expected = Buffer.from(sign(key, expires));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const head = async (key) => {
+    try {
+        const stats = fs.statSync(resolveKey(key));
+        return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+module.exports = {
+    name: 'local',
+    ROOT,
+    put,
+    getStream,
+    delete: remove,
+    deletePrefix: removePrefix,
+    getSignedUrl,
+    head,
+    canSignUrls: true,
+    resolveKey,
+    verifySignature
+};
@@ -0,0 +1,114 @@
+const AWS = require('aws-sdk');
+const fs = require('fs');
+
+// Configure AWS
+AWS.config.update({
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const s3 = new AWS.S3();
+const Bucket = process.env.AWS_BUCKET_NAME;
+
+// Upload a local file under `key` (`onProgress(percent)` is optional).
+// No ACL is set, so objects stay private and are only reachable through signed URLs.
+const put = async (key, filePath, { contentType, onProgress } = {}) => {
+    try {
+        const managedUpload = s3.upload({
+            Bucket,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentType: contentType
+        });
+        if (onProgress) {
+            managedUpload.on('httpUploadProgress', ({ loaded, total }) => {
+                if (total) onProgress(Math.floor((loaded / total) * 100));
+            });
+        }
+        await managedUpload.promise();
+    } catch (error) {
+        console.error('S3 upload error:', error);
+        throw error;
+    }
+};
+
+// Readable stream of an object, or of the inclusive byte range start..end
+const getStream = async (key, { start, end } = {}) => {
+    const params = { Bucket, Key: key };
+    if (start !== undefined) {
+        params.Range = `bytes=${start}-${end !== undefined ? end : ''}`;
+    }
+    return s3.getObject(params).createReadStream();
+};
+
+const remove = async (key) => {
+    try {
+        await s3.deleteObject({ Bucket, Key: key }).promise();
+    } catch (error) {
+        console.error('S3 delete error:', error);
+        throw error;
+    }
+};
+
+// Delete every object whose key starts with `prefix/`
+const removePrefix = async (prefix) => {
+    let ContinuationToken;
+
+    try {
+        do {
+            const listing = await s3.listObjectsV2({ Bucket, Prefix: `${prefix}/`, ContinuationToken }).promise();
+            if (listing.Contents.length > 0) {
+                await s3.deleteObjects({
+                    Bucket,
+                    Delete: { Objects: listing.Contents.map(({ Key }) => ({ Key })), Quiet: true }
+                }).promise();
+            }
+            ContinuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+    } catch (error) {
+        console.error('S3 folder delete error:', error);
+        throw error;
+    }
+};
+
+// Get signed URL for temporary access
+const getSignedUrl = async (key, expirySeconds = 3600) => {
+    try {
+        return await s3.getSignedUrlPromise('getObject', { Bucket, Key: key, Expires: expirySeconds });
+    } catch (error) {
+        console.error('S3 signed URL error:', error);
+        throw error;
+    }
+};
+
+// { size, contentType, lastModified }, or null when the object doesn't exist
+const head = async (key) => {
+    try {
+        const result = await s3.headObject({ Bucket, Key: key }).promise();
+        return { size: result.ContentLength, contentType: result.ContentType, lastModified: result.LastModified };
+    } catch (error) {
+        if (error.code === 'NotFound' || error.statusCode === 404) return null;
+        throw error;
+    }
+};
+
+// Object key for an S3 object URL, as stored on videos before keys were used
+const getKeyFromUrl = (url) => {
+    const pathname = decodeURIComponent(new URL(url).pathname).replace(/^\//, '');
+    const bucketPrefix = `${Bucket}/`;
+    // Path-style URLs include the bucket name as the first path segment
+    return pathname.startsWith(bucketPrefix) ? pathname.slice(bucketPrefix.length) : pathname;
+};
+
+module.exports = {
+    name: 's3',
+    put,
+    getStream,
+    delete: remove,
+    deletePrefix: removePrefix,
+    getSignedUrl,
+    head,
+    canSignUrls: true,
+    getKeyFromUrl
+};
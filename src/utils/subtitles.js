@@ -0,0 +1,151 @@
+// SRT / WebVTT parsing and serialization.
+// Cues are plain objects: { index, start, end, text } with times in seconds.
+
+const TIMESTAMP_PATTERN = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{3})/;
+const TIMING_LINE_PATTERN = new RegExp(`${TIMESTAMP_PATTERN.source}\\s*-->\\s*${TIMESTAMP_PATTERN.source}`);
+
+// Gap between cues (in seconds) that starts a new paragraph in the plain-text transcript
+const PARAGRAPH_GAP_SECONDS = 2;
+
+// "01:02:03,456" / "01:02:03.456" / "02:03.456" -> seconds
+const parseTimestamp = (value) => {
+  const match = String(value).match(TIMESTAMP_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  const [, hours = "0", minutes, seconds, milliseconds] = match;
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + parseInt(milliseconds) / 1000;
+};
+
+// seconds -> "01:02:03,456" (SRT) or "01:02:03.456" (WebVTT)
+const formatTimestamp = (totalSeconds, separator = ",") => {
+  const totalMs = Math.max(0, Math.round(totalSeconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+};
+
+// 75.2 -> "1:15", 3725 -> "1:02:05"
+const formatClockTime = (totalSeconds) => {
+  const total = Math.max(0, Math.floor(totalSeconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, "0");
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Parse the cue blocks shared by SRT and WebVTT. Blocks without a valid timing line are skipped.
+const parseCueBlocks = (content) => {
+  const blocks = String(content || "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/);
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex(line => TIMING_LINE_PATTERN.test(line));
+    if (timingIndex === -1) continue;
+
+    const [startValue, endValue] = lines[timingIndex].split("-->");
+    const text = lines.slice(timingIndex + 1).map(line => line.trim()).filter(Boolean).join("\n");
+
+    cues.push({
+      index: cues.length + 1,
+      start: parseTimestamp(startValue),
+      end: parseTimestamp(endValue),
+      text
+    });
+  }
+  return cues;
+};
+
+const parseSrt = (content) => parseCueBlocks(content);
+
+// WebVTT: the header and NOTE/STYLE/REGION blocks never contain a timing line, so they are skipped
+const parseVtt = (content) => parseCueBlocks(content);
+
+const parseSubtitles = (content) => {
+  return /^\uFEFF?WEBVTT/.test(String(content || "")) ? parseVtt(content) : parseSrt(content);
+};
+
+const serializeSrt = (cues) => {
+  return cues
+    .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`)
+    .join("\n\n");
+};
+
+const serializeVtt = (cues) => {
+  const body = cues
+    .map(cue => `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${cue.text}`)
+    .join("\n\n");
+  return `WEBVTT\n\n${body}\n`;
+};
+
+// Readable transcript: cue text joined into paragraphs, split on longer pauses
+const serializeText = (cues) => {
+  const paragraphs = [];
+  let current = [];
+  let previousEnd = null;
+
+  for (const cue of cues) {
+    const text = cue.text.replace(/\s+/g, " ").trim();
+    if (!text) continue;
+    if (previousEnd !== null && cue.start - previousEnd > PARAGRAPH_GAP_SECONDS && current.length > 0) {
+      paragraphs.push(current.join(" "));
+      current = [];
+    }
+    current.push(text);
+    previousEnd = cue.end;
+  }
+  if (current.length > 0) {
+    paragraphs.push(current.join(" "));
+  }
+
+  return paragraphs.join("\n\n") + "\n";
+};
+
+// Transcript for language models: one "[1:15] text" line per cue, grouped into parts of at most
+// `maxChars` characters (split between cues) so long transcripts can be sent part by part
+const toTimedTranscriptParts = (cues, maxChars) => {
+  const parts = [];
+  let current = "";
+  for (const cue of cues) {
+    const text = cue.text.replace(/\s+/g, " ").trim();
+    if (!text) continue;
+    const line = `[${formatClockTime(cue.start)}] ${text}\n`;
+    if (current && current.length + line.length > maxChars) {
+      parts.push(current);
+      current = "";
+    }
+    current += line;
+  }
+  if (current) parts.push(current);
+  return parts;
+};
+
+// Move every cue by `offsetSeconds`, renumbering from 1
+const shiftCues = (cues, offsetSeconds) => {
+  return cues.map((cue, i) => ({
+    ...cue,
+    index: i + 1,
+    start: cue.start + offsetSeconds,
+    end: cue.end + offsetSeconds
+  }));
+};
+
+module.exports = {
+  parseTimestamp,
+  formatTimestamp,
+  formatClockTime,
+  parseSrt,
+  parseVtt,
+  parseSubtitles,
+  serializeSrt,
+  serializeVtt,
+  serializeText,
+  toTimedTranscriptParts,
+  shiftCues
+};
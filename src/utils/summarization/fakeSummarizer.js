@@ -0,0 +1,39 @@
+// Deterministic summarizer for offline development and tests: no network.
+// Picks sentences out of the transcript instead of writing anything new.
+const ACTION_PATTERN = /\b(todo|to do|need to|needs to|should|will|follow up|action item|let's|make sure)\b/i;
+const MAX_KEY_POINTS = 5;
+
+// Transcript lines without their "[0:05]" time prefix
+const toSentences = (transcript) => transcript
+  .split("\n")
+  .map(line => line.replace(/^\[[\d:]+\]\s*/, "").trim())
+  .filter(Boolean);
+
+const firstWords = (text, count) => text.split(/\s+/).slice(0, count).join(" ");
+
+const fakeSummarizer = {
+  name: "fake",
+  label: "Fake (offline testing)",
+
+  async summarize(transcript) {
+    const sentences = toSentences(transcript);
+    const step = Math.max(1, Math.ceil(sentences.length / MAX_KEY_POINTS));
+    return {
+      summary: sentences.slice(0, 3).join(" "),
+      suggestedTitle: firstWords(sentences[0] || "", 8),
+      keyPoints: sentences.filter((sentence, index) => index % step === 0).slice(0, MAX_KEY_POINTS),
+      actionItems: sentences.filter(sentence => ACTION_PATTERN.test(sentence))
+    };
+  },
+
+  async combine(summaries) {
+    return {
+      summary: summaries.map(part => part.summary).join(" "),
+      suggestedTitle: summaries[0]?.suggestedTitle || "",
+      keyPoints: summaries.flatMap(part => part.keyPoints).slice(0, MAX_KEY_POINTS * 2),
+      actionItems: summaries.flatMap(part => part.actionItems)
+    };
+  }
+};
+
+module.exports = fakeSummarizer;
@@ -0,0 +1,83 @@
+const openaiSummarizer = require("./openaiSummarizer");
+const fakeSummarizer = require("./fakeSummarizer");
+const { toTimedTranscriptParts } = require("../subtitles");
+
+// Every summarizer exposes: name, label,
+//   summarize(transcript, { language, title, part, parts }) -> { summary, suggestedTitle, keyPoints, actionItems }
+//   combine(summaries, { language, title }) -> the same shape, for the whole video
+const SUMMARIZERS = {
+  [openaiSummarizer.name]: openaiSummarizer,
+  [fakeSummarizer.name]: fakeSummarizer
+};
+
+const DEFAULT_SUMMARIZER = process.env.SUMMARY_PROVIDER || "openai";
+// Whether uploads are summarized when they don't say (the summarize processing option)
+const SUMMARIZE_BY_DEFAULT = process.env.SUMMARIZE_BY_DEFAULT === "true";
+
+// Transcript characters sent per request; longer transcripts are summarized part by part
+const SUMMARY_CHUNK_CHARS = parseInt(process.env.SUMMARY_CHUNK_CHARS) || 12000;
+// Part summaries merged per request
+const SUMMARY_MERGE_BATCH_SIZE = 8;
+const MAX_KEY_POINTS = 10;
+const MAX_ACTION_ITEMS = 20;
+const MAX_TITLE_LENGTH = 100;
+
+const getSummarizer = (name = DEFAULT_SUMMARIZER) => {
+  const summarizer = SUMMARIZERS[name];
+  if (!summarizer) {
+    throw new Error(`Unknown summary provider "${name}"`);
+  }
+  return summarizer;
+};
+
+const listSummarizers = () => Object.values(SUMMARIZERS).map(({ name, label }) => ({ name, label }));
+
+// Keep provider output to the stored shape, whatever the model answered
+const normalizeSummary = (result = {}) => {
+  const toList = (value, max) => (Array.isArray(value) ? value : [])
+    .map(item => String(item ?? "").trim())
+    .filter(Boolean)
+    .slice(0, max);
+
+  return {
+    summary: String(result.summary ?? "").trim(),
+    suggestedTitle: String(result.suggestedTitle ?? "").trim().slice(0, MAX_TITLE_LENGTH),
+    keyPoints: toList(result.keyPoints, MAX_KEY_POINTS),
+    actionItems: toList(result.actionItems, MAX_ACTION_ITEMS)
+  };
+};
+
+// Summarize transcript cues. Transcripts that don't fit one request are summarized part by part,
+// and the part summaries merged (in rounds, for very long recordings) into one.
+// `language` is the language to write in, null for the transcript's own.
+const summarizeCues = async (cues, { summarizer = DEFAULT_SUMMARIZER, language = null, title = "" } = {}) => {
+  const backend = getSummarizer(summarizer);
+  const parts = toTimedTranscriptParts(cues, SUMMARY_CHUNK_CHARS);
+  if (parts.length === 0) {
+    throw new Error("The transcript is empty, there is nothing to summarize");
+  }
+
+  let summaries = [];
+  for (let i = 0; i < parts.length; i++) {
+    summaries.push(normalizeSummary(await backend.summarize(parts[i], { language, title, part: i + 1, parts: parts.length })));
+  }
+
+  while (summaries.length > 1) {
+    const merged = [];
+    for (let i = 0; i < summaries.length; i += SUMMARY_MERGE_BATCH_SIZE) {
+      const batch = summaries.slice(i, i + SUMMARY_MERGE_BATCH_SIZE);
+      merged.push(batch.length === 1 ? batch[0] : normalizeSummary(await backend.combine(batch, { language, title })));
+    }
+    summaries = merged;
+  }
+
+  return summaries[0];
+};
+
+module.exports = {
+  DEFAULT_SUMMARIZER,
+  SUMMARIZE_BY_DEFAULT,
+  getSummarizer,
+  listSummarizers,
+  summarizeCues
+};
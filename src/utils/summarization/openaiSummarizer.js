@@ -0,0 +1,64 @@
+const OpenAI = require("openai");
+const { SUPPORTED_LANGUAGES } = require("../../config/transcription");
+
+const MODEL = process.env.OPENAI_SUMMARY_MODEL || "gpt-4o-mini";
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY is not configured");
+    }
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+const RESULT_FORMAT = `Answer with a JSON object {"summary": "...", "suggestedTitle": "...", "keyPoints": ["..."], "actionItems": ["..."]}: ` +
+  `a summary of one or two short paragraphs, a title of at most 80 characters, up to 8 key points and ` +
+  `the tasks, decisions to follow up on or commitments people made (empty if there are none).`;
+
+const describeLanguage = (language) => language
+  ? `Write in ${SUPPORTED_LANGUAGES[language] || language}.`
+  : "Write in the language of the transcript.";
+
+const complete = async (system, content) => {
+  const completion = await getClient().chat.completions.create({
+    model: MODEL,
+    temperature: 0.2,
+    response_format: { type: "json_object" },
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content }
+    ]
+  });
+  return JSON.parse(completion.choices[0].message.content);
+};
+
+// Summarizes transcripts of screen recordings with a chat model
+const openaiSummarizer = {
+  name: "openai",
+  label: "OpenAI",
+
+  // `part` / `parts` tell the model it only sees a section of a longer recording
+  async summarize(transcript, { language, title, part, parts }) {
+    const section = parts > 1 ? ` This is part ${part} of ${parts} of the transcript.` : "";
+    return complete(
+      `You summarize transcripts of recorded videos${title ? ` titled "${title}"` : ""}.${section} ` +
+        `Lines start with the time they were said at. ${describeLanguage(language)} ${RESULT_FORMAT}`,
+      transcript
+    );
+  },
+
+  // Merge the summaries of consecutive parts of one recording
+  async combine(summaries, { language, title }) {
+    return complete(
+      `You receive summaries of consecutive parts of one recorded video${title ? ` titled "${title}"` : ""} ` +
+        `as a JSON object {"parts": [...]}. Merge them into a summary of the whole video, dropping repetitions. ` +
+        `${describeLanguage(language)} ${RESULT_FORMAT}`,
+      JSON.stringify({ parts: summaries })
+    );
+  }
+};
+
+module.exports = openaiSummarizer;
@@ -0,0 +1,203 @@
+const { spawn } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const ffmpegPath = require("ffmpeg-static");
+const { probeMedia } = require("./mediaProbe");
+const { formatTimestamp } = require("./subtitles");
+
+// Poster frames are picked among this many evenly spread candidates
+const POSTER_CANDIDATES = 10;
+const POSTER_WIDTH = 1280;
+// Candidates are compared on small grayscale frames
+const ANALYSIS_WIDTH = 160;
+const ANALYSIS_HEIGHT = 90;
+// Mean luma (0-255) below which a frame counts as black, above which as blank white
+const BLACK_FRAME_LUMA = 24;
+const WHITE_FRAME_LUMA = 240;
+
+// Scrubbing previews: one thumbnail every SPRITE_INTERVAL seconds (longer for long videos),
+// tiled SPRITE_COLUMNS x SPRITE_ROWS per sheet
+const SPRITE_INTERVAL = parseInt(process.env.SPRITE_INTERVAL_SECONDS) || 5;
+const MAX_SPRITE_THUMBNAILS = 300;
+const SPRITE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+
+const runFfmpeg = (args) => {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, args, { windowsHide: true });
+
+        const stdout = [];
+        let stderr = "";
+        ffmpeg.stdout.on("data", (data) => stdout.push(data));
+        ffmpeg.stderr.on("data", (data) => {
+            stderr += data.toString();
+        });
+
+        ffmpeg.on("error", (err) => {
+            reject(new Error(`FFmpeg execution failed: ${err.message}`));
+        });
+
+        ffmpeg.on("close", (code) => {
+            if (code !== 0) {
+                console.error("📄 FFmpeg stderr:\n", stderr);
+                return reject(new Error(`FFmpeg exited with code ${code}`));
+            }
+            resolve(Buffer.concat(stdout));
+        });
+    });
+};
+
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// Write the frame at `timestamp` as a JPEG, at most `width` pixels wide.
+// `input` may be a local path or a (signed) URL.
+const extractFrame = async (input, timestamp, outputPath, { width = POSTER_WIDTH } = {}) => {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    await runFfmpeg([
+        '-ss', String(timestamp),
+        '-i', input,
+        '-frames:v', '1',
+        '-vf', `scale='min(${width},iw)':-2`,
+        '-q:v', '3',
+        '-y', outputPath
+    ]);
+    if (!fs.existsSync(outputPath)) {
+        throw new Error(`No frame found at ${timestamp}s`);
+    }
+    return outputPath;
+};
+
+// Mean brightness and sharpness (variance of the Laplacian) of a grayscale frame
+const scoreFrame = (pixels, width, height) => {
+    let sum = 0;
+    for (const value of pixels) sum += value;
+    const brightness = sum / pixels.length;
+
+    let count = 0;
+    let mean = 0;
+    let m2 = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = 4 * pixels[i] - pixels[i - 1] - pixels[i + 1] - pixels[i - width] - pixels[i + width];
+            count++;
+            const delta = laplacian - mean;
+            mean += delta / count;
+            m2 += delta * (laplacian - mean);
+        }
+    }
+
+    return { brightness, sharpness: count > 0 ? m2 / count : 0 };
+};
+
+// Timestamp of a representative frame: the sharpest of the candidates that are neither black nor blank
+const pickPosterTimestamp = async (videoPath, duration) => {
+    if (!(duration > 0)) return 0;
+
+    const candidates = [];
+    for (let i = 0; i < POSTER_CANDIDATES; i++) {
+        const timestamp = Number((((i + 0.5) / POSTER_CANDIDATES) * duration).toFixed(3));
+        try {
+            const pixels = await runFfmpeg([
+                '-ss', String(timestamp),
+                '-i', videoPath,
+                '-frames:v', '1',
+                '-vf', `scale=${ANALYSIS_WIDTH}:${ANALYSIS_HEIGHT}`,
+                '-f', 'rawvideo',
+                '-pix_fmt', 'gray',
+                'pipe:1'
+            ]);
+            if (pixels.length < ANALYSIS_WIDTH * ANALYSIS_HEIGHT) continue;
+            candidates.push({ timestamp, ...scoreFrame(pixels, ANALYSIS_WIDTH, ANALYSIS_HEIGHT) });
+        } catch (error) {
+            console.error(`Could not analyze frame at ${timestamp}s:`, error.message);
+        }
+    }
+
+    const usable = candidates.filter(candidate =>
+        candidate.brightness >= BLACK_FRAME_LUMA && candidate.brightness <= WHITE_FRAME_LUMA);
+    const ranked = (usable.length > 0 ? usable : candidates).sort((a, b) => b.sharpness - a.sharpness);
+    return ranked.length > 0 ? ranked[0].timestamp : 0;
+};
+
+// Tile thumbnails into sprite-001.jpg, sprite-002.jpg, ... in `outputDir`.
+// Resolves with the layout needed to build the WebVTT thumbnail track.
+const generateSpriteSheets = async (videoPath, outputDir, { duration, width, height }) => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const interval = Math.max(SPRITE_INTERVAL, Math.ceil(duration / MAX_SPRITE_THUMBNAILS));
+    const thumbWidth = SPRITE_WIDTH;
+    const thumbHeight = toEven((SPRITE_WIDTH * height) / width);
+
+    await runFfmpeg([
+        '-i', videoPath,
+        '-an',
+        '-vf', `fps=1/${interval},scale=${thumbWidth}:${thumbHeight},tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`,
+        '-q:v', '5',
+        '-y', path.join(outputDir, 'sprite-%03d.jpg')
+    ]);
+
+    const sheets = fs.readdirSync(outputDir).filter(name => /^sprite-\d+\.jpg$/.test(name)).sort();
+    if (sheets.length === 0) {
+        throw new Error("No sprite sheets were created");
+    }
+
+    return {
+        sheets,
+        interval,
+        columns: SPRITE_COLUMNS,
+        rows: SPRITE_ROWS,
+        width: thumbWidth,
+        height: thumbHeight,
+        count: Math.min(Math.ceil(duration / interval), sheets.length * SPRITE_COLUMNS * SPRITE_ROWS)
+    };
+};
+
+// Poster frame (unless `poster` is false) and scrubbing sprites for a video
+const createThumbnails = async (videoPath, outputDir, { poster = true } = {}) => {
+    const { width, height, duration } = await probeMedia(videoPath);
+    const result = { posterPath: null, posterTimestamp: null, sprites: null };
+
+    if (poster) {
+        result.posterTimestamp = await pickPosterTimestamp(videoPath, duration);
+        result.posterPath = await extractFrame(videoPath, result.posterTimestamp, path.join(outputDir, 'poster.jpg'));
+        console.log(`Picked poster frame at ${result.posterTimestamp}s`);
+    }
+
+    if (duration > 0) {
+        result.sprites = await generateSpriteSheets(videoPath, path.join(outputDir, 'sprites'), { duration, width, height });
+        console.log(`Created ${result.sprites.sheets.length} sprite sheets (${result.sprites.count} thumbnails)`);
+    }
+
+    return result;
+};
+
+// WebVTT thumbnail track: one cue per thumbnail pointing at its tile, e.g. sprite.jpg#xywh=160,0,160,90.
+// `sheetUrls` holds the URL of each sheet, in order.
+const buildThumbnailTrack = (sprites, sheetUrls) => {
+    const perSheet = sprites.columns * sprites.rows;
+    const cues = [];
+
+    for (let i = 0; i < sprites.count; i++) {
+        const start = i * sprites.interval;
+        const end = start + sprites.interval;
+        const tile = i % perSheet;
+        const x = (tile % sprites.columns) * sprites.width;
+        const y = Math.floor(tile / sprites.columns) * sprites.height;
+        const url = sheetUrls[Math.floor(i / perSheet)];
+        cues.push(`${formatTimestamp(start, ".")} --> ${formatTimestamp(end, ".")}\n${url}#xywh=${x},${y},${sprites.width},${sprites.height}`);
+    }
+
+    return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+};
+
+module.exports = {
+    extractFrame,
+    scoreFrame,
+    pickPosterTimestamp,
+    generateSpriteSheets,
+    createThumbnails,
+    buildThumbnailTrack
+};
@@ -3,8 +3,17 @@ const path = require("path");
 const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
+const { AUTO_LANGUAGE, DEFAULT_LANGUAGE, DEFAULT_MODEL, findLanguageCode } = require("../config/transcription");
 
-async function transcribeWithWhisper(audioPath, outputDir) {
+// Map Whisper's "Detected language: English" output back to a language code
+function parseDetectedLanguage(output) {
+  const match = String(output || "").match(/Detected language:\s*([A-Za-z ]+)/);
+  return match ? findLanguageCode(match[1]) : null;
+}
+
+// Resolves with { srtPath, language }. `language` may be "auto" to let Whisper detect it;
+// the resolved language is the detected one in that case (or null if Whisper didn't report it).
+async function transcribeWithWhisper(audioPath, outputDir, { language = DEFAULT_LANGUAGE, model = DEFAULT_MODEL } = {}) {
   console.log("Starting transcription process...");
   console.log("Audio path:", audioPath);
   console.log("Output directory:", outputDir);
@@ -32,12 +41,18 @@ async function transcribeWithWhisper(audioPath, outputDir) {
     console.log("Running Whisper transcription...");
     
     // Use the correct command for Windows
-    const whisperCommand = `whisper "${tempAudioPath}" --model tiny --language en --output_dir "${outputDir}" --output_format srt --device cpu --threads 1`;
+    const languageArg = language === AUTO_LANGUAGE ? "" : ` --language ${language}`;
+    const whisperCommand = `whisper "${tempAudioPath}" --model ${model}${languageArg} --output_dir "${outputDir}" --output_format srt --device cpu --threads 1`;
     console.log("Whisper command:", whisperCommand);
     
     const { stdout, stderr } = await execPromise(whisperCommand);
     console.log("Whisper stdout:", stdout);
     if (stderr) console.error("Whisper stderr:", stderr);
+
+    const resolvedLanguage = language === AUTO_LANGUAGE ? parseDetectedLanguage(`${stdout}\n${stderr}`) : language;
+    if (language === AUTO_LANGUAGE) {
+      console.log("Detected language:", resolvedLanguage || "unknown");
+    }
     
     // Clean up temporary file
     if (fs.existsSync(tempAudioPath)) {
@@ -47,10 +62,10 @@ async function transcribeWithWhisper(audioPath, outputDir) {
 
     // Check for possible output file names
     const possibleOutputFiles = [
-      path.join(outputDir, `${baseName}_temp.en.srt`),
+      path.join(outputDir, `${baseName}_temp.${resolvedLanguage}.srt`),
       path.join(outputDir, `${baseName}_temp.srt`),
       path.join(outputDir, `${path.basename(tempAudioPath, '.wav')}.srt`),
-      path.join(outputDir, `${path.basename(tempAudioPath, '.wav')}.en.srt`)
+      path.join(outputDir, `${path.basename(tempAudioPath, '.wav')}.${resolvedLanguage}.srt`)
     ];
 
     console.log("Checking possible output files:", possibleOutputFiles);
@@ -71,7 +86,7 @@ async function transcribeWithWhisper(audioPath, outputDir) {
       const srtContent = formatTranscriptionToSRT(stdout);
       fs.writeFileSync(outputFile, srtContent, 'utf8');
       console.log("Created SRT file from stdout");
-      return outputFile;
+      return { srtPath: outputFile, language: resolvedLanguage };
     }
 
     if (!whisperOutput) {
@@ -88,7 +103,7 @@ async function transcribeWithWhisper(audioPath, outputDir) {
     }
     
     console.log("Transcription completed successfully");
-    return outputFile;
+    return { srtPath: outputFile, language: resolvedLanguage };
   } catch (error) {
     console.error('Error in Whisper transcription:', error);
     console.error('Command output:', error.stdout);
@@ -104,7 +119,7 @@ function formatTranscriptionToSRT(text) {
   
   // Create a simple SRT entry with the entire text
   return `1
-00:00:00,000 --> 00:30:000
+00:00:00,000 --> 00:00:30,000
 ${cleanText}
 `;
 }
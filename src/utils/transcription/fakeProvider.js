@@ -0,0 +1,57 @@
+const fs = require("fs");
+const { AUTO_LANGUAGE } = require("../../config/transcription");
+
+// Length of each fake segment in seconds
+const SEGMENT_SECONDS = 5;
+
+// Duration of a PCM WAV file from its header, or null if it isn't one
+const getWavDuration = (audioPath) => {
+  const buffer = fs.readFileSync(audioPath);
+  if (buffer.length < 44 || buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+    return null;
+  }
+
+  const byteRate = buffer.readUInt32LE(28);
+  // Walk the chunks to find "data", other chunks (e.g. LIST) may come first
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString("ascii", offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkId === "data") {
+      const dataSize = Math.min(chunkSize, buffer.length - offset - 8);
+      return byteRate > 0 ? dataSize / byteRate : null;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+};
+
+// Deterministic provider for offline development and tests: no binaries, no network.
+// Produces one numbered segment every 5 seconds of audio.
+const fakeProvider = {
+  name: "fake",
+  label: "Fake (offline testing)",
+  models: [{ name: "fake", englishOnly: false }],
+  defaultModel: "fake",
+  supportsAutoLanguage: true,
+
+  async transcribe(audioPath, { language }) {
+    if (!fs.existsSync(audioPath)) {
+      throw new Error(`Audio file not found: ${audioPath}`);
+    }
+
+    const duration = getWavDuration(audioPath) || SEGMENT_SECONDS;
+    const segments = [];
+    for (let start = 0, number = 1; start < duration; start += SEGMENT_SECONDS, number++) {
+      segments.push({
+        start,
+        end: Math.min(start + SEGMENT_SECONDS, duration),
+        text: `Fake transcript segment ${number}.`
+      });
+    }
+
+    return { segments, language: language === AUTO_LANGUAGE ? "en" : language };
+  }
+};
+
+module.exports = fakeProvider;
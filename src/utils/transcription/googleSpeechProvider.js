@@ -0,0 +1,61 @@
+const fs = require("fs");
+const speech = require("@google-cloud/speech");
+
+// Words per segment when grouping Google's word timings into caption segments
+const WORDS_PER_SEGMENT = 10;
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    // Credentials come from GOOGLE_APPLICATION_CREDENTIALS
+    client = new speech.SpeechClient();
+  }
+  return client;
+};
+
+const toSeconds = (duration) => Number(duration?.seconds || 0) + (duration?.nanos || 0) / 1e9;
+
+// Google Cloud Speech-to-Text. Synchronous recognition handles up to one minute of audio,
+// which matches the pipeline's chunk length. It needs an explicit language.
+const googleSpeechProvider = {
+  name: "google",
+  label: "Google Cloud Speech-to-Text",
+  models: [
+    { name: "latest_long", englishOnly: false },
+    { name: "video", englishOnly: false },
+    { name: "default", englishOnly: false }
+  ],
+  defaultModel: "latest_long",
+  supportsAutoLanguage: false,
+
+  async transcribe(audioPath, { language, model }) {
+    const [response] = await getClient().recognize({
+      audio: { content: fs.readFileSync(audioPath).toString("base64") },
+      config: {
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+        languageCode: language,
+        model,
+        enableAutomaticPunctuation: true,
+        enableWordTimeOffsets: true
+      }
+    });
+
+    const segments = [];
+    for (const result of response.results || []) {
+      const words = result.alternatives?.[0]?.words || [];
+      for (let i = 0; i < words.length; i += WORDS_PER_SEGMENT) {
+        const group = words.slice(i, i + WORDS_PER_SEGMENT);
+        segments.push({
+          start: toSeconds(group[0].startTime),
+          end: toSeconds(group[group.length - 1].endTime),
+          text: group.map(word => word.word).join(" ")
+        });
+      }
+    }
+
+    return { segments, language };
+  }
+};
+
+module.exports = googleSpeechProvider;
@@ -0,0 +1,47 @@
+const User = require("../../models/user");
+const { DEFAULT_TRANSCRIPTION_PROVIDER } = require("../../config/transcription");
+const whisperCliProvider = require("./whisperCliProvider");
+const openaiProvider = require("./openaiProvider");
+const googleSpeechProvider = require("./googleSpeechProvider");
+const fakeProvider = require("./fakeProvider");
+
+// Every provider exposes the same shape:
+//   name, label, models: [{ name, englishOnly }], defaultModel, supportsAutoLanguage,
+//   transcribe(audioPath, { language, model, outputDir }) -> { segments: [{ start, end, text }], language }
+// Segment times are in seconds from the start of the audio file.
+const PROVIDERS = {
+  [whisperCliProvider.name]: whisperCliProvider,
+  [openaiProvider.name]: openaiProvider,
+  [googleSpeechProvider.name]: googleSpeechProvider,
+  [fakeProvider.name]: fakeProvider
+};
+
+const getTranscriptionProvider = (name = DEFAULT_TRANSCRIPTION_PROVIDER) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown transcription provider "${name}"`);
+  }
+  return provider;
+};
+
+const listTranscriptionProviders = () => {
+  return Object.values(PROVIDERS).map(({ name, label, models, defaultModel, supportsAutoLanguage }) => ({
+    name,
+    label,
+    models,
+    defaultModel,
+    supportsAutoLanguage
+  }));
+};
+
+// The user's preferred provider, falling back to the configured default
+const resolveTranscriptionProvider = async (userId) => {
+  const user = await User.findById(userId).select("preferences").lean();
+  return user?.preferences?.transcriptionProvider || DEFAULT_TRANSCRIPTION_PROVIDER;
+};
+
+module.exports = {
+  getTranscriptionProvider,
+  listTranscriptionProviders,
+  resolveTranscriptionProvider
+};
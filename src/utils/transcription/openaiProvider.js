@@ -0,0 +1,47 @@
+const fs = require("fs");
+const OpenAI = require("openai");
+const { AUTO_LANGUAGE, findLanguageCode } = require("../../config/transcription");
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY is not configured");
+    }
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+// OpenAI transcription API. Only whisper-1 returns timed segments.
+const openaiProvider = {
+  name: "openai",
+  label: "OpenAI Whisper API",
+  models: [{ name: "whisper-1", englishOnly: false }],
+  defaultModel: "whisper-1",
+  supportsAutoLanguage: true,
+
+  async transcribe(audioPath, { language, model }) {
+    const response = await getClient().audio.transcriptions.create({
+      file: fs.createReadStream(audioPath),
+      model,
+      language: language === AUTO_LANGUAGE ? undefined : language,
+      response_format: "verbose_json",
+      timestamp_granularities: ["segment"]
+    });
+
+    const segments = (response.segments || []).map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text.trim()
+    }));
+
+    // verbose_json reports the language by name, e.g. "english"
+    return {
+      segments,
+      language: language === AUTO_LANGUAGE ? findLanguageCode(response.language) : language
+    };
+  }
+};
+
+module.exports = openaiProvider;
@@ -0,0 +1,22 @@
+const fs = require("fs");
+const { transcribeWithWhisper } = require("../transcribeWithWhisper");
+const { parseSrt } = require("../subtitles");
+const { WHISPER_MODELS, DEFAULT_MODEL } = require("../../config/transcription");
+
+// Local `whisper` CLI (openai-whisper), run once per audio chunk
+const whisperCliProvider = {
+  name: "whisper",
+  label: "Whisper (local)",
+  models: WHISPER_MODELS,
+  defaultModel: DEFAULT_MODEL,
+  supportsAutoLanguage: true,
+
+  async transcribe(audioPath, { language, model, outputDir }) {
+    const { srtPath, language: resolvedLanguage } = await transcribeWithWhisper(audioPath, outputDir, { language, model });
+    const segments = parseSrt(fs.readFileSync(srtPath, "utf8"));
+    fs.unlinkSync(srtPath);
+    return { segments, language: resolvedLanguage };
+  }
+};
+
+module.exports = whisperCliProvider;
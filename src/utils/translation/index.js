@@ -0,0 +1,44 @@
+const openaiTranslator = require("./openaiTranslator");
+const stubTranslator = require("./stubTranslator");
+
+// Every translator exposes: name, label, translate(texts, { from, to }) -> translated texts (same order and length)
+const TRANSLATORS = {
+  [openaiTranslator.name]: openaiTranslator,
+  [stubTranslator.name]: stubTranslator
+};
+
+const DEFAULT_TRANSLATOR = process.env.TRANSLATION_PROVIDER || "openai";
+
+// Cues sent to the translator per request
+const TRANSLATION_BATCH_SIZE = 50;
+
+const getTranslator = (name = DEFAULT_TRANSLATOR) => {
+  const translator = TRANSLATORS[name];
+  if (!translator) {
+    throw new Error(`Unknown translation provider "${name}"`);
+  }
+  return translator;
+};
+
+const listTranslators = () => Object.values(TRANSLATORS).map(({ name, label }) => ({ name, label }));
+
+// Translate cue texts in batches, keeping every cue's timing
+const translateCues = async (cues, { from, to, translator = DEFAULT_TRANSLATOR }) => {
+  const backend = getTranslator(translator);
+  const translated = [];
+
+  for (let i = 0; i < cues.length; i += TRANSLATION_BATCH_SIZE) {
+    const batch = cues.slice(i, i + TRANSLATION_BATCH_SIZE);
+    const texts = await backend.translate(batch.map(cue => cue.text), { from, to });
+    batch.forEach((cue, j) => translated.push({ ...cue, text: texts[j] }));
+  }
+
+  return translated;
+};
+
+module.exports = {
+  DEFAULT_TRANSLATOR,
+  getTranslator,
+  listTranslators,
+  translateCues
+};
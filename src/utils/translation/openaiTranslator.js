@@ -0,0 +1,50 @@
+const OpenAI = require("openai");
+const { SUPPORTED_LANGUAGES } = require("../../config/transcription");
+
+const MODEL = process.env.OPENAI_TRANSLATION_MODEL || "gpt-4o-mini";
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY is not configured");
+    }
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+// Translates a batch of caption texts with a chat model, keeping one output per input
+const openaiTranslator = {
+  name: "openai",
+  label: "OpenAI",
+
+  async translate(texts, { from, to }) {
+    const source = from ? SUPPORTED_LANGUAGES[from] || from : "the source language";
+    const target = SUPPORTED_LANGUAGES[to] || to;
+
+    const completion = await getClient().chat.completions.create({
+      model: MODEL,
+      temperature: 0,
+      response_format: { type: "json_object" },
+      messages: [
+        {
+          role: "system",
+          content: `You translate video captions from ${source} to ${target}. ` +
+            `You receive a JSON object {"captions": [...]} and answer with {"translations": [...]}, ` +
+            `one translation per caption, in the same order. Keep translations short enough for captions ` +
+            `and keep line breaks where they make sense.`
+        },
+        { role: "user", content: JSON.stringify({ captions: texts }) }
+      ]
+    });
+
+    const { translations } = JSON.parse(completion.choices[0].message.content);
+    if (!Array.isArray(translations) || translations.length !== texts.length) {
+      throw new Error(`Translator returned ${translations?.length ?? 0} captions for ${texts.length}`);
+    }
+    return translations.map(text => String(text).trim());
+  }
+};
+
+module.exports = openaiTranslator;
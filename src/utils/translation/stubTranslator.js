@@ -0,0 +1,11 @@
+// Deterministic translator for offline development and tests: prefixes each text with the target language
+const stubTranslator = {
+  name: "stub",
+  label: "Stub (offline testing)",
+
+  async translate(texts, { to }) {
+    return texts.map(text => `[${to}] ${text}`);
+  }
+};
+
+module.exports = stubTranslator;
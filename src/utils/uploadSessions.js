@@ -0,0 +1,75 @@
+const fs = require("fs");
+const path = require("path");
+const { once } = require("events");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("stream");
+const UploadSession = require("../models/uploadSession");
+const { createHttpError } = require("./httpError");
+
+// Received bytes are kept on disk under temp/uploads/<sessionId> until the upload is finalized
+const UPLOADS_DIR = path.join(__dirname, "..", "temp", "uploads");
+
+const getSessionDir = (sessionId) => path.join(UPLOADS_DIR, String(sessionId));
+const getSessionDataPath = (sessionId) => path.join(getSessionDir(sessionId), "data");
+const getSessionPartPath = (sessionId, partNumber) => path.join(getSessionDir(sessionId), `part-${partNumber}`);
+
+// Stream the raw request body into a file, starting at `start`.
+// Fails with a 413 error as soon as more than `maxBytes` arrive. Resolves with the byte count.
+const writeRequestBody = async (req, filePath, { start = 0, flags = "w", maxBytes }) => {
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        return callback(createHttpError(413, `Request body exceeds the ${maxBytes} byte limit`));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  await pipeline(req, limiter, fs.createWriteStream(filePath, { flags, start }));
+  return received;
+};
+
+// Concatenate numbered part files into a single file
+const assembleParts = async (sessionId, totalParts, outputPath) => {
+  const output = fs.createWriteStream(outputPath);
+  try {
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      for await (const chunk of fs.createReadStream(getSessionPartPath(sessionId, partNumber))) {
+        if (!output.write(chunk)) {
+          await once(output, "drain");
+        }
+      }
+    }
+  } finally {
+    output.end();
+  }
+  await once(output, "finish");
+};
+
+// Drop sessions that were never finalized, together with their bytes on disk
+const cleanupExpiredUploadSessions = async () => {
+  const expired = await UploadSession.find({
+    status: { $in: ["active", "finalizing"] },
+    expiresAt: { $lte: new Date() }
+  }).select("_id");
+
+  for (const session of expired) {
+    fs.rmSync(getSessionDir(session._id), { recursive: true, force: true });
+    await UploadSession.updateOne({ _id: session._id }, { $set: { status: "aborted" } });
+  }
+
+  if (expired.length > 0) {
+    console.log(`Removed ${expired.length} expired upload sessions`);
+  }
+};
+
+module.exports = {
+  getSessionDir,
+  getSessionDataPath,
+  getSessionPartPath,
+  writeRequestBody,
+  assembleParts,
+  cleanupExpiredUploadSessions
+};
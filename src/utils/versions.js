@@ -0,0 +1,246 @@
+const path = require("path");
+const VideoVersion = require("../models/videoVersion");
+const { deleteObject, deletePrefix } = require("./storage");
+const { createHttpError } = require("./httpError");
+
+// Finished versions whose media is kept besides the current one; older ones are pruned.
+// The upload itself (Video.sourceVideoKey) is never deleted with a version.
+const VIDEO_VERSIONS_KEPT = parseInt(process.env.VIDEO_VERSIONS_KEPT) || 5;
+
+// Fields of a video that belong to a version, i.e. are replaced when another version becomes current
+const VERSION_FIELDS = [
+  "videoKey",
+  "cleanVideoKey",
+  "hlsKey",
+  "thumbnailKey",
+  "posterTime",
+  "previewSprites",
+  "duration",
+  "subtitles",
+  "subtitleTracks",
+  "detectedLanguage",
+  "summary",
+  "chapters",
+  "chapterGeneration",
+  "captionMode",
+  "captionLanguage",
+  "captionsNeedRerender",
+  "language",
+  "transcriptionProvider",
+  "transcriptionModel",
+  "edit"
+];
+
+// Every HLS package lives under its own prefix: hls/<videoId>/<timestamp>/master.m3u8
+const getHlsPrefix = (hlsKey) => path.posix.dirname(hlsKey);
+
+const snapshotVideo = (video) => {
+  const plain = typeof video.toObject === "function" ? video.toObject({ depopulate: true }) : video;
+  return Object.fromEntries(VERSION_FIELDS.map(field => [field, plain[field]]));
+};
+
+// Storage keys and prefixes (HLS packages, preview sprites) referenced by version outputs
+const collectMedia = (outputsList) => {
+  const keys = new Set();
+  const prefixes = new Set();
+  for (const outputs of outputsList) {
+    if (!outputs) continue;
+    [outputs.videoKey, outputs.cleanVideoKey, outputs.thumbnailKey].filter(Boolean).forEach(key => keys.add(key));
+    if (outputs.hlsKey) prefixes.add(getHlsPrefix(outputs.hlsKey));
+    if (outputs.previewSprites?.prefix) prefixes.add(outputs.previewSprites.prefix);
+  }
+  return { keys, prefixes };
+};
+
+// Everything stored for a video: its upload, its current media and that of all its versions
+async function listVideoMedia(video) {
+  const versions = await VideoVersion.find({ videoId: video._id, prunedAt: null }).select("outputs").lean();
+  const media = collectMedia([snapshotVideo(video), ...versions.map(version => version.outputs)]);
+  if (video.sourceVideoKey) {
+    media.keys.add(video.sourceVideoKey);
+  }
+  return media;
+}
+
+// Delete `keys` and `prefixes` that neither the video nor any of its unpruned versions use anymore
+async function deleteUnusedMedia(video, { keys = [], prefixes = [] }) {
+  const used = await listVideoMedia(video);
+  for (const key of new Set(keys)) {
+    if (key && !used.keys.has(key)) {
+      await deleteObject(key).catch(err => {
+        console.error(`Failed to delete ${key} of video ${video._id}:`, err.message);
+      });
+    }
+  }
+  for (const prefix of new Set(prefixes)) {
+    if (prefix && !used.prefixes.has(prefix)) {
+      await deletePrefix(prefix).catch(err => {
+        console.error(`Failed to delete ${prefix} of video ${video._id}:`, err.message);
+      });
+    }
+  }
+}
+
+const nextVersionNumber = async (videoId) => {
+  const latest = await VideoVersion.findOne({ videoId }).sort({ number: -1 }).select("number").lean();
+  return (latest?.number || 0) + 1;
+};
+
+// Videos processed before versions existed get a version for their current state on their first new
+// run, so they can be rolled back to it
+async function recordLegacyVersion(video) {
+  if (video.currentVersion || !video.videoKey) return;
+
+  const version = await VideoVersion.create({
+    videoId: video._id,
+    number: await nextVersionNumber(video._id),
+    kind: "process",
+    settings: {
+      captionMode: video.captionMode,
+      provider: video.transcriptionProvider,
+      language: video.language,
+      model: video.transcriptionModel
+    },
+    status: "processed",
+    outputs: snapshotVideo(video),
+    completedAt: video.createdAt
+  });
+  video.currentVersion = version.number;
+}
+
+// Start a version for a run of `kind` with `settings`. The caller saves the video.
+async function createVersion(video, { kind, settings = {}, createdBy = null }) {
+  await recordLegacyVersion(video);
+
+  const create = async () => VideoVersion.create({
+    videoId: video._id,
+    number: await nextVersionNumber(video._id),
+    kind,
+    createdBy,
+    settings
+  });
+  try {
+    return await create();
+  } catch (error) {
+    // Another run took the number first
+    if (error.code !== 11000) throw error;
+    return create();
+  }
+}
+
+// Store the video's current state (including changes since its run, such as edited subtitles or new
+// translations) in its current version, before another version takes its place
+async function recordCurrentVersion(video) {
+  if (!video.currentVersion) return;
+  await VideoVersion.updateOne(
+    { videoId: video._id, number: video.currentVersion },
+    { $set: { outputs: snapshotVideo(video) } }
+  );
+}
+
+// Make the finished run `versionId` the current version, with the video's (updated, unsaved) state as its
+// outputs. Jobs queued before versions existed have no version to finish.
+async function completeVersion(video, versionId) {
+  if (!versionId) return null;
+  const version = await VideoVersion.findByIdAndUpdate(
+    versionId,
+    { $set: { status: "processed", outputs: snapshotVideo(video), errorMessage: null, completedAt: new Date() } },
+    { new: true }
+  );
+  if (version) {
+    video.currentVersion = version.number;
+  }
+  return version;
+}
+
+async function failVersion(versionId, error) {
+  if (!versionId) return;
+  await VideoVersion.updateOne(
+    { _id: versionId },
+    { $set: { status: "failed", errorMessage: error.message, completedAt: new Date() } }
+  );
+}
+
+// Delete the media of finished versions beyond the newest VIDEO_VERSIONS_KEPT (not counting the current one)
+async function pruneVersions(video) {
+  const versions = await VideoVersion.find({ videoId: video._id, status: "processed", prunedAt: null }).sort({ number: -1 });
+  const expired = versions
+    .filter(version => version.number !== video.currentVersion)
+    .slice(VIDEO_VERSIONS_KEPT);
+  if (expired.length === 0) return;
+
+  await VideoVersion.updateMany({ _id: { $in: expired.map(version => version._id) } }, { $set: { prunedAt: new Date() } });
+  const media = collectMedia(expired.map(version => version.outputs));
+  await deleteUnusedMedia(video, { keys: [...media.keys], prefixes: [...media.prefixes] });
+  console.log(`Pruned ${expired.length} old versions of video ${video._id}`);
+}
+
+// Make the finished version `number` the current one again. The caller checks that no job is running.
+async function rollBackToVersion(video, number) {
+  const version = await VideoVersion.findOne({ videoId: video._id, number });
+  if (!version) {
+    throw createHttpError(404, "Version not found");
+  }
+  if (version.number === video.currentVersion) {
+    throw createHttpError(409, `Version ${number} is the current version already`);
+  }
+  if (version.status !== "processed") {
+    throw createHttpError(409, `Version ${number} is ${version.status}, only finished versions can be rolled back to`);
+  }
+  if (version.prunedAt) {
+    throw createHttpError(409, `The media of version ${number} was deleted to save storage`);
+  }
+
+  await recordCurrentVersion(video);
+  for (const field of VERSION_FIELDS) {
+    if (version.outputs[field] !== undefined) {
+      video.set(field, version.outputs[field]);
+    }
+  }
+  // Recorded while an edit replacing it was running
+  if (video.edit?.status === "pending") {
+    video.edit.status = "ready";
+  }
+  video.currentVersion = version.number;
+  video.status = "processed";
+  video.errorMessage = null;
+  video.progress = { stage: "completed", percent: 100, message: `Rolled back to version ${number}`, updatedAt: new Date() };
+  await video.save();
+  return version;
+}
+
+async function listVersions(video) {
+  return VideoVersion.find({ videoId: video._id }).sort({ number: -1 }).lean();
+}
+
+// Shape of a version returned to clients
+const formatVersion = (version, video) => ({
+  number: version.number,
+  kind: version.kind,
+  status: version.status,
+  current: version.number === video.currentVersion,
+  settings: version.settings,
+  duration: version.outputs?.duration ?? null,
+  captionMode: version.outputs?.captionMode ?? null,
+  edited: Boolean(version.outputs?.edit?.keep?.length),
+  error: version.errorMessage,
+  createdBy: version.createdBy,
+  createdAt: version.createdAt,
+  completedAt: version.completedAt,
+  pruned: Boolean(version.prunedAt),
+  canRollBack: version.status === "processed" && !version.prunedAt && version.number !== video.currentVersion
+});
+
+module.exports = {
+  VIDEO_VERSIONS_KEPT,
+  listVideoMedia,
+  deleteUnusedMedia,
+  createVersion,
+  recordCurrentVersion,
+  completeVersion,
+  failVersion,
+  pruneVersions,
+  rollBackToVersion,
+  listVersions,
+  formatVersion
+};
@@ -0,0 +1,269 @@
+const { parseSrt, serializeSrt, shiftCues } = require("./subtitles");
+const { createHttpError } = require("./httpError");
+const { MIN_CHAPTER_GAP_SECONDS } = require("./chapters");
+
+// Edits keep parts of the upload ("keep ranges", [{ start, end }] in seconds on the upload's timeline,
+// in order and apart). The edited video is those parts joined; the upload itself is never changed,
+// so edits can be refined or reverted. Subtitles, chapters and the poster time are moved along.
+
+const MAX_EDIT_RANGES = 100;
+const MIN_EDITED_DURATION_SECONDS = 1;
+// Ranges closer together than this are joined
+const RANGE_PRECISION_SECONDS = 0.001;
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+const getKeptDuration = (keep) => round(keep.reduce((total, range) => total + range.end - range.start, 0));
+
+// Sort and join overlapping or touching ranges
+const mergeRanges = (ranges) => {
+  const merged = [];
+  for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+    const previous = merged[merged.length - 1];
+    if (previous && range.start - previous.end <= RANGE_PRECISION_SECONDS) {
+      previous.end = Math.max(previous.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+};
+
+// The parts of 0..duration not covered by `ranges` (merged)
+const invertRanges = (ranges, duration) => {
+  const inverted = [];
+  let position = 0;
+  for (const range of ranges) {
+    if (range.start - position > RANGE_PRECISION_SECONDS) {
+      inverted.push({ start: position, end: range.start });
+    }
+    position = range.end;
+  }
+  if (duration - position > RANGE_PRECISION_SECONDS) {
+    inverted.push({ start: position, end: duration });
+  }
+  return inverted;
+};
+
+// Validate an edit request: { keep: [{ start, end }] } or { cut: [{ start, end }] }, in seconds of the
+// video as it is shown now. Returns the ranges to keep, on that timeline.
+const parseEditRanges = ({ keep, cut } = {}, duration) => {
+  if ((keep === undefined) === (cut === undefined)) {
+    throw createHttpError(400, "Send either keep or cut, a list of { start, end } ranges in seconds");
+  }
+  const name = keep !== undefined ? "keep" : "cut";
+  const ranges = keep !== undefined ? keep : cut;
+  if (!Array.isArray(ranges) || ranges.length === 0 || ranges.length > MAX_EDIT_RANGES) {
+    throw createHttpError(400, `${name} must be a list of 1 to ${MAX_EDIT_RANGES} { start, end } ranges`);
+  }
+
+  const parsed = ranges.map((range, i) => {
+    const start = Number(range?.start);
+    const end = Number(range?.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      throw createHttpError(400, `${name}[${i}] must have a start and a later end, in seconds`);
+    }
+    if (start >= duration) {
+      throw createHttpError(400, `${name}[${i}] starts after the end of the video (${duration}s)`);
+    }
+    return { start: round(start), end: round(Math.min(end, duration)) };
+  });
+
+  const merged = mergeRanges(parsed);
+  const kept = keep !== undefined ? merged : invertRanges(merged, duration);
+  if (getKeptDuration(kept) < MIN_EDITED_DURATION_SECONDS) {
+    throw createHttpError(400, `The edited video must be at least ${MIN_EDITED_DURATION_SECONDS}s long`);
+  }
+  return kept;
+};
+
+// Keep ranges on the upload's timeline for `ranges` of a video that already has `appliedKeep`
+// (an empty list when it is shown as uploaded)
+const composeRanges = (appliedKeep, ranges) => {
+  if (!appliedKeep || appliedKeep.length === 0) return ranges;
+
+  const composed = [];
+  for (const range of ranges) {
+    let offset = 0;
+    for (const applied of appliedKeep) {
+      const length = applied.end - applied.start;
+      const start = Math.max(range.start, offset);
+      const end = Math.min(range.end, offset + length);
+      if (end > start) {
+        composed.push({ start: round(applied.start + start - offset), end: round(applied.start + end - offset) });
+      }
+      offset += length;
+    }
+  }
+  return mergeRanges(composed);
+};
+
+// Whether `keep` leaves the whole upload of `duration` seconds, i.e. is no edit at all
+const keepsEverything = (keep, duration) =>
+  keep.length === 1 && keep[0].start <= RANGE_PRECISION_SECONDS && duration - keep[0].end <= RANGE_PRECISION_SECONDS;
+
+// Position in the edited video of `time` (upload timeline). Times in cut parts have none (null),
+// or with `snap` move to where the next kept part starts (null after the last one).
+const toEditedTime = (time, keep, { snap = false } = {}) => {
+  let offset = 0;
+  for (const range of keep) {
+    if (time < range.start) {
+      return snap ? round(offset) : null;
+    }
+    if (time < range.end) {
+      return round(offset + time - range.start);
+    }
+    offset += range.end - range.start;
+  }
+  return null;
+};
+
+// Position in the upload of `time` in the edited video. `end` maps a time on the boundary of two
+// kept parts to the end of the first rather than the start of the second.
+const toSourceTime = (time, keep, { end = false } = {}) => {
+  let offset = 0;
+  for (const range of keep) {
+    const length = range.end - range.start;
+    if (time < offset + length || (end && time <= offset + length)) {
+      return round(range.start + Math.max(time - offset, 0));
+    }
+    offset += length;
+  }
+  const last = keep[keep.length - 1];
+  return round(last.end + time - offset);
+};
+
+const overlaps = (item, range) => item.end > range.start && item.start < range.end;
+const isInCutPart = (time, keep) => !keep.some(range => time >= range.start && time < range.end);
+
+// Cues of the upload cut to the kept parts and moved into place, the same way adjustSubtitlesTiming
+// shifts chunk transcripts. A cue spanning a cut stays with the part it overlaps most.
+const cutCues = (cues, keep) => {
+  const placed = [];
+  for (const cue of cues) {
+    let best = null;
+    let bestOverlap = 0;
+    let offset = 0;
+    for (const range of keep) {
+      const overlap = Math.min(cue.end, range.end) - Math.max(cue.start, range.start);
+      if (overlap > bestOverlap) {
+        best = { range, offset };
+        bestOverlap = overlap;
+      }
+      offset += range.end - range.start;
+    }
+    if (best) {
+      const clipped = { ...cue, start: Math.max(cue.start, best.range.start), end: Math.min(cue.end, best.range.end) };
+      placed.push(...shiftCues([clipped], best.offset - best.range.start));
+    }
+  }
+  return shiftCues(placed.map(cue => ({ ...cue, start: round(cue.start), end: round(cue.end) })), 0);
+};
+
+// Cues of the edited video put back on the upload's timeline: the current ones (which may have been
+// edited since) moved back, plus the upload's cues of the parts that were cut
+const restoreCues = (currentCues, sourceCues, keep) => {
+  const cutAway = sourceCues.filter(cue => !keep.some(range => overlaps(cue, range)));
+  const restored = currentCues.map(cue => ({
+    ...cue,
+    start: toSourceTime(cue.start, keep),
+    end: toSourceTime(cue.end, keep, { end: true })
+  }));
+  return shiftCues([...cutAway, ...restored].sort((a, b) => a.start - b.start), 0);
+};
+
+// Chapters of the upload in the edited video. Chapters starting in a cut part start with the next kept
+// part instead; of chapters ending up (nearly) at the same place the last one stays.
+const cutChapters = (chapters, keep) => {
+  const placed = [];
+  for (const chapter of chapters) {
+    const start = toEditedTime(chapter.start, keep, { snap: true });
+    if (start === null) continue;
+    const previous = placed[placed.length - 1];
+    if (previous && start - previous.start < MIN_CHAPTER_GAP_SECONDS) {
+      placed.pop();
+    }
+    placed.push({ start, title: chapter.title });
+  }
+  if (placed.length > 0) {
+    placed[0].start = 0;
+  }
+  return placed;
+};
+
+// Chapters of the edited video put back on the upload's timeline, plus the upload's chapters of the cut parts.
+// A chapter at the start of a kept part that cutChapters() moved there goes back to where it was.
+const restoreChapters = (currentChapters, sourceChapters, keep) => {
+  const cutAway = sourceChapters.filter(chapter => isInCutPart(chapter.start, keep));
+  const restored = currentChapters.map(chapter => {
+    const start = toSourceTime(chapter.start, keep);
+    const index = keep.findIndex(range => range.start === start);
+    const gapStart = index > 0 ? keep[index - 1].end : 0;
+    const moved = index === -1 ? null : cutAway.findLast(other =>
+      other.title === chapter.title && other.start >= gapStart && other.start < start
+    );
+    return moved || { start, title: chapter.title };
+  });
+  return [...new Set([...cutAway, ...restored])].sort((a, b) => a.start - b.start);
+};
+
+const toChapterList = (chapters = []) => chapters.map(({ start, title }) => ({ start, title }));
+
+// What edits are applied to: the video's subtitles, finished translations, chapters and poster time
+// on the upload's timeline. For an edited video these are restored from its current state and the
+// snapshot taken at the last edit, so changes made since are kept.
+const getEditSource = (video) => {
+  const current = {
+    duration: video.duration,
+    subtitles: video.subtitles || "",
+    subtitleTracks: (video.subtitleTracks || [])
+      .filter(track => track.status === "ready")
+      .map(track => ({ language: track.language, subtitles: track.subtitles })),
+    chapters: toChapterList(video.chapters),
+    posterTime: video.posterTime ?? null
+  };
+  const keep = video.edit?.keep || [];
+  if (keep.length === 0 || !video.edit.source) return current;
+
+  const source = video.edit.source;
+  const restore = (current, original) => serializeSrt(restoreCues(parseSrt(current), parseSrt(original || ""), keep));
+  return {
+    duration: source.duration,
+    subtitles: restore(current.subtitles, source.subtitles),
+    subtitleTracks: current.subtitleTracks.map(track => ({
+      language: track.language,
+      subtitles: restore(track.subtitles, source.subtitleTracks.find(other => other.language === track.language)?.subtitles)
+    })),
+    chapters: restoreChapters(current.chapters, source.chapters, keep),
+    posterTime: current.posterTime === null ? null : toSourceTime(current.posterTime, keep)
+  };
+};
+
+// The edited counterpart of getEditSource(): the same data for the video made of the `keep` parts.
+// posterTime is null when the poster frame was cut.
+const applyEditRanges = (source, keep) => {
+  if (keep.length === 0) return source;
+
+  const cut = (subtitles) => serializeSrt(cutCues(parseSrt(subtitles || ""), keep));
+  return {
+    duration: getKeptDuration(keep),
+    subtitles: cut(source.subtitles),
+    subtitleTracks: source.subtitleTracks.map(track => ({ language: track.language, subtitles: cut(track.subtitles) })),
+    chapters: cutChapters(source.chapters, keep),
+    posterTime: source.posterTime === null ? null : toEditedTime(source.posterTime, keep)
+  };
+};
+
+module.exports = {
+  MAX_EDIT_RANGES,
+  getKeptDuration,
+  parseEditRanges,
+  composeRanges,
+  keepsEverything,
+  toEditedTime,
+  toSourceTime,
+  cutCues,
+  cutChapters,
+  getEditSource,
+  applyEditRanges
+};
@@ -0,0 +1,1450 @@
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const { exec } = require('child_process');
+const execPromise = promisify(exec);
+const Video = require("../models/video");
+const { enqueueJob } = require("./jobQueue");
+const { pipeline } = require("stream/promises");
+const { copyFile, uploadFile, uploadDirectory, getObjectStream, getProcessingInput, deleteObject, deletePrefix } = require("./storage");
+const { getTranscriptionProvider, listTranscriptionProviders } = require("./transcription");
+const { burnSubtitlesIntoVideo } = require("./burnSubtitles");
+const { muxSubtitlesIntoVideo } = require("./muxSubtitles");
+const { packageHls, MASTER_PLAYLIST } = require("./hlsPackager");
+const { createThumbnails, extractFrame } = require("./thumbnails");
+const { cutVideo } = require("./cutVideo");
+const { probeMedia, inspectUpload } = require("./mediaProbe");
+const { HLS_ENABLED } = require("../config/streaming");
+const { translateCues, getTranslator, DEFAULT_TRANSLATOR } = require("./translation");
+const { summarizeCues, getSummarizer, DEFAULT_SUMMARIZER, SUMMARIZE_BY_DEFAULT } = require("./summarization");
+const {
+  generateChapters,
+  getChapterProvider,
+  serializeFfmetadata,
+  DEFAULT_CHAPTER_PROVIDER,
+  CHAPTERS_BY_DEFAULT
+} = require("./chapters");
+const { parseSrt, serializeSrt, shiftCues } = require("./subtitles");
+const { keepsEverything, getEditSource, applyEditRanges } = require("./videoEdits");
+const {
+  listVideoMedia,
+  deleteUnusedMedia,
+  createVersion,
+  recordCurrentVersion,
+  completeVersion,
+  failVersion,
+  pruneVersions
+} = require("./versions");
+const { createHttpError } = require("./httpError");
+const {
+  SUPPORTED_LANGUAGES,
+  AUTO_LANGUAGE,
+  DEFAULT_LANGUAGE,
+  DEFAULT_TRANSCRIPTION_PROVIDER
+} = require("../config/transcription");
+
+// Each job gets its own working directory so files survive restarts
+// and concurrent jobs don't overwrite each other's chunks
+const JOBS_DIR = path.join(__dirname, "..", "temp", "jobs");
+const POSTERS_DIR = path.join(__dirname, "..", "temp", "posters");
+
+const PROCESS_VIDEO_JOB = "process-video";
+const RERENDER_CAPTIONS_JOB = "rerender-captions";
+const TRANSLATE_SUBTITLES_JOB = "translate-subtitles";
+const SUMMARIZE_VIDEO_JOB = "summarize-video";
+const GENERATE_CHAPTERS_JOB = "generate-chapters";
+const EDIT_VIDEO_JOB = "edit-video";
+
+const getJobWorkDir = (videoId) => path.join(JOBS_DIR, String(videoId));
+
+// How captions end up in the processed video:
+// burn - hardcoded into the pixels, soft - selectable subtitle track, none - left out
+const CAPTION_MODES = ["burn", "soft", "none"];
+const DEFAULT_CAPTION_MODE = "burn";
+
+// true / false, also as sent in form fields ("true", "false")
+const parseFlag = (value, name) => {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  throw createHttpError(400, `${name} must be true or false`);
+};
+
+// Validate per-upload processing options from a request body, filling in defaults.
+// Throws a 400 error for unsupported values.
+const parseProcessingOptions = (body = {}, defaults = {}) => {
+  const providerName = body.provider || defaults.provider || DEFAULT_TRANSCRIPTION_PROVIDER;
+  const provider = listTranscriptionProviders().find(candidate => candidate.name === providerName);
+  if (!provider) {
+    throw createHttpError(400, `Unknown transcription provider "${providerName}"`);
+  }
+
+  const options = {
+    captionMode: body.captionMode || defaults.captionMode || DEFAULT_CAPTION_MODE,
+    provider: provider.name,
+    language: body.language || defaults.language || DEFAULT_LANGUAGE,
+    model: body.model || defaults.model || provider.defaultModel,
+    summarize: parseFlag(body.summarize ?? defaults.summarize ?? SUMMARIZE_BY_DEFAULT, "summarize"),
+    chapters: parseFlag(body.chapters ?? defaults.chapters ?? CHAPTERS_BY_DEFAULT, "chapters")
+  };
+
+  if (!CAPTION_MODES.includes(options.captionMode)) {
+    throw createHttpError(400, `captionMode must be one of: ${CAPTION_MODES.join(", ")}`);
+  }
+  if (options.language === AUTO_LANGUAGE && !provider.supportsAutoLanguage) {
+    throw createHttpError(400, `${provider.label} can't detect the language, pick one explicitly`);
+  }
+  if (options.language !== AUTO_LANGUAGE && !SUPPORTED_LANGUAGES[options.language]) {
+    throw createHttpError(400, `Unsupported language "${options.language}"`);
+  }
+  const model = provider.models.find(candidate => candidate.name === options.model);
+  if (!model) {
+    throw createHttpError(400, `model must be one of: ${provider.models.map(candidate => candidate.name).join(", ")}`);
+  }
+  if (model.englishOnly && options.language !== "en") {
+    throw createHttpError(400, `Model "${model.name}" only supports English`);
+  }
+
+  return options;
+};
+
+// Most frequent language among the per-chunk detections
+const pickDetectedLanguage = (languages = []) => {
+  const counts = {};
+  for (const language of languages) {
+    if (language) counts[language] = (counts[language] || 0) + 1;
+  }
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : null;
+};
+
+const VIDEO_MIME_TYPES = {
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mov": "video/quicktime",
+  ".mkv": "video/x-matroska",
+  ".avi": "video/x-msvideo"
+};
+
+// Upload descriptor for a rendered file: keeps the original name but uses the rendition's extension
+const describeRendition = (filePath, originalname, fallbackMimetype) => {
+  const extension = path.extname(filePath).toLowerCase();
+  return {
+    path: filePath,
+    originalname: `${path.basename(originalname, path.extname(originalname))}${extension}`,
+    mimetype: VIDEO_MIME_TYPES[extension] || fallbackMimetype
+  };
+};
+
+// Language of the transcript: detected, or the one requested at upload. "und" when neither is known.
+const getSourceLanguage = (video) => {
+  if (video.detectedLanguage) return video.detectedLanguage;
+  return video.language && video.language !== AUTO_LANGUAGE ? video.language : "und";
+};
+
+// Subtitles of one language: the transcript for its own language (or no language), otherwise a translation
+const findSubtitleTrack = (video, language) => {
+  if (!language || language === getSourceLanguage(video)) {
+    return { language: getSourceLanguage(video), subtitles: video.subtitles || "", status: "ready", source: true };
+  }
+  return (video.subtitleTracks || []).find(track => track.language === language) || null;
+};
+
+// Tracks to put into a rendition, the one in `captionLanguage` first.
+// Throws when that language has no finished track.
+const getCaptionTracks = (video, captionLanguage) => {
+  const primary = findSubtitleTrack(video, captionLanguage);
+  if (!primary || primary.status !== "ready") {
+    throw new Error(`No finished subtitles in "${captionLanguage}"`);
+  }
+
+  const tracks = [primary, findSubtitleTrack(video, null), ...(video.subtitleTracks || [])]
+    .filter(track => track.status === "ready")
+    .filter((track, i, all) => all.findIndex(other => other.language === track.language) === i);
+
+  return tracks.map(track => ({
+    language: track.language,
+    title: SUPPORTED_LANGUAGES[track.language] || track.language,
+    subtitles: track.subtitles
+  }));
+};
+
+const filesExist = (paths = []) => paths.length > 0 && paths.every(file => file && fs.existsSync(file));
+
+// Minimum time between two progress writes for the same stage
+const PROGRESS_THROTTLE_MS = 1000;
+
+// Persist pipeline progress on the video document. Updates within one stage are
+// throttled so ffmpeg's frequent progress lines don't flood the database.
+const createProgressReporter = (videoId) => {
+  let lastStage = null;
+  let lastWrite = 0;
+
+  return async (stage, { percent = 0, currentChunk = 0, totalChunks = 0, message = "" } = {}) => {
+    const now = Date.now();
+    if (stage === lastStage && percent < 100 && now - lastWrite < PROGRESS_THROTTLE_MS) {
+      return;
+    }
+    lastStage = stage;
+    lastWrite = now;
+
+    try {
+      await Video.updateOne(
+        { _id: videoId },
+        { $set: { progress: { stage, percent, currentChunk, totalChunks, message, updatedAt: new Date(now) } } }
+      );
+    } catch (err) {
+      // Progress is informational only, never fail the job because of it
+      console.error(`Failed to save progress for video ${videoId}:`, err.message);
+    }
+  };
+};
+
+// Optimized helper function to create video chunks.
+// `onProgress(created, total)` is called after each batch of chunks is written.
+async function createOptimizedVideoChunks(videoPath, outputDir, { onProgress } = {}) {
+  const chunks = [];
+  const chunkDuration = 60; // Increased to 60 seconds for better efficiency
+  const maxConcurrentChunks = 4; // Process 4 chunks in parallel
+
+  try {
+    // Get video duration using ffprobe
+    const { duration: totalDuration } = await probeMedia(videoPath);
+
+    console.log(`Total video duration: ${totalDuration} seconds`);
+
+    // Create chunk tasks
+    const chunkTasks = [];
+    for (let startTime = 0; startTime < totalDuration; startTime += chunkDuration) {
+      const chunkIndex = Math.floor(startTime / chunkDuration) + 1;
+      const endTime = Math.min(startTime + chunkDuration, totalDuration);
+
+      chunkTasks.push({
+        index: chunkIndex,
+        startTime: startTime,
+        endTime: endTime,
+        duration: endTime - startTime
+      });
+    }
+
+    console.log(`Creating ${chunkTasks.length} chunks of ${chunkDuration}s each...`);
+
+    // Process chunks in parallel with concurrency limit
+    const processChunk = async (task) => {
+      const chunkVideoPath = path.join(outputDir, `chunk-${task.index}.mp4`);
+      const chunkAudioPath = path.join(outputDir, `chunk-${task.index}.wav`);
+
+      // Extract video chunk with optimized ffmpeg settings
+      await execPromise(`ffmpeg -y -i "${videoPath}" -ss ${task.startTime} -t ${task.duration} -c:v libx264 -preset fast -crf 23 -c:a aac -b:a 128k "${chunkVideoPath}"`);
+
+      // Extract optimized audio from chunk
+      await execPromise(`ffmpeg -y -i "${chunkVideoPath}" -ar 16000 -ac 1 -c:a pcm_s16le "${chunkAudioPath}"`);
+
+      return {
+        index: task.index,
+        startTime: task.startTime,
+        endTime: task.endTime,
+        videoPath: chunkVideoPath,
+        audioPath: chunkAudioPath
+      };
+    };
+
+    // Process chunks with concurrency limit
+    for (let i = 0; i < chunkTasks.length; i += maxConcurrentChunks) {
+      const batch = chunkTasks.slice(i, i + maxConcurrentChunks);
+      const batchResults = await Promise.all(batch.map(processChunk));
+      chunks.push(...batchResults);
+      if (onProgress) {
+        await onProgress(chunks.length, chunkTasks.length);
+      }
+
+      console.log(`Created chunks ${i + 1}-${Math.min(i + maxConcurrentChunks, chunkTasks.length)} of ${chunkTasks.length}`);
+    }
+
+    return chunks.sort((a, b) => a.index - b.index);
+  } catch (error) {
+    console.error("Error creating optimized video chunks:", error);
+    throw new Error(`Failed to create optimized video chunks: ${error.message}`);
+  }
+}
+
+// Optimized parallel transcription function.
+// `completed` holds transcriptions restored from a checkpoint (null for chunks still to do);
+// `onChunkTranscribed(index, subtitles, language)` is called as soon as each chunk finishes.
+// `provider` names the transcription provider, `language` (or "auto") and `model` are passed on to it.
+async function transcribeChunksInParallel(chunks, tempDir, { completed = [], onChunkTranscribed, provider, language, model } = {}) {
+  const transcriber = getTranscriptionProvider(provider);
+  const transcriptions = new Array(chunks.length);
+  const maxConcurrentTranscriptions = 3; // Limit concurrent transcriptions (Whisper processes / API calls)
+
+  const pending = [];
+  chunks.forEach((chunk, index) => {
+    if (typeof completed[index] === "string") {
+      transcriptions[index] = completed[index];
+    } else {
+      pending.push(index);
+    }
+  });
+
+  if (pending.length < chunks.length) {
+    console.log(`Resuming transcription: ${chunks.length - pending.length}/${chunks.length} chunks already done`);
+  }
+
+  console.log(`Starting parallel transcription of ${pending.length} chunks with max ${maxConcurrentTranscriptions} concurrent processes...`);
+
+  const transcribeChunk = async (chunk, index) => {
+    try {
+      console.log(`Starting transcription of chunk ${chunk.index}/${chunks.length}...`);
+
+      const { segments, language: chunkLanguage } = await transcriber.transcribe(chunk.audioPath, {
+        language,
+        model,
+        outputDir: tempDir
+      });
+
+      // Adjust timestamps for this chunk
+      const adjustedSubtitles = adjustSubtitlesTiming(serializeSrt(segments), chunk.startTime);
+
+      if (onChunkTranscribed) {
+        await onChunkTranscribed(index, adjustedSubtitles, chunkLanguage);
+      }
+
+      console.log(`✅ Chunk ${chunk.index} transcribed successfully`);
+      return adjustedSubtitles;
+    } catch (error) {
+      console.error(`❌ Transcription failed for chunk ${chunk.index}:`, error);
+      throw new Error(`Transcription failed for chunk ${chunk.index}: ${error.message}`);
+    }
+  };
+
+  // Process chunks in batches with concurrency limit
+  for (let i = 0; i < pending.length; i += maxConcurrentTranscriptions) {
+    const batch = pending.slice(i, i + maxConcurrentTranscriptions);
+    const batchResults = await Promise.all(batch.map(index => transcribeChunk(chunks[index], index)));
+
+    // Store results in correct order
+    batch.forEach((index, batchIndex) => {
+      transcriptions[index] = batchResults[batchIndex];
+    });
+
+    console.log(`Completed transcription batch ${Math.floor(i / maxConcurrentTranscriptions) + 1}/${Math.ceil(pending.length / maxConcurrentTranscriptions)}`);
+  }
+
+  return transcriptions;
+}
+
+// Helper function to adjust subtitle timings
+function adjustSubtitlesTiming(srtContent, offsetSeconds) {
+  return serializeSrt(shiftCues(parseSrt(srtContent), offsetSeconds));
+}
+
+// Helper function to combine multiple subtitle files (cues are renumbered from 1)
+function combineSubtitles(transcriptions) {
+  return serializeSrt(transcriptions.flatMap(transcription => parseSrt(transcription)));
+}
+
+// Produce the final rendition for a caption mode: burned-in, muxed as tracks, or untouched.
+// `tracks` is a list of { language, title, subtitles }: the first one is burned in,
+// or becomes the default track when muxing. Returns the path of the rendition (the input itself for "none").
+// `chapters` are embedded in burned-in renditions.
+async function renderCaptions(videoPath, tracks, workDir, captionMode, reportProgress, { chapters = [], duration = 0 } = {}) {
+  const srtFiles = tracks.map((track, i) => {
+    const srtPath = path.join(workDir, `captions-${i}.srt`);
+    fs.writeFileSync(srtPath, track.subtitles, 'utf8');
+    return { srtPath, language: track.language, title: track.title };
+  });
+  const srtPath = srtFiles[0].srtPath;
+
+  if (captionMode === "burn") {
+    console.log("\n6. Burning subtitles into video...");
+    await reportProgress("burning", { message: "Burning subtitles into video" });
+    let chaptersPath = null;
+    if (chapters.length > 0) {
+      chaptersPath = path.join(workDir, "chapters.ffmeta");
+      fs.writeFileSync(chaptersPath, serializeFfmetadata(chapters, duration), 'utf8');
+    }
+    return burnSubtitlesIntoVideo(videoPath, srtPath, workDir, {
+      chaptersPath,
+      onProgress: (percent) => reportProgress("burning", { percent, message: `Burning subtitles into video (${percent}%)` })
+    });
+  }
+
+  if (captionMode === "soft") {
+    console.log("\n6. Adding subtitle track to video...");
+    await reportProgress("muxing", { message: "Adding subtitle track" });
+    return muxSubtitlesIntoVideo(videoPath, srtFiles, workDir, {
+      onProgress: (percent) => reportProgress("muxing", { percent, message: `Adding subtitle track (${percent}%)` })
+    });
+  }
+
+  console.log("\n6. Caption mode 'none', keeping the video as uploaded");
+  return videoPath;
+}
+
+// Package a rendition as HLS. Subtitle tracks become WebVTT renditions, except when
+// they are burned in already. Returns the path of the master playlist.
+async function packageForStreaming(videoPath, outputDir, tracks, captionMode, reportProgress) {
+  console.log("\n7. Packaging HLS renditions...");
+  await reportProgress("packaging", { message: "Packaging streaming renditions" });
+  return packageHls(videoPath, outputDir, {
+    subtitleTracks: captionMode === "burn" ? [] : tracks,
+    defaultSubtitles: captionMode === "soft",
+    onProgress: (percent) => reportProgress("packaging", { percent, message: `Packaging streaming renditions (${percent}%)` })
+  });
+}
+
+// Store an HLS package under `prefix` and return the key of its master playlist
+async function uploadHlsPackage(masterPath, prefix, reportProgress) {
+  await reportProgress("uploading", { message: "Uploading streaming renditions" });
+  const keys = await uploadDirectory(
+    path.dirname(masterPath),
+    prefix,
+    (percent) => reportProgress("uploading", { percent, message: `Uploading streaming renditions (${percent}%)` })
+  );
+  return keys[MASTER_PLAYLIST];
+}
+
+// Summarize the transcript with the default summary provider. The summary is an extra, so a failure
+// is stored on it (it can be regenerated later) and the video is published without one.
+async function generateSummary(subtitles, { title }, reportProgress) {
+  console.log("\n4. Summarizing transcript...");
+  await reportProgress("summarizing", { message: "Summarizing transcript" });
+  try {
+    const result = await summarizeCues(parseSrt(subtitles), { summarizer: DEFAULT_SUMMARIZER, title });
+    return { status: "ready", provider: DEFAULT_SUMMARIZER, ...result, errorMessage: null, generatedAt: new Date() };
+  } catch (error) {
+    console.error("Summarizing failed, continuing without:", error.message);
+    return { status: "failed", provider: DEFAULT_SUMMARIZER, errorMessage: error.message };
+  }
+}
+
+// Chapters from the transcript with the default chapter provider. Like the summary they are an extra:
+// a failure is recorded and the video is published without chapters.
+async function generateVideoChapters(subtitles, { duration, title }, reportProgress) {
+  console.log("\n5. Generating chapters...");
+  await reportProgress("chapters", { message: "Generating chapters" });
+  try {
+    const chapters = await generateChapters(parseSrt(subtitles), { provider: DEFAULT_CHAPTER_PROVIDER, duration, title });
+    console.log(`Generated ${chapters.length} chapters`);
+    return { chapters, generation: { status: "ready", provider: DEFAULT_CHAPTER_PROVIDER, errorMessage: null, updatedAt: new Date() } };
+  } catch (error) {
+    console.error("Chapter generation failed, continuing without:", error.message);
+    return { chapters: [], generation: { status: "failed", provider: DEFAULT_CHAPTER_PROVIDER, errorMessage: error.message, updatedAt: new Date() } };
+  }
+}
+
+// Pick a poster frame (unless the user uploaded a thumbnail) and tile the scrubbing previews.
+// Thumbnails are cosmetic, so a failure here is logged and the video is published without them.
+async function generateThumbnails(videoPath, outputDir, { poster }, reportProgress) {
+  console.log("\n8. Generating thumbnails and scrubbing previews...");
+  await reportProgress("thumbnails", { message: "Generating thumbnails" });
+  try {
+    const { posterPath, posterTimestamp, sprites } = await createThumbnails(videoPath, outputDir, { poster });
+    return {
+      posterPath,
+      posterTime: posterTimestamp,
+      sprites: sprites && { ...sprites, dir: path.join(outputDir, "sprites") }
+    };
+  } catch (error) {
+    console.error("Thumbnail generation failed, continuing without:", error.message);
+    return { posterPath: null, posterTime: null, sprites: null };
+  }
+}
+
+// Store the sprite sheets under `prefix` and return the previewSprites of the video
+async function uploadPreviewSprites(sprites, prefix) {
+  const keys = await uploadDirectory(sprites.dir, prefix);
+  const { dir, sheets, ...layout } = sprites;
+  return { ...layout, prefix, sheets: sheets.map(name => keys[name]) };
+}
+
+// Replace the video's thumbnail with the frame at `time` seconds of its caption-free rendition.
+// The frame is read straight from storage, so only the bytes around it are fetched.
+async function setPosterFrame(video, time) {
+  const sourceKey = video.cleanVideoKey || video.videoKey;
+  if (!sourceKey) {
+    throw createHttpError(409, "Video has no rendition to take a frame from");
+  }
+
+  fs.mkdirSync(POSTERS_DIR, { recursive: true });
+  const posterPath = path.join(POSTERS_DIR, `${video._id}-${Date.now()}.jpg`);
+  try {
+    await extractFrame(await getProcessingInput(sourceKey), time, posterPath);
+  } catch (error) {
+    fs.rmSync(posterPath, { force: true });
+    console.error(`Failed to extract poster frame of video ${video._id}:`, error.message);
+    throw createHttpError(422, `Could not extract a frame at ${time}s`);
+  }
+
+  const previousKey = video.thumbnailKey;
+  video.thumbnailKey = await uploadFile({ path: posterPath, originalname: "poster.jpg", mimetype: "image/jpeg" }, 'thumbnails');
+  video.posterTime = time;
+  await video.save();
+
+  // Earlier versions may still show the previous thumbnail
+  await recordCurrentVersion(video);
+  await deleteUnusedMedia(video, { keys: [previousKey] });
+  return video;
+}
+
+// Remove every stored object of a video: its upload and the renditions, streaming packages,
+// thumbnails and previews of all its versions
+async function deleteVideoMedia(video) {
+  const { keys, prefixes } = await listVideoMedia(video);
+  for (const key of keys) {
+    await deleteObject(key);
+  }
+  for (const prefix of prefixes) {
+    await deletePrefix(prefix);
+  }
+}
+
+// Save a new video with status 'processing' and queue its processing job.
+// `video` and `thumbnail` are { path, originalname, mimetype } descriptors of local files;
+// they are moved into the job's working directory so they survive temp cleanup on restart.
+// `options` holds per-upload processing settings, see parseProcessingOptions.
+// `workspaceId` is the workspace the video goes to, null for the uploader's personal library.
+// The upload is probed first: corrupt or unsupported files are rejected with a 422 error before anything is saved.
+async function queueVideoForProcessing({ userId, workspaceId = null, title, description, video: videoFile, thumbnail: thumbnailFile, options = {} }) {
+  const processingOptions = parseProcessingOptions(options);
+  const mediaInfo = await inspectUpload(videoFile.path);
+
+  const video = new Video({
+    userId,
+    workspaceId,
+    title,
+    baseTitle: title,
+    description,
+    videoKey: null, // Will be updated after processing
+    thumbnailKey: null, // Will be updated after processing
+    subtitles: '',
+    duration: mediaInfo.duration,
+    mediaInfo,
+    captionMode: processingOptions.captionMode,
+    language: processingOptions.language,
+    transcriptionProvider: processingOptions.provider,
+    transcriptionModel: processingOptions.model,
+    status: "processing",
+    progress: { stage: "queued", message: "Waiting for a worker" },
+    // No chunk metadata needed for automatic processing
+    partNumber: 1,
+    totalParts: 1,
+    isChunked: false,
+    chunkId: null
+  });
+  await video.save();
+
+  const workDir = getJobWorkDir(video._id);
+  let version = null;
+  try {
+    version = await createVersion(video, { kind: "process", settings: processingOptions, createdBy: userId });
+    fs.mkdirSync(workDir, { recursive: true });
+
+    const videoPath = path.join(workDir, path.basename(videoFile.path));
+    fs.renameSync(videoFile.path, videoPath);
+
+    let thumbnail = null;
+    if (thumbnailFile) {
+      thumbnail = {
+        path: path.join(workDir, path.basename(thumbnailFile.path)),
+        originalname: thumbnailFile.originalname,
+        mimetype: thumbnailFile.mimetype
+      };
+      fs.renameSync(thumbnailFile.path, thumbnail.path);
+    }
+
+    const job = await enqueueJob({
+      type: PROCESS_VIDEO_JOB,
+      videoId: video._id,
+      payload: {
+        workDir,
+        videoPath,
+        originalname: videoFile.originalname,
+        mimetype: videoFile.mimetype,
+        thumbnail,
+        options: processingOptions,
+        versionId: version._id
+      }
+    });
+    version.jobId = job._id;
+    await version.save();
+
+    return { video, job };
+  } catch (error) {
+    // Don't leave a video stuck in 'processing' that no job will ever pick up
+    fs.rmSync(workDir, { recursive: true, force: true });
+    await version?.deleteOne();
+    await video.deleteOne();
+    throw error;
+  }
+}
+
+// Queue the processing pipeline again for the stored upload of a video, with new `options`
+// (see parseProcessingOptions). The result becomes a new version; the current one stays playable
+// until then, and a failed video gets another chance.
+async function queueReprocess(video, options, { createdBy = null } = {}) {
+  const sourceKey = video.sourceVideoKey || video.cleanVideoKey;
+  if (!sourceKey) {
+    throw createHttpError(409, "The original upload of this video is not available");
+  }
+
+  const version = await createVersion(video, { kind: "reprocess", settings: options, createdBy });
+  const job = await enqueueJob({
+    type: PROCESS_VIDEO_JOB,
+    videoId: video._id,
+    payload: {
+      workDir: getJobWorkDir(video._id),
+      videoPath: null,
+      sourceKey,
+      originalname: path.basename(sourceKey),
+      mimetype: VIDEO_MIME_TYPES[path.extname(sourceKey).toLowerCase()] || "video/mp4",
+      thumbnail: null,
+      // A thumbnail the user uploaded (no poster time) stays
+      thumbnailKey: video.posterTime === null ? video.thumbnailKey : null,
+      options,
+      versionId: version._id
+    }
+  });
+  version.jobId = job._id;
+  await version.save();
+
+  video.sourceVideoKey = sourceKey;
+  video.status = "processing";
+  video.errorMessage = null;
+  video.progress = { stage: "queued", message: "Waiting for a worker to reprocess the video", updatedAt: new Date() };
+  await video.save();
+
+  return job;
+}
+
+// Background job handler for the upload processing pipeline.
+// Every stage checkpoints its output on the job, so a retried or
+// interrupted job skips the stages it has already completed.
+async function processVideoJob(job, { checkpoint }) {
+  const { originalname, mimetype, thumbnail } = job.payload;
+  // Reprocessing keeps a thumbnail the user uploaded
+  const keptThumbnailKey = job.payload.thumbnailKey || null;
+  const hasThumbnail = Boolean(thumbnail || keptThumbnailKey);
+  const { captionMode, provider, language, model, summarize, chapters } = parseProcessingOptions(job.payload.options);
+  const workDir = job.payload.workDir || getJobWorkDir(job.videoId);
+  const state = { ...job.checkpoint };
+  const isDone = (stage) => job.completedStages.includes(stage);
+
+  const video = await Video.findById(job.videoId);
+  if (!video) {
+    console.log(`Video ${job.videoId} no longer exists, dropping job ${job._id}`);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    return;
+  }
+
+  console.log(`\n=== Starting Optimized Video Processing Pipeline (job ${job._id}) ===`);
+  if (job.completedStages.length > 0) {
+    console.log(`Resuming after completed stages: ${job.completedStages.join(", ")}`);
+  }
+
+  fs.mkdirSync(workDir, { recursive: true });
+  const reportProgress = createProgressReporter(video._id);
+
+  // 0. Store the upload first, so it outlives failed runs and can be reprocessed later. The local copy is
+  // kept for this run; reprocessing (or resuming where the uploaded file is gone) fetches it from storage.
+  if (!state.sourceVideoKey) {
+    if (job.payload.sourceKey) {
+      state.sourceVideoKey = job.payload.sourceKey;
+    } else {
+      if (!fs.existsSync(job.payload.videoPath)) {
+        throw new Error(`Uploaded video is missing from ${job.payload.videoPath}`);
+      }
+      await reportProgress("uploading", { message: "Storing original upload" });
+      state.sourceVideoKey = await copyFile({ path: job.payload.videoPath, originalname, mimetype }, 'originals');
+      video.sourceVideoKey = state.sourceVideoKey;
+      await video.save();
+    }
+    await checkpoint({ sourceVideoKey: state.sourceVideoKey });
+  }
+
+  let videoPath = state.videoPath || job.payload.videoPath;
+  if (!isDone("upload") && !filesExist([videoPath])) {
+    await reportProgress("downloading", { message: "Fetching original video" });
+    videoPath = path.join(workDir, `source${path.extname(state.sourceVideoKey) || ".mp4"}`);
+    await pipeline(await getObjectStream(state.sourceVideoKey), fs.createWriteStream(videoPath));
+    await checkpoint({ videoPath });
+  }
+  // The upload's length; an edited video is shorter
+  const duration = video.edit?.source?.duration ?? video.duration;
+
+  // 1. Get video duration and create optimized chunks
+  let chunks = state.chunks;
+  const chunkFilesExist = chunks && filesExist(chunks.map(chunk => chunk.audioPath));
+  if (!isDone("transcribe") && !(isDone("chunk") && chunkFilesExist)) {
+    console.log("\n1. Analyzing video and creating optimized chunks...");
+    await reportProgress("chunking", { message: "Splitting video into chunks" });
+    chunks = await createOptimizedVideoChunks(videoPath, workDir, {
+      onProgress: (created, total) => reportProgress("chunking", {
+        percent: Math.floor((created / total) * 100),
+        totalChunks: total,
+        message: `Created ${created} of ${total} chunks`
+      })
+    });
+    console.log(`Created ${chunks.length} optimized chunks`);
+    state.transcriptions = new Array(chunks.length).fill(null);
+    state.detectedLanguages = new Array(chunks.length).fill(null);
+    await checkpoint({ chunks, transcriptions: state.transcriptions, detectedLanguages: state.detectedLanguages }, "chunk");
+  }
+
+  // 2. Transcribe chunks in parallel (with concurrency limit)
+  if (!isDone("transcribe")) {
+    console.log("\n2. Transcribing audio chunks in parallel...");
+    const completed = state.transcriptions || [];
+    let transcribedCount = completed.filter(transcription => typeof transcription === "string").length;
+    const reportTranscription = () => reportProgress("transcribing", {
+      percent: Math.floor((transcribedCount / chunks.length) * 100),
+      currentChunk: Math.min(transcribedCount + 1, chunks.length),
+      totalChunks: chunks.length,
+      message: `Transcribing chunk ${Math.min(transcribedCount + 1, chunks.length)} of ${chunks.length}`
+    });
+
+    await reportTranscription();
+    state.detectedLanguages = state.detectedLanguages || new Array(chunks.length).fill(null);
+    state.transcriptions = await transcribeChunksInParallel(chunks, workDir, {
+      completed,
+      provider,
+      language,
+      model,
+      onChunkTranscribed: async (index, subtitles, chunkLanguage) => {
+        state.detectedLanguages[index] = chunkLanguage || null;
+        await checkpoint({
+          [`transcriptions.${index}`]: subtitles,
+          [`detectedLanguages.${index}`]: chunkLanguage || null
+        });
+        transcribedCount++;
+        await reportTranscription();
+      }
+    });
+    await checkpoint({}, "transcribe");
+    console.log(`All ${chunks.length} chunks transcribed successfully`);
+  }
+
+  // 3. Combine all transcriptions
+  if (!isDone("combine")) {
+    console.log("\n3. Combining transcriptions...");
+    await reportProgress("combining", { message: "Combining transcriptions" });
+    state.subtitles = combineSubtitles(state.transcriptions);
+    await checkpoint({ subtitles: state.subtitles }, "combine");
+    console.log("Transcriptions combined successfully");
+  }
+
+  // 4. Summarize the transcript, when asked for at upload
+  if (summarize && !isDone("summarize")) {
+    state.summary = await generateSummary(state.subtitles, { title: video.title }, reportProgress);
+    await checkpoint({ summary: state.summary }, "summarize");
+  }
+
+  // 5. Chapters, before rendering so they can be embedded in the video
+  if (chapters && !isDone("chapters")) {
+    state.chapters = await generateVideoChapters(state.subtitles, { duration, title: video.title }, reportProgress);
+    await checkpoint({ chapters: state.chapters }, "chapters");
+  }
+
+  const sourceLanguage = language === AUTO_LANGUAGE ? pickDetectedLanguage(state.detectedLanguages) : language;
+
+  const tracks = [{
+    language: sourceLanguage || "und",
+    title: SUPPORTED_LANGUAGES[sourceLanguage] || sourceLanguage || "Captions",
+    subtitles: state.subtitles
+  }];
+
+  // 6. Add the captions to the video according to the caption mode
+  if (!state.videoKey && !(isDone("render") && filesExist([state.finalVideoPath]))) {
+    state.finalVideoPath = await renderCaptions(videoPath, tracks, workDir, captionMode, reportProgress, {
+      chapters: state.chapters?.chapters || [],
+      duration
+    });
+    await checkpoint({ finalVideoPath: state.finalVideoPath }, "render");
+    console.log("Final video created at:", state.finalVideoPath);
+  }
+
+  // 7. Package the final video for adaptive-bitrate streaming
+  if (HLS_ENABLED && !isDone("upload") && !state.hlsKey && !(isDone("package") && filesExist([state.hlsMasterPath]))) {
+    state.hlsMasterPath = await packageForStreaming(state.finalVideoPath, path.join(workDir, "hls"), tracks, captionMode, reportProgress);
+    await checkpoint({ hlsMasterPath: state.hlsMasterPath }, "package");
+  }
+
+  // 8. Poster frame and scrubbing previews, taken from the caption-free upload
+  const thumbnailFilesExist = (!state.posterPath || filesExist([state.posterPath])) &&
+    (!state.sprites || filesExist([state.sprites.dir]));
+  if (!isDone("upload") && !(isDone("thumbnails") && thumbnailFilesExist)) {
+    const generated = await generateThumbnails(videoPath, path.join(workDir, "thumbnails"), { poster: !hasThumbnail }, reportProgress);
+    Object.assign(state, generated);
+    await checkpoint(generated, "thumbnails");
+  }
+
+  // 9. Upload the streaming package, final video, the thumbnail (uploaded or picked) and the previews to storage.
+  // The stored upload is the clean (caption-free) rendition, which lets captions be changed later without re-encoding.
+  if (!isDone("upload")) {
+    console.log("\n9. Uploading final video to storage...");
+    if (state.hlsMasterPath && !state.hlsKey) {
+      // Keep the prefix across retries so a re-upload overwrites a partial one
+      state.hlsPrefix = state.hlsPrefix || `hls/${video._id}/${Date.now()}`;
+      await checkpoint({ hlsPrefix: state.hlsPrefix });
+      state.hlsKey = await uploadHlsPackage(state.hlsMasterPath, state.hlsPrefix, reportProgress);
+      await checkpoint({ hlsKey: state.hlsKey });
+    }
+
+    // With no captions the upload itself is the final video
+    if (!state.videoKey && state.finalVideoPath === videoPath) {
+      state.videoKey = state.sourceVideoKey;
+      await checkpoint({ videoKey: state.videoKey });
+    } else if (!state.videoKey) {
+      await reportProgress("uploading", { message: "Uploading processed video" });
+      state.videoKey = await uploadFile(
+        describeRendition(state.finalVideoPath, originalname, mimetype),
+        'videos',
+        (percent) => reportProgress("uploading", { percent, message: `Uploading processed video (${percent}%)` })
+      );
+      await checkpoint({ videoKey: state.videoKey });
+    }
+
+    if (thumbnail && !state.thumbnailKey) {
+      state.thumbnailKey = await uploadFile(thumbnail, 'thumbnails');
+      await checkpoint({ thumbnailKey: state.thumbnailKey });
+    } else if (state.posterPath && !state.thumbnailKey) {
+      state.thumbnailKey = await uploadFile({ path: state.posterPath, originalname: "poster.jpg", mimetype: "image/jpeg" }, 'thumbnails');
+      await checkpoint({ thumbnailKey: state.thumbnailKey });
+    }
+
+    if (state.sprites && !state.previewSprites) {
+      await reportProgress("uploading", { percent: 100, message: "Uploading scrubbing previews" });
+      state.previewsPrefix = state.previewsPrefix || `previews/${video._id}/${Date.now()}`;
+      await checkpoint({ previewsPrefix: state.previewsPrefix });
+      state.previewSprites = await uploadPreviewSprites(state.sprites, state.previewsPrefix);
+      await checkpoint({ previewSprites: state.previewSprites });
+    }
+    await checkpoint({}, "upload");
+  }
+
+  // 10. Update video metadata in database. A reprocessed video starts over from the upload: previous
+  // translations, summary, chapters and edits stay with the previous version.
+  await recordCurrentVersion(video);
+  video.videoKey = state.videoKey;
+  video.hlsKey = state.hlsKey || null;
+  video.cleanVideoKey = state.sourceVideoKey;
+  video.sourceVideoKey = state.sourceVideoKey;
+  video.thumbnailKey = state.thumbnailKey || keptThumbnailKey;
+  video.posterTime = hasThumbnail ? null : (state.posterTime ?? null);
+  video.previewSprites = state.previewSprites || null;
+  video.duration = duration;
+  video.subtitles = state.subtitles;
+  video.subtitleTracks = [];
+  video.summary = state.summary || null;
+  video.chapters = state.chapters ? state.chapters.chapters : [];
+  video.chapterGeneration = state.chapters ? state.chapters.generation : null;
+  video.edit = null;
+  video.captionMode = captionMode;
+  video.captionLanguage = null;
+  video.captionsNeedRerender = false;
+  video.language = language;
+  video.transcriptionProvider = provider;
+  video.transcriptionModel = model;
+  video.detectedLanguage = sourceLanguage;
+  video.status = "processed";
+  video.errorMessage = null;
+  video.progress = { stage: "completed", percent: 100, message: "Processing complete", updatedAt: new Date() };
+  await completeVersion(video, job.payload.versionId);
+  await video.save();
+  await pruneVersions(video);
+
+  // Clean up temporary files
+  fs.rmSync(workDir, { recursive: true, force: true });
+
+  console.log(`✅ Video processing complete for video ID: ${video._id}`);
+  console.log(`Final video (${captionMode} captions): ${state.videoKey}`);
+}
+
+// Queue a job that re-applies the video's current (edited) subtitles to its clean rendition
+// and replaces the processed video. The video stays playable until the new rendition is ready.
+// `captionLanguage` picks the track to burn in or to make the default one (null: the transcript).
+async function queueCaptionRerender(video, { captionMode, captionLanguage, createdBy = null } = {}) {
+  const settings = {
+    captionMode: captionMode || video.captionMode || DEFAULT_CAPTION_MODE,
+    captionLanguage: captionLanguage === undefined ? video.captionLanguage : captionLanguage
+  };
+  const version = await createVersion(video, { kind: "rerender", settings, createdBy });
+  const job = await enqueueJob({
+    type: RERENDER_CAPTIONS_JOB,
+    videoId: video._id,
+    payload: { workDir: getJobWorkDir(video._id), ...settings, versionId: version._id }
+  });
+  version.jobId = job._id;
+  await version.save();
+
+  video.status = "processing";
+  video.errorMessage = null;
+  video.progress = { stage: "queued", message: "Waiting for a worker to re-render captions", updatedAt: new Date() };
+  await video.save();
+
+  return job;
+}
+
+// Background job handler for caption re-renders
+async function rerenderCaptionsJob(job, { checkpoint }) {
+  const { workDir, captionMode, captionLanguage = null } = job.payload;
+  const state = { ...job.checkpoint };
+  const isDone = (stage) => job.completedStages.includes(stage);
+
+  const video = await Video.findById(job.videoId);
+  if (!video) {
+    console.log(`Video ${job.videoId} no longer exists, dropping job ${job._id}`);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    return;
+  }
+
+  console.log(`\n=== Re-rendering captions (${captionMode}) for video ${video._id} ===`);
+  fs.mkdirSync(workDir, { recursive: true });
+  const reportProgress = createProgressReporter(video._id);
+
+  // 1. Fetch the clean rendition
+  if (!state.videoKey && !(isDone("download") && filesExist([state.sourcePath]))) {
+    await reportProgress("downloading", { message: "Fetching original video" });
+    state.sourcePath = path.join(workDir, `source${path.extname(video.cleanVideoKey) || ".mp4"}`);
+    const sourceStream = await getObjectStream(video.cleanVideoKey);
+    await pipeline(sourceStream, fs.createWriteStream(state.sourcePath));
+    await checkpoint({ sourcePath: state.sourcePath }, "download");
+  }
+
+  const tracks = getCaptionTracks(video, captionLanguage);
+
+  // 2. Apply the current subtitles
+  if (!state.videoKey && !(isDone("render") && filesExist([state.finalVideoPath]))) {
+    state.finalVideoPath = await renderCaptions(state.sourcePath, tracks, workDir, captionMode, reportProgress, {
+      chapters: video.chapters,
+      duration: video.duration
+    });
+    await checkpoint({ finalVideoPath: state.finalVideoPath }, "render");
+  }
+
+  // 3. Package the new rendition for streaming
+  if (HLS_ENABLED && !state.videoKey && !state.hlsKey && !(isDone("package") && filesExist([state.hlsMasterPath]))) {
+    state.hlsMasterPath = await packageForStreaming(state.finalVideoPath, path.join(workDir, "hls"), tracks, captionMode, reportProgress);
+    await checkpoint({ hlsMasterPath: state.hlsMasterPath }, "package");
+  }
+
+  // 4. Upload the streaming package and the new rendition. Without captions the clean rendition is used as is.
+  if (state.hlsMasterPath && !state.hlsKey && !state.videoKey) {
+    state.hlsPrefix = state.hlsPrefix || `hls/${video._id}/${Date.now()}`;
+    await checkpoint({ hlsPrefix: state.hlsPrefix });
+    state.hlsKey = await uploadHlsPackage(state.hlsMasterPath, state.hlsPrefix, reportProgress);
+    await checkpoint({ hlsKey: state.hlsKey });
+  }
+
+  if (!state.videoKey) {
+    if (state.finalVideoPath === state.sourcePath) {
+      state.videoKey = video.cleanVideoKey;
+    } else {
+      await reportProgress("uploading", { message: "Uploading re-rendered video" });
+      state.videoKey = await uploadFile(
+        describeRendition(state.finalVideoPath, path.basename(video.cleanVideoKey), "video/mp4"),
+        'videos',
+        (percent) => reportProgress("uploading", { percent, message: `Uploading re-rendered video (${percent}%)` })
+      );
+    }
+    await checkpoint({ videoKey: state.videoKey }, "upload");
+  }
+
+  // 5. Swap the renditions. The previous ones stay with the previous version until it is pruned.
+  await recordCurrentVersion(video);
+  video.videoKey = state.videoKey;
+  video.hlsKey = state.hlsKey || null;
+  video.captionMode = captionMode;
+  video.captionLanguage = captionLanguage;
+  video.captionsNeedRerender = false;
+  video.status = "processed";
+  video.errorMessage = null;
+  video.progress = { stage: "completed", percent: 100, message: "Captions re-rendered", updatedAt: new Date() };
+  await completeVersion(video, job.payload.versionId);
+  await video.save();
+  await pruneVersions(video);
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  console.log(`✅ Captions re-rendered for video ID: ${video._id}`);
+}
+
+// A failed re-render leaves the previous rendition in place
+async function failRerenderJob(job, error) {
+  await failVersion(job.payload.versionId, error);
+  await Video.updateOne(
+    { _id: job.videoId },
+    {
+      $set: {
+        status: "processed",
+        errorMessage: `Caption re-render failed: ${error.message}`,
+        "progress.stage": "failed",
+        "progress.message": `Caption re-render failed: ${error.message}`,
+        "progress.updatedAt": new Date()
+      }
+    }
+  );
+  fs.rmSync(job.payload.workDir, { recursive: true, force: true });
+}
+
+// Add (or reset) the track for `language` and queue a job translating the transcript into it
+async function queueTranslation(video, language, translator = DEFAULT_TRANSLATOR) {
+  getTranslator(translator);
+
+  const track = { language, subtitles: "", status: "pending", translator, errorMessage: null };
+  const existing = video.subtitleTracks.find(candidate => candidate.language === language);
+  if (existing) {
+    existing.set(track);
+  } else {
+    video.subtitleTracks.push(track);
+  }
+  await video.save();
+
+  return enqueueJob({
+    type: TRANSLATE_SUBTITLES_JOB,
+    videoId: video._id,
+    payload: { language, translator }
+  });
+}
+
+// Background job handler for subtitle translations: every cue keeps its timing, only the text changes
+async function translateSubtitlesJob(job) {
+  const { language, translator } = job.payload;
+
+  const video = await Video.findById(job.videoId);
+  if (!video || !video.subtitleTracks.some(track => track.language === language)) {
+    console.log(`Translation target for video ${job.videoId} no longer exists, dropping job ${job._id}`);
+    return;
+  }
+
+  const sourceLanguage = getSourceLanguage(video);
+  console.log(`Translating subtitles of video ${video._id} from ${sourceLanguage} to ${language} (${translator})`);
+
+  const cues = await translateCues(parseSrt(video.subtitles || ""), {
+    from: sourceLanguage === "und" ? null : sourceLanguage,
+    to: language,
+    translator
+  });
+
+  await Video.updateOne(
+    { _id: video._id, "subtitleTracks.language": language },
+    {
+      $set: {
+        "subtitleTracks.$.subtitles": serializeSrt(cues),
+        "subtitleTracks.$.status": "ready",
+        "subtitleTracks.$.errorMessage": null,
+        "subtitleTracks.$.updatedAt": new Date()
+      }
+    }
+  );
+  console.log(`✅ Translated ${cues.length} cues of video ${video._id} to ${language}`);
+}
+
+async function failTranslationJob(job, error) {
+  await Video.updateOne(
+    { _id: job.videoId, "subtitleTracks.language": job.payload.language },
+    {
+      $set: {
+        "subtitleTracks.$.status": "failed",
+        "subtitleTracks.$.errorMessage": error.message,
+        "subtitleTracks.$.updatedAt": new Date()
+      }
+    }
+  );
+}
+
+// Mark the video's summary as pending and queue a job (re)generating it from the current transcript.
+// `language` is the language to write the summary in, null for the transcript's own.
+async function queueSummary(video, { summarizer = DEFAULT_SUMMARIZER, language = null } = {}) {
+  getSummarizer(summarizer);
+
+  video.summary = { ...(video.summary ? video.summary.toObject() : {}), status: "pending", provider: summarizer, language, errorMessage: null };
+  await video.save();
+
+  return enqueueJob({
+    type: SUMMARIZE_VIDEO_JOB,
+    videoId: video._id,
+    payload: { summarizer, language }
+  });
+}
+
+// Background job handler for summaries requested after processing
+async function summarizeVideoJob(job) {
+  const { summarizer, language } = job.payload;
+
+  const video = await Video.findById(job.videoId);
+  if (!video) {
+    console.log(`Video ${job.videoId} no longer exists, dropping job ${job._id}`);
+    return;
+  }
+
+  console.log(`Summarizing transcript of video ${video._id} (${summarizer})`);
+  const result = await summarizeCues(parseSrt(video.subtitles || ""), { summarizer, language, title: video.title });
+
+  await Video.updateOne(
+    { _id: video._id },
+    {
+      $set: {
+        summary: { status: "ready", provider: summarizer, language, ...result, errorMessage: null, generatedAt: new Date() }
+      }
+    }
+  );
+  console.log(`✅ Summarized video ${video._id}`);
+}
+
+async function failSummaryJob(job, error) {
+  await Video.updateOne(
+    { _id: job.videoId, summary: { $ne: null } },
+    { $set: { "summary.status": "failed", "summary.errorMessage": error.message } }
+  );
+}
+
+// Mark the chapters as pending and queue a job generating them again from the current transcript.
+// The new chapters replace the current ones, edited or not.
+async function queueChapterGeneration(video, provider = DEFAULT_CHAPTER_PROVIDER) {
+  getChapterProvider(provider);
+
+  video.chapterGeneration = { status: "pending", provider, errorMessage: null, updatedAt: new Date() };
+  await video.save();
+
+  return enqueueJob({
+    type: GENERATE_CHAPTERS_JOB,
+    videoId: video._id,
+    payload: { provider }
+  });
+}
+
+// Background job handler for chapters requested after processing
+async function generateChaptersJob(job) {
+  const { provider } = job.payload;
+
+  const video = await Video.findById(job.videoId);
+  if (!video) {
+    console.log(`Video ${job.videoId} no longer exists, dropping job ${job._id}`);
+    return;
+  }
+
+  console.log(`Generating chapters of video ${video._id} (${provider})`);
+  const chapters = await generateChapters(parseSrt(video.subtitles || ""), {
+    provider,
+    duration: video.duration,
+    title: video.title
+  });
+
+  await Video.updateOne(
+    { _id: video._id },
+    {
+      $set: {
+        chapters,
+        chapterGeneration: { status: "ready", provider, errorMessage: null, updatedAt: new Date() }
+      }
+    }
+  );
+  console.log(`✅ Generated ${chapters.length} chapters for video ${video._id}`);
+}
+
+async function failChaptersJob(job, error) {
+  await Video.updateOne(
+    { _id: job.videoId, chapterGeneration: { $ne: null } },
+    {
+      $set: {
+        "chapterGeneration.status": "failed",
+        "chapterGeneration.errorMessage": error.message,
+        "chapterGeneration.updatedAt": new Date()
+      }
+    }
+  );
+}
+
+// Queue a job that renders the video made of the `keep` parts of the upload (see utils/videoEdits),
+// or the upload itself again for an empty list. Subtitles, translations, chapters and the poster
+// follow the edit. The video stays playable until the new rendition is ready.
+async function queueVideoEdit(video, keep, { createdBy = null } = {}) {
+  const source = getEditSource(video);
+  const ranges = keepsEverything(keep, source.duration) ? [] : keep.map(({ start, end }) => ({ start, end }));
+
+  const version = await createVersion(video, { kind: "edit", settings: { keep: ranges }, createdBy });
+  const job = await enqueueJob({
+    type: EDIT_VIDEO_JOB,
+    videoId: video._id,
+    payload: { workDir: getJobWorkDir(video._id), keep: ranges, versionId: version._id }
+  });
+  version.jobId = job._id;
+  await version.save();
+
+  // Videos processed before edits existed kept their upload as the clean rendition
+  video.sourceVideoKey = video.sourceVideoKey || video.cleanVideoKey;
+  video.edit = { status: "pending", keep: video.edit?.keep || [], source, errorMessage: null, updatedAt: new Date() };
+  video.status = "processing";
+  video.errorMessage = null;
+  video.progress = {
+    stage: "queued",
+    message: ranges.length > 0 ? "Waiting for a worker to apply the edit" : "Waiting for a worker to revert the edit",
+    updatedAt: new Date()
+  };
+  await video.save();
+
+  return job;
+}
+
+async function editVideoJob(job, { checkpoint }) {
+  const { workDir, keep } = job.payload;
+  const state = { ...job.checkpoint };
+  const isDone = (stage) => job.completedStages.includes(stage);
+
+  const video = await Video.findById(job.videoId);
+  if (!video) {
+    console.log(`Video ${job.videoId} no longer exists, dropping job ${job._id}`);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    return;
+  }
+
+  console.log(`\n=== ${keep.length > 0 ? `Editing video ${video._id} (${keep.length} parts kept)` : `Reverting the edit of video ${video._id}`} ===`);
+  fs.mkdirSync(workDir, { recursive: true });
+  const reportProgress = createProgressReporter(video._id);
+  const edited = applyEditRanges(video.edit.source, keep);
+
+  // 1. Fetch the upload
+  if (!isDone("download") || !filesExist([state.sourcePath])) {
+    await reportProgress("downloading", { message: "Fetching original video" });
+    state.sourcePath = path.join(workDir, `source${path.extname(video.sourceVideoKey) || ".mp4"}`);
+    const sourceStream = await getObjectStream(video.sourceVideoKey);
+    await pipeline(sourceStream, fs.createWriteStream(state.sourcePath));
+    await checkpoint({ sourcePath: state.sourcePath }, "download");
+  }
+
+  // 2. Cut out everything but the kept parts; a revert uses the upload as is
+  if (keep.length === 0) {
+    state.editedPath = state.sourcePath;
+  } else if (!isDone("cut") || !filesExist([state.editedPath])) {
+    console.log(`\n2. Keeping ${keep.length} parts of the video...`);
+    await reportProgress("cutting", { message: "Cutting video" });
+    state.editedPath = await cutVideo(state.sourcePath, keep, path.join(workDir, "edited"), {
+      // Without probed metadata the upload is assumed to have sound
+      hasAudio: video.mediaInfo ? Boolean(video.mediaInfo.audioCodec) : true,
+      onProgress: (percent) => reportProgress("cutting", { percent, message: `Cutting video (${percent}%)` })
+    });
+    await checkpoint({ editedPath: state.editedPath }, "cut");
+  }
+
+  // 3. Apply the moved subtitles and chapters (the current state goes with the current version first)
+  await recordCurrentVersion(video);
+  video.subtitles = edited.subtitles;
+  for (const track of video.subtitleTracks) {
+    const moved = edited.subtitleTracks.find(other => other.language === track.language);
+    if (moved) {
+      track.subtitles = moved.subtitles;
+    }
+  }
+  const tracks = getCaptionTracks(video, video.captionLanguage);
+
+  if (!isDone("render") || !filesExist([state.finalVideoPath])) {
+    state.finalVideoPath = await renderCaptions(state.editedPath, tracks, workDir, video.captionMode, reportProgress, {
+      chapters: edited.chapters,
+      duration: edited.duration
+    });
+    await checkpoint({ finalVideoPath: state.finalVideoPath }, "render");
+  }
+
+  // 4. Package the new rendition for streaming
+  if (HLS_ENABLED && !state.hlsKey && !(isDone("package") && filesExist([state.hlsMasterPath]))) {
+    state.hlsMasterPath = await packageForStreaming(state.finalVideoPath, path.join(workDir, "hls"), tracks, video.captionMode, reportProgress);
+    await checkpoint({ hlsMasterPath: state.hlsMasterPath }, "package");
+  }
+
+  // 5. Redo the scrubbing previews and, unless a thumbnail was uploaded, the poster: at the same frame
+  // if it was kept, otherwise a newly picked one
+  const autoPoster = video.posterTime !== null;
+  if (!isDone("thumbnails")) {
+    const thumbnailsDir = path.join(workDir, "thumbnails");
+    fs.mkdirSync(thumbnailsDir, { recursive: true });
+    const generated = await generateThumbnails(state.editedPath, thumbnailsDir, { poster: autoPoster && edited.posterTime === null }, reportProgress);
+    if (autoPoster && edited.posterTime !== null) {
+      try {
+        generated.posterPath = await extractFrame(state.editedPath, edited.posterTime, path.join(thumbnailsDir, "poster.jpg"));
+        generated.posterTime = edited.posterTime;
+      } catch (error) {
+        console.error("Poster frame extraction failed, keeping the previous poster:", error.message);
+      }
+    }
+    Object.assign(state, generated);
+    await checkpoint(generated, "thumbnails");
+  }
+
+  // 6. Upload the streaming package, the edited clean rendition, the final rendition and the thumbnails.
+  // The upload itself stays where it is.
+  if (!isDone("upload")) {
+    if (state.hlsMasterPath && !state.hlsKey) {
+      state.hlsPrefix = state.hlsPrefix || `hls/${video._id}/${Date.now()}`;
+      await checkpoint({ hlsPrefix: state.hlsPrefix });
+      state.hlsKey = await uploadHlsPackage(state.hlsMasterPath, state.hlsPrefix, reportProgress);
+      await checkpoint({ hlsKey: state.hlsKey });
+    }
+
+    if (!state.cleanVideoKey) {
+      if (state.editedPath === state.sourcePath) {
+        state.cleanVideoKey = video.sourceVideoKey;
+      } else {
+        await reportProgress("uploading", { message: "Uploading edited video" });
+        state.cleanVideoKey = await uploadFile(
+          describeRendition(state.editedPath, path.basename(video.sourceVideoKey), "video/mp4"),
+          'originals',
+          (percent) => reportProgress("uploading", { percent, message: `Uploading edited video (${percent}%)` })
+        );
+      }
+      await checkpoint({ cleanVideoKey: state.cleanVideoKey });
+    }
+
+    if (!state.videoKey) {
+      if (state.finalVideoPath === state.editedPath) {
+        state.videoKey = state.cleanVideoKey;
+      } else {
+        await reportProgress("uploading", { message: "Uploading rendered video" });
+        state.videoKey = await uploadFile(
+          describeRendition(state.finalVideoPath, path.basename(video.sourceVideoKey), "video/mp4"),
+          'videos',
+          (percent) => reportProgress("uploading", { percent, message: `Uploading rendered video (${percent}%)` })
+        );
+      }
+      await checkpoint({ videoKey: state.videoKey });
+    }
+
+    if (state.posterPath && !state.thumbnailKey) {
+      state.thumbnailKey = await uploadFile({ path: state.posterPath, originalname: "poster.jpg", mimetype: "image/jpeg" }, 'thumbnails');
+      await checkpoint({ thumbnailKey: state.thumbnailKey });
+    }
+
+    if (state.sprites && !state.previewSprites) {
+      await reportProgress("uploading", { percent: 100, message: "Uploading scrubbing previews" });
+      state.previewsPrefix = state.previewsPrefix || `previews/${video._id}/${Date.now()}`;
+      await checkpoint({ previewsPrefix: state.previewsPrefix });
+      state.previewSprites = await uploadPreviewSprites(state.sprites, state.previewsPrefix);
+      await checkpoint({ previewSprites: state.previewSprites });
+    }
+    await checkpoint({}, "upload");
+  }
+
+  // 7. Swap the renditions. The previous ones stay with the previous version until it is pruned.
+  video.videoKey = state.videoKey;
+  video.cleanVideoKey = state.cleanVideoKey;
+  video.hlsKey = state.hlsKey || null;
+  if (state.thumbnailKey) {
+    video.thumbnailKey = state.thumbnailKey;
+    video.posterTime = state.posterTime ?? null;
+  } else if (autoPoster && edited.posterTime !== null) {
+    video.posterTime = edited.posterTime;
+  }
+  // Previews of the old timeline would be misleading, so they are dropped even when no new ones could be made
+  video.previewSprites = state.previewSprites || null;
+  video.duration = edited.duration;
+  video.chapters = edited.chapters;
+  video.edit = { status: "ready", keep, source: video.edit.source, errorMessage: null, updatedAt: new Date() };
+  video.captionsNeedRerender = false;
+  video.status = "processed";
+  video.errorMessage = null;
+  video.progress = {
+    stage: "completed",
+    percent: 100,
+    message: keep.length > 0 ? "Edit applied" : "Edit reverted",
+    updatedAt: new Date()
+  };
+  await completeVersion(video, job.payload.versionId);
+  await video.save();
+  await pruneVersions(video);
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  console.log(`✅ ${keep.length > 0 ? "Edit applied to" : "Edit reverted for"} video ID: ${video._id}`);
+}
+
+// Like a failed re-render, a failed edit leaves the previous rendition in place
+async function failEditJob(job, error) {
+  await failVersion(job.payload.versionId, error);
+  await Video.updateOne(
+    { _id: job.videoId },
+    {
+      $set: {
+        status: "processed",
+        errorMessage: `Editing failed: ${error.message}`,
+        "edit.status": "failed",
+        "edit.errorMessage": error.message,
+        "edit.updatedAt": new Date(),
+        "progress.stage": "failed",
+        "progress.message": `Editing failed: ${error.message}`,
+        "progress.updatedAt": new Date()
+      }
+    }
+  );
+  fs.rmSync(job.payload.workDir, { recursive: true, force: true });
+}
+
+// Called when a processing attempt failed but the job will be retried
+async function retryVideoJob(job, error, delayMs) {
+  await Video.updateOne(
+    { _id: job.videoId },
+    {
+      $set: {
+        "progress.message": `Attempt ${job.attempts + 1} failed (${error.message}), retrying in ${Math.round(delayMs / 1000)}s`,
+        "progress.updatedAt": new Date()
+      }
+    }
+  );
+}
+
+// Called once a processing job has used up all of its attempts
+async function failVideoJob(job, error) {
+  await failVersion(job.payload.versionId, error);
+  // A failed reprocess leaves the previous version in place
+  const video = await Video.findById(job.videoId).select("videoKey").lean();
+  await Video.updateOne(
+    { _id: job.videoId },
+    {
+      $set: {
+        status: video?.videoKey ? "processed" : "failed",
+        errorMessage: error.message,
+        "progress.stage": "failed",
+        "progress.message": `Processing failed: ${error.message}`,
+        "progress.updatedAt": new Date()
+      }
+    }
+  );
+  fs.rmSync(job.payload.workDir || getJobWorkDir(job.videoId), { recursive: true, force: true });
+}
+
+module.exports = {
+  PROCESS_VIDEO_JOB,
+  parseProcessingOptions,
+  RERENDER_CAPTIONS_JOB,
+  TRANSLATE_SUBTITLES_JOB,
+  SUMMARIZE_VIDEO_JOB,
+  GENERATE_CHAPTERS_JOB,
+  EDIT_VIDEO_JOB,
+  CAPTION_MODES,
+  DEFAULT_CAPTION_MODE,
+  getJobWorkDir,
+  deleteVideoMedia,
+  setPosterFrame,
+  getSourceLanguage,
+  findSubtitleTrack,
+  queueVideoForProcessing,
+  queueReprocess,
+  createOptimizedVideoChunks,
+  transcribeChunksInParallel,
+  adjustSubtitlesTiming,
+  combineSubtitles,
+  processVideoJob,
+  queueCaptionRerender,
+  rerenderCaptionsJob,
+  failRerenderJob,
+  queueTranslation,
+  translateSubtitlesJob,
+  failTranslationJob,
+  queueSummary,
+  summarizeVideoJob,
+  failSummaryJob,
+  queueChapterGeneration,
+  generateChaptersJob,
+  failChaptersJob,
+  queueVideoEdit,
+  editVideoJob,
+  failEditJob,
+  retryVideoJob,
+  failVideoJob
+};
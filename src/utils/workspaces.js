@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Workspace = require("../models/workspace");
+const WorkspaceInvitation = require("../models/workspaceInvitation");
+const { createHttpError } = require("./httpError");
+const { sendMail } = require("./mailer");
+
+// Roles from least to most privileged
+const ROLES = ["viewer", "editor", "admin", "owner"];
+const INVITABLE_ROLES = ["viewer", "editor", "admin"];
+
+// Minimum role for each action in a workspace:
+//   view - watch videos, read transcripts; create - upload; edit - change captions, thumbnails, sharing;
+//   delete - delete any video (editors may delete their own); manageMembers - invitations and roles;
+//   manageWorkspace - rename or delete the workspace
+const ACTION_ROLES = {
+  view: "viewer",
+  create: "editor",
+  edit: "editor",
+  delete: "admin",
+  manageMembers: "admin",
+  manageWorkspace: "owner"
+};
+
+// Id used in requests for the user's implicit personal workspace
+const PERSONAL_WORKSPACE = "personal";
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:5000";
+// Where invitation links point: the frontend's accept page if there is one, the API otherwise
+const INVITATION_URL_BASE = process.env.INVITATION_URL_BASE || `${BASE_URL}/api/workspaces/invitations`;
+const INVITATION_TTL_MS = parseInt(process.env.INVITATION_TTL_MS) || 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const roleRank = (role) => ROLES.indexOf(role);
+const canPerform = (role, action) => Boolean(role) && roleRank(role) >= roleRank(ACTION_ROLES[action]);
+
+const getMemberRole = (workspace, userId) => {
+  const member = workspace && workspace.members.find(candidate => candidate.userId.toString() === String(userId));
+  return member ? member.role : null;
+};
+
+// A user's role on a video: their role in its workspace, or owner of their personal videos
+async function getVideoRole(userId, video) {
+  if (!userId) return null;
+  if (!video.workspaceId) {
+    return video.userId.toString() === String(userId) ? "owner" : null;
+  }
+  const workspace = await Workspace.findById(video.workspaceId).select("members").lean();
+  return getMemberRole(workspace, userId);
+}
+
+async function canAccessVideoAs(userId, video, action) {
+  const role = await getVideoRole(userId, video);
+  if (action === "delete" && role === "editor") {
+    return video.userId.toString() === String(userId);
+  }
+  return canPerform(role, action);
+}
+
+// Workspace `workspaceId` with the user's role in it. Throws 404 when it doesn't exist or the user
+// isn't a member (so ids of other workspaces aren't revealed), 403 when the role doesn't allow `action`.
+async function loadWorkspace(workspaceId, userId, action = "view") {
+  if (!mongoose.isValidObjectId(workspaceId)) {
+    throw createHttpError(404, "Workspace not found");
+  }
+  const workspace = await Workspace.findById(workspaceId);
+  const role = getMemberRole(workspace, userId);
+  if (!role) {
+    throw createHttpError(404, "Workspace not found");
+  }
+  if (!canPerform(role, action)) {
+    throw createHttpError(403, `Your role (${role}) does not allow this`);
+  }
+  return { workspace, role };
+}
+
+// Query filter for the videos a user can see: their personal videos and those of every workspace
+// they belong to, or only those of `workspaceId` ("personal" or a workspace id) when given
+async function getVisibleVideosFilter(userId, workspaceId) {
+  if (workspaceId === PERSONAL_WORKSPACE) {
+    return { workspaceId: null, userId };
+  }
+  if (workspaceId) {
+    const { workspace } = await loadWorkspace(workspaceId, userId, "view");
+    return { workspaceId: workspace._id };
+  }
+  const workspaces = await Workspace.find({ "members.userId": userId }).select("_id").lean();
+  return {
+    $or: [
+      { workspaceId: null, userId },
+      { workspaceId: { $in: workspaces.map(workspace => workspace._id) } }
+    ]
+  };
+}
+
+// Workspace a new upload goes to: null (personal) unless a workspace the user may upload to is given
+async function resolveUploadWorkspace(userId, workspaceId) {
+  if (!workspaceId || workspaceId === PERSONAL_WORKSPACE) return null;
+  const { workspace } = await loadWorkspace(workspaceId, userId, "create");
+  return workspace._id;
+}
+
+// Whether `actorRole` may give `targetRole` members another role or remove them.
+// Nobody changes the owner; admins manage editors and viewers and may grant up to admin.
+const canManageMember = (actorRole, targetRole, newRole = null) => {
+  if (targetRole === "owner" || newRole === "owner") return false;
+  if (!canPerform(actorRole, "manageMembers")) return false;
+  if (actorRole === "owner") return true;
+  return roleRank(actorRole) > roleRank(targetRole) && (!newRole || roleRank(newRole) <= roleRank(actorRole));
+};
+
+const getInvitationUrl = (token) => `${INVITATION_URL_BASE}/${token}`;
+
+// Invite `email` to a workspace, replacing a pending invitation for the same address
+async function createInvitation(workspace, { email, role }, invitedBy, inviterRole) {
+  const normalizedEmail = String(email || "").trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+$/.test(normalizedEmail)) {
+    throw createHttpError(400, "A valid email is required");
+  }
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw createHttpError(400, `role must be one of: ${INVITABLE_ROLES.join(", ")}`);
+  }
+  if (!canManageMember(inviterRole, null, role)) {
+    throw createHttpError(403, `Your role (${inviterRole}) can't invite ${role}s`);
+  }
+
+  const invitation = await WorkspaceInvitation.findOneAndUpdate(
+    { workspaceId: workspace._id, email: normalizedEmail, acceptedAt: null },
+    {
+      $set: {
+        role,
+        invitedBy,
+        token: crypto.randomBytes(24).toString("base64url"),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  // The link is returned to the inviter as well, so a failed mail doesn't fail the invitation
+  await sendMail({
+    to: normalizedEmail,
+    subject: `You're invited to the workspace "${workspace.name}"`,
+    text: [
+      `You have been invited to join the workspace "${workspace.name}" as ${role === "admin" ? "an" : "a"} ${role}.`,
+      "",
+      "Sign in (or sign up) with this address and open this link to accept:",
+      getInvitationUrl(invitation.token),
+      "",
+      `The invitation expires on ${invitation.expiresAt.toUTCString()}.`
+    ].join("\n")
+  }).catch(err => {
+    console.error(`Failed to send the invitation to ${normalizedEmail}:`, err.message);
+  });
+  return invitation;
+}
+
+// The pending invitation with `token`, 404 once it was accepted or expired
+async function findPendingInvitation(token) {
+  const invitation = await WorkspaceInvitation.findOne({ token: String(token), acceptedAt: null });
+  if (!invitation || invitation.expiresAt <= new Date()) {
+    throw createHttpError(404, "Invitation not found or expired");
+  }
+  return invitation;
+}
+
+// Join the workspace of an invitation. Only the user registered with the invited email may accept,
+// once they verified it.
+async function acceptInvitation(token, user) {
+  const invitation = await findPendingInvitation(token);
+  if (invitation.email !== user.emailId) {
+    throw createHttpError(403, "This invitation was sent to another email address");
+  }
+  if (!user.verified) {
+    throw createHttpError(403, "Verify your email address before accepting invitations");
+  }
+
+  const workspace = await Workspace.findById(invitation.workspaceId);
+  if (!workspace) {
+    throw createHttpError(404, "Workspace no longer exists");
+  }
+  if (!getMemberRole(workspace, user._id)) {
+    workspace.members.push({ userId: user._id, role: invitation.role });
+    await workspace.save();
+  }
+
+  invitation.acceptedAt = new Date();
+  invitation.acceptedBy = user._id;
+  await invitation.save();
+
+  return { workspace, role: getMemberRole(workspace, user._id) };
+}
+
+module.exports = {
+  ROLES,
+  INVITABLE_ROLES,
+  ACTION_ROLES,
+  PERSONAL_WORKSPACE,
+  canPerform,
+  getMemberRole,
+  getVideoRole,
+  canAccessVideoAs,
+  loadWorkspace,
+  getVisibleVideosFilter,
+  resolveUploadWorkspace,
+  canManageMember,
+  getInvitationUrl,
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,62 @@
+const dotenv = require("dotenv");
+
+// Load environment variables before the modules below read their configuration
+dotenv.config();
+
+const connectDB = require("./config/database");
+const { startWorker } = require("./utils/jobQueue");
+const {
+  PROCESS_VIDEO_JOB,
+  RERENDER_CAPTIONS_JOB,
+  TRANSLATE_SUBTITLES_JOB,
+  SUMMARIZE_VIDEO_JOB,
+  GENERATE_CHAPTERS_JOB,
+  EDIT_VIDEO_JOB,
+  processVideoJob,
+  retryVideoJob,
+  failVideoJob,
+  rerenderCaptionsJob,
+  failRerenderJob,
+  translateSubtitlesJob,
+  failTranslationJob,
+  summarizeVideoJob,
+  failSummaryJob,
+  generateChaptersJob,
+  failChaptersJob,
+  editVideoJob,
+  failEditJob
+} = require("./utils/videoPipeline");
+
+// Job handlers by type
+const handlers = {
+  [PROCESS_VIDEO_JOB]: { run: processVideoJob, onRetry: retryVideoJob, onFailure: failVideoJob },
+  [RERENDER_CAPTIONS_JOB]: { run: rerenderCaptionsJob, onRetry: retryVideoJob, onFailure: failRerenderJob },
+  [TRANSLATE_SUBTITLES_JOB]: { run: translateSubtitlesJob, onFailure: failTranslationJob },
+  [SUMMARIZE_VIDEO_JOB]: { run: summarizeVideoJob, onFailure: failSummaryJob },
+  [GENERATE_CHAPTERS_JOB]: { run: generateChaptersJob, onFailure: failChaptersJob },
+  [EDIT_VIDEO_JOB]: { run: editVideoJob, onRetry: retryVideoJob, onFailure: failEditJob }
+};
+
+const startVideoWorker = () => startWorker({ handlers });
+
+// Run as a standalone process: `npm run worker`
+if (require.main === module) {
+  connectDB()
+    .then(() => {
+      const worker = startVideoWorker();
+
+      const shutdown = async () => {
+        console.log("Stopping worker after the current job...");
+        await worker.stop();
+        process.exit(0);
+      };
+      process.on("SIGINT", shutdown);
+      process.on("SIGTERM", shutdown);
+    })
+    .catch((err) => {
+      console.error("Database connection failed:", err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { startVideoWorker };
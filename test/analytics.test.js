@@ -0,0 +1,135 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const ViewEvent = require("../src/models/viewEvent");
+const ViewSession = require("../src/models/viewSession");
+const Video = require("../src/models/video");
+const { recordViewEvents, rollUpViewEvents } = require("../src/utils/analytics");
+
+afterEach(() => mock.restoreAll());
+
+const video = { _id: new mongoose.Types.ObjectId(), duration: 60 };
+const userId = new mongoose.Types.ObjectId();
+const startedAt = Date.parse("2026-01-01T10:00:00Z");
+const at = (seconds) => new Date(startedAt + seconds * 1000).toISOString();
+
+// ViewEvent, Video and ViewSession backed by arrays; resolves with the saved sessions
+const mockStore = (events, existingSessions = []) => {
+  const saved = [];
+  mock.method(ViewEvent, "aggregate", async () => {
+    const keys = new Map();
+    events.filter(event => !event.claimedBy).forEach(event => {
+      keys.set(`${event.videoId}:${event.sessionId}`, { _id: { videoId: event.videoId, sessionId: event.sessionId } });
+    });
+    return [...keys.values()];
+  });
+  mock.method(Video, "find", () => ({ select: () => ({ lean: async () => [video] }) }));
+  mock.method(ViewEvent, "updateMany", async (filter, update) => {
+    events.filter(event => event.sessionId === filter.sessionId && !event.claimedBy)
+      .forEach(event => Object.assign(event, update.$set));
+  });
+  mock.method(ViewEvent, "find", (filter) => ({
+    sort: () => ({ lean: async () => events.filter(event => event.claimedBy === filter.claimedBy).sort((a, b) => a.occurredAt - b.occurredAt) })
+  }));
+  mock.method(ViewEvent, "deleteMany", async (filter) => {
+    events.splice(0, events.length, ...events.filter(event => event.claimedBy !== filter.claimedBy));
+  });
+  mock.method(ViewSession, "findOne", async ({ sessionId }) => existingSessions.find(session => session.sessionId === sessionId) || null);
+  mock.method(ViewSession.prototype, "save", async function () {
+    saved.push(this);
+    return this;
+  });
+  return saved;
+};
+
+const record = async (body, user = userId) => {
+  let inserted;
+  mock.method(ViewEvent, "insertMany", async (events) => { inserted = events; });
+  await recordViewEvents(video, user, body);
+  return inserted;
+};
+
+test("recordViewEvents validates events and clamps positions to the video", async () => {
+  mock.method(Date, "now", () => startedAt + 60 * 1000);
+  const events = await record({
+    sessionId: "s1",
+    events: [{ type: "play", position: -3 }, { type: "heartbeat", position: 75, at: at(5) }, { type: "heartbeat", position: 10, at: "2000-01-01" }]
+  });
+  assert.deepEqual(events.map(event => event.position), [0, 60, 10]);
+  assert.equal(events[0].viewerKey, `user:${userId}`);
+  assert.equal(events[1].occurredAt.toISOString(), at(5));
+  // Player clocks that are far off are replaced by the server's
+  assert.equal(events[2].occurredAt.toISOString(), at(60));
+
+  const anonymous = await record({ sessionId: "s2", viewerId: "browser-1", events: [{ type: "play", position: 0 }] }, null);
+  assert.equal(anonymous[0].viewerKey, "anon:browser-1");
+
+  await assert.rejects(record({ sessionId: "bad id", events: [{ type: "play", position: 0 }] }), { status: 400 });
+  await assert.rejects(record({ sessionId: "s1", events: [] }), { status: 400 });
+  await assert.rejects(record({ sessionId: "s1", events: [{ type: "pause", position: 0 }] }), { status: 400 });
+  await assert.rejects(record({ sessionId: "s1", events: [{ type: "seek", position: 5, from: "start" }] }), { status: 400 });
+});
+
+test("rollUpViewEvents counts only the ranges that were played", async () => {
+  const mockNow = mock.method(Date, "now", () => startedAt + 60 * 1000);
+  const events = await record({
+    sessionId: "s1",
+    events: [
+      { type: "play", position: 0, at: at(0) },
+      { type: "heartbeat", position: 5, at: at(5) },
+      { type: "heartbeat", position: 10, at: at(10) },
+      { type: "seek", from: 11, position: 40, at: at(11) },
+      { type: "heartbeat", position: 45, at: at(16) },
+      // Further than one second of playback allows for, ignored
+      { type: "heartbeat", position: 58, at: at(17) },
+      { type: "ended", position: 60, at: at(20) }
+    ]
+  });
+  mockNow.mock.restore();
+
+  const saved = mockStore(events);
+  assert.equal(await rollUpViewEvents(), 7);
+  assert.equal(events.length, 0);
+
+  assert.equal(saved.length, 1);
+  const [session] = saved;
+  assert.equal(session.watchTime, 18);
+  assert.equal(session.maxPosition, 60);
+  assert.deepEqual([...session.buckets], [0, 1, 2, 8, 11]);
+  assert.equal(session.completed, true);
+  assert.equal(session.startedAt.toISOString(), at(0));
+});
+
+test("rollUpViewEvents continues existing sessions and skips late events", async () => {
+  const mockNow = mock.method(Date, "now", () => startedAt + 60 * 1000);
+  const events = await record({
+    sessionId: "s1",
+    events: [
+      { type: "heartbeat", position: 3, at: at(25) },
+      { type: "heartbeat", position: 57, at: at(57) }
+    ]
+  });
+  mockNow.mock.restore();
+
+  const existing = new ViewSession({
+    videoId: video._id,
+    sessionId: "s1",
+    viewerKey: `user:${userId}`,
+    startedAt: new Date(at(0)),
+    lastEventAt: new Date(at(30)),
+    lastPosition: 30,
+    playing: true,
+    watchTime: 30,
+    maxPosition: 30,
+    buckets: [0, 1, 2, 3, 4, 5]
+  });
+  const saved = mockStore(events, [existing]);
+  await rollUpViewEvents();
+
+  assert.equal(saved[0], existing);
+  assert.equal(existing.watchTime, 57);
+  assert.equal(existing.maxPosition, 57);
+  assert.equal(existing.buckets.length, 12);
+  // 57 of 60 seconds is past the completion threshold
+  assert.equal(existing.completed, true);
+});
@@ -0,0 +1,150 @@
+process.env.JWT_SECRET = "test-secret";
+process.env.STORAGE_DRIVER = "local";
+
+const { test, mock, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Job = require("../src/models/job");
+const Video = require("../src/models/video");
+const videoRouter = require("../src/routes/videoRouter");
+const {
+  getChapterProvider,
+  generateChapters,
+  parseChapters,
+  serializeChaptersVtt,
+  serializeFfmetadata
+} = require("../src/utils/chapters");
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ userId, type: "access" }, process.env.JWT_SECRET);
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/videos", videoRouter);
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/videos`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+// PUT the chapters of an owned video in `status`, with or without a pending job
+const putChapters = async ({ status = "processed", pendingJob = false } = {}) => {
+  const video = { _id: new mongoose.Types.ObjectId(), userId, status, duration: 120, chapters: [], save: mock.fn(async () => video) };
+  mock.method(Video, "findById", async () => video);
+  mock.method(Job, "exists", async () => pendingJob ? { _id: "job" } : null);
+
+  const response = await fetch(`${baseUrl}/${video._id}/chapters`, {
+    method: "PUT",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ chapters: [{ start: 0, title: "Intro" }, { start: 30, title: "Demo" }] })
+  });
+  return { response, video };
+};
+
+test("parseChapters accepts ordered chapters starting at 0", () => {
+  assert.deepEqual(parseChapters([{ start: "0", title: " Intro  part " }, { start: 61.23456, title: "Demo" }], 120), [
+    { start: 0, title: "Intro part" },
+    { start: 61.235, title: "Demo" }
+  ]);
+  assert.deepEqual(parseChapters([], 120), []);
+});
+
+test("parseChapters rejects chapters that don't fit the video", () => {
+  assert.throws(() => parseChapters("Intro", 120), { status: 400 });
+  assert.throws(() => parseChapters([{ start: 5, title: "Intro" }], 120), { status: 400, message: "The first chapter must start at 0" });
+  assert.throws(() => parseChapters([{ start: 0, title: "Intro" }, { start: 120, title: "End" }], 120), { status: 400 });
+  assert.throws(() => parseChapters([{ start: 0, title: "  " }], 120), { status: 400, message: "chapters[0].title is required" });
+  assert.throws(() => parseChapters([{ start: 0, title: "A" }, { start: 0.5, title: "B" }], 120), { status: 400 });
+  assert.throws(() => parseChapters([{ start: 0, title: "A" }, { start: 30, title: "B" }, { start: 20, title: "C" }], 120), { status: 400 });
+  assert.throws(() => parseChapters(Array.from({ length: 101 }, (_, i) => ({ start: i * 2, title: "A" })), 0), { status: 400 });
+});
+
+test("generateChapters cleans up what the provider returns", async () => {
+  mock.method(getChapterProvider("stub"), "generate", async () => [
+    { start: 95, title: "Questions" },
+    { start: 12, title: "  Welcome\n everyone " },
+    { start: 40.2, title: "Roadmap" },
+    { start: 40.6, title: "Too close" },
+    { start: 70, title: "" },
+    { start: "soon", title: "Invalid" },
+    { start: 130, title: "Past the end" }
+  ]);
+  assert.deepEqual(await generateChapters([], { provider: "stub", duration: 120 }), [
+    { start: 0, title: "Welcome everyone" },
+    { start: 40.2, title: "Roadmap" },
+    { start: 95, title: "Questions" }
+  ]);
+});
+
+test("the stub provider names chapters after their first words", async () => {
+  const cues = [
+    { start: 0, end: 4, text: "Hello and welcome to this quick demo" },
+    { start: 130, end: 134, text: "Now the details" },
+    { start: 236, end: 240, text: "Thanks" }
+  ];
+  assert.deepEqual(await generateChapters(cues, { provider: "stub", duration: 240 }), [
+    { start: 0, title: "Hello and welcome to this quick" },
+    { start: 120, title: "Now the details" }
+  ]);
+});
+
+test("chapters export as WebVTT and ffmpeg metadata", () => {
+  const chapters = [{ start: 0, title: "Intro" }, { start: 65.5, title: "Q&A; part=2 #1" }];
+  assert.equal(serializeChaptersVtt(chapters, 90), [
+    "WEBVTT",
+    "",
+    "1",
+    "00:00:00.000 --> 00:01:05.500",
+    "Intro",
+    "",
+    "2",
+    "00:01:05.500 --> 00:01:30.000",
+    "Q&A; part=2 #1",
+    ""
+  ].join("\n"));
+
+  assert.equal(serializeFfmetadata(chapters, 90), [
+    ";FFMETADATA1",
+    "",
+    "[CHAPTER]",
+    "TIMEBASE=1/1000",
+    "START=0",
+    "END=65500",
+    "title=Intro",
+    "",
+    "[CHAPTER]",
+    "TIMEBASE=1/1000",
+    "START=65500",
+    "END=90000",
+    "title=Q&A\\; part\\=2 \\#1",
+    ""
+  ].join("\n"));
+});
+
+test("the last chapter lasts at least a second without a known duration", () => {
+  assert.match(serializeChaptersVtt([{ start: 0, title: "Only" }], 0), /00:00:00\.000 --> 00:00:01\.000/);
+});
+
+test("chapters can be edited on processed videos", async () => {
+  const { response, video } = await putChapters();
+  assert.equal(response.status, 200);
+  assert.deepEqual(video.chapters, [{ start: 0, title: "Intro" }, { start: 30, title: "Demo" }]);
+  assert.equal(video.save.mock.callCount(), 1);
+});
+
+test("chapters can't be edited while the video is processing or a job is pending", async () => {
+  for (const options of [{ status: "processing" }, { pendingJob: true }]) {
+    const { response, video } = await putChapters(options);
+    assert.equal(response.status, 409);
+    assert.equal(video.save.mock.callCount(), 0);
+    mock.restoreAll();
+  }
+});
@@ -0,0 +1,114 @@
+const { test, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Comment = require("../src/models/comment");
+const User = require("../src/models/user");
+const Workspace = require("../src/models/workspace");
+const { createComment, updateComment, deleteComment } = require("../src/utils/comments");
+
+const id = () => new mongoose.Types.ObjectId();
+const owner = id();
+const admin = id();
+const editor = id();
+const viewer = id();
+const outsider = id();
+const workspace = {
+  _id: id(),
+  members: [
+    { userId: owner, role: "owner" },
+    { userId: admin, role: "admin" },
+    { userId: editor, role: "editor" },
+    { userId: viewer, role: "viewer" }
+  ]
+};
+const video = { _id: id(), userId: editor, workspaceId: workspace._id, duration: 120 };
+
+let saved;
+beforeEach(() => {
+  saved = [];
+  mock.method(Workspace, "findById", () => ({ select: () => ({ lean: async () => workspace }) }));
+  mock.method(Comment.prototype, "save", async function () {
+    saved.push(this);
+    return this;
+  });
+});
+afterEach(() => mock.restoreAll());
+
+const mockUsers = (usersByEmail) => mock.method(User, "find", (filter) => ({
+  select: () => ({ lean: async () => filter.emailId.$in.filter(email => usersByEmail[email]).map(email => ({ _id: usersByEmail[email] })) })
+}));
+
+test("createComment keeps the timestamp within the video", async () => {
+  mockUsers({});
+  const comment = await createComment(video, viewer, { body: "  Nice intro ", timestamp: "12.3456" });
+  assert.equal(comment.body, "Nice intro");
+  assert.equal(comment.timestamp, 12.346);
+  assert.equal(comment.parentId, null);
+
+  await assert.rejects(createComment(video, viewer, { body: "Too late", timestamp: 121 }), { status: 400 });
+  await assert.rejects(createComment(video, viewer, { body: "   " }), { status: 400, message: "body is required" });
+});
+
+test("createComment mentions only users who can see the video", async () => {
+  mockUsers({ "admin@example.com": admin, "outsider@example.com": outsider });
+  const comment = await createComment(video, viewer, {
+    body: "@Admin@example.com and @outsider@example.com, see this. Mail me at me@example.com or @nobody@example.com."
+  });
+  assert.deepEqual(comment.mentions.map(String), [String(admin)]);
+});
+
+test("replies join the thread of the comment they answer", async () => {
+  mockUsers({});
+  const thread = new Comment({ _id: id(), videoId: video._id, authorId: viewer, parentId: null, body: "Thread" });
+  const reply = new Comment({ _id: id(), videoId: video._id, authorId: owner, parentId: thread._id, body: "Reply" });
+  mock.method(Comment, "findOne", async ({ _id }) => [thread, reply].find(comment => comment._id.equals(_id)) || null);
+
+  const comment = await createComment(video, admin, { body: "Reply to the reply", parentId: String(reply._id) });
+  assert.ok(comment.parentId.equals(thread._id));
+  assert.equal(comment.timestamp, null);
+
+  await assert.rejects(createComment(video, admin, { body: "Reply", parentId: String(thread._id), timestamp: 5 }), { status: 400 });
+  await assert.rejects(createComment(video, admin, { body: "Reply", parentId: String(id()) }), { status: 404 });
+});
+
+test("only the author edits a comment", async () => {
+  mockUsers({});
+  const comment = new Comment({ videoId: video._id, authorId: viewer, body: "Typo" });
+  await assert.rejects(updateComment(video, comment, admin, { body: "Fixed" }), { status: 403 });
+
+  await updateComment(video, comment, viewer, { body: "Fixed", timestamp: 3 });
+  assert.equal(comment.body, "Fixed");
+  assert.equal(comment.timestamp, 3);
+  assert.ok(comment.editedAt);
+});
+
+test("thread authors and editors resolve threads, viewers don't", async () => {
+  const thread = new Comment({ videoId: video._id, authorId: admin, body: "Fix the audio" });
+  await assert.rejects(updateComment(video, thread, viewer, { resolved: true }), { status: 403 });
+
+  await updateComment(video, thread, editor, { resolved: true });
+  assert.ok(thread.resolvedAt);
+  assert.ok(thread.resolvedBy.equals(editor));
+
+  await updateComment(video, thread, admin, { resolved: false });
+  assert.equal(thread.resolvedAt, null);
+
+  const reply = new Comment({ videoId: video._id, authorId: admin, parentId: thread._id, body: "Done" });
+  await assert.rejects(updateComment(video, reply, admin, { resolved: true }), { status: 400 });
+  await assert.rejects(updateComment(video, thread, admin, { resolved: "yes" }), { status: 400 });
+});
+
+test("authors delete their own comments, moderators any", async () => {
+  const deleteMany = mock.method(Comment, "deleteMany", async () => ({ deletedCount: 2 }));
+  const comment = new Comment({ videoId: video._id, authorId: viewer, body: "Hello" });
+
+  await assert.rejects(deleteComment(video, comment, outsider), { status: 403 });
+  // Editors may only delete their own videos, this one is theirs
+  assert.equal(await deleteComment(video, comment, editor), 2);
+  assert.equal(await deleteComment(video, comment, viewer), 2);
+  assert.equal(await deleteComment(video, comment, admin), 2);
+  assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { $or: [{ _id: comment._id }, { parentId: comment._id }] });
+
+  const othersVideo = { ...video, userId: owner };
+  await assert.rejects(deleteComment(othersVideo, comment, editor), { status: 403 });
+});
@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { applyCueOperations, findCueProblems, editCues } = require("../src/utils/cueEditor");
+
+const cues = () => [
+  { index: 1, start: 0, end: 2, text: "Hello there" },
+  { index: 2, start: 2, end: 4, text: "general" },
+  { index: 3, start: 5, end: 6, text: "Kenobi" }
+];
+
+const timings = (list) => list.map(({ start, end }) => [start, end]);
+
+test("update changes text and timings of one cue", () => {
+  const [first] = applyCueOperations(cues(), [{ op: "update", index: 1, text: " Hi ", end: "1.5" }]);
+  assert.deepEqual(first, { index: 1, start: 0, end: 1.5, text: "Hi" });
+});
+
+test("split divides a cue and its words at the split point", () => {
+  const result = applyCueOperations(cues(), [{ op: "split", index: 1, at: 1 }]);
+  assert.deepEqual(result.slice(0, 2), [
+    { index: 1, start: 0, end: 1, text: "Hello" },
+    { index: 2, start: 1, end: 2, text: "there" }
+  ]);
+  assert.equal(result.length, 4);
+});
+
+test("split rejects a point outside the cue", () => {
+  assert.throws(() => applyCueOperations(cues(), [{ op: "split", index: 1, at: 3 }]), { status: 400 });
+});
+
+test("merge joins a cue with the next one", () => {
+  const result = applyCueOperations(cues(), [{ op: "merge", index: 1 }]);
+  assert.deepEqual(result[0], { index: 1, start: 0, end: 4, text: "Hello there general" });
+  assert.throws(() => applyCueOperations(cues(), [{ op: "merge", index: 3 }]), /no following cue/);
+});
+
+test("shift moves a range of cues", () => {
+  const result = applyCueOperations(cues(), [{ op: "shift", offset: 0.5, from: 2, to: 3 }]);
+  assert.deepEqual(timings(result), [[0, 2], [2.5, 4.5], [5.5, 6.5]]);
+});
+
+test("delete and insert renumber the cues, insert keeps them in order", () => {
+  const result = applyCueOperations(cues(), [
+    { op: "delete", index: 2 },
+    { op: "insert", start: 3, end: 4, text: "you are a bold one" }
+  ]);
+  assert.deepEqual(result.map(cue => [cue.index, cue.text]), [[1, "Hello there"], [2, "you are a bold one"], [3, "Kenobi"]]);
+});
+
+test("operations see the result of the previous ones", () => {
+  const result = applyCueOperations(cues(), [{ op: "delete", index: 1 }, { op: "update", index: 1, text: "General" }]);
+  assert.equal(result[0].text, "General");
+});
+
+test("invalid operations are rejected with 400", () => {
+  for (const operations of [[], null, [{ op: "explode" }], [{ op: "delete", index: 9 }], [{ op: "shift", offset: "soon" }], [{ op: "insert", start: Infinity, end: 1 }]]) {
+    assert.throws(() => applyCueOperations(cues(), operations), { status: 400 });
+  }
+});
+
+test("findCueProblems accepts a valid track", () => {
+  assert.deepEqual(findCueProblems(cues(), 6), []);
+});
+
+test("findCueProblems reports empty, inverted, overlapping and overlong cues", () => {
+  const problems = findCueProblems([
+    { start: 0, end: 2, text: "" },
+    { start: 1, end: 1, text: "b" },
+    { start: 3, end: 20, text: "c" }
+  ], 10);
+  assert.deepEqual(problems, [
+    "Cue 1: text is empty",
+    "Cue 2: must end after it starts",
+    "Cue 2: overlaps cue 1",
+    "Cue 3: ends at 20s, after the end of the video (10s)"
+  ]);
+});
+
+test("findCueProblems rejects cues that aren't objects or lack numeric timings", () => {
+  assert.deepEqual(findCueProblems([{ start: NaN, end: NaN, text: "hi" }, null, { start: 1, end: 2, text: "ok" }], 100), [
+    "Cue 1: start and end must be numbers of seconds",
+    "Cue 2: must be an object with start, end and text"
+  ]);
+});
+
+test("editCues answers 422 with the problems of the edited track", () => {
+  assert.throws(
+    () => editCues(cues(), [{ op: "update", index: 2, start: 1 }]),
+    (error) => error.status === 422 && error.details.includes("Cue 2: overlaps cue 1")
+  );
+});
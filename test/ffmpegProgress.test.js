@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFfmpegProgressParser, timestampToSeconds } = require("../src/utils/ffmpegProgress");
+
+test("timestampToSeconds adds up hours, minutes and fractional seconds", () => {
+  assert.equal(timestampToSeconds("01", "02", "03.5"), 3723.5);
+  assert.equal(timestampToSeconds("00", "00", "00"), 0);
+});
+
+test("the parser reads the duration from ffmpeg's input line", () => {
+  const reported = [];
+  const parse = createFfmpegProgressParser(percent => reported.push(percent));
+  parse("  Duration: 00:01:40.00, start: 0.000000, bitrate: 1200 kb/s\n");
+  parse("frame=  100 fps=25 q=28.0 size=256kB time=00:00:25.00 bitrate=83.9kbits/s speed=1x\n");
+  assert.deepEqual(reported, [25]);
+});
+
+test("the parser uses the latest time of a chunk and only reports increases", () => {
+  const reported = [];
+  const parse = createFfmpegProgressParser(percent => reported.push(percent), 10);
+  parse("time=00:00:01.00 bitrate=1\rtime=00:00:03.00 bitrate=1\r");
+  parse("time=00:00:03.05 bitrate=1\r");
+  parse("time=00:00:02.00 bitrate=1\r");
+  parse("time=00:00:12.00 bitrate=1\r");
+  assert.deepEqual(reported, [30, 100]);
+});
+
+test("the parser waits for a duration and ignores a missing callback", () => {
+  const reported = [];
+  const parse = createFfmpegProgressParser(percent => reported.push(percent));
+  parse("time=00:00:05.00 bitrate=1\r");
+  assert.deepEqual(reported, []);
+
+  assert.doesNotThrow(() => createFfmpegProgressParser(null, 10)("time=00:00:05.00"));
+});
@@ -0,0 +1,26 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { selectRenditions } = require("../src/utils/hlsPackager");
+
+const sizes = (renditions) => renditions.map(({ name, width, outputHeight }) => `${name} ${width}x${outputHeight}`);
+
+test("selectRenditions keeps the ladder entries that fit the source", () => {
+  assert.deepEqual(sizes(selectRenditions({ width: 1920, height: 1080 })), ["360p 640x360", "720p 1280x720", "1080p 1920x1080"]);
+  assert.deepEqual(sizes(selectRenditions({ width: 1280, height: 720 })), ["360p 640x360", "720p 1280x720"]);
+});
+
+test("selectRenditions scales portrait videos by their short side", () => {
+  assert.deepEqual(sizes(selectRenditions({ width: 720, height: 1280 })), ["360p 360x640", "720p 720x1280"]);
+});
+
+test("selectRenditions keeps even sizes for odd aspect ratios", () => {
+  const [rendition] = selectRenditions({ width: 1000, height: 562 });
+  assert.equal(rendition.width % 2, 0);
+  assert.equal(rendition.width, 640);
+});
+
+test("selectRenditions gives small sources a single rendition at their own size", () => {
+  const renditions = selectRenditions({ width: 427, height: 241 });
+  assert.deepEqual(sizes(renditions), ["240p 424x240"]);
+  assert.equal(renditions[0].videoBitrate, 800);
+});
@@ -0,0 +1,63 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Job = require("../src/models/job");
+const { getRetryDelay, completeJob, failJob } = require("../src/utils/jobQueue");
+
+afterEach(() => mock.restoreAll());
+
+test("getRetryDelay doubles the base delay per attempt", () => {
+  assert.equal(getRetryDelay(1), 30 * 1000);
+  assert.equal(getRetryDelay(2), 60 * 1000);
+  assert.equal(getRetryDelay(3), 120 * 1000);
+});
+
+test("getRetryDelay treats attempt 0 like the first attempt", () => {
+  assert.equal(getRetryDelay(0), getRetryDelay(1));
+});
+
+test("getRetryDelay is capped at the max delay", () => {
+  assert.equal(getRetryDelay(10), 10 * 60 * 1000);
+  assert.equal(getRetryDelay(100), 10 * 60 * 1000);
+});
+
+test("failJob queues a retry while attempts are left", async () => {
+  const updateOne = mock.method(Job, "updateOne", async () => ({ matchedCount: 1, modifiedCount: 1 }));
+  const before = Date.now();
+
+  const result = await failJob({ _id: "job", attempts: 0, maxAttempts: 3, lockedBy: "worker-1" }, new Error("boom"));
+
+  assert.deepEqual(result, { isFinal: false, leaseLost: false });
+  assert.deepEqual(updateOne.mock.calls[0].arguments[0], { _id: "job", lockedBy: "worker-1" });
+  const { $set } = updateOne.mock.calls[0].arguments[1];
+  assert.equal($set.attempts, 1);
+  assert.equal($set.status, "queued");
+  assert.equal($set.lastError, "boom");
+  assert.ok($set.nextRunAt.getTime() >= before + getRetryDelay(1));
+});
+
+test("failJob fails the job on its last attempt", async () => {
+  const updateOne = mock.method(Job, "updateOne", async () => ({ matchedCount: 1, modifiedCount: 1 }));
+
+  const { isFinal } = await failJob({ _id: "job", attempts: 2, maxAttempts: 3, lockedBy: "worker-1" }, new Error("boom"));
+
+  assert.equal(isFinal, true);
+  assert.equal(updateOne.mock.calls[0].arguments[1].$set.status, "failed");
+});
+
+test("failJob reports a lost lease when another worker holds the job", async () => {
+  mock.method(Job, "updateOne", async () => ({ matchedCount: 0, modifiedCount: 0 }));
+
+  const result = await failJob({ _id: "job", attempts: 2, maxAttempts: 3, lockedBy: "worker-1" }, new Error("boom"));
+
+  assert.deepEqual(result, { isFinal: true, leaseLost: true });
+});
+
+test("completeJob only completes jobs whose lease the worker still holds", async () => {
+  const updateOne = mock.method(Job, "updateOne", async () => ({ matchedCount: 1, modifiedCount: 1 }));
+  assert.equal(await completeJob({ _id: "job", lockedBy: "worker-1" }), true);
+  assert.deepEqual(updateOne.mock.calls[0].arguments[0], { _id: "job", lockedBy: "worker-1" });
+  assert.equal(updateOne.mock.calls[0].arguments[1].$set.status, "completed");
+
+  updateOne.mock.mockImplementation(async () => ({ matchedCount: 0, modifiedCount: 0 }));
+  assert.equal(await completeJob({ _id: "job", lockedBy: "worker-1" }), false);
+});
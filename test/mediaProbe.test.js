@@ -0,0 +1,68 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseProbeOutput, findMediaProblems } = require("../src/utils/mediaProbe");
+
+const probe = (video = {}, audio = {}, format = {}) => ({
+  streams: [
+    { codec_type: "video", codec_name: "h264", width: 1920, height: 1080, avg_frame_rate: "30000/1001", pix_fmt: "yuv420p", ...video },
+    { codec_type: "audio", codec_name: "aac", channels: 2, sample_rate: "48000", ...audio }
+  ],
+  format: { format_name: "mov,mp4,m4a,3gp,3g2,mj2", duration: "62.5", size: "1000000", bit_rate: "128000", ...format }
+});
+
+test("parseProbeOutput reads the video and audio streams", () => {
+  const info = parseProbeOutput(probe(), "https://example.com/video.mp4");
+  assert.equal(info.duration, 62.5);
+  assert.equal(info.size, 1000000);
+  assert.equal(info.width, 1920);
+  assert.equal(info.height, 1080);
+  assert.equal(info.frameRate, 29.97);
+  assert.equal(info.videoCodec, "h264");
+  assert.equal(info.audioCodec, "aac");
+  assert.equal(info.audioChannels, 2);
+  assert.equal(info.audioSampleRate, 48000);
+  assert.deepEqual(findMediaProblems(info), []);
+});
+
+test("parseProbeOutput swaps the size of rotated videos", () => {
+  const tagged = parseProbeOutput(probe({ tags: { rotate: "90" } }), "video.mp4");
+  assert.deepEqual([tagged.width, tagged.height, tagged.rotation], [1080, 1920, 90]);
+
+  const matrix = parseProbeOutput(probe({ side_data_list: [{ rotation: -90 }] }), "video.mp4");
+  assert.deepEqual([matrix.width, matrix.height, matrix.rotation], [1080, 1920, 90]);
+
+  const upsideDown = parseProbeOutput(probe({ side_data_list: [{ rotation: 180 }] }), "video.mp4");
+  assert.deepEqual([upsideDown.width, upsideDown.height, upsideDown.rotation], [1920, 1080, 180]);
+});
+
+test("parseProbeOutput skips cover art", () => {
+  const info = parseProbeOutput({
+    streams: [
+      { codec_type: "video", codec_name: "mjpeg", width: 500, height: 500, disposition: { attached_pic: 1 } },
+      { codec_type: "audio", codec_name: "mp3", channels: 2 }
+    ],
+    format: { duration: "180" }
+  }, "song.mp3");
+  assert.equal(info.hasVideo, false);
+  assert.deepEqual(findMediaProblems(info), ["File has no video stream"]);
+});
+
+test("findMediaProblems lists every reason a file can't be processed", () => {
+  const info = parseProbeOutput(probe({ codec_name: "theora" }, { codec_name: "speex" }, { duration: "0" }), "video.ogg");
+  assert.deepEqual(findMediaProblems(info), [
+    'Unsupported video codec "theora"',
+    'Unsupported audio codec "speex"',
+    "Could not determine the duration, the file may be truncated"
+  ]);
+
+  const silent = parseProbeOutput({ streams: [probe().streams[0]], format: { duration: "10" } }, "video.mp4");
+  assert.deepEqual(findMediaProblems(silent), ["File has no audio stream to transcribe"]);
+});
+
+test("findMediaProblems enforces the size and duration limits", () => {
+  const info = parseProbeOutput(probe({ width: 7680, height: 4320 }, {}, { duration: String(5 * 60 * 60) }), "video.mp4");
+  assert.deepEqual(findMediaProblems(info), [
+    "Resolution 7680x4320 is above the 4096px limit",
+    "Duration 18000s is above the 14400s limit"
+  ]);
+});
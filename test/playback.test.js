@@ -0,0 +1,109 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "playback-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = tempDir;
+process.env.JWT_SECRET = "test-secret";
+
+const { test, mock, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createPlaybackToken,
+  verifyPlaybackToken,
+  parseRange,
+  resolveHlsPath,
+  sendHlsPlaylist
+} = require("../src/utils/playback");
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+afterEach(() => mock.restoreAll());
+
+test("playback tokens grant access to one video until they expire", () => {
+  const token = createPlaybackToken("video-1", 60);
+  assert.equal(verifyPlaybackToken("video-1", token), true);
+  assert.equal(verifyPlaybackToken("video-2", token), false);
+
+  const [expires, signature] = token.split(".");
+  assert.equal(verifyPlaybackToken("video-1", `${Number(expires) + 60}.${signature}`), false);
+  assert.equal(verifyPlaybackToken("video-1", "garbage"), false);
+  assert.equal(verifyPlaybackToken("video-1", undefined), false);
+
+  const now = Date.now();
+  mock.method(Date, "now", () => now + 61 * 1000);
+  assert.equal(verifyPlaybackToken("video-1", token), false);
+});
+
+test("parseRange reads single byte ranges", () => {
+  assert.deepEqual(parseRange("bytes=0-99", 1000), { start: 0, end: 99 });
+  assert.deepEqual(parseRange("bytes=900-", 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange("bytes=-100", 1000), { start: 900, end: 999 });
+  // Ends past the object are cut to its size
+  assert.deepEqual(parseRange("bytes=500-5000", 1000), { start: 500, end: 999 });
+});
+
+test("parseRange ignores malformed ranges and refuses unsatisfiable ones", () => {
+  assert.equal(parseRange("bytes=0-1,5-6", 1000), undefined);
+  assert.equal(parseRange("bytes=-", 1000), undefined);
+  assert.equal(parseRange("items=0-5", 1000), undefined);
+  assert.equal(parseRange("bytes=1000-", 1000), null);
+  assert.equal(parseRange("bytes=50-10", 1000), null);
+});
+
+test("resolveHlsPath refuses paths outside the package", () => {
+  assert.equal(resolveHlsPath("720p/../360p/index.m3u8"), "360p/index.m3u8");
+  assert.throws(() => resolveHlsPath("../other/master.m3u8"), { status: 400 });
+  assert.throws(() => resolveHlsPath("/etc/passwd"), { status: 400 });
+});
+
+test("sendHlsPlaylist points playlists at the app and signs segment URLs", async () => {
+  const packageDir = path.join(tempDir, "hls", "video-1");
+  fs.mkdirSync(path.join(packageDir, "720p"), { recursive: true });
+  fs.writeFileSync(path.join(packageDir, "720p", "index.m3u8"), [
+    "#EXTM3U",
+    '#EXT-X-MAP:URI="init.mp4"',
+    "#EXTINF:6.000,",
+    "segment_0000.m4s",
+    "#EXTINF:6.000,",
+    "https://cdn.example.com/segment_0001.m4s",
+    "#EXT-X-ENDLIST"
+  ].join("\n"));
+  fs.writeFileSync(path.join(packageDir, "master.m3u8"), [
+    "#EXTM3U",
+    '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",URI="subs/en/index.m3u8"',
+    "#EXT-X-STREAM-INF:BANDWIDTH=3000000",
+    "720p/index.m3u8"
+  ].join("\r\n"));
+
+  const video = { _id: "video-1", hlsKey: "hls/video-1/master.m3u8" };
+  const sent = {};
+  const res = {
+    set: (headers) => Object.assign(sent, headers),
+    send: (body) => { sent.body = body; }
+  };
+
+  await sendHlsPlaylist(res, video, "master.m3u8", "token");
+  assert.equal(sent["Content-Type"], "application/vnd.apple.mpegurl");
+  assert.deepEqual(sent.body.split("\n"), [
+    "#EXTM3U",
+    '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",URI="http://localhost:5000/api/videos/video-1/hls/subs/en/index.m3u8?token=token"',
+    "#EXT-X-STREAM-INF:BANDWIDTH=3000000",
+    "http://localhost:5000/api/videos/video-1/hls/720p/index.m3u8?token=token"
+  ]);
+
+  await sendHlsPlaylist(res, video, "720p/index.m3u8", "token");
+  const lines = sent.body.split("\n");
+  assert.match(lines[1], /^#EXT-X-MAP:URI="http:\/\/localhost:5000\/media\/hls\/video-1\/720p\/init\.mp4\?expires=\d+&signature=\w+"$/);
+  assert.match(lines[3], /^http:\/\/localhost:5000\/media\/hls\/video-1\/720p\/segment_0000\.m4s\?expires=\d+&signature=\w+$/);
+  assert.equal(lines[5], "https://cdn.example.com/segment_0001.m4s");
+});
+
+test("sendHlsPlaylist refuses URIs that leave the package", async () => {
+  const packageDir = path.join(tempDir, "hls", "video-2");
+  fs.mkdirSync(packageDir, { recursive: true });
+  fs.writeFileSync(path.join(packageDir, "master.m3u8"), "#EXTM3U\n../video-1/720p/index.m3u8\n");
+
+  const res = { set: () => {}, send: () => {} };
+  await assert.rejects(sendHlsPlaylist(res, { _id: "video-2", hlsKey: "hls/video-2/master.m3u8" }, "master.m3u8", "token"), { status: 400 });
+});
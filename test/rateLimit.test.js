@@ -0,0 +1,56 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { rateLimit } = require("../src/middleware/rateLimit");
+
+afterEach(() => mock.restoreAll());
+
+const response = () => ({
+  headers: {},
+  set(name, value) { this.headers[name] = value; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+// Whether the limiter let the request through, and the response otherwise
+const call = (limiter, req) => {
+  const res = response();
+  let passed = false;
+  limiter(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+test("rateLimit answers 429 with Retry-After once a key used up its window", () => {
+  const limiter = rateLimit({ name: "test-ip", windowMs: 60 * 1000, max: 2, message: "Too many attempts" });
+
+  assert.equal(call(limiter, { ip: "1.1.1.1" }).passed, true);
+  assert.equal(call(limiter, { ip: "1.1.1.1" }).passed, true);
+  const { passed, res } = call(limiter, { ip: "1.1.1.1" });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers["Retry-After"], "60");
+  assert.equal(res.body.error, "Too many attempts, try again in 1 minute");
+
+  // Other keys have their own window
+  assert.equal(call(limiter, { ip: "2.2.2.2" }).passed, true);
+});
+
+test("rateLimit starts a new window once the old one ended", () => {
+  let now = 0;
+  mock.method(Date, "now", () => now);
+  const limiter = rateLimit({ name: "test-window", windowMs: 1000, max: 1 });
+
+  assert.equal(call(limiter, { ip: "1.1.1.1" }).passed, true);
+  assert.equal(call(limiter, { ip: "1.1.1.1" }).passed, false);
+  now += 1000;
+  assert.equal(call(limiter, { ip: "1.1.1.1" }).passed, true);
+});
+
+test("rateLimit doesn't count requests without a key", () => {
+  const limiter = rateLimit({ name: "test-email", windowMs: 60 * 1000, max: 1, key: (req) => req.body.emailId || null });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(call(limiter, { body: {} }).passed, true);
+  }
+  assert.equal(call(limiter, { body: { emailId: "a@b.co" } }).passed, true);
+  assert.equal(call(limiter, { body: { emailId: "a@b.co" } }).passed, false);
+});
@@ -0,0 +1,129 @@
+const { test, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const RefreshToken = require("../src/models/refreshToken");
+const {
+  startSession,
+  rotateRefreshToken,
+  endSession,
+  revokeAllSessions
+} = require("../src/utils/refreshTokens");
+
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "test-refresh-secret";
+
+// RefreshToken backed by an array, for the queries utils/refreshTokens makes
+let records;
+
+const matches = (record, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value === null) return record[key] === null || record[key] === undefined;
+  return String(record[key]) === String(value);
+});
+
+const query = (result) => ({
+  select: () => query(result),
+  lean: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+beforeEach(() => {
+  records = [];
+  mock.method(RefreshToken.prototype, "save", async function () {
+    records.push(this.toObject());
+    return this;
+  });
+  mock.method(RefreshToken, "findOne", (filter) => query(records.find(record => matches(record, filter)) || null));
+  mock.method(RefreshToken, "findOneAndUpdate", async (filter, { $set }) => {
+    const record = records.find(candidate => matches(candidate, filter));
+    return record ? Object.assign(record, $set) : null;
+  });
+  mock.method(RefreshToken, "updateMany", async (filter, { $set }) => {
+    const matched = records.filter(record => matches(record, filter));
+    matched.forEach(record => Object.assign(record, $set));
+    return { modifiedCount: matched.length };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const request = (body = {}) => ({
+  body,
+  ip: "203.0.113.7",
+  get: (header) => header === "user-agent" ? "Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0" : undefined
+});
+
+const userId = new mongoose.Types.ObjectId();
+
+test("startSession stores only a hash of the token and names the device", async () => {
+  const { refreshToken, sessionId } = await startSession(userId, request());
+  assert.equal(records.length, 1);
+  assert.notEqual(records[0].tokenHash, refreshToken);
+  assert.equal(String(records[0].familyId), String(sessionId));
+  assert.equal(records[0].device, "Chrome on Windows");
+  assert.equal(records[0].ip, "203.0.113.7");
+
+  await startSession(userId, request({ device: " Work laptop " }));
+  assert.equal(records[1].device, "Work laptop");
+});
+
+test("rotateRefreshToken replaces the token within the same session", async () => {
+  const { refreshToken, sessionId } = await startSession(userId, request());
+
+  const rotated = await rotateRefreshToken(refreshToken, request());
+  assert.notEqual(rotated.refreshToken, refreshToken);
+  assert.equal(String(rotated.sessionId), String(sessionId));
+  assert.equal(String(rotated.userId), String(userId));
+  assert.equal(String(records[0].replacedBy), String(records[1]._id));
+
+  const again = await rotateRefreshToken(rotated.refreshToken, request());
+  assert.equal(String(again.sessionId), String(sessionId));
+});
+
+test("reusing a replaced token revokes the whole session", async () => {
+  const { refreshToken } = await startSession(userId, request());
+  const rotated = await rotateRefreshToken(refreshToken, request());
+
+  await assert.rejects(rotateRefreshToken(refreshToken, request()), { status: 403, message: /already used/ });
+  assert.ok(records.every(record => record.revokedReason === "reuse"));
+  await assert.rejects(rotateRefreshToken(rotated.refreshToken, request()), { status: 403 });
+});
+
+test("reuse detection leaves other sessions alone", async () => {
+  const first = await startSession(userId, request());
+  const second = await startSession(userId, request());
+  await rotateRefreshToken(first.refreshToken, request());
+  await assert.rejects(rotateRefreshToken(first.refreshToken, request()), { status: 403 });
+
+  const rotated = await rotateRefreshToken(second.refreshToken, request());
+  assert.equal(String(rotated.sessionId), String(second.sessionId));
+});
+
+test("unknown, missing and expired tokens are refused", async () => {
+  await assert.rejects(rotateRefreshToken("not-a-token", request()), { status: 403 });
+  await assert.rejects(rotateRefreshToken(undefined, request()), { status: 403 });
+
+  const { refreshToken } = await startSession(userId, request());
+  records[0].expiresAt = new Date(Date.now() - 1000);
+  await assert.rejects(rotateRefreshToken(refreshToken, request()), { status: 403, message: /invalid or expired/ });
+});
+
+test("endSession signs the session out", async () => {
+  const { refreshToken } = await startSession(userId, request());
+  await endSession(refreshToken);
+  assert.equal(records[0].revokedReason, "logout");
+  await assert.rejects(rotateRefreshToken(refreshToken, request()), { status: 403 });
+
+  // Unknown tokens are ignored
+  await endSession("not-a-token");
+  await endSession(undefined);
+});
+
+test("revokeAllSessions signs out every session of the user", async () => {
+  const first = await startSession(userId, request());
+  const second = await startSession(userId, request());
+  const other = await startSession(new mongoose.Types.ObjectId(), request());
+
+  await revokeAllSessions(userId, "password-reset");
+  await assert.rejects(rotateRefreshToken(first.refreshToken, request()), { status: 403 });
+  await assert.rejects(rotateRefreshToken(second.refreshToken, request()), { status: 403 });
+  await rotateRefreshToken(other.refreshToken, request());
+});
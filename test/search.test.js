@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSearchQuery, highlight, findMatchingCues } = require("../src/utils/search");
+
+test("parseSearchQuery splits phrases, terms and exclusions", () => {
+  const { phrases, terms, excluded } = parseSearchQuery('  "budget review" Q3/Q4 e-mail -draft ');
+  assert.deepEqual(phrases, ["budget review"]);
+  assert.deepEqual(terms, ["Q3", "Q4", "e", "mail"]);
+  assert.deepEqual(excluded, ["draft"]);
+});
+
+test("parseSearchQuery rejects empty, too long and exclusion-only queries", () => {
+  assert.throws(() => parseSearchQuery("   "), { status: 400, message: "q is required" });
+  assert.throws(() => parseSearchQuery("a".repeat(201)), { status: 400 });
+  assert.throws(() => parseSearchQuery("-draft"), { status: 400 });
+});
+
+test("the query pattern matches whole words and phrases across whitespace", () => {
+  const { pattern } = parseSearchQuery('"budget review" plan');
+  assert.equal(highlight("The budget\n review of the plan", pattern), "The <mark>budget\n review</mark> of the <mark>plan</mark>");
+  assert.equal(highlight("planning and airplanes", pattern), null);
+});
+
+test("highlight escapes HTML and matches regardless of case", () => {
+  const { pattern } = parseSearchQuery("script");
+  assert.equal(highlight('<b>"Script"</b> & more', pattern), "&lt;b&gt;&quot;<mark>Script</mark>&quot;&lt;/b&gt; &amp; more");
+});
+
+test("highlight cuts long texts around the first match", () => {
+  const { pattern } = parseSearchQuery("needle");
+  const text = `${"a ".repeat(100)}needle${" b".repeat(100)}`;
+  const snippet = highlight(text, pattern, 10);
+  assert.equal(snippet, "…a a a a a <mark>needle</mark> b b b b b…");
+});
+
+const subtitles = [
+  "1", "00:00:01,000 --> 00:00:03,000", "Let's talk about the budget", "",
+  "2", "00:00:04,000 --> 00:00:06,000", "The budget review is next week", "",
+  "3", "00:00:07,000 --> 00:00:09,000", "Any other questions?", ""
+].join("\n");
+
+test("findMatchingCues returns cues containing a term with snippets", () => {
+  const result = findMatchingCues(subtitles, parseSearchQuery("budget questions"), 10);
+  assert.equal(result.total, 3);
+  assert.deepEqual(result.cues[0], {
+    start: 1,
+    end: 3,
+    text: "Let's talk about the budget",
+    snippet: "Let's talk about the <mark>budget</mark>"
+  });
+});
+
+test("findMatchingCues only counts cues with a phrase when there is one, up to the limit", () => {
+  const result = findMatchingCues(subtitles, parseSearchQuery('"budget review" questions'), 10);
+  assert.equal(result.total, 1);
+  assert.equal(result.cues[0].start, 4);
+
+  const limited = findMatchingCues(subtitles, parseSearchQuery("budget"), 1);
+  assert.equal(limited.total, 2);
+  assert.equal(limited.cues.length, 1);
+  assert.deepEqual(findMatchingCues("", parseSearchQuery("budget"), 10), { cues: [], total: 0 });
+});
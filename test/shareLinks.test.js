@@ -0,0 +1,102 @@
+process.env.SHARE_RATE_LIMIT_MAX = "3";
+
+const { test, mock, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const ShareLink = require("../src/models/shareLink");
+const Video = require("../src/models/video");
+const shareRouter = require("../src/routes/shareRouter");
+const { PLAYBACK_URL_TTL_SECONDS } = require("../src/utils/playback");
+const { createShareLink, openShareLink } = require("../src/utils/shareLinks");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use("/api/share", shareRouter);
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/share`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+const video = { _id: "video", visibility: "unlisted" };
+
+const createLink = async (body) => {
+  mock.method(ShareLink.prototype, "save", async function () {
+    return this;
+  });
+  return createShareLink(video, "user", body);
+};
+
+test("share links don't expire without an expiry", async () => {
+  assert.equal((await createLink({})).expiresAt, null);
+  assert.equal((await createLink()).expiresAt, null);
+  assert.equal((await createLink({ expiresAt: null, expiresIn: null })).expiresAt, null);
+});
+
+test("expiresIn counts from now and wins over expiresAt", async () => {
+  const before = Date.now();
+  const { expiresAt } = await createLink({ expiresIn: "3600", expiresAt: "2000-01-01" });
+  assert.ok(expiresAt.getTime() >= before + 3600 * 1000 && expiresAt.getTime() <= Date.now() + 3600 * 1000);
+});
+
+test("share links accept a future expiresAt", async () => {
+  const future = new Date(Date.now() + 60 * 1000);
+  assert.equal((await createLink({ expiresAt: future.toISOString() })).expiresAt.getTime(), future.getTime());
+});
+
+test("share links reject invalid and past expiries with 400", async () => {
+  for (const body of [{ expiresIn: 0 }, { expiresIn: -5 }, { expiresIn: "soon" }, { expiresAt: "not a date" }, { expiresAt: "2000-01-01" }]) {
+    await assert.rejects(createLink(body), { status: 400 });
+  }
+});
+
+test("share link passwords need at least 8 characters", async () => {
+  await assert.rejects(createLink({ password: "1234567" }), { status: 400, message: "password must be at least 8 characters" });
+  assert.ok((await createLink({ password: "12345678" })).passwordHash);
+});
+
+test("opening a share link is rate limited per link and client", async () => {
+  mock.method(ShareLink, "findOne", async () => null);
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await fetch(`${baseUrl}/limited`)).status, 404);
+  }
+  const limited = await fetch(`${baseUrl}/limited`);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  assert.equal((await fetch(`${baseUrl}/other`)).status, 404);
+});
+
+test("private videos can't be shared", async () => {
+  await assert.rejects(createShareLink({ ...video, visibility: "private" }, "user", {}), { status: 409 });
+});
+
+const mockLink = (link) => {
+  mock.method(ShareLink, "findOne", async () => ({ _id: "link", videoId: "video", revokedAt: null, passwordHash: null, ...link }));
+  mock.method(ShareLink, "updateOne", async () => ({ modifiedCount: 1 }));
+  mock.method(Video, "findById", () => ({ lean: async () => ({ _id: "video", visibility: "unlisted" }) }));
+};
+
+test("openShareLink refuses expired and revoked links with 410", async () => {
+  mockLink({ expiresAt: new Date(Date.now() - 1000) });
+  await assert.rejects(openShareLink("token"), { status: 410, message: "Share link has expired" });
+
+  mock.restoreAll();
+  mockLink({ revokedAt: new Date() });
+  await assert.rejects(openShareLink("token"), { status: 410, message: "Share link has been revoked" });
+});
+
+test("openShareLink keeps playback URLs from outliving the link", async () => {
+  mockLink({ expiresAt: new Date(Date.now() + 30 * 1000) });
+  const { ttlSeconds } = await openShareLink("token");
+  assert.ok(ttlSeconds <= 30 && ttlSeconds >= 29);
+
+  mock.restoreAll();
+  mockLink({ expiresAt: null });
+  assert.equal((await openShareLink("token")).ttlSeconds, PLAYBACK_URL_TTL_SECONDS);
+});
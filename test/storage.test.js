@@ -0,0 +1,91 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = path.join(tempDir, "objects");
+process.env.STORAGE_SIGNING_SECRET = "test-secret";
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const { driver, canSignUrls, createKey, getContentType, copyFile, uploadFile, getObjectStream, headObject, getSignedUrl } = require("../src/utils/storage");
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+const writeLocalFile = (name, content) => {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+test("createKey keeps a safe version of the file name", () => {
+  assert.match(createKey("videos", "my talk (final).mp4"), /^videos\/\d+-my-talk-final-\.mp4$/);
+  assert.match(createKey("thumbnails", "../../etc/passwd"), /^thumbnails\/\d+-passwd$/);
+});
+
+test("getContentType goes by the key's extension", () => {
+  assert.equal(getContentType("hls/1/master.m3u8"), "application/vnd.apple.mpegurl");
+  assert.equal(getContentType("videos/CLIP.MP4"), "video/mp4");
+  assert.equal(getContentType("misc/file"), "application/octet-stream");
+});
+
+test("uploadFile stores the file and removes the local copy", async () => {
+  const filePath = writeLocalFile("upload.mp4", "0123456789");
+  const key = await uploadFile({ path: filePath, originalname: "upload.mp4", mimetype: "video/mp4" }, "videos");
+
+  assert.equal(fs.existsSync(filePath), false);
+  assert.equal((await headObject(key)).size, 10);
+  assert.equal((await headObject(key)).contentType, "video/mp4");
+  assert.equal(await readStream(await getObjectStream(key)), "0123456789");
+  assert.equal(await readStream(await getObjectStream(key, { start: 2, end: 4 })), "234");
+});
+
+test("copyFile stores the file and keeps the local copy", async () => {
+  const filePath = writeLocalFile("original.mov", "abcdef");
+  const key = await copyFile({ path: filePath, originalname: "original.mov" }, "originals");
+
+  assert.match(key, /^originals\/\d+-original\.mov$/);
+  assert.equal(fs.readFileSync(filePath, "utf8"), "abcdef");
+  assert.equal((await headObject(key)).contentType, "video/quicktime");
+  assert.equal(await readStream(await getObjectStream(key)), "abcdef");
+});
+
+test("head returns null for missing objects", async () => {
+  assert.equal(await headObject("videos/missing.mp4"), null);
+});
+
+test("the local driver refuses keys outside its root", async () => {
+  assert.throws(() => driver.resolveKey("../outside.txt"), /Invalid storage key/);
+  await assert.rejects(driver.put("../outside.txt", writeLocalFile("outside.txt", "x")), /Invalid storage key/);
+});
+
+test("signed URLs are verified against their key and expiry", async () => {
+  assert.equal(canSignUrls, true);
+  const url = new URL(await getSignedUrl("videos/a b.mp4", 60));
+  assert.equal(url.pathname, "/media/videos/a%20b.mp4");
+
+  const expires = url.searchParams.get("expires");
+  const signature = url.searchParams.get("signature");
+  assert.equal(driver.verifySignature("videos/a b.mp4", expires, signature), true);
+  assert.equal(driver.verifySignature("videos/other.mp4", expires, signature), false);
+  assert.equal(driver.verifySignature("videos/a b.mp4", String(Number(expires) + 1), signature), false);
+  assert.equal(driver.verifySignature("videos/a b.mp4", "1000", signature), false);
+});
+
+test("the local driver refuses to start without a signing secret", () => {
+  const env = { ...process.env, STORAGE_DRIVER: "local" };
+  delete env.STORAGE_SIGNING_SECRET;
+  delete env.JWT_SECRET;
+  assert.throws(
+    () => execFileSync(process.execPath, ["-e", "require('./src/utils/storage')"], { cwd: path.join(__dirname, ".."), env, stdio: "pipe" }),
+    (error) => /needs STORAGE_SIGNING_SECRET/.test(error.stderr.toString())
+  );
+});
@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseTimestamp,
+  formatTimestamp,
+  parseSrt,
+  parseVtt,
+  parseSubtitles,
+  serializeSrt,
+  serializeVtt,
+  serializeText,
+  shiftCues
+} = require("../src/utils/subtitles");
+
+const SRT = [
+  "1",
+  "00:00:01,000 --> 00:00:02,500",
+  "Hello there",
+  "",
+  "2",
+  "00:00:03,000 --> 00:01:04,250",
+  "Two lines",
+  "of text"
+].join("\n");
+
+const CUES = [
+  { index: 1, start: 1, end: 2.5, text: "Hello there" },
+  { index: 2, start: 3, end: 64.25, text: "Two lines\nof text" }
+];
+
+test("parseTimestamp reads SRT, WebVTT and hour-less timestamps", () => {
+  assert.equal(parseTimestamp("01:02:03,456"), 3723.456);
+  assert.equal(parseTimestamp("01:02:03.456"), 3723.456);
+  assert.equal(parseTimestamp("02:03.456"), 123.456);
+  assert.throws(() => parseTimestamp("soon"), /Invalid timestamp/);
+});
+
+test("formatTimestamp rounds to milliseconds and clamps negative times", () => {
+  assert.equal(formatTimestamp(3723.4564), "01:02:03,456");
+  assert.equal(formatTimestamp(1.5, "."), "00:00:01.500");
+  assert.equal(formatTimestamp(-2), "00:00:00,000");
+});
+
+test("parseSrt reads cues and skips blocks without a timing line", () => {
+  assert.deepEqual(parseSrt(`\uFEFF${SRT.replace(/\n/g, "\r\n")}\r\n\r\ngarbage block\r\n`), CUES);
+});
+
+test("SRT survives a serialize and parse round trip", () => {
+  assert.equal(serializeSrt(parseSrt(SRT)), SRT);
+  assert.deepEqual(parseSrt(serializeSrt(CUES)), CUES);
+});
+
+test("WebVTT survives a serialize and parse round trip", () => {
+  const vtt = serializeVtt(CUES);
+  assert.match(vtt, /^WEBVTT\n\n00:00:01\.000 --> 00:00:02\.500\n/);
+  assert.deepEqual(parseVtt(vtt), CUES);
+});
+
+test("parseSubtitles picks the format from the content", () => {
+  assert.deepEqual(parseSubtitles(serializeVtt(CUES)), CUES);
+  assert.deepEqual(parseSubtitles(SRT), CUES);
+  assert.deepEqual(parseSubtitles(""), []);
+  assert.deepEqual(parseSubtitles(null), []);
+});
+
+test("serializeText starts a paragraph after a long pause", () => {
+  const cues = [
+    { start: 0, end: 1, text: "One" },
+    { start: 1.5, end: 2, text: "two" },
+    { start: 10, end: 11, text: "Three\nfour" }
+  ];
+  assert.equal(serializeText(cues), "One two\n\nThree four\n");
+});
+
+test("shiftCues moves cues and renumbers them", () => {
+  assert.deepEqual(shiftCues([CUES[1]], -3), [{ index: 1, start: 0, end: 61.25, text: "Two lines\nof text" }]);
+});
@@ -0,0 +1,60 @@
+process.env.SUMMARY_CHUNK_CHARS = "100";
+
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { getSummarizer, summarizeCues } = require("../src/utils/summarization");
+
+afterEach(() => mock.restoreAll());
+
+const cue = (start, text) => ({ start, end: start + 4, text });
+
+test("summarizeCues summarizes short transcripts in one request", async () => {
+  const cues = [
+    cue(0, "Welcome to the weekly planning meeting."),
+    cue(5, "We need to ship the new   editor."),
+    cue(10, "  ")
+  ];
+  const summary = await summarizeCues(cues, { summarizer: "fake" });
+  assert.deepEqual(summary, {
+    summary: "Welcome to the weekly planning meeting. We need to ship the new editor.",
+    suggestedTitle: "Welcome to the weekly planning meeting.",
+    keyPoints: ["Welcome to the weekly planning meeting.", "We need to ship the new editor."],
+    actionItems: ["We need to ship the new editor."]
+  });
+});
+
+test("summarizeCues summarizes long transcripts part by part and merges in rounds", async () => {
+  const fake = getSummarizer("fake");
+  const summarize = mock.method(fake, "summarize");
+  const combine = mock.method(fake, "combine");
+  // About two cues fit in a part, so 40 cues make 20 parts: merged 8 at a time, then once more
+  const cues = Array.from({ length: 40 }, (_, i) => cue(i * 5, `Sentence number ${i + 1} is here.`));
+
+  const summary = await summarizeCues(cues, { summarizer: "fake", language: "de", title: "Planning" });
+  assert.equal(summarize.mock.callCount(), 20);
+  assert.deepEqual(summarize.mock.calls[0].arguments[1], { language: "de", title: "Planning", part: 1, parts: 20 });
+  assert.match(summarize.mock.calls[0].arguments[0], /^\[0:00\] Sentence number 1 is here\.\n\[0:05\] Sentence number 2 is here\.\n$/);
+  assert.equal(combine.mock.callCount(), 4);
+  assert.equal(summary.suggestedTitle, "Sentence number 1 is here.");
+  assert.ok(summary.keyPoints.length <= 10);
+});
+
+test("summarizeCues normalizes whatever the provider answers", async () => {
+  mock.method(getSummarizer("fake"), "summarize", async () => ({
+    summary: "  Short summary ",
+    suggestedTitle: "x".repeat(150),
+    keyPoints: ["One", "", null, "Two"],
+    actionItems: "not a list"
+  }));
+  assert.deepEqual(await summarizeCues([cue(0, "Hello")], { summarizer: "fake" }), {
+    summary: "Short summary",
+    suggestedTitle: "x".repeat(100),
+    keyPoints: ["One", "Two"],
+    actionItems: []
+  });
+});
+
+test("summarizeCues refuses empty transcripts and unknown providers", async () => {
+  await assert.rejects(summarizeCues([cue(0, " ")], { summarizer: "fake" }), /The transcript is empty/);
+  await assert.rejects(summarizeCues([cue(0, "Hello")], { summarizer: "nope" }), /Unknown summary provider "nope"/);
+});
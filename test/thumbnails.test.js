@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { scoreFrame, buildThumbnailTrack } = require("../src/utils/thumbnails");
+
+test("scoreFrame measures brightness and sharpness", () => {
+  const flat = scoreFrame(Buffer.alloc(16, 100), 4, 4);
+  assert.equal(flat.brightness, 100);
+  assert.equal(flat.sharpness, 0);
+
+  // Alternating black and white columns
+  const stripes = Buffer.from(Array.from({ length: 16 }, (_, i) => (i % 2 === 0 ? 0 : 255)));
+  const striped = scoreFrame(stripes, 4, 4);
+  assert.equal(striped.brightness, 127.5);
+  assert.ok(striped.sharpness > 0);
+});
+
+test("buildThumbnailTrack points each cue at its tile", () => {
+  const sprites = { interval: 5, columns: 2, rows: 2, width: 160, height: 90, count: 5 };
+  const track = buildThumbnailTrack(sprites, ["https://cdn/sheet-1.jpg", "https://cdn/sheet-2.jpg"]);
+
+  assert.equal(track, [
+    "WEBVTT",
+    "",
+    "00:00:00.000 --> 00:00:05.000",
+    "https://cdn/sheet-1.jpg#xywh=0,0,160,90",
+    "",
+    "00:00:05.000 --> 00:00:10.000",
+    "https://cdn/sheet-1.jpg#xywh=160,0,160,90",
+    "",
+    "00:00:10.000 --> 00:00:15.000",
+    "https://cdn/sheet-1.jpg#xywh=0,90,160,90",
+    "",
+    "00:00:15.000 --> 00:00:20.000",
+    "https://cdn/sheet-1.jpg#xywh=160,90,160,90",
+    "",
+    "00:00:20.000 --> 00:00:25.000",
+    "https://cdn/sheet-2.jpg#xywh=0,0,160,90",
+    ""
+  ].join("\n"));
+});
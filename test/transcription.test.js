@@ -0,0 +1,64 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getTranscriptionProvider, listTranscriptionProviders } = require("../src/utils/transcription");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "transcription-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Minimal 16-bit mono PCM WAV of `seconds` of silence at 8 kHz
+const writeWav = (name, seconds) => {
+  const sampleRate = 8000;
+  const dataSize = sampleRate * 2 * seconds;
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(dataSize, 40);
+
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, Buffer.concat([header, Buffer.alloc(dataSize)]));
+  return filePath;
+};
+
+test("the registry lists every provider and refuses unknown names", () => {
+  const names = listTranscriptionProviders().map(provider => provider.name);
+  assert.deepEqual(names.sort(), ["fake", "google", "openai", "whisper"]);
+  assert.throws(() => getTranscriptionProvider("nope"), /Unknown transcription provider "nope"/);
+});
+
+test("the fake provider makes one segment per 5 seconds of audio", async () => {
+  const { segments, language } = await getTranscriptionProvider("fake").transcribe(writeWav("speech.wav", 12), { language: "de" });
+  assert.equal(language, "de");
+  assert.deepEqual(segments, [
+    { start: 0, end: 5, text: "Fake transcript segment 1." },
+    { start: 5, end: 10, text: "Fake transcript segment 2." },
+    { start: 10, end: 12, text: "Fake transcript segment 3." }
+  ]);
+});
+
+test("the fake provider detects English and handles files that aren't WAV", async () => {
+  const filePath = path.join(tempDir, "audio.bin");
+  fs.writeFileSync(filePath, "not a wav file");
+  const { segments, language } = await getTranscriptionProvider("fake").transcribe(filePath, { language: "auto" });
+  assert.equal(language, "en");
+  assert.deepEqual(segments, [{ start: 0, end: 5, text: "Fake transcript segment 1." }]);
+});
+
+test("the fake provider fails for missing files", async () => {
+  await assert.rejects(
+    getTranscriptionProvider("fake").transcribe(path.join(tempDir, "missing.wav"), { language: "en" }),
+    /Audio file not found/
+  );
+});
@@ -0,0 +1,29 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { getTranslator, listTranslators, translateCues } = require("../src/utils/translation");
+
+afterEach(() => mock.restoreAll());
+
+test("the registry lists every translator and refuses unknown names", () => {
+  assert.deepEqual(listTranslators().map(translator => translator.name).sort(), ["openai", "stub"]);
+  assert.throws(() => getTranslator("nope"), /Unknown translation provider "nope"/);
+});
+
+test("translateCues keeps cue timings and order", async () => {
+  const cues = [{ start: 0, end: 1.5, text: "Hello" }, { start: 2, end: 3, text: "World" }];
+  assert.deepEqual(await translateCues(cues, { from: "en", to: "fr", translator: "stub" }), [
+    { start: 0, end: 1.5, text: "[fr] Hello" },
+    { start: 2, end: 3, text: "[fr] World" }
+  ]);
+});
+
+test("translateCues sends at most 50 cues per request", async () => {
+  const stub = getTranslator("stub");
+  const translate = mock.method(stub, "translate");
+  const cues = Array.from({ length: 120 }, (_, i) => ({ start: i, end: i + 1, text: `Cue ${i}` }));
+
+  const translated = await translateCues(cues, { from: "en", to: "de", translator: "stub" });
+  assert.deepEqual(translate.mock.calls.map(call => call.arguments[0].length), [50, 50, 20]);
+  assert.equal(translated.length, 120);
+  assert.equal(translated[119].text, "[de] Cue 119");
+});
@@ -0,0 +1,143 @@
+process.env.JWT_SECRET = "test-secret";
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_SIGNING_SECRET = "test-secret";
+
+const { test, mock, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../src/models/user");
+const UploadSession = require("../src/models/uploadSession");
+const Workspace = require("../src/models/workspace");
+const uploadRouter = require("../src/routes/uploadRouter");
+const { getSessionDir, getSessionPartPath } = require("../src/utils/uploadSessions");
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ userId, type: "access" }, process.env.JWT_SECRET);
+const createdSessions = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/uploads", uploadRouter);
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/uploads`;
+});
+
+after(() => {
+  server.close();
+  createdSessions.forEach(id => fs.rmSync(getSessionDir(id), { recursive: true, force: true }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const createSession = (body) => fetch(baseUrl, {
+  method: "POST",
+  headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+  body: JSON.stringify({ filename: "talk.mp4", mimetype: "video/mp4", totalSize: 1000, ...body })
+});
+
+const mockUser = () => {
+  mock.method(User, "findById", () => ({ select: () => ({ lean: async () => ({ _id: userId }) }) }));
+  mock.method(UploadSession.prototype, "save", async function () {
+    createdSessions.push(this._id);
+    return this;
+  });
+};
+
+test("upload sessions keep the requested caption mode", async () => {
+  mockUser();
+  const response = await createSession({ captionMode: "soft" });
+  assert.equal(response.status, 201);
+  assert.equal((await response.json()).upload.captionMode, "soft");
+});
+
+test("upload sessions reject unknown caption modes", async () => {
+  mockUser();
+  const response = await createSession({ captionMode: "subtitles" });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /captionMode must be one of: burn, soft, none/);
+});
+
+// A session receiving numbered parts, with the part files on disk
+const createPartsSession = (fields = {}) => {
+  const session = new UploadSession({
+    userId,
+    filename: "talk.mp4",
+    mimetype: "video/mp4",
+    totalSize: 6,
+    totalParts: 2,
+    mode: "parts",
+    ...fields
+  });
+  createdSessions.push(session._id);
+  fs.mkdirSync(getSessionDir(session._id), { recursive: true });
+  for (const part of session.receivedParts) {
+    fs.writeFileSync(getSessionPartPath(session._id, part.partNumber), "x".repeat(part.size));
+  }
+  return session;
+};
+
+const putPart = (session, partNumber, body) => fetch(`${baseUrl}/${session._id}/parts/${partNumber}`, {
+  method: "PUT",
+  headers: { Authorization: `Bearer ${token}` },
+  body
+});
+
+test("parts are recorded with a single update that replaces an earlier upload of the part", async () => {
+  const session = createPartsSession({ receivedParts: [{ partNumber: 1, size: 2 }] });
+  const updateOne = mock.method(UploadSession, "updateOne", async () => ({}));
+  const findOneAndUpdate = mock.method(UploadSession, "findOneAndUpdate", async (filter, update) => {
+    if (!Array.isArray(update)) return session;
+    session.receivedParts = [{ partNumber: 1, size: 3 }];
+    return session;
+  });
+
+  const response = await putPart(session, 1, "abc");
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).upload.receivedParts, [1]);
+  assert.equal(fs.readFileSync(getSessionPartPath(session._id, 1), "utf8"), "abc");
+
+  assert.equal(updateOne.mock.callCount(), 0);
+  const [filter, update] = findOneAndUpdate.mock.calls[1].arguments;
+  assert.deepEqual(filter, { _id: session._id, status: "active" });
+  const { $concatArrays } = update[0].$set.receivedParts;
+  assert.deepEqual($concatArrays[0].$filter.cond, { $ne: ["$$this.partNumber", 1] });
+  assert.deepEqual($concatArrays[1], [{ partNumber: 1, size: 3 }]);
+});
+
+test("parts arriving after the session stopped being active are refused", async () => {
+  const session = createPartsSession();
+  mock.method(UploadSession, "findOneAndUpdate", async (filter, update) => Array.isArray(update) ? null : session);
+
+  const response = await putPart(session, 2, "abc");
+  assert.equal(response.status, 409);
+});
+
+test("a failed finalize removes the assembled file and keeps the parts", async () => {
+  mockUser();
+  const session = createPartsSession({
+    status: "finalizing",
+    receivedParts: [{ partNumber: 1, size: 3 }, { partNumber: 2, size: 3 }],
+    workspaceId: new mongoose.Types.ObjectId()
+  });
+  mock.method(UploadSession, "findOneAndUpdate", async () => session);
+  const updateOne = mock.method(UploadSession, "updateOne", async () => ({}));
+  // The workspace is gone by the time the upload is finalized
+  mock.method(Workspace, "findById", async () => null);
+
+  const response = await fetch(`${baseUrl}/${session._id}/complete`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: "{}"
+  });
+  assert.equal(response.status, 404);
+
+  assert.deepEqual(fs.readdirSync(getSessionDir(session._id)).sort(), ["part-1", "part-2"]);
+  assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { status: "active" } });
+});
@@ -0,0 +1,53 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const {
+  getSessionDir,
+  getSessionPartPath,
+  writeRequestBody,
+  assembleParts
+} = require("../src/utils/uploadSessions");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "upload-sessions-"));
+const sessionId = `test-${process.pid}`;
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  fs.rmSync(getSessionDir(sessionId), { recursive: true, force: true });
+});
+
+test("writeRequestBody writes the body at the given offset and counts its bytes", async () => {
+  const filePath = path.join(tempDir, "data");
+  assert.equal(await writeRequestBody(Readable.from([Buffer.from("hello ")]), filePath, { maxBytes: 100 }), 6);
+  const written = await writeRequestBody(Readable.from([Buffer.from("wor"), Buffer.from("ld")]), filePath, {
+    start: 6,
+    flags: "r+",
+    maxBytes: 100
+  });
+  assert.equal(written, 5);
+  assert.equal(fs.readFileSync(filePath, "utf8"), "hello world");
+});
+
+test("writeRequestBody fails with 413 once the body exceeds maxBytes", async () => {
+  const body = Readable.from([Buffer.alloc(4), Buffer.alloc(4)]);
+  await assert.rejects(writeRequestBody(body, path.join(tempDir, "too-big"), { maxBytes: 6 }), { status: 413 });
+});
+
+test("assembleParts concatenates the parts in order", async () => {
+  fs.mkdirSync(getSessionDir(sessionId), { recursive: true });
+  // Written out of order, as parallel uploads would
+  fs.writeFileSync(getSessionPartPath(sessionId, 3), "ccc");
+  fs.writeFileSync(getSessionPartPath(sessionId, 1), "a");
+  fs.writeFileSync(getSessionPartPath(sessionId, 2), "bb");
+
+  const outputPath = path.join(getSessionDir(sessionId), "upload.mp4");
+  await assembleParts(sessionId, 3, outputPath);
+  assert.equal(fs.readFileSync(outputPath, "utf8"), "abbccc");
+});
+
+test("assembleParts fails when a part is missing", async () => {
+  await assert.rejects(assembleParts(sessionId, 4, path.join(getSessionDir(sessionId), "upload.mp4")), { code: "ENOENT" });
+});
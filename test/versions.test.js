@@ -0,0 +1,137 @@
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_SIGNING_SECRET = "test-secret";
+
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Video = require("../src/models/video");
+const VideoVersion = require("../src/models/videoVersion");
+const { driver } = require("../src/utils/storage");
+const { pruneVersions, rollBackToVersion } = require("../src/utils/versions");
+
+afterEach(() => mock.restoreAll());
+
+const videoId = new mongoose.Types.ObjectId();
+
+const makeVersion = (number, outputs = {}, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  videoId,
+  number,
+  status: "processed",
+  prunedAt: null,
+  outputs: {
+    videoKey: `videos/v${number}.mp4`,
+    hlsKey: `hls/${videoId}/${number}/master.m3u8`,
+    thumbnailKey: `thumbnails/v${number}.jpg`,
+    ...outputs
+  },
+  ...fields
+});
+
+// VideoVersion.find for both the pruning query (sorted) and listVideoMedia (select + lean)
+const mockVersions = (versions) => {
+  const matching = (filter) => versions
+    .filter(version => (!filter.status || version.status === filter.status) && version.prunedAt === null)
+    .sort((a, b) => b.number - a.number);
+  mock.method(VideoVersion, "find", (filter) => ({
+    sort: async () => matching(filter),
+    select: () => ({ lean: async () => matching(filter) })
+  }));
+  mock.method(VideoVersion, "updateMany", async (filter, update) => {
+    versions.filter(version => filter._id.$in.some(id => id.equals(version._id)))
+      .forEach(version => Object.assign(version, update.$set));
+  });
+};
+
+test("pruneVersions deletes the media of versions beyond the newest five", async () => {
+  const versions = [
+    makeVersion(1, { cleanVideoKey: "uploads/source.mp4" }),
+    makeVersion(2, { thumbnailKey: "thumbnails/shared.jpg" }),
+    ...[3, 4, 5, 6, 7, 8].map(number => makeVersion(number))
+  ];
+  mockVersions(versions);
+  const deleted = mock.method(driver, "delete", async () => {});
+  const deletedPrefixes = mock.method(driver, "deletePrefix", async () => {});
+
+  const video = {
+    _id: videoId,
+    currentVersion: 8,
+    sourceVideoKey: "uploads/source.mp4",
+    ...versions[7].outputs,
+    thumbnailKey: "thumbnails/shared.jpg"
+  };
+  await pruneVersions(video);
+
+  assert.deepEqual(versions.filter(version => version.prunedAt).map(version => version.number), [1, 2]);
+  // The upload and the thumbnail the current version still shows stay
+  assert.deepEqual(deleted.mock.calls.map(call => call.arguments[0]).sort(), [
+    "thumbnails/v1.jpg",
+    "videos/v1.mp4",
+    "videos/v2.mp4"
+  ]);
+  assert.deepEqual(deletedPrefixes.mock.calls.map(call => call.arguments[0]).sort(), [`hls/${videoId}/1`, `hls/${videoId}/2`]);
+});
+
+test("pruneVersions keeps everything while there are few versions", async () => {
+  const versions = [1, 2, 3, 4, 5, 6].map(number => makeVersion(number));
+  mockVersions(versions);
+  const deleted = mock.method(driver, "delete", async () => {});
+
+  // The current version doesn't count towards the five kept
+  await pruneVersions({ _id: videoId, currentVersion: 6, ...versions[5].outputs });
+  assert.equal(versions.some(version => version.prunedAt), false);
+  assert.equal(deleted.mock.callCount(), 0);
+});
+
+const makeVideo = () => {
+  const video = new Video({
+    _id: videoId,
+    userId: new mongoose.Types.ObjectId(),
+    title: "Demo",
+    videoKey: "videos/v3.mp4",
+    duration: 30,
+    subtitles: "current subtitles",
+    currentVersion: 3,
+    status: "failed",
+    edit: { status: "failed", keep: [{ start: 0, end: 10 }] }
+  });
+  mock.method(video, "save", async () => video);
+  return video;
+};
+
+test("rollBackToVersion restores the outputs of a finished version", async () => {
+  const version = makeVersion(2, { duration: 60, subtitles: "old subtitles", edit: { status: "pending", keep: [], source: null } });
+  mock.method(VideoVersion, "findOne", async () => version);
+  const recorded = mock.method(VideoVersion, "updateOne", async () => ({}));
+
+  const video = makeVideo();
+  await rollBackToVersion(video, 2);
+
+  // The state being replaced is kept in its own version first
+  assert.deepEqual(recorded.mock.calls[0].arguments[0], { videoId, number: 3 });
+  assert.equal(recorded.mock.calls[0].arguments[1].$set.outputs.subtitles, "current subtitles");
+
+  assert.equal(video.currentVersion, 2);
+  assert.equal(video.videoKey, "videos/v2.mp4");
+  assert.equal(video.duration, 60);
+  assert.equal(video.subtitles, "old subtitles");
+  assert.equal(video.edit.status, "ready");
+  assert.equal(video.status, "processed");
+  assert.equal(video.save.mock.callCount(), 1);
+});
+
+test("rollBackToVersion refuses missing, current, unfinished and pruned versions", async () => {
+  const cases = [
+    [null, 404],
+    [makeVersion(3), 409],
+    [makeVersion(2, {}, { status: "failed" }), 409],
+    [makeVersion(2, {}, { prunedAt: new Date() }), 409]
+  ];
+  for (const [version, status] of cases) {
+    mock.method(VideoVersion, "findOne", async () => version);
+    const video = makeVideo();
+    await assert.rejects(rollBackToVersion(video, version ? version.number : 9), { status });
+    assert.equal(video.save.mock.callCount(), 0);
+    mock.restoreAll();
+  }
+});
@@ -0,0 +1,124 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { serializeSrt, parseSrt } = require("../src/utils/subtitles");
+const {
+  getKeptDuration,
+  parseEditRanges,
+  composeRanges,
+  keepsEverything,
+  toEditedTime,
+  toSourceTime,
+  cutCues,
+  cutChapters,
+  getEditSource,
+  applyEditRanges
+} = require("../src/utils/videoEdits");
+
+const keep = [{ start: 10, end: 20 }, { start: 30, end: 40 }];
+
+test("parseEditRanges sorts, merges and clamps keep ranges", () => {
+  assert.deepEqual(parseEditRanges({ keep: [{ start: 50, end: 90 }, { start: 0, end: "10.00049" }, { start: 5, end: 20 }] }, 60), [
+    { start: 0, end: 20 },
+    { start: 50, end: 60 }
+  ]);
+});
+
+test("parseEditRanges turns cut ranges into the parts to keep", () => {
+  assert.deepEqual(parseEditRanges({ cut: [{ start: 0, end: 5 }, { start: 20, end: 30 }] }, 60), [
+    { start: 5, end: 20 },
+    { start: 30, end: 60 }
+  ]);
+  assert.deepEqual(parseEditRanges({ cut: [{ start: 50, end: 70 }] }, 60), [{ start: 0, end: 50 }]);
+});
+
+test("parseEditRanges rejects invalid edits", () => {
+  assert.throws(() => parseEditRanges({}, 60), { status: 400 });
+  assert.throws(() => parseEditRanges({ keep: [{ start: 0, end: 5 }], cut: [] }, 60), { status: 400 });
+  assert.throws(() => parseEditRanges({ keep: [] }, 60), { status: 400 });
+  assert.throws(() => parseEditRanges({ keep: [{ start: 5, end: 5 }] }, 60), { status: 400 });
+  assert.throws(() => parseEditRanges({ keep: [{ start: 60, end: 70 }] }, 60), { status: 400 });
+  assert.throws(() => parseEditRanges({ keep: [{ start: 0, end: 0.5 }] }, 60), { status: 400 });
+  assert.throws(() => parseEditRanges({ cut: [{ start: 0, end: 59.5 }] }, 60), { status: 400 });
+});
+
+test("composeRanges maps ranges of an edited video onto the upload", () => {
+  assert.deepEqual(composeRanges([], [{ start: 1, end: 2 }]), [{ start: 1, end: 2 }]);
+  // 5..15 of the edited video spans the cut between the two kept parts
+  assert.deepEqual(composeRanges(keep, [{ start: 5, end: 15 }]), [{ start: 15, end: 20 }, { start: 30, end: 35 }]);
+  assert.deepEqual(composeRanges(keep, [{ start: 0, end: 10 }, { start: 10, end: 20 }]), [{ start: 10, end: 20 }, { start: 30, end: 40 }]);
+});
+
+test("keepsEverything recognizes edits that keep the whole upload", () => {
+  assert.equal(keepsEverything([{ start: 0, end: 60 }], 60), true);
+  assert.equal(keepsEverything([{ start: 0, end: 59 }], 60), false);
+  assert.equal(keepsEverything(keep, 60), false);
+  assert.equal(getKeptDuration(keep), 20);
+});
+
+test("times map between the upload and the edited video", () => {
+  assert.equal(toEditedTime(15, keep), 5);
+  assert.equal(toEditedTime(35, keep), 15);
+  assert.equal(toEditedTime(25, keep), null);
+  assert.equal(toEditedTime(25, keep, { snap: true }), 10);
+  assert.equal(toEditedTime(45, keep, { snap: true }), null);
+
+  assert.equal(toSourceTime(5, keep), 15);
+  assert.equal(toSourceTime(10, keep), 30);
+  assert.equal(toSourceTime(10, keep, { end: true }), 20);
+  assert.equal(toSourceTime(25, keep), 45);
+});
+
+test("cutCues drops cut cues and keeps spanning cues with the part they overlap most", () => {
+  const cues = [
+    { index: 1, start: 0, end: 5, text: "Cut away" },
+    { index: 2, start: 12, end: 14, text: "Kept" },
+    { index: 3, start: 18, end: 31, text: "Mostly before the cut" },
+    { index: 4, start: 29, end: 36, text: "Mostly after the cut" }
+  ];
+  assert.deepEqual(cutCues(cues, keep), [
+    { index: 1, start: 2, end: 4, text: "Kept" },
+    { index: 2, start: 8, end: 10, text: "Mostly before the cut" },
+    { index: 3, start: 10, end: 16, text: "Mostly after the cut" }
+  ]);
+});
+
+test("cutChapters moves chapters in cut parts to the next kept part, the last of close ones stays", () => {
+  const chapters = [
+    { start: 0, title: "Intro" },
+    { start: 12, title: "Setup" },
+    { start: 25, title: "Break" },
+    { start: 30.5, title: "Demo" },
+    { start: 45, title: "Outro" }
+  ];
+  assert.deepEqual(cutChapters(chapters, keep), [
+    { start: 0, title: "Intro" },
+    { start: 2, title: "Setup" },
+    { start: 10.5, title: "Demo" }
+  ]);
+});
+
+test("edits can be reverted: getEditSource restores what applyEditRanges cut", () => {
+  const source = {
+    duration: 60,
+    subtitles: serializeSrt([
+      { index: 1, start: 2, end: 4, text: "Before" },
+      { index: 2, start: 12, end: 14, text: "Kept" },
+      { index: 3, start: 32, end: 34, text: "Also kept" }
+    ]),
+    subtitleTracks: [],
+    chapters: [{ start: 0, title: "Intro" }, { start: 30, title: "Main" }],
+    posterTime: 33
+  };
+
+  const edited = applyEditRanges(source, keep);
+  assert.equal(edited.duration, 20);
+  assert.deepEqual(parseSrt(edited.subtitles).map(cue => [cue.start, cue.text]), [[2, "Kept"], [12, "Also kept"]]);
+  assert.deepEqual(edited.chapters, [{ start: 0, title: "Intro" }, { start: 10, title: "Main" }]);
+  assert.equal(edited.posterTime, 13);
+
+  const restored = getEditSource({ ...edited, edit: { keep, source } });
+  assert.equal(restored.duration, 60);
+  assert.deepEqual(parseSrt(restored.subtitles).map(cue => [cue.start, cue.text]), [[2, "Before"], [12, "Kept"], [32, "Also kept"]]);
+  assert.deepEqual(restored.chapters, [{ start: 0, title: "Intro" }, { start: 30, title: "Main" }]);
+  assert.equal(restored.posterTime, 33);
+});
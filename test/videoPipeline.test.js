@@ -0,0 +1,60 @@
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_SIGNING_SECRET = "test-secret";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseProcessingOptions } = require("../src/utils/videoPipeline");
+
+test("parseProcessingOptions fills in the defaults", () => {
+  const options = parseProcessingOptions({});
+  assert.equal(options.captionMode, "burn");
+  assert.equal(options.provider, "whisper");
+  assert.equal(options.language, "en");
+  assert.equal(options.model, "tiny");
+});
+
+test("parseProcessingOptions prefers the body over the defaults", () => {
+  const options = parseProcessingOptions(
+    { captionMode: "none", language: "de" },
+    { captionMode: "soft", language: "fr", model: "small" }
+  );
+  assert.equal(options.captionMode, "none");
+  assert.equal(options.language, "de");
+  assert.equal(options.model, "small");
+});
+
+test("parseProcessingOptions rejects unknown caption modes, languages and models", () => {
+  assert.throws(() => parseProcessingOptions({ captionMode: "hard" }), { status: 400 });
+  assert.throws(() => parseProcessingOptions({ language: "xx" }), { status: 400, message: 'Unsupported language "xx"' });
+  assert.throws(() => parseProcessingOptions({ model: "huge" }), { status: 400 });
+});
+
+test("parseProcessingOptions keeps English-only models to English", () => {
+  assert.equal(parseProcessingOptions({ model: "base.en", language: "en" }).model, "base.en");
+  assert.throws(() => parseProcessingOptions({ model: "base.en", language: "es" }), { status: 400 });
+  assert.throws(() => parseProcessingOptions({ model: "base.en", language: "auto" }), { status: 400 });
+  assert.equal(parseProcessingOptions({ language: "auto" }).language, "auto");
+});
+
+test("parseProcessingOptions checks models and languages against the provider", () => {
+  const options = parseProcessingOptions({ provider: "openai" });
+  assert.equal(options.provider, "openai");
+  assert.equal(options.model, "whisper-1");
+
+  assert.throws(() => parseProcessingOptions({ provider: "openai", model: "tiny" }), { status: 400 });
+  assert.throws(() => parseProcessingOptions({ provider: "google", language: "auto" }), { status: 400 });
+  assert.throws(() => parseProcessingOptions({ provider: "nope" }), { status: 400, message: 'Unknown transcription provider "nope"' });
+});
+
+test("parseProcessingOptions reads the summarize flag from booleans and strings", () => {
+  assert.equal(parseProcessingOptions({}).summarize, false);
+  assert.equal(parseProcessingOptions({ summarize: "true" }).summarize, true);
+  assert.equal(parseProcessingOptions({ summarize: false }, { summarize: true }).summarize, false);
+  assert.throws(() => parseProcessingOptions({ summarize: "yes" }), { status: 400, message: "summarize must be true or false" });
+});
+
+test("parseProcessingOptions reads the chapters flag", () => {
+  assert.equal(parseProcessingOptions({}).chapters, true);
+  assert.equal(parseProcessingOptions({ chapters: "false" }).chapters, false);
+  assert.throws(() => parseProcessingOptions({ chapters: 1 }), { status: 400, message: "chapters must be true or false" });
+});
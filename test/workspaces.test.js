@@ -0,0 +1,114 @@
+process.env.JWT_SECRET = "test-secret";
+process.env.STORAGE_DRIVER = "local";
+
+const { test, mock, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const Workspace = require("../src/models/workspace");
+const WorkspaceInvitation = require("../src/models/workspaceInvitation");
+const User = require("../src/models/user");
+const workspaceRouter = require("../src/routes/workspaceRouter");
+const { canPerform, canManageMember, getMemberRole, createInvitation, getInvitationUrl } = require("../src/utils/workspaces");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/workspaces", workspaceRouter);
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+const lean = (value) => () => ({ select: () => ({ lean: async () => value }) });
+
+test("canPerform needs at least the action's role", () => {
+  assert.equal(canPerform("viewer", "view"), true);
+  assert.equal(canPerform("viewer", "edit"), false);
+  assert.equal(canPerform("editor", "create"), true);
+  assert.equal(canPerform("editor", "manageMembers"), false);
+  assert.equal(canPerform("admin", "manageMembers"), true);
+  assert.equal(canPerform("admin", "manageWorkspace"), false);
+  assert.equal(canPerform("owner", "manageWorkspace"), true);
+  assert.equal(canPerform(null, "view"), false);
+});
+
+test("canManageMember: nobody changes the owner or makes someone owner", () => {
+  assert.equal(canManageMember("owner", "owner"), false);
+  assert.equal(canManageMember("owner", "admin", "owner"), false);
+});
+
+test("canManageMember: owners manage everyone else", () => {
+  for (const target of ["admin", "editor", "viewer"]) {
+    assert.equal(canManageMember("owner", target), true);
+    assert.equal(canManageMember("owner", target, "admin"), true);
+  }
+});
+
+test("canManageMember: admins manage lower roles and grant up to admin", () => {
+  assert.equal(canManageMember("admin", "editor", "viewer"), true);
+  assert.equal(canManageMember("admin", "viewer", "admin"), true);
+  assert.equal(canManageMember("admin", "admin"), false);
+  assert.equal(canManageMember("admin", "admin", "viewer"), false);
+  // Invitations: no current role
+  assert.equal(canManageMember("admin", null, "admin"), true);
+});
+
+test("canManageMember: editors and viewers manage nobody", () => {
+  assert.equal(canManageMember("editor", "viewer"), false);
+  assert.equal(canManageMember("editor", null, "viewer"), false);
+  assert.equal(canManageMember("viewer", null, "viewer"), false);
+});
+
+test("getMemberRole finds the user's role in a workspace", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const workspace = { members: [{ userId, role: "editor" }] };
+  assert.equal(getMemberRole(workspace, userId), "editor");
+  assert.equal(getMemberRole(workspace, userId.toString()), "editor");
+  assert.equal(getMemberRole(workspace, new mongoose.Types.ObjectId()), null);
+  assert.equal(getMemberRole(null, userId), null);
+});
+
+test("createInvitation validates the email, the role and the inviter's role", async () => {
+  const workspace = { _id: new mongoose.Types.ObjectId(), name: "Team" };
+  await assert.rejects(createInvitation(workspace, { email: "nope", role: "viewer" }, null, "owner"), { status: 400 });
+  await assert.rejects(createInvitation(workspace, { email: "a@b.co", role: "owner" }, null, "owner"), { status: 400 });
+  await assert.rejects(createInvitation(workspace, { email: "a@b.co", role: "viewer" }, null, "editor"), { status: 403 });
+});
+
+test("invitation links open the invitation without signing in", async () => {
+  const workspaceId = new mongoose.Types.ObjectId();
+  const expiresAt = new Date(Date.now() + 60000);
+  mock.method(WorkspaceInvitation, "findOne", async (filter) => filter.token === "abc"
+    ? { workspaceId, email: "a@b.co", role: "editor", invitedBy: new mongoose.Types.ObjectId(), expiresAt }
+    : null);
+  mock.method(Workspace, "findById", lean({ _id: workspaceId, name: "Team" }));
+  mock.method(User, "findById", lean({ name: "Ada" }));
+
+  const url = new URL(getInvitationUrl("abc"));
+  const response = await fetch(`${baseUrl}${url.pathname}`);
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).invitation, {
+    workspace: { id: workspaceId.toString(), name: "Team" },
+    email: "a@b.co",
+    role: "editor",
+    invitedBy: "Ada",
+    expiresAt: expiresAt.toISOString()
+  });
+
+  assert.equal((await fetch(`${baseUrl}/api/workspaces/invitations/other`)).status, 404);
+});
+
+test("expired invitations are not found", async () => {
+  mock.method(WorkspaceInvitation, "findOne", async () => ({ expiresAt: new Date(Date.now() - 1000) }));
+  const response = await fetch(`${baseUrl}/api/workspaces/invitations/abc`);
+  assert.equal(response.status, 404);
+  assert.match((await response.json()).error, /not found or expired/);
+});